@@ -1,5 +1,9 @@
 import {
-  CONFIG_ITEMS, setSystemConfig, getEffectiveValue,
+  CONFIG_ITEMS, setSystemConfig, getEffectiveValue, getConfigItemMax, getMailBucket,
+  REJECT_POLICY_KEYS, getRejectPolicy, getDmarcFailAction, DEFAULT_TIMEZONE, getTimezone, getQuietHours, setQuietHours,
+  QUARANTINE_DAYS_OPTIONS, getQuarantineDays,
+  normalizeSenderEntry, isForumMode, setForumTopics, getBotUsers, setBotUsers,
+  DEFAULT_TRUSTED_DOMAINS, MAX_TRUSTED_DOMAINS, getTrustedDomains, setTrustedDomains,
   loadSystemConfig, getMaxStorage, getStarMaxStorage, runEmailCleanup,
   getPasswordList, getPasswordEntry,
   getBackupIndex, replaceAllPasswords, restorePasswordBackup,
@@ -12,13 +16,27 @@ import {
 import {
   encryptData, decryptData, encryptWithPassword, decryptWithPassword,
 } from '../shared/crypto.js';
-import { formatSize } from '../shared/utils.js';
+import { esc, formatSize, isValidTimezone } from '../shared/utils.js';
+import {
+  MAX_QUIET_WINDOWS, MAX_QUIET_VIP, parseQuietWindow, formatQuietWindow, isQuietTime,
+} from '../email/quiet.js';
+import { DMARC_FAIL_ACTIONS } from '../email/auth.js';
+import { textHost } from '../email/phishing.js';
+import { resolveTopic } from '../shared/topics.js';
+import {
+  isOwner, roleLabel, parseUserInput, ROLE_MEMBER, ROLE_READONLY, MAX_BOT_USERS,
+} from '../shared/users.js';
 import { t, getLang, setLang } from '../i18n.js';
 import { VERSION } from '../version.js';
 
 // ============ 配置项分类 ============
 
-const MAIL_CONFIG_KEYS = CONFIG_ITEMS.filter(c => c.key !== 'maxPasswords').map(c => c.key);
+const MAIL_CONFIG_KEYS = [...CONFIG_ITEMS.filter(c => c.key !== 'maxPasswords').map(c => c.key), ...REJECT_POLICY_KEYS, 'dmarcFail', 'quarantineDays'];
+
+// 退信原因会进入 SMTP 响应，仅允许可打印 ASCII
+const REJECT_REASON_MAX = 200;
+const QUIET_KEYWORD_MIN = 2;
+const QUIET_KEYWORD_MAX = 50;
 
 // ============ 主页 UI ============
 
@@ -27,8 +45,11 @@ export function buildConfigText(env, storageInfo, latestVersion) {
   if (storageInfo) {
     text += '\n' + t('cfg.mail', { used: formatSize(storageInfo.used), total: formatSize(storageInfo.total) });
     text += '\n' + t('cfg.star', { used: formatSize(storageInfo.starUsed), total: formatSize(storageInfo.starTotal) });
+    text += '\n' + t('cfg.mail.backend', { v: getMailBucket(env) ? 'R2' : 'KV' });
   }
   const pwdVal = getEffectiveValue(env, 'maxPasswords');
+  text += '\n' + t('cfg.timezone', { v: esc(getTimezone(env)) });
+  text += '\n' + t('cfg.forum', { v: isForumMode(env) ? t('cfg.forumOn') : t('cfg.forumOff') });
   text += '\n' + t('cfg.pwdLimit', { v: pwdVal === 0 ? t('cfg.unlimited') : t('cfg.count', { n: pwdVal }) });
 
   // 版本信息
@@ -45,8 +66,16 @@ export function buildConfigText(env, storageInfo, latestVersion) {
 export function buildConfigKeyboard() {
   return {
     inline_keyboard: [
-      [{ text: t('cfg.btnMail'), callback_data: 'cfg_mail' }, { text: t('cfg.btnPwd'), callback_data: 'cfg_pwd' }],
-      [{ text: t('cfg.btnLang'), callback_data: 'cfg_lang' }],
+      [
+        { text: t('cfg.btnMail'), callback_data: 'cfg_mail' },
+        { text: t('cfg.btnPwd'), callback_data: 'cfg_pwd' },
+        { text: t('cfg.btnUsers'), callback_data: 'cfg_us' },
+      ],
+      [
+        { text: t('cfg.btnLang'), callback_data: 'cfg_lang' },
+        { text: t('cfg.btnTimezone'), callback_data: 'cfg_tz' },
+        { text: t('cfg.btnForum'), callback_data: 'cfg_ft' },
+      ],
       [{ text: t('btn.back'), callback_data: 'back' }],
     ],
   };
@@ -66,6 +95,10 @@ export function buildPwdConfigKeyboard() {
 
 // ============ 邮件设置二级菜单 ============
 
+function quarantineLabel(days) {
+  return days ? t('cfg.quarantine.days', { n: days }) : t('cfg.quarantine.off');
+}
+
 export function buildMailConfigText(env, storageInfo) {
   let text = t('cfg.mail.title');
   for (const item of CONFIG_ITEMS) {
@@ -76,9 +109,17 @@ export function buildMailConfigText(env, storageInfo) {
     if (item.desc) text += `（${t(item.desc)}）`;
     text += '\n';
   }
+  const policy = getRejectPolicy(env);
+  const mode = (reject) => reject ? t('cfg.reject.bounce') : t('cfg.reject.drop');
+  text += '\n' + t('cfg.reject.blocked', { v: mode(policy.blocked) });
+  text += '\n' + t('cfg.reject.unknown', { v: mode(policy.unknown) });
+  text += '\n' + t('cfg.reject.reason', { v: esc(policy.reason) });
+  text += '\n' + t('cfg.quarantine.line', { v: quarantineLabel(getQuarantineDays(env)) });
+  text += '\n' + t('cfg.dmarc.line', { v: t(`cfg.dmarc.${getDmarcFailAction(env)}`) }) + '\n';
   if (storageInfo) {
     text += '\n' + t('cfg.mail', { used: formatSize(storageInfo.used), total: formatSize(storageInfo.total) });
     text += '\n' + t('cfg.star', { used: formatSize(storageInfo.starUsed), total: formatSize(storageInfo.starTotal) });
+    text += '\n' + t('cfg.mail.backend', { v: getMailBucket(env) ? 'R2' : 'KV' });
   }
   return text;
 }
@@ -93,11 +134,110 @@ export function buildMailConfigKeyboard() {
     }
     rows.push(row);
   }
+  rows.push([
+    { text: t('cfg.reject.btnBlocked'), callback_data: 'cfg_rj:blocked' },
+    { text: t('cfg.reject.btnUnknown'), callback_data: 'cfg_rj:unknown' },
+  ]);
+  rows.push([
+    { text: t('cfg.reject.btnReason'), callback_data: 'cfg_rr' },
+    { text: t('cfg.dmarc.btn'), callback_data: 'cfg_dm' },
+  ]);
+  rows.push([
+    { text: t('cfg.quiet.btn'), callback_data: 'cfg_qh' },
+    { text: t('cfg.trusted.btn'), callback_data: 'cfg_tb' },
+  ]);
+  rows.push([{ text: t('cfg.quarantine.btn'), callback_data: 'cfg_qr' }]);
   rows.push([{ text: t('cfg.mail.btnReset'), callback_data: 'cfg_rst' }]);
   rows.push([{ text: t('cfg.mail.btnBackCfg'), callback_data: 'cfg' }]);
   return { inline_keyboard: rows };
 }
 
+// ============ 免打扰时段三级菜单 ============
+
+export function buildQuietHoursText(quiet, timeZone, now = Date.now()) {
+  let text = t('cfg.quiet.title', { tz: esc(timeZone) }) + t('cfg.quiet.desc');
+  if (quiet.windows.length === 0) text += t('cfg.quiet.empty');
+  quiet.windows.forEach((w, i) => { text += `${i + 1}. ${formatQuietWindow(w)}\n`; });
+  if (quiet.vip.length > 0) {
+    text += t('cfg.quiet.vipTitle');
+    for (const entry of quiet.vip) text += `• <code>${esc(entry)}</code>\n`;
+  }
+  if (isQuietTime(quiet.windows, now, timeZone)) text += t('cfg.quiet.active');
+  return text;
+}
+
+export function buildQuietHoursKeyboard(quiet) {
+  const rows = [];
+  quiet.windows.forEach((w, i) => {
+    rows.push([{ text: `🗑 ${i + 1}. ${formatQuietWindow(w)}`, callback_data: `cfg_qhd:${i}` }]);
+  });
+  quiet.vip.forEach((entry, i) => {
+    rows.push([{ text: `🗑 ⭐ ${entry}`, callback_data: `cfg_qvd:${i}` }]);
+  });
+  rows.push([
+    { text: t('cfg.quiet.btnAdd'), callback_data: 'cfg_qha' },
+    { text: t('cfg.quiet.btnVip'), callback_data: 'cfg_qva' },
+  ]);
+  rows.push([{ text: t('cfg.quiet.btnBack'), callback_data: 'cfg_mail' }]);
+  return { inline_keyboard: rows };
+}
+
+// ============ 可信品牌域名三级菜单 ============
+
+export function buildTrustedDomainsText(domains) {
+  let text = t('cfg.trusted.title') + t('cfg.trusted.desc');
+  if (domains.length === 0) text += t('cfg.trusted.empty');
+  for (const domain of domains) text += `• <code>${esc(domain)}</code>\n`;
+  return text;
+}
+
+export function buildTrustedDomainsKeyboard(domains) {
+  const rows = [];
+  for (let i = 0; i < domains.length; i += 2) {
+    rows.push(domains.slice(i, i + 2).map((domain, j) => ({ text: `🗑 ${domain}`, callback_data: `cfg_tbd:${i + j}` })));
+  }
+  rows.push([
+    { text: t('cfg.trusted.btnAdd'), callback_data: 'cfg_tba' },
+    { text: t('cfg.trusted.btnReset'), callback_data: 'cfg_tbr' },
+  ]);
+  rows.push([{ text: t('cfg.quiet.btnBack'), callback_data: 'cfg_mail' }]);
+  return { inline_keyboard: rows };
+}
+
+// ============ 用户管理三级菜单 ============
+
+const ROLE_ICONS = { [ROLE_MEMBER]: '👤', [ROLE_READONLY]: '👁' };
+
+export function buildUsersText(ownerId, users) {
+  let text = t('cfg.users.title') + t('cfg.users.owner', { id: esc(String(ownerId)) });
+  for (const [id, user] of Object.entries(users)) {
+    const prefixes = (user.prefixes || []).length > 0 ? user.prefixes.map(p => esc(p)).join(', ') : t('cfg.users.noPrefix');
+    text += `${ROLE_ICONS[user.role]} <code>${esc(id)}</code> · ${roleLabel(user.role)} · ${prefixes}\n`;
+  }
+  return text + t('cfg.users.desc');
+}
+
+// confirmId：待确认删除的用户
+export function buildUsersKeyboard(users, confirmId) {
+  const rows = [];
+  for (const [id, user] of Object.entries(users)) {
+    if (id === confirmId) {
+      rows.push([
+        { text: t('cfg.users.btnConfirmDel', { id }), callback_data: `cfg_udc:${id}` },
+        { text: t('btn.cancel'), callback_data: 'cfg_us' },
+      ]);
+      continue;
+    }
+    rows.push([
+      { text: `${ROLE_ICONS[user.role]} ${id} · ${roleLabel(user.role)}`, callback_data: `cfg_ur:${id}` },
+      { text: '🗑', callback_data: `cfg_ud:${id}` },
+    ]);
+  }
+  rows.push([{ text: t('cfg.users.btnAdd'), callback_data: 'cfg_ua' }]);
+  rows.push([{ text: t('cfg.pwd.btnBackCfg'), callback_data: 'cfg' }]);
+  return { inline_keyboard: rows };
+}
+
 // ============ 存储信息 ============
 
 function calcStarredSize(entries) {
@@ -146,6 +286,24 @@ async function editToMailConfig(env, msgId) {
   return editMessageText(env, msgId, buildMailConfigText(env, storageInfo), buildMailConfigKeyboard());
 }
 
+async function editToQuietHours(env, msgId) {
+  await loadSystemConfig(env);
+  const quiet = await getQuietHours(env);
+  return editMessageText(env, msgId, buildQuietHoursText(quiet, getTimezone(env)), buildQuietHoursKeyboard(quiet));
+}
+
+async function editToTrustedDomains(env, msgId) {
+  const domains = await getTrustedDomains(env);
+  return editMessageText(env, msgId, buildTrustedDomainsText(domains), buildTrustedDomainsKeyboard(domains));
+}
+
+async function editToUsers(env, msgId, confirmId) {
+  const users = await getBotUsers(env);
+  let text = buildUsersText(env.TG_CHAT_ID, users);
+  if (confirmId) text += t('cfg.users.confirmDel', { id: esc(confirmId) });
+  return editMessageText(env, msgId, text, buildUsersKeyboard(users, confirmId));
+}
+
 async function editToPwdConfig(env, msgId) {
   await loadSystemConfig(env);
   const pwdVal = getEffectiveValue(env, 'maxPasswords');
@@ -349,6 +507,12 @@ export async function handleConfigCallback(cbq, env) {
   const value = rest.join(':');
   let toast = '';
 
+  // 配置（含导出/导入）仅 owner 可用
+  if (!isOwner(env)) {
+    await answerCallbackQuery(env, cbq.id, t('user.toast.noPermission'));
+    return;
+  }
+
   if (action === 'cfg') {
     await editToConfig(env, msgId);
   } else if (action === 'cfg_pwd') {
@@ -363,7 +527,7 @@ export async function handleConfigCallback(cbq, env) {
       const display = item.key === 'maxPasswords' && current === 0 ? t('cfg.unlimited') : `${current}`;
       let promptText = t('cfg.prompt.setValue', { label: t(item.label) });
       if (item.desc) promptText += `${t(item.desc)}\n`;
-      promptText += t('cfg.prompt.currentValue', { v: display, unit: t(item.unit), min: item.min, max: item.max }) + (item.key === 'maxPasswords' ? t('cfg.prompt.unlimitedHint') : '');
+      promptText += t('cfg.prompt.currentValue', { v: display, unit: t(item.unit), min: item.min, max: getConfigItemMax(env, item) }) + (item.key === 'maxPasswords' ? t('cfg.prompt.unlimitedHint') : '');
       await sendTelegramPrompt(env, promptText);
     }
     await answerCallbackQuery(env, cbq.id);
@@ -387,6 +551,126 @@ export async function handleConfigCallback(cbq, env) {
     await setSystemConfig(env, config);
     toast = t('cfg.toast.resetDone');
     await editToMailConfig(env, msgId);
+  } else if (action === 'cfg_rj') {
+    await loadSystemConfig(env);
+    const config = env._sysConfig || {};
+    const key = value === 'blocked' ? 'rejectBlocked' : 'rejectUnknown';
+    if (config[key]) delete config[key];
+    else config[key] = true;
+    await setSystemConfig(env, config);
+    toast = config[key] ? t('cfg.reject.toastBounce') : t('cfg.reject.toastDrop');
+    await editToMailConfig(env, msgId);
+  } else if (action === 'cfg_dm') {
+    // 依次切换：仅提示 → 静音 → 丢弃
+    await loadSystemConfig(env);
+    const config = env._sysConfig || {};
+    const next = DMARC_FAIL_ACTIONS[(DMARC_FAIL_ACTIONS.indexOf(getDmarcFailAction(env)) + 1) % DMARC_FAIL_ACTIONS.length];
+    if (next === 'show') delete config.dmarcFail;
+    else config.dmarcFail = next;
+    await setSystemConfig(env, config);
+    toast = t('cfg.dmarc.toast', { v: t(`cfg.dmarc.${next}`) });
+    await editToMailConfig(env, msgId);
+  } else if (action === 'cfg_qr') {
+    // 依次切换：关闭 → 3 天 → 7 天
+    await loadSystemConfig(env);
+    const config = env._sysConfig || {};
+    const next = QUARANTINE_DAYS_OPTIONS[(QUARANTINE_DAYS_OPTIONS.indexOf(getQuarantineDays(env)) + 1) % QUARANTINE_DAYS_OPTIONS.length];
+    if (next) config.quarantineDays = next;
+    else delete config.quarantineDays;
+    await setSystemConfig(env, config);
+    toast = t('cfg.quarantine.toast', { v: quarantineLabel(next) });
+    await editToMailConfig(env, msgId);
+  } else if (action === 'cfg_rr') {
+    await loadSystemConfig(env);
+    await sendTelegramPrompt(env, t('cfg.prompt.rejectReason', { v: esc(getRejectPolicy(env).reason) }));
+    await answerCallbackQuery(env, cbq.id);
+    return;
+  } else if (action === 'cfg_tz') {
+    await loadSystemConfig(env);
+    await sendTelegramPrompt(env, t('cfg.prompt.timezone', { v: esc(getTimezone(env)) }));
+    await answerCallbackQuery(env, cbq.id);
+    return;
+  } else if (action === 'cfg_ft') {
+    await loadSystemConfig(env);
+    const config = env._sysConfig || {};
+    if (config.forumTopics) {
+      // 关闭时清空话题映射，重新开启会重建话题
+      delete config.forumTopics;
+      await setSystemConfig(env, config);
+      await setForumTopics(env, {});
+      toast = t('cfg.toast.forumOff');
+    } else {
+      config.forumTopics = true;
+      // 先创建配置话题，确认群组已开启话题且 bot 有管理话题权限
+      if (await resolveTopic(env, 'cfg')) {
+        await setSystemConfig(env, config);
+        toast = t('cfg.toast.forumOn');
+      } else {
+        delete config.forumTopics;
+        toast = t('cfg.toast.forumFailed');
+      }
+    }
+    await editToConfig(env, msgId);
+  } else if (action === 'cfg_us') {
+    await editToUsers(env, msgId);
+  } else if (action === 'cfg_ua') {
+    await sendTelegramPrompt(env, t('cfg.prompt.user'));
+    await answerCallbackQuery(env, cbq.id);
+    return;
+  } else if (action === 'cfg_ur') {
+    // 切换成员 / 只读
+    const users = await getBotUsers(env);
+    if (users[value]) {
+      users[value].role = users[value].role === ROLE_MEMBER ? ROLE_READONLY : ROLE_MEMBER;
+      await setBotUsers(env, users);
+      toast = t('cfg.users.toastRole', { id: value, role: roleLabel(users[value].role) });
+    }
+    await editToUsers(env, msgId);
+  } else if (action === 'cfg_ud') {
+    await editToUsers(env, msgId, value);
+  } else if (action === 'cfg_udc') {
+    const users = await getBotUsers(env);
+    if (users[value]) {
+      delete users[value];
+      await setBotUsers(env, users);
+      toast = t('cfg.users.toastRemoved', { id: value });
+    }
+    await editToUsers(env, msgId);
+  } else if (action === 'cfg_qh') {
+    await editToQuietHours(env, msgId);
+  } else if (action === 'cfg_qha' || action === 'cfg_qva') {
+    await sendTelegramPrompt(env, t(action === 'cfg_qha' ? 'cfg.prompt.quietWindow' : 'cfg.prompt.quietVip'));
+    await answerCallbackQuery(env, cbq.id);
+    return;
+  } else if (action === 'cfg_qhd' || action === 'cfg_qvd') {
+    const quiet = await getQuietHours(env);
+    const list = action === 'cfg_qhd' ? quiet.windows : quiet.vip;
+    const idx = parseInt(value);
+    if (idx >= 0 && idx < list.length) {
+      list.splice(idx, 1);
+      await setQuietHours(env, quiet);
+      toast = t('cfg.quiet.toastRemoved');
+    }
+    await editToQuietHours(env, msgId);
+  } else if (action === 'cfg_tb') {
+    await editToTrustedDomains(env, msgId);
+  } else if (action === 'cfg_tba') {
+    await sendTelegramPrompt(env, t('cfg.prompt.trusted'));
+    await answerCallbackQuery(env, cbq.id);
+    return;
+  } else if (action === 'cfg_tbd') {
+    const domains = await getTrustedDomains(env);
+    const idx = parseInt(value);
+    if (idx >= 0 && idx < domains.length) {
+      domains.splice(idx, 1);
+      await setTrustedDomains(env, domains);
+      toast = t('cfg.quiet.toastRemoved');
+    }
+    await editToTrustedDomains(env, msgId);
+  } else if (action === 'cfg_tbr') {
+    await setTrustedDomains(env, [...DEFAULT_TRUSTED_DOMAINS]);
+    toast = t('cfg.trusted.toastReset');
+    await editToTrustedDomains(env, msgId);
   } else if (action === 'cfg_lang') {
     await loadSystemConfig(env);
     const config = env._sysConfig || {};
@@ -397,6 +681,8 @@ export async function handleConfigCallback(cbq, env) {
     const commands = [
       { command: 'list', description: t('cmd.list') },
       { command: 'search', description: t('cmd.search') },
+      { command: 'rules', description: t('cmd.rules') },
+      { command: 'stats', description: t('cmd.stats') },
       { command: 'pwd', description: t('cmd.pwd') },
       { command: 'config', description: t('cmd.config') },
     ];
@@ -467,6 +753,101 @@ export async function handleConfigReply(msg, replyTo, text, env) {
       } else {
         await decryptAndPreviewImport(env, text.trim());
       }
+    } else if (replyTo.text.startsWith(t('cfg.prompt.timezone', { v: '' }).split('\n')[0])) {
+      const input = text.trim();
+      // 大小写不敏感匹配，保存规范名称
+      const tz = isValidTimezone(input) ? new Intl.DateTimeFormat('en-US', { timeZone: input }).resolvedOptions().timeZone : null;
+      if (!tz) {
+        await sendTelegramMessage(env, t('cfg.invalidTimezone', { v: esc(input) }));
+        return;
+      }
+      await loadSystemConfig(env);
+      const config = env._sysConfig || {};
+      if (tz === DEFAULT_TIMEZONE) delete config.timezone;
+      else config.timezone = tz;
+      await setSystemConfig(env, config);
+      env._sysConfig = config;
+      await sendTelegramMessage(env, t('cfg.timezoneSet', { v: esc(getTimezone(env)) }));
+    } else if (replyTo.text.startsWith(t('cfg.prompt.user').split('\n')[0])) {
+      const parsed = parseUserInput(text);
+      if (!parsed) {
+        await sendTelegramMessage(env, t('cfg.users.invalid'));
+        return;
+      }
+      if (parsed.id === String(env.TG_CHAT_ID)) {
+        await sendTelegramMessage(env, t('cfg.users.isOwner'));
+        return;
+      }
+      const users = await getBotUsers(env);
+      if (!users[parsed.id] && Object.keys(users).length >= MAX_BOT_USERS) {
+        await sendTelegramMessage(env, t('cfg.users.full', { max: MAX_BOT_USERS }));
+        return;
+      }
+      users[parsed.id] = { role: parsed.role, prefixes: parsed.prefixes };
+      await setBotUsers(env, users);
+      const prefixes = parsed.prefixes.length > 0 ? parsed.prefixes.map(p => esc(p)).join(', ') : t('cfg.users.noPrefix');
+      await sendTelegramMessage(env, t('cfg.users.saved', { id: esc(parsed.id), role: roleLabel(parsed.role), prefixes }));
+      // 通知新用户（对方未与 bot 对话过时发送失败，忽略）
+      await sendTelegramMessage({ ...env, TG_CHAT_ID: parsed.id, _threadId: undefined },
+        t('user.welcome', { role: roleLabel(parsed.role), prefixes }));
+    } else if (replyTo.text.startsWith(t('cfg.prompt.quietWindow').split('\n')[0])) {
+      const window = parseQuietWindow(text);
+      if (!window) {
+        await sendTelegramMessage(env, t('cfg.quiet.invalid'));
+        return;
+      }
+      const quiet = await getQuietHours(env);
+      if (quiet.windows.length >= MAX_QUIET_WINDOWS) {
+        await sendTelegramMessage(env, t('cfg.quiet.full', { max: MAX_QUIET_WINDOWS }));
+        return;
+      }
+      quiet.windows.push(window);
+      await setQuietHours(env, quiet);
+      await sendTelegramMessage(env, t('cfg.quiet.added', { v: esc(formatQuietWindow(window)) }));
+    } else if (replyTo.text.startsWith(t('cfg.prompt.quietVip').split('\n')[0])) {
+      const input = text.trim().toLowerCase();
+      const entry = input.includes('@') ? normalizeSenderEntry(input) : input;
+      if (!entry || (!entry.includes('@') && (entry.length < QUIET_KEYWORD_MIN || entry.length > QUIET_KEYWORD_MAX))) {
+        await sendTelegramMessage(env, t('cfg.quiet.invalidVip'));
+        return;
+      }
+      const quiet = await getQuietHours(env);
+      if (quiet.vip.length >= MAX_QUIET_VIP) {
+        await sendTelegramMessage(env, t('cfg.quiet.full', { max: MAX_QUIET_VIP }));
+        return;
+      }
+      if (!quiet.vip.includes(entry)) quiet.vip.push(entry);
+      await setQuietHours(env, quiet);
+      await sendTelegramMessage(env, t('cfg.quiet.vipAdded', { v: esc(entry) }));
+    } else if (replyTo.text.startsWith(t('cfg.prompt.trusted').split('\n')[0])) {
+      const domain = textHost(text.trim().replace(/^@/, ''));
+      if (!domain) {
+        await sendTelegramMessage(env, t('cfg.trusted.invalid'));
+        return;
+      }
+      const domains = await getTrustedDomains(env);
+      if (domains.length >= MAX_TRUSTED_DOMAINS) {
+        await sendTelegramMessage(env, t('cfg.quiet.full', { max: MAX_TRUSTED_DOMAINS }));
+        return;
+      }
+      if (!domains.includes(domain)) domains.push(domain);
+      await setTrustedDomains(env, domains);
+      await sendTelegramMessage(env, t('cfg.trusted.added', { v: esc(domain) }));
+    } else if (replyTo.text.startsWith(t('cfg.prompt.rejectReason', { v: '' }).split('\n')[0])) {
+      const reason = text.trim();
+      await loadSystemConfig(env);
+      const config = env._sysConfig || {};
+      if (reason === '-') {
+        delete config.rejectReason;
+      } else if (!reason || reason.length > REJECT_REASON_MAX || !/^[\x20-\x7E]+$/.test(reason)) {
+        await sendTelegramMessage(env, t('cfg.reject.invalidReason', { max: REJECT_REASON_MAX }));
+        return;
+      } else {
+        config.rejectReason = reason;
+      }
+      await setSystemConfig(env, config);
+      env._sysConfig = config;
+      await sendTelegramMessage(env, t('cfg.reject.reasonSet', { v: esc(getRejectPolicy(env).reason) }));
     } else {
       // 匹配配置项设置提示（用 ⚙️ 前缀）
       // 尝试匹配每个 CONFIG_ITEM 的 label
@@ -480,8 +861,9 @@ export async function handleConfigReply(msg, replyTo, text, env) {
       }
       if (matchedItem) {
         const num = parseInt(text);
-        if (isNaN(num) || num < matchedItem.min || num > matchedItem.max) {
-          await sendTelegramMessage(env, t('cfg.invalidValue', { min: matchedItem.min, max: matchedItem.max }));
+        const max = getConfigItemMax(env, matchedItem);
+        if (isNaN(num) || num < matchedItem.min || num > max) {
+          await sendTelegramMessage(env, t('cfg.invalidValue', { min: matchedItem.min, max }));
         } else {
           await loadSystemConfig(env);
           const config = env._sysConfig || {};
@@ -0,0 +1,51 @@
+import { esc } from '../shared/utils.js';
+import { t } from '../i18n.js';
+
+export const AUTH_METHODS = ['spf', 'dkim', 'dmarc'];
+// DMARC 失败时的处理：show 仅提示、mute 静音、drop 丢弃
+export const DMARC_FAIL_ACTIONS = ['show', 'mute', 'drop'];
+
+const RESULT_ICONS = { pass: '✅', fail: '❌', softfail: '⚠️', permerror: '❌' };
+
+function headerValues(headers, key) {
+  return (headers || []).filter(h => h.key === key).map(h => String(h.value || ''));
+}
+
+// 从 Authentication-Results（取最上面一条，即 Cloudflare 添加的）和 Received-SPF 中
+// 提取 { spf, dkim, dmarc, fromDomain }；没有任何结果返回 null
+export function parseAuthResults(headers) {
+  const result = {};
+  const [authResults] = headerValues(headers, 'authentication-results');
+  if (authResults) {
+    for (const m of authResults.matchAll(/\b(spf|dkim|dmarc)\s*=\s*([a-z]+)/gi)) {
+      const method = m[1].toLowerCase();
+      const value = m[2].toLowerCase();
+      // 多个 DKIM 签名时任一通过即为通过
+      if (!result[method] || (method === 'dkim' && value === 'pass')) result[method] = value;
+    }
+    const from = authResults.match(/\bheader\.from\s*=\s*([^\s;()]+)/i);
+    if (from) result.fromDomain = from[1].toLowerCase();
+  }
+  if (!result.spf) {
+    const [receivedSpf] = headerValues(headers, 'received-spf');
+    const m = receivedSpf?.match(/^\s*([a-z]+)/i);
+    if (m) result.spf = m[1].toLowerCase();
+  }
+  return AUTH_METHODS.some(method => result[method]) ? result : null;
+}
+
+export function isDmarcFail(auth) {
+  return auth?.dmarc === 'fail';
+}
+
+// 🛡 SPF ✅ · DKIM ✅ · DMARC ❌
+export function buildAuthBadge(auth) {
+  if (!auth) return '';
+  const parts = AUTH_METHODS.map(method => `${method.toUpperCase()} ${RESULT_ICONS[auth[method]] || '➖'}`);
+  return `🛡 ${parts.join(' · ')}\n`;
+}
+
+export function buildDmarcWarning(auth, fallbackDomain) {
+  if (!isDmarcFail(auth)) return '';
+  return t('auth.dmarcFail', { domain: esc(auth.fromDomain || fallbackDomain || '?') });
+}
@@ -0,0 +1,180 @@
+import { esc, generateRandomPrefix } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import { sendTelegramMessage } from '../shared/telegram.js';
+import {
+  getActiveRules, setActiveRules, getPausedRules, setPausedRules,
+  getBurnerPrefixes, setBurnerPrefixes, deletePrefixConfig,
+} from '../shared/storage.js';
+import { withTopic } from '../shared/topics.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 一次性前缀的限制：按有效期或按收信数量
+export const BURNER_LIMITS = {
+  '24h': { ms: DAY_MS },
+  '7d': { ms: 7 * DAY_MS },
+  '30d': { ms: 30 * DAY_MS },
+  n1: { count: 1 },
+  n5: { count: 5 },
+};
+export const BURNER_END_MODES = ['pause', 'delete'];
+// 已结束的记录保留多久（期间继续拒收）
+export const BURNER_KEEP_MS = 90 * DAY_MS;
+
+// ============ 选择界面 ============
+
+export function buildBurnerLimitKeyboard() {
+  return {
+    inline_keyboard: [
+      [{ text: t('burner.btn.perm'), callback_data: 'rnd:perm' }],
+      [
+        { text: t('burner.btn.24h'), callback_data: 'rnd:24h' },
+        { text: t('burner.btn.7d'), callback_data: 'rnd:7d' },
+        { text: t('burner.btn.30d'), callback_data: 'rnd:30d' },
+      ],
+      [
+        { text: t('burner.btn.n1'), callback_data: 'rnd:n1' },
+        { text: t('burner.btn.n5'), callback_data: 'rnd:n5' },
+      ],
+      [{ text: t('btn.cancel'), callback_data: 'back' }],
+    ],
+  };
+}
+
+export function buildBurnerEndKeyboard(limit) {
+  return {
+    inline_keyboard: [
+      [
+        { text: t('burner.btn.pause'), callback_data: `rnd:${limit}:pause` },
+        { text: t('burner.btn.delete'), callback_data: `rnd:${limit}:delete` },
+      ],
+      [{ text: t('btn.back'), callback_data: 'random' }],
+    ],
+  };
+}
+
+// ============ 状态 ============
+
+// 剩余时间：2 天以上按天，1 小时以上按小时，否则按分钟
+export function formatRemaining(ms) {
+  if (ms >= 2 * DAY_MS) return `${Math.floor(ms / DAY_MS)}d`;
+  if (ms >= HOUR_MS) return `${Math.floor(ms / HOUR_MS)}h`;
+  return `${Math.max(1, Math.ceil(ms / 60000))}m`;
+}
+
+export function isBurnerExhausted(burner, now = Date.now()) {
+  if (burner.expires && burner.expires <= now) return true;
+  return !!burner.maxEmails && (burner.count || 0) >= burner.maxEmails;
+}
+
+// 列表中前缀后面的状态：⏳ 剩余时间、📨 已收/上限、🔥 已结束
+export function formatBurnerStatus(burner, now = Date.now()) {
+  if (!burner) return '';
+  if (burner.ended) return ` ${t('burner.ended')}`;
+  let text = '';
+  if (burner.expires) text += ` ⏳ ${formatRemaining(burner.expires - now)}`;
+  if (burner.maxEmails) text += ` 📨 ${burner.count || 0}/${burner.maxEmails}`;
+  return text;
+}
+
+function limitLabel(limit) {
+  return t(`burner.btn.${limit}`);
+}
+
+// ============ 创建 / 结束 ============
+
+// 生成随机前缀并记录限制；limit 为 perm 时是普通前缀
+export async function createRandomPrefix(env, limit = 'perm', end = 'pause', now = Date.now()) {
+  const prefix = generateRandomPrefix();
+  const active = await getActiveRules(env);
+  if (!active.includes(prefix)) {
+    active.push(prefix);
+    await setActiveRules(env, active);
+  }
+  const spec = BURNER_LIMITS[limit];
+  if (spec) {
+    const burners = await getBurnerPrefixes(env);
+    burners[prefix] = {
+      created: now,
+      ...(spec.ms ? { expires: now + spec.ms } : { maxEmails: spec.count }),
+      count: 0,
+      end: BURNER_END_MODES.includes(end) ? end : 'pause',
+    };
+    await setBurnerPrefixes(env, burners);
+  }
+  return prefix;
+}
+
+export function buildBurnerCreatedText(prefix, limit, end) {
+  let text = t('email.toast.randomAddedMsg', { v: esc(prefix) });
+  if (BURNER_LIMITS[limit]) {
+    text += t('burner.created', { limit: limitLabel(limit), end: t(`burner.end.${end}`) });
+  }
+  return text;
+}
+
+// 已收邮件计数 +1，返回更新后的记录
+export async function countBurnerEmail(env, prefix) {
+  const burners = await getBurnerPrefixes(env);
+  if (!burners[prefix] || burners[prefix].ended) return burners[prefix] || null;
+  burners[prefix].count = (burners[prefix].count || 0) + 1;
+  await setBurnerPrefixes(env, burners);
+  return burners[prefix];
+}
+
+// 到期或用完：暂停或删除前缀并通知；记录保留用于拒收
+export async function endBurner(env, prefix, now = Date.now()) {
+  const burners = await getBurnerPrefixes(env);
+  const burner = burners[prefix];
+  if (!burner || burner.ended) return false;
+  burner.ended = true;
+  burner.endedAt = now;
+  await setBurnerPrefixes(env, burners);
+
+  if (burner.end === 'delete') {
+    await deletePrefixConfig(env, prefix);
+  } else {
+    const [active, paused] = await Promise.all([getActiveRules(env), getPausedRules(env)]);
+    if (!paused.includes(prefix)) paused.push(prefix);
+    await Promise.all([
+      setActiveRules(env, active.filter(p => p !== prefix)),
+      setPausedRules(env, paused),
+    ]);
+  }
+  const reason = burner.expires && burner.expires <= now
+    ? t('burner.notice.expired', { v: esc(prefix) })
+    : t('burner.notice.used', { v: esc(prefix), n: burner.maxEmails });
+  await withTopic(env, `p:${prefix}`, topicEnv => sendTelegramMessage(
+    topicEnv, reason + t(`burner.notice.${burner.end === 'delete' ? 'deleted' : 'paused'}`),
+  ));
+  return true;
+}
+
+// 定时任务调用：结束到期的前缀，清理过旧的已结束记录；返回结束的数量
+export async function runBurnerExpiry(env, now = Date.now()) {
+  const burners = await getBurnerPrefixes(env);
+  const prefixes = Object.keys(burners);
+  if (prefixes.length === 0) return 0;
+  let ended = 0;
+  for (const prefix of prefixes) {
+    const burner = burners[prefix];
+    if (!burner.ended && isBurnerExhausted(burner, now) && await endBurner(env, prefix, now)) ended++;
+  }
+  const latest = await getBurnerPrefixes(env);
+  const stale = Object.keys(latest).filter(p => latest[p].ended && now - latest[p].endedAt > BURNER_KEEP_MS);
+  if (stale.length > 0) {
+    for (const p of stale) delete latest[p];
+    await setBurnerPrefixes(env, latest);
+  }
+  return ended;
+}
+
+// 手动恢复/重新添加/删除前缀时解除一次性限制；endedOnly 只解除已结束的
+export async function releaseBurners(env, prefixes, endedOnly = false) {
+  const burners = await getBurnerPrefixes(env);
+  const released = prefixes.filter(p => burners[p] && (!endedOnly || burners[p].ended));
+  if (released.length === 0) return;
+  for (const p of released) delete burners[p];
+  await setBurnerPrefixes(env, burners);
+}
@@ -0,0 +1,158 @@
+import { esc, zonedTime, isValidTimezone } from '../shared/utils.js';
+import { t } from '../i18n.js';
+
+// 通知中最多列出的参与者
+export const MAX_ATTENDEES = 5;
+
+const RRULE_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+export function isCalendarAttachment(att) {
+  const mime = (att.mimeType || '').toLowerCase();
+  return mime === 'text/calendar' || mime === 'application/ics' || /\.ics$/i.test(att.filename || '');
+}
+
+// 附件内容（base64 字符串或字节）→ 文本
+export function attachmentText(att) {
+  const content = att.content;
+  if (!content) return '';
+  if (typeof content === 'string') {
+    try { return new TextDecoder().decode(Uint8Array.from(atob(content), c => c.charCodeAt(0))); }
+    catch { return ''; }
+  }
+  return new TextDecoder().decode(content);
+}
+
+// ============ 解析 ============
+
+// 折行还原后逐行拆成 { name, params, value }
+function icsLines(text) {
+  const lines = [];
+  for (const line of String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+    const m = line.match(/^([A-Za-z-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+    if (!m) continue;
+    const params = {};
+    for (const p of m[2].matchAll(/;([^=;]+)=("[^"]*"|[^:;]*)/g)) params[p[1].toUpperCase()] = p[2].replace(/^"|"$/g, '');
+    lines.push({ name: m[1].toUpperCase(), params, value: m[3] });
+  }
+  return lines;
+}
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+// 20261020T090000Z / TZID=Asia/Shanghai:20261020T090000 / VALUE=DATE:20261020 → { ts, allDay, tz }
+export function parseIcsDate(value, params = {}) {
+  const m = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  const wall = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+  if (!m[4]) return { ts: wall, allDay: true };
+  if (m[7]) return { ts: wall, tz: 'UTC' };
+  const tz = isValidTimezone(params.TZID) ? params.TZID : null;
+  if (!tz) return { ts: wall, floating: true };
+  // 当地时间 → UTC：按该时刻的偏移修正两次（跨夏令时切换）
+  let ts = wall - zonedTime(wall, tz).offset;
+  ts = wall - zonedTime(ts, tz).offset;
+  return { ts, tz };
+}
+
+function parsePerson(line) {
+  const email = line.value.replace(/^mailto:/i, '');
+  return { name: line.params.CN || '', email, status: (line.params.PARTSTAT || '').toLowerCase() };
+}
+
+// 解析第一个 VEVENT；没有事件返回 null
+export function parseIcs(text) {
+  const lines = icsLines(text);
+  const method = (lines.find(l => l.name === 'METHOD')?.value || '').toUpperCase();
+  let event = null;
+  for (const line of lines) {
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT' && !event) {
+      event = { method, attendees: [] };
+      continue;
+    }
+    if (!event) continue;
+    if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') break;
+    switch (line.name) {
+      case 'SUMMARY': event.summary = unescapeText(line.value); break;
+      case 'LOCATION': event.location = unescapeText(line.value); break;
+      case 'DTSTART': event.start = parseIcsDate(line.value, line.params); break;
+      case 'DTEND': event.end = parseIcsDate(line.value, line.params); break;
+      case 'RRULE': event.rrule = line.value; break;
+      case 'STATUS': event.status = line.value.toUpperCase(); break;
+      case 'ORGANIZER': event.organizer = parsePerson(line); break;
+      case 'ATTENDEE': event.attendees.push(parsePerson(line)); break;
+    }
+  }
+  return event;
+}
+
+// ============ 显示 ============
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// 按设置的时区显示；全天事件只显示日期，无时区的时间按原样显示
+function formatEventTime(date, timeZone) {
+  const shift = date.allDay || date.floating ? 0 : zonedTime(date.ts, timeZone).offset;
+  const d = new Date(date.ts + shift);
+  const day = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+  return date.allDay ? { day, time: '' } : { day, time: `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}` };
+}
+
+export function formatEventWhen(event, timeZone = 'UTC') {
+  if (!event.start) return '';
+  const start = formatEventTime(event.start, timeZone);
+  let text = start.time ? `${start.day} ${start.time}` : start.day;
+  if (event.end) {
+    const end = formatEventTime(event.end, timeZone);
+    // 全天事件的 DTEND 是次日（不含）
+    const endDay = event.end.allDay ? formatEventTime({ ...event.end, ts: event.end.ts - 86400000 }, timeZone).day : end.day;
+    if (end.time) text += end.day === start.day ? `–${end.time}` : ` – ${end.day} ${end.time}`;
+    else if (endDay !== start.day) text += ` – ${endDay}`;
+  }
+  if (start.time && !event.start.floating) text += ` (${timeZone})`;
+  if (event.start.tz && event.start.tz !== timeZone && event.start.tz !== 'UTC') {
+    const orig = formatEventTime(event.start, event.start.tz);
+    text += t('cal.origTime', { time: `${orig.day} ${orig.time}`, tz: event.start.tz });
+  }
+  return text;
+}
+
+// FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10 → 每周 · MO,WE · 共 10 次
+export function formatRecurrence(rrule) {
+  const parts = Object.fromEntries(String(rrule || '').split(';').map(p => p.split('=')).filter(p => p.length === 2).map(([k, v]) => [k.toUpperCase(), v]));
+  if (!RRULE_FREQS.includes(parts.FREQ)) return '';
+  const interval = parseInt(parts.INTERVAL) || 1;
+  let text = interval > 1
+    ? t(`cal.freqN.${parts.FREQ.toLowerCase()}`, { n: interval })
+    : t(`cal.freq.${parts.FREQ.toLowerCase()}`);
+  if (parts.BYDAY) text += ` · ${parts.BYDAY.replace(/,/g, ', ')}`;
+  if (parts.COUNT) text += ` · ${t('cal.count', { n: parts.COUNT })}`;
+  const until = parts.UNTIL && parseIcsDate(parts.UNTIL);
+  if (until) text += ` · ${t('cal.until', { v: formatEventTime({ ...until, allDay: true }, 'UTC').day })}`;
+  return text;
+}
+
+function formatPerson(p) {
+  return p.name ? `${p.name} <${p.email}>` : p.email;
+}
+
+// 通知中的日历邀请段落
+export function buildCalendarBlock(event, timeZone = 'UTC') {
+  const title = event.method === 'CANCEL' || event.status === 'CANCELLED' ? 'cal.cancelled' : 'cal.title';
+  let text = t(title) + `<b>${esc(event.summary || t('email.noSubject'))}</b>\n`;
+  const when = formatEventWhen(event, timeZone);
+  if (when) text += t('cal.when', { v: esc(when) });
+  const repeat = formatRecurrence(event.rrule);
+  if (repeat) text += t('cal.repeat', { v: esc(repeat) });
+  if (event.location) text += t('cal.where', { v: esc(event.location) });
+  if (event.organizer) text += t('cal.organizer', { v: esc(formatPerson(event.organizer)) });
+  if (event.attendees.length > 0) {
+    const shown = event.attendees.slice(0, MAX_ATTENDEES).map(p => esc(formatPerson(p))).join(', ');
+    const more = event.attendees.length > MAX_ATTENDEES ? t('cal.more', { n: event.attendees.length - MAX_ATTENDEES }) : '';
+    text += t('cal.attendees', { n: event.attendees.length, v: shown + more });
+  }
+  return text;
+}
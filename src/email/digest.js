@@ -0,0 +1,137 @@
+import { esc, escAddr, zonedTime, parseClockTime, formatClockTime } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import { sendTelegramMessage } from '../shared/telegram.js';
+import {
+  getPrefixDigests, getDigestQueue, setDigestQueue, getGlobalMute, getMutedPrefixes, getTimezone,
+  getQuietHours,
+} from '../shared/storage.js';
+import { isQuietTime } from './quiet.js';
+import { withTopic } from '../shared/topics.js';
+import { notifyPrefixUsers } from '../shared/users.js';
+
+export const DEFAULT_DIGEST_TIMES = ['09:00', '18:00'];
+export const MAX_DIGEST_TIMES = 6;
+// 每个前缀最多缓存的邮件条数（超出丢弃最早的，邮件本身仍可搜索）
+export const DIGEST_QUEUE_MAX = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_TEXT_LIMIT = 3800;
+const DIGEST_VIEW_PER_ROW = 5;
+
+// ============ 发送时刻 ============
+
+// "9:00, 18:30" → ['09:00', '18:30']；格式错误返回 null
+export function parseDigestTimes(input) {
+  const parts = String(input || '').split(/[\s,，、;；]+/).filter(Boolean);
+  if (parts.length === 0 || parts.length > MAX_DIGEST_TIMES) return null;
+  const times = new Set();
+  for (const part of parts) {
+    const minutes = parseClockTime(part);
+    if (minutes === null) return null;
+    times.add(formatClockTime(minutes));
+  }
+  return [...times].sort();
+}
+
+// 最近一个已经到达的发送时刻（按时区的当地时间）
+export function lastDigestSlot(times, now, timeZone = 'UTC') {
+  const { minutes } = zonedTime(now, timeZone);
+  const sinceMidnight = minutes * 60000 + (now % 60000);
+  let latest = -Infinity;
+  for (const time of times) {
+    let slot = now - sinceMidnight + parseClockTime(time) * 60000;
+    if (slot > now) slot -= DAY_MS;
+    latest = Math.max(latest, slot);
+  }
+  return latest;
+}
+
+// ============ 队列 ============
+
+export async function queueDigestItem(env, prefix, item) {
+  const queue = await getDigestQueue(env);
+  const items = queue[prefix] || [];
+  items.push(item);
+  queue[prefix] = items.slice(-DIGEST_QUEUE_MAX);
+  await setDigestQueue(env, queue);
+}
+
+// ============ 摘要消息 ============
+
+function formatTime(ts, timeZone) {
+  return formatClockTime(zonedTime(ts, timeZone).minutes);
+}
+
+// 逐条列出邮件，返回 { text, listed }：listed 为实际列出的条数（受消息长度限制）
+export function buildMailItemsText(header, items, timeZone, moreText) {
+  let text = header;
+  let listed = 0;
+  for (const item of items) {
+    const sender = item.sender ? escAddr(item.sender) : t('email.search.unknownSender');
+    const subject = esc((item.subject || t('email.noSubject')).substring(0, 60));
+    const line = `<b>${listed + 1}.</b> ${sender}\n     ${subject} · ${formatTime(item.ts, timeZone)}\n\n`;
+    if (text.length + line.length > DIGEST_TEXT_LIMIT) break;
+    text += line;
+    listed++;
+  }
+  if (listed < items.length) text += moreText(items.length - listed);
+  return { text: text.trim(), listed };
+}
+
+export function buildDigestText(prefix, items, timeZone = 'UTC') {
+  return buildMailItemsText(
+    t('digest.title', { prefix: esc(prefix), n: items.length }), items, timeZone,
+    n => t('digest.more', { n, prefix: esc(prefix) }),
+  );
+}
+
+// 已存储的邮件显示查看按钮（复用搜索结果的 search_view）
+export function buildDigestKeyboard(items, listed) {
+  const rows = [];
+  let row = [];
+  items.slice(0, listed).forEach((item, i) => {
+    if (!item.stored) return;
+    row.push({ text: t('email.search.view', { n: i + 1 }), callback_data: `search_view:${item.id}` });
+    if (row.length === DIGEST_VIEW_PER_ROW) { rows.push(row); row = []; }
+  });
+  if (row.length > 0) rows.push(row);
+  return { inline_keyboard: rows };
+}
+
+// 定时任务调用：发送最近一个发送时刻之前收到的邮件；已关闭摘要模式的前缀全部发出
+export async function runDigests(env, now = Date.now()) {
+  const queue = await getDigestQueue(env);
+  const prefixes = Object.keys(queue);
+  if (prefixes.length === 0) return 0;
+  const [digests, globalMute, mutedPrefixes, quietHours] = await Promise.all([
+    getPrefixDigests(env), getGlobalMute(env), getMutedPrefixes(env), getQuietHours(env),
+  ]);
+  const timeZone = getTimezone(env);
+  const isQuiet = isQuietTime(quietHours.windows, now, timeZone);
+  const sentIds = new Set();
+  for (const prefix of prefixes) {
+    const times = digests[prefix];
+    const cutoff = times ? lastDigestSlot(times, now, timeZone) : Infinity;
+    const due = (queue[prefix] || []).filter(item => item.ts <= cutoff);
+    if (due.length === 0) continue;
+    const { text, listed } = buildDigestText(prefix, due, timeZone);
+    const reply_markup = buildDigestKeyboard(due, listed);
+    const silent = globalMute || isQuiet || mutedPrefixes.includes(prefix);
+    await withTopic(env, `p:${prefix}`, topicEnv => sendTelegramMessage(topicEnv, text, null, {
+      reply_markup, disable_notification: silent,
+    }));
+    // 分配了该前缀的用户也只收到摘要
+    await notifyPrefixUsers(env, prefix, text, null, { reply_markup, silent });
+    for (const item of due) sentIds.add(item.id);
+  }
+  if (sentIds.size === 0) return 0;
+  // 重新读取队列，只移除已发送的条目（期间可能有新邮件入队）
+  const latest = await getDigestQueue(env);
+  for (const prefix of Object.keys(latest)) {
+    const rest = latest[prefix].filter(item => !sentIds.has(item.id));
+    if (rest.length > 0) latest[prefix] = rest;
+    else delete latest[prefix];
+  }
+  await setDigestQueue(env, latest);
+  return sentIds.size;
+}
@@ -1,26 +1,60 @@
 import PostalMime from 'postal-mime';
-import { esc, escAddr, formatAddress, formatAddressList, formatDate, formatSize, htmlToText, generateRandomPrefix } from '../shared/utils.js';
+import { esc, escAddr, extractPromptValue, formatAddress, formatAddressList, formatDate, formatSize, htmlToText } from '../shared/utils.js';
 import { t } from '../i18n.js';
 import {
   fetchWithRetry, sendTelegramMessage, sendTelegramPrompt,
   sendTelegramPhoto, sendTelegramDocument, sendTelegramMediaGroup,
-  editMessageText, deleteMessage, answerCallbackQuery,
+  editMessageText, editMessageReplyMarkup, deleteMessage, answerCallbackQuery, topicParams,
 } from '../shared/telegram.js';
+import { useTopic } from '../shared/topics.js';
+import { isOwner, canSeePrefix, notifyPrefixUsers } from '../shared/users.js';
 import { tryFixBodyEncoding } from './encoding.js';
+import { getMailSender, sendReplyEmail } from './outbound.js';
+import { evaluateMailRules } from './rules.js';
+import {
+  tokenize, indexEmailBody, lookupBodyHits, rankSearchResults, buildSnippet, highlightSnippet,
+  parseSearchQuery, queryFreeText, queryBodyTerms, matchSearchQuery,
+} from './fulltext.js';
+import { extractVerificationCode, extractMagicLink, buildOtpHeader } from './otp.js';
+import { DEFAULT_DIGEST_TIMES, parseDigestTimes, queueDigestItem } from './digest.js';
+import { isQuietTime, isVipMail } from './quiet.js';
+import { parseAuthResults, isDmarcFail, buildAuthBadge, buildDmarcWarning } from './auth.js';
+import { findPhishingWarnings, buildPhishingWarnings } from './phishing.js';
+import { buildViewUrl } from './webview.js';
+import { findMailThread, recordMailThread } from './threads.js';
+import { isCalendarAttachment, attachmentText, parseIcs, buildCalendarBlock } from './calendar.js';
+import { parseListUnsubscribe, canAutoUnsubscribe, performUnsubscribe, buildUnsubscribeResult } from './unsubscribe.js';
+import { recordMailStat } from './stats.js';
+import { checkAddressLeak } from './leak.js';
+import { quarantineEmail, buildQuarantineView } from './quarantine.js';
+import {
+  buildBurnerLimitKeyboard, buildBurnerEndKeyboard, buildBurnerCreatedText, formatBurnerStatus,
+  createRandomPrefix, isBurnerExhausted, countBurnerEmail, endBurner, releaseBurners, BURNER_LIMITS,
+} from './burner.js';
+import {
+  buildMuteDurationKeyboard, muteUntilPreset, parseMuteDuration, formatMuteUntil,
+  applyMute, clearMuteTimer, findTimedMute, logMutedEmail, liftExpiredMutes,
+} from './mute.js';
 import {
   getActiveRules, setActiveRules, getPausedRules, setPausedRules,
   getPrefixDomains, setPrefixDomains,
-  getBlockedSenders, setBlockedSenders, getMutedSenders, setMutedSenders,
+  getPrefixForwards, setPrefixForwards, getForwardOnlyPrefixes, setForwardOnlyPrefixes,
+  getPrefixDigests, setPrefixDigests, nextDigestId, isDigestId, getTimezone, getQuietHours,
+  getMuteTimers, getBurnerPrefixes, deletePrefixConfig,
+  getMailRules, getBlockedSenders, setBlockedSenders, getMutedSenders, setMutedSenders,
+  matchSenderList, matchSenderEntry, isSenderPattern, senderDomainEntry, normalizeSenderEntry,
   getMutedPrefixes, setMutedPrefixes, getGlobalMute, setGlobalMute,
   isAllowedRecipient,
   saveMsgMeta, getMsgMeta, getEmailIndex, setEmailIndex, calcStorageUsage,
-  evictForSpace, saveStrippedEml, getStrippedEml,
-  saveImage, getImage, checkEmailRate,
+  evictForSpace, saveEmailEml, getEmailEml, deleteEntryBlobs,
+  saveImage, getImage, saveAttachment, getAttachment, checkEmailRate,
+  entryStoredSize,
   saveSearchQuery, getSearchQuery,
   saveMgmtSearch, getMgmtSearch,
   runEmailCleanup, trimOldEntries,
-  getMaxStorage, getStarMaxStorage, getImageTtl,
-  getAttachMaxSize, getBodyMaxLength, getTrackingPixelSize,
+  getMaxStorage, getStarMaxStorage, getImageTtl, getEmlTtl, getMailBucket,
+  getAttachMaxSize, getBodyMaxLength, getTrackingPixelSize, getRejectPolicy, getDmarcFailAction,
+  getTrustedDomains,
 } from '../shared/storage.js';
 
 // ============ 常量 ============
@@ -29,6 +63,7 @@ export const TG_MESSAGE_LIMIT = 4096;
 export const BODY_MAX_LENGTH = 1500;
 export const ATTACHMENT_MAX_SIZE = 5 * 1024 * 1024; // 5MB
 export const TRACKING_PIXEL_MAX_SIZE = 2048; // 2KB
+const FILE_BUTTON_NAME_MAX = 32;
 
 export const IMAGE_TYPES = new Set([
   'image/jpeg', 'image/png', 'image/webp', 'image/bmp',
@@ -38,6 +73,9 @@ export const GIF_TYPE = 'image/gif';
 export const SEARCH_PAGE_SIZE = 5;
 export const MGMT_PAGE_SIZE = 6;
 
+// 非 owner 用户只能搜索和查看自己前缀的邮件
+const VIEWER_EMAIL_ACTIONS = new Set(['search_page', 'search_view', 'search_back']);
+
 // ============ 附件函数 ============
 
 export function base64ToBlob(b64, mimeType) {
@@ -61,7 +99,7 @@ function extFromMime(mimeType) {
     'image/webp': '.webp', 'image/bmp': '.bmp', 'application/pdf': '.pdf',
     'text/plain': '.txt', 'text/csv': '.csv', 'text/html': '.html',
     'application/json': '.json', 'application/xml': '.xml',
-    'application/zip': '.zip',
+    'application/zip': '.zip', 'text/calendar': '.ics',
   };
   return map[mimeType] || '';
 }
@@ -104,8 +142,11 @@ export function buildAttachmentSummary(attachments, maxSize, trackingSize) {
 
 // ============ 消息格式化 ============
 
-export function buildNotificationText(parsed, rawFrom, rawTo, bodyText, attachmentSummary, bodyMaxLen) {
+// linkWarnings：buildPhishingWarnings 生成的提示段落，附在正文之后
+export function buildNotificationText(parsed, rawFrom, rawTo, bodyText, attachmentSummary, bodyMaxLen, timeZone = 'UTC', linkWarnings = '') {
+  const auth = parseAuthResults(parsed.headers);
   let header = t('email.new');
+  header += buildDmarcWarning(auth, senderDomain(parsed, rawFrom));
   header += `${t('email.from')}${escAddr(formatAddress(parsed.from) || rawFrom)}\n`;
   header += `${t('email.to')}${escAddr(formatAddressList(parsed.to) || rawTo)}\n`;
 
@@ -123,16 +164,19 @@ export function buildNotificationText(parsed, rawFrom, rawTo, bodyText, attachme
     }
   }
   if (parsed.date) {
-    header += `${t('email.time')}${esc(formatDate(parsed.date))}\n`;
+    header += `${t('email.time')}${esc(formatDate(parsed.date, timeZone))}\n`;
   }
 
   header += `${t('email.subject')}${esc(parsed.subject || t('email.noSubject'))}\n`;
+  header += buildAuthBadge(auth);
 
   if (attachmentSummary) {
     header += `\n📎 ${esc(attachmentSummary)}\n`;
   }
 
   header += `\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  const footer = linkWarnings ? `\n\n${linkWarnings.trimEnd()}` : '';
+  const fixedLen = header.length + footer.length;
 
   // 计算正文可用空间
   const truncSuffix = t('email.truncated');
@@ -146,24 +190,24 @@ export function buildNotificationText(parsed, rawFrom, rawTo, bodyText, attachme
 
   // 再检查 Telegram 限制（基于 esc 后的长度）
   let escaped = esc(body);
-  if (header.length + escaped.length > TG_MESSAGE_LIMIT) {
-    const available = TG_MESSAGE_LIMIT - header.length - esc(truncSuffix).length - 20;
+  if (fixedLen + escaped.length > TG_MESSAGE_LIMIT) {
+    const available = TG_MESSAGE_LIMIT - fixedLen - esc(truncSuffix).length - 20;
     // 逐步缩短原始文本直到 esc 后符合限制
     let len = Math.min(body.length, available);
     while (len > 100) {
       const candidate = body.substring(0, len) + truncSuffix;
-      if (header.length + esc(candidate).length <= TG_MESSAGE_LIMIT) {
+      if (fixedLen + esc(candidate).length <= TG_MESSAGE_LIMIT) {
         escaped = esc(candidate);
         break;
       }
       len -= 50;
     }
-    if (header.length + escaped.length > TG_MESSAGE_LIMIT) {
+    if (fixedLen + escaped.length > TG_MESSAGE_LIMIT) {
       escaped = esc(body.substring(0, 100) + truncSuffix);
     }
   }
 
-  return header + escaped;
+  return header + escaped + footer;
 }
 
 // 通用正文截断辅助：确保 header + escaped body 不超过 TG 限制
@@ -188,11 +232,19 @@ function truncateBodyForTg(headerLen, body, maxLen) {
   return escaped;
 }
 
-export function buildCompactNotificationText(parsed, rawFrom, rawTo) {
+// From 头的域名（DMARC 结果未注明 header.from 时使用）
+function senderDomain(parsed, rawFrom) {
+  const addr = parsed.from?.address || rawFrom || '';
+  return addr.includes('@') ? addr.split('@').pop().toLowerCase() : '';
+}
+
+export function buildCompactNotificationText(parsed, rawFrom, rawTo, timeZone = 'UTC') {
   const sender = escAddr(formatAddress(parsed.from) || rawFrom);
   const subject = esc(parsed.subject || t('email.noSubject'));
-  const time = parsed.date ? esc(formatDate(parsed.date)) : '';
-  let text = `📧 ${sender}\n<b>${subject}</b>`;
+  const time = parsed.date ? esc(formatDate(parsed.date, timeZone)) : '';
+  // 精简格式只保留 DMARC 警告
+  let text = buildDmarcWarning(parseAuthResults(parsed.headers), senderDomain(parsed, rawFrom));
+  text += `📧 ${sender}\n<b>${subject}</b>`;
   if (time) text += ` - ${time}`;
   const to = esc(rawTo);
   text += `\n${t('email.recipient')}${to}`;
@@ -201,10 +253,12 @@ export function buildCompactNotificationText(parsed, rawFrom, rawTo) {
 
 // ============ 邮件列表/设置 UI ============
 
-export function buildListText(active, paused, prefixDomains, globalMute, mutedPrefixes, storageInfo) {
+// globalMuteUntil：定时全局静音的解除时间（已格式化），永久静音为 null；burners：一次性前缀的限制
+export function buildListText(active, paused, prefixDomains, globalMute, mutedPrefixes, storageInfo, globalMuteUntil = null, burners = {}, now = Date.now()) {
+  const muteLine = globalMuteUntil ? t('email.list.globalMuteUntil', { time: globalMuteUntil }) : t('email.list.globalMute');
   if (active.length === 0 && paused.length === 0) {
     let text = t('email.list.empty');
-    if (globalMute) text += '\n\n' + t('email.list.globalMute');
+    if (globalMute) text += '\n\n' + muteLine;
     if (storageInfo) {
       text += `\n\n💾 ${formatSize(storageInfo.used)} / ${formatSize(storageInfo.total)}`;
       if (storageInfo.used / storageInfo.total > 0.8) text += ' ⚠️';
@@ -212,19 +266,19 @@ export function buildListText(active, paused, prefixDomains, globalMute, mutedPr
     return text;
   }
   let text = t('email.list.title');
-  if (globalMute) text += t('email.list.globalMute') + '\n';
+  if (globalMute) text += muteLine + '\n';
   const muted = mutedPrefixes || [];
   for (const p of active) {
     const domains = (prefixDomains || {})[p] || [];
     const isMuted = muted.includes(p);
     const domainStr = domains.length > 0 ? ` (@${domains.join(', @')})` : '';
     const muteStr = isMuted ? ' 🔇' : '';
-    text += `✅ ${p}${domainStr}${muteStr}\n`;
+    text += `✅ ${p}${domainStr}${muteStr}${formatBurnerStatus(burners[p], now)}\n`;
   }
   for (const p of paused) {
     const domains = (prefixDomains || {})[p] || [];
     const domainStr = domains.length > 0 ? ` (@${domains.join(', @')})` : '';
-    text += `⏸️ ${p}${domainStr} ${t('email.list.paused')}\n`;
+    text += `⏸️ ${p}${domainStr} ${t('email.list.paused')}${formatBurnerStatus(burners[p], now)}\n`;
   }
   if (storageInfo) {
     text += `\n💾 ${formatSize(storageInfo.used)} / ${formatSize(storageInfo.total)}`;
@@ -268,10 +322,12 @@ export function buildListKeyboard(active, paused, globalMute, starredCount) {
   return { inline_keyboard: rows };
 }
 
-// 子菜单：单个前缀的设置页面
-export function buildSettingsText(prefix, domains, confirmDel, isMuted, confirmRmDomain) {
+// 子菜单：单个前缀的设置页面（forward：{ addrs: 转发地址, only: 仅转发 }）
+// digest：摘要模式的发送时刻，未开启为 null；timeZone：发送时刻所在时区；muteUntil：定时静音的解除时间
+export function buildSettingsText(prefix, domains, confirmDel, isMuted, confirmRmDomain, forward = {}, digest = null, timeZone = 'UTC', muteUntil = null) {
+  const fwdAddrs = forward.addrs || [];
   let text = t('email.settings.title') + `<b>${esc(prefix)}</b>`;
-  if (isMuted) text += ' 🔇';
+  if (isMuted) text += muteUntil ? t('email.settings.mutedUntil', { time: muteUntil }) : ' 🔇';
   text += '\n\n';
   if (domains.length > 0) {
     text += t('email.settings.domains');
@@ -279,12 +335,19 @@ export function buildSettingsText(prefix, domains, confirmDel, isMuted, confirmR
   } else {
     text += t('email.settings.domainsAll');
   }
+  if (fwdAddrs.length > 0) {
+    text += '\n' + t('email.settings.forwards');
+    for (const a of fwdAddrs) text += `  • ${escAddr(a)}\n`;
+    if (forward.only) text += t('email.settings.forwardOnlyOn');
+  }
+  if (digest) text += '\n' + t('email.settings.digestOn', { v: digest.join(', '), tz: timeZone });
   if (confirmDel) text += t('email.settings.confirmDel');
   if (confirmRmDomain) text += t('email.settings.confirmRmDomain', { d: esc(confirmRmDomain) });
   return text.trim();
 }
 
-export function buildSettingsKeyboard(prefix, domains, confirmDel, isMuted, confirmRmDomain) {
+export function buildSettingsKeyboard(prefix, domains, confirmDel, isMuted, confirmRmDomain, forward = {}, digest = null) {
+  const fwdAddrs = forward.addrs || [];
   const rows = [];
   for (const d of domains) {
     if (confirmRmDomain === d) {
@@ -300,10 +363,30 @@ export function buildSettingsKeyboard(prefix, domains, confirmDel, isMuted, conf
     }
   }
   rows.push([{ text: t('email.settings.addDomain'), callback_data: `add_domain:${prefix}` }]);
+  // 转发地址用序号引用，避免长地址超出 callback_data 64 字节限制
+  fwdAddrs.forEach((a, i) => {
+    rows.push([
+      { text: `📤 ${a}`, callback_data: 'noop' },
+      { text: '❌', callback_data: `rm_fwd:${prefix}:${i}` },
+    ]);
+  });
+  const fwdRow = [{ text: t('email.settings.addForward'), callback_data: `add_fwd:${prefix}` }];
+  if (fwdAddrs.length > 0) {
+    fwdRow.push(forward.only
+      ? { text: t('email.settings.forwardOnlyOff'), callback_data: `fwd_notify:${prefix}` }
+      : { text: t('email.settings.forwardOnly'), callback_data: `fwd_only:${prefix}` });
+  }
+  rows.push(fwdRow);
   rows.push([isMuted
     ? { text: t('email.settings.unmutePrefix'), callback_data: `unmute_prefix:${prefix}` }
     : { text: t('email.settings.mutePrefix'), callback_data: `mute_prefix:${prefix}` },
   ]);
+  rows.push(digest
+    ? [
+      { text: t('email.settings.digestTimes'), callback_data: `dg_time:${prefix}` },
+      { text: t('email.settings.digestDisable'), callback_data: `dg_off:${prefix}` },
+    ]
+    : [{ text: t('email.settings.digestEnable'), callback_data: `dg_on:${prefix}` }]);
   if (confirmDel) {
     rows.push([
       { text: t('email.settings.confirmDelBtn'), callback_data: `confirm_del:${prefix}` },
@@ -316,10 +399,13 @@ export function buildSettingsKeyboard(prefix, domains, confirmDel, isMuted, conf
   return { inline_keyboard: rows };
 }
 
-// 邮件通知底部按钮
-export function buildEmailActionKeyboard(notifMsgId, senderMuted, senderBlocked, attCount, starred) {
+// 邮件通知底部按钮（extra.canReply：已配置发信绑定时显示回复按钮；extra.files：已存储的文件附件；
+// extra.otp：识别出的验证码，显示一键复制按钮）
+export function buildEmailActionKeyboard(notifMsgId, senderMuted, senderBlocked, attCount, starred, extra = {}) {
   const rows = [];
-  // 第一行：附件 / .eml / 收藏 / 删除
+  const files = extra.files || [];
+  if (extra.otp) rows.push([{ text: t('email.btn.copyCode', { code: extra.otp }), copy_text: { text: extra.otp } }]);
+  // 第一行：附件 / .eml / 收藏 / 删除（规则设为不存储时省略）
   const fileRow = [];
   if (attCount > 0) {
     fileRow.push({ text: t('email.btn.att', { n: attCount }), callback_data: `att:${notifMsgId}` });
@@ -328,10 +414,19 @@ export function buildEmailActionKeyboard(notifMsgId, senderMuted, senderBlocked,
   fileRow.push(starred
     ? { text: t('email.btn.unstar'), callback_data: `unstar:${notifMsgId}` }
     : { text: t('email.btn.star'), callback_data: `star:${notifMsgId}` });
-  if (attCount > 0) {
+  if (attCount > 0 || files.length > 0) {
     fileRow.push({ text: t('email.btn.delAtt'), callback_data: `del_email:${notifMsgId}` });
   }
-  rows.push(fileRow);
+  if (!extra.noStorage) {
+    rows.push(fileRow);
+    if (extra.viewUrl) rows.push([{ text: t('email.btn.web'), url: extra.viewUrl }]);
+    // 每个文件附件一个下载按钮
+    for (const f of files) {
+      const name = f.fn.length > FILE_BUTTON_NAME_MAX ? f.fn.slice(0, FILE_BUTTON_NAME_MAX - 1) + '…' : f.fn;
+      const text = f.ics ? t('email.btn.ics') : t('email.btn.file', { name, size: formatSize(f.size) });
+      rows.push([{ text, callback_data: `dl:${notifMsgId}:${f.idx}` }]);
+    }
+  }
   // 第二行：发件人操作
   const muteBtn = senderMuted
     ? { text: t('email.btn.unmuteSender'), callback_data: `us:${notifMsgId}` }
@@ -339,18 +434,25 @@ export function buildEmailActionKeyboard(notifMsgId, senderMuted, senderBlocked,
   const blockBtn = senderBlocked
     ? { text: t('email.btn.unblockSender'), callback_data: `ubs:${notifMsgId}` }
     : { text: t('email.btn.blockSender'), callback_data: `bs:${notifMsgId}` };
-  rows.push([muteBtn, blockBtn]);
+  const domainBtn = extra.domainBlocked
+    ? { text: t('email.btn.unblockDomain'), callback_data: `ubd:${notifMsgId}` }
+    : { text: t('email.btn.blockDomain'), callback_data: `bd:${notifMsgId}` };
+  const senderRow = [muteBtn, blockBtn, domainBtn];
+  if (extra.canReply) senderRow.unshift({ text: t('email.btn.reply'), callback_data: `reply:${notifMsgId}` });
+  rows.push(senderRow);
+  // 邮件带 List-Unsubscribe 时提供退订
+  if (extra.unsub) {
+    rows.push([{ text: t(extra.unsubscribed ? 'email.btn.unsubscribed' : 'email.btn.unsubscribe'), callback_data: `unsub:${notifMsgId}` }]);
+  }
   return { inline_keyboard: rows };
 }
 
 // ============ 搜索 ============
 
+// 仅按索引字段过滤（不查正文）：支持 from: to: subject: 等查询语法
 export function searchEntries(entries, keyword) {
-  const kw = keyword.toLowerCase();
-  return entries.filter(e =>
-    (e.sender || '').toLowerCase().includes(kw) ||
-    (e.subject || '').toLowerCase().includes(kw)
-  );
+  const clauses = parseSearchQuery(keyword);
+  return entries.filter(e => matchSearchQuery(e, clauses));
 }
 
 export function formatDateShort(ts) {
@@ -364,6 +466,7 @@ export function buildSearchText(keyword, results, page) {
   const start = page * SEARCH_PAGE_SIZE;
   const pageResults = results.slice(start, start + SEARCH_PAGE_SIZE);
 
+  const freeText = queryFreeText(parseSearchQuery(keyword));
   let text = t('email.search.title', { kw: esc(keyword), total });
   if (totalPages > 1) text += t('email.search.page', { page: page + 1, pages: totalPages });
   text += '）\n\n';
@@ -380,13 +483,16 @@ export function buildSearchText(keyword, results, page) {
     const subject = e.subject ? esc(e.subject) : t('email.noSubject');
     const date = formatDateShort(e.ts);
     const star = e.starred ? ' ⭐' : '';
-    text += `<b>${num}.</b> 📧 ${sender}${star}\n     ${subject} - ${date}\n\n`;
+    text += `<b>${num}.</b> 📧 ${sender}${star}\n     ${subject} - ${date}\n`;
+    if (e.snippet) text += `     💬 ${highlightSnippet(e.snippet, freeText)}\n`;
+    text += '\n';
   }
 
   return text.trim();
 }
 
-export function buildSearchKeyboard(results, page) {
+// showBack：返回主列表仅 owner 可用，其他用户不显示
+export function buildSearchKeyboard(results, page, showBack = true) {
   const rows = [];
   const totalPages = Math.ceil(results.length / SEARCH_PAGE_SIZE);
   const start = page * SEARCH_PAGE_SIZE;
@@ -407,7 +513,7 @@ export function buildSearchKeyboard(results, page) {
     rows.push(navRow);
   }
 
-  rows.push([{ text: t('btn.back'), callback_data: 'back' }]);
+  if (showBack) rows.push([{ text: t('btn.back'), callback_data: 'back' }]);
   return { inline_keyboard: rows };
 }
 
@@ -421,9 +527,10 @@ export function buildMergedSenderList(blockedList, mutedList) {
     if (ex) ex.muted = true;
     else map.set(addr, { blocked: false, muted: true });
   }
+  // 域名/通配规则排在具体地址之前
   return [...map.entries()]
-    .map(([addr, s]) => ({ addr, ...s }))
-    .sort((a, b) => a.addr.localeCompare(b.addr));
+    .map(([addr, s]) => (isSenderPattern(addr) ? { addr, ...s, pattern: true } : { addr, ...s }))
+    .sort((a, b) => (!!b.pattern - !!a.pattern) || a.addr.localeCompare(b.addr));
 }
 
 export function buildMgmtText(senders, page, storageInfo, confirmState, searchKeyword) {
@@ -444,8 +551,11 @@ export function buildMgmtText(senders, page, storageInfo, confirmState, searchKe
     const pageItems = senders.slice(start, start + MGMT_PAGE_SIZE);
     for (const s of pageItems) {
       const icons = (s.blocked ? '⛔' : '') + (s.muted ? '🔇' : '');
-      text += `${icons} ${escAddr(s.addr)}\n`;
+      text += s.pattern
+        ? `${icons} 🌐 <code>${esc(s.addr)}</code>\n`
+        : `${icons} ${escAddr(s.addr)}\n`;
     }
+    if (senders.some(s => s.pattern)) text += t('email.mgmt.patternHint');
   }
   if (storageInfo) {
     text += `\n\n💾 ${formatSize(storageInfo.used)} / ${formatSize(storageInfo.total)}`;
@@ -467,7 +577,8 @@ export function buildMgmtKeyboard(senders, page, confirmState, searchKeyword) {
     const icons = (s.blocked ? '⛔' : '') + (s.muted ? '🔇' : '');
     let cbAddr = s.addr;
     while (enc.encode('emr:' + cbAddr).length > 64) cbAddr = cbAddr.slice(0, -1);
-    rows.push([{ text: `❌ ${s.addr} ${icons}`, callback_data: 'emr:' + cbAddr }]);
+    const label = s.pattern ? `🌐 ${s.addr}` : s.addr;
+    rows.push([{ text: `❌ ${label} ${icons}`, callback_data: 'emr:' + cbAddr }]);
   }
   if (totalPages > 1) {
     const pp = searchKeyword ? 'emsp' : 'emp';
@@ -506,6 +617,10 @@ export function buildMgmtKeyboard(senders, page, confirmState, searchKeyword) {
         actionRow.push({ text: t('email.mgmt.btnSearch'), callback_data: 'ems' });
       }
       if (actionRow.length > 0) rows.push(actionRow);
+      rows.push([
+        { text: t('email.mgmt.btnAddBlock'), callback_data: 'emab' },
+        { text: t('email.mgmt.btnAddMute'), callback_data: 'emam' },
+      ]);
     }
     rows.push([{ text: t('btn.back'), callback_data: 'back' }]);
   } else {
@@ -516,6 +631,14 @@ export function buildMgmtKeyboard(senders, page, confirmState, searchKeyword) {
 
 // ============ 收藏 ============
 
+function calcStarredSize(entries) {
+  let size = 0;
+  for (const e of entries) {
+    if (e.starred) size += entryStoredSize(e);
+  }
+  return size;
+}
+
 export function buildStarredListText(starredEntries, metaMap, starMaxStorage) {
   if (starredEntries.length === 0) return t('email.star.empty');
   const maxStar = starMaxStorage || 50 * 1024 * 1024;
@@ -529,11 +652,13 @@ export function buildStarredListText(starredEntries, metaMap, starMaxStorage) {
     const date = new Date(entry.ts);
     const dateStr = `${date.getMonth() + 1}/${date.getDate()}`;
     const imgCount = (entry.images || []).length;
-    const entrySize = (entry.textSize || 0) + (entry.images || []).reduce((s, img) => s + img.size, 0);
+    const fileCount = (entry.files || []).length;
+    const entrySize = entryStoredSize(entry);
     totalStarredSize += entrySize;
     text += `${n + 1}. ★ <b>${esc(subject)}</b>\n`;
     text += `   ${escAddr(sender)} · ${dateStr}`;
     if (imgCount > 0) text += ` · ${t('email.star.photos', { n: imgCount })}`;
+    if (fileCount > 0) text += ` · ${t('email.star.files', { n: fileCount })}`;
     text += ` · ${formatSize(entrySize)}\n\n`;
   }
   text += t('email.star.storage', { used: formatSize(totalStarredSize), total: formatSize(maxStar) });
@@ -563,16 +688,19 @@ export function buildStarredListKeyboard(starredEntries, confirmDelId) {
 // ============ edit-to 函数 ============
 
 export async function sendTelegramInlineList(env) {
-  const [active, paused, pd, gm, mp, idx] = await Promise.all([
+  const [active, paused, pd, gm, mp, idx, timers, burners] = await Promise.all([
     getActiveRules(env), getPausedRules(env), getPrefixDomains(env),
-    getGlobalMute(env), getMutedPrefixes(env), runEmailCleanup(env),
+    getGlobalMute(env), getMutedPrefixes(env), runEmailCleanup(env), getMuteTimers(env),
+    getBurnerPrefixes(env),
   ]);
   active.sort(); paused.sort();
   const storageInfo = { used: idx.totalSize, total: getMaxStorage(env) };
   const starredCount = idx.entries.filter(e => e.starred).length;
+  const gmUntil = timers.g ? formatMuteUntil(timers.g.until, getTimezone(env)) : null;
   const payload = {
     chat_id: env.TG_CHAT_ID,
-    text: buildListText(active, paused, pd, gm, mp, storageInfo),
+    ...topicParams(env),
+    text: buildListText(active, paused, pd, gm, mp, storageInfo, gmUntil, burners),
     reply_markup: buildListKeyboard(active, paused, gm, starredCount),
   };
   return fetchWithRetry(
@@ -583,17 +711,19 @@ export async function sendTelegramInlineList(env) {
 }
 
 export async function editToList(env, msgId) {
-  const [active, paused, pd, gm, mp, idx] = await Promise.all([
+  const [active, paused, pd, gm, mp, idx, timers, burners] = await Promise.all([
     getActiveRules(env), getPausedRules(env), getPrefixDomains(env),
-    getGlobalMute(env), getMutedPrefixes(env), runEmailCleanup(env),
+    getGlobalMute(env), getMutedPrefixes(env), runEmailCleanup(env), getMuteTimers(env),
+    getBurnerPrefixes(env),
   ]);
   active.sort(); paused.sort();
   const storageInfo = { used: idx.totalSize, total: getMaxStorage(env) };
   const starredCount = idx.entries.filter(e => e.starred).length;
+  const gmUntil = timers.g ? formatMuteUntil(timers.g.until, getTimezone(env)) : null;
   const payload = {
     chat_id: env.TG_CHAT_ID,
     message_id: msgId,
-    text: buildListText(active, paused, pd, gm, mp, storageInfo),
+    text: buildListText(active, paused, pd, gm, mp, storageInfo, gmUntil, burners),
     reply_markup: buildListKeyboard(active, paused, gm, starredCount),
   };
   return fetchWithRetry(
@@ -604,17 +734,23 @@ export async function editToList(env, msgId) {
 }
 
 export async function editToSettings(env, msgId, prefix, confirmDel, confirmRmDomain) {
-  const [pd, mp] = await Promise.all([
-    getPrefixDomains(env), getMutedPrefixes(env),
+  const [pd, mp, pf, fo, dg, timers] = await Promise.all([
+    getPrefixDomains(env), getMutedPrefixes(env), getPrefixForwards(env), getForwardOnlyPrefixes(env),
+    getPrefixDigests(env), getMuteTimers(env),
   ]);
+  const timeZone = getTimezone(env);
+  const muteTimer = timers[`p:${prefix}`];
   const domains = pd[prefix] || [];
   const isMuted = mp.includes(prefix);
+  const forward = { addrs: pf[prefix] || [], only: fo.includes(prefix) };
+  const digest = dg[prefix] || null;
   const payload = {
     chat_id: env.TG_CHAT_ID,
     message_id: msgId,
-    text: buildSettingsText(prefix, domains, confirmDel, isMuted, confirmRmDomain),
+    text: buildSettingsText(prefix, domains, confirmDel, isMuted, confirmRmDomain, forward, digest, timeZone,
+      muteTimer ? formatMuteUntil(muteTimer.until, timeZone) : null),
     parse_mode: 'HTML',
-    reply_markup: buildSettingsKeyboard(prefix, domains, confirmDel, isMuted, confirmRmDomain),
+    reply_markup: buildSettingsKeyboard(prefix, domains, confirmDel, isMuted, confirmRmDomain, forward, digest),
   };
   return fetchWithRetry(
     `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/editMessageText`,
@@ -648,17 +784,47 @@ export async function editToStarredList(env, msgId, confirmDelId) {
   );
 }
 
-export async function editToSearchResults(env, msgId, keyword, page) {
+// 发件人/主题 + 正文倒排索引联合搜索：先按查询子句过滤，再按自由词得分排序
+export async function searchEmails(env, keyword) {
   const idx = await getEmailIndex(env);
-  const results = searchEntries(idx.entries, keyword);
-  // 按时间倒序（最新的在前）
-  results.sort((a, b) => b.ts - a.ts);
+  const entries = isOwner(env) ? idx.entries : idx.entries.filter(e => canSeePrefix(env, e.prefix));
+  const clauses = parseSearchQuery(keyword);
+  const bodyHits = await lookupBodyHits(env, entries, queryBodyTerms(clauses));
+  const matched = entries.filter(e => matchSearchQuery(e, clauses, bodyHits));
+  const freeText = queryFreeText(clauses);
+  // 只有运算符或自由词无法分词（纯符号、单个字母）时按时间倒序
+  if (tokenize(freeText).length === 0) return matched.sort((a, b) => b.ts - a.ts);
+  return rankSearchResults(matched, freeText, bodyHits);
+}
+
+// 仅为当前页中正文命中的结果解析 .eml 生成摘要
+async function addSearchSnippets(env, results, keyword, page) {
+  const start = page * SEARCH_PAGE_SIZE;
+  await Promise.all(results.slice(start, start + SEARCH_PAGE_SIZE).map(async (e) => {
+    if (!keyword || !e.bodyMatch || !(e.textSize > 0)) return;
+    const emlData = await getEmailEml(env, e.id);
+    if (!emlData) return;
+    try {
+      const parsed = await new PostalMime().parse(emlData);
+      e.snippet = buildSnippet(parsed.text || htmlToText(parsed.html || ''), keyword);
+    } catch { /* 解析失败不显示摘要 */ }
+  }));
+}
+
+async function buildSearchPage(env, keyword, page) {
+  const results = await searchEmails(env, keyword);
+  await addSearchSnippets(env, results, queryFreeText(parseSearchQuery(keyword)), page);
+  return { text: buildSearchText(keyword, results, page), keyboard: buildSearchKeyboard(results, page, isOwner(env)) };
+}
+
+export async function editToSearchResults(env, msgId, keyword, page) {
+  const { text, keyboard } = await buildSearchPage(env, keyword, page);
   const payload = {
     chat_id: env.TG_CHAT_ID,
     message_id: msgId,
-    text: buildSearchText(keyword, results, page),
+    text,
     parse_mode: 'HTML',
-    reply_markup: buildSearchKeyboard(results, page),
+    reply_markup: keyboard,
   };
   return fetchWithRetry(
     `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/editMessageText`,
@@ -691,11 +857,19 @@ export async function updateEmailKeyboard(env, emailId, extraMsgId) {
   const starred = entry ? entry.starred : false;
   const senderAddr = (entry?.sender || meta?.sender || '').toLowerCase();
   const attCount = entry ? (entry.images || []).length : (meta?.attCount || 0);
-  const keyboard = buildEmailActionKeyboard(emailId, mutedList.includes(senderAddr), blockedList.includes(senderAddr), attCount, starred);
+  const keyboard = buildEmailActionKeyboard(emailId, matchSenderList(mutedList, senderAddr), blockedList.includes(senderAddr), attCount, starred, {
+    canReply: !!getMailSender(env),
+    domainBlocked: blockedList.includes(senderDomainEntry(senderAddr)),
+    files: entry?.files,
+    otp: meta?.otp,
+    viewUrl: entry ? await buildViewUrl(env, emailId) : null,
+    unsub: !!meta?.unsub,
+    unsubscribed: !!meta?.unsubResult?.ok,
+  });
 
   const updates = [];
-  // 更新原始邮件通知
-  if (meta || entry) {
+  // 更新原始邮件通知（摘要邮件没有单独的通知消息）
+  if ((meta || entry) && !isDigestId(emailId)) {
     updates.push(fetchWithRetry(
       `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/editMessageReplyMarkup`,
       { method: 'POST', headers: { 'Content-Type': 'application/json' },
@@ -717,6 +891,21 @@ export async function updateEmailKeyboard(env, emailId, extraMsgId) {
 
 // ============ 命令处理 ============
 
+// 手动添加屏蔽/静音条目：完整地址、@域名、*.域名 或通配符
+export async function cmdAddSenderRule(kind, input, env) {
+  const entry = normalizeSenderEntry(input);
+  if (!entry) {
+    await sendTelegramMessage(env, t('email.invalidSenderRule'));
+    return;
+  }
+  const isBlock = kind === 'block';
+  const list = isBlock ? await getBlockedSenders(env) : await getMutedSenders(env);
+  if (!list.includes(entry)) list.push(entry);
+  if (isBlock) await setBlockedSenders(env, list);
+  else await setMutedSenders(env, list);
+  await sendTelegramMessage(env, t(isBlock ? 'email.senderRuleBlocked' : 'email.senderRuleMuted', { v: esc(entry) }));
+}
+
 export async function cmdAddPrefix(prefix, env) {
   if (!prefix || prefix.length > 64 || !/^[a-z0-9][a-z0-9._+-]*$/.test(prefix)) {
     await sendTelegramMessage(env, t('email.invalidPrefix'));
@@ -729,6 +918,8 @@ export async function cmdAddPrefix(prefix, env) {
   if (!active.includes(prefix)) active.push(prefix);
   await setActiveRules(env, active);
   await setPausedRules(env, paused);
+  // 手动添加的前缀不再受一次性限制
+  await releaseBurners(env, [prefix]);
   await sendTelegramInlineList(env);
 }
 
@@ -740,6 +931,43 @@ export async function cmdAddDomain(prefix, domain, env) {
   await sendTelegramMessage(env, t('email.domainAdded', { prefix: esc(prefix), domain: esc(domain) }));
 }
 
+export async function cmdAddForward(prefix, addr, env) {
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(addr) || addr.length > 254) {
+    await sendTelegramMessage(env, t('email.invalidForward'));
+    return;
+  }
+  const pf = await getPrefixForwards(env);
+  if (!pf[prefix]) pf[prefix] = [];
+  if (!pf[prefix].includes(addr)) pf[prefix].push(addr);
+  await setPrefixForwards(env, pf);
+  await sendTelegramMessage(env, t('email.forwardAdded', { prefix: esc(prefix), addr: escAddr(addr) }));
+}
+
+export async function cmdSetDigestTimes(prefix, input, env) {
+  const times = parseDigestTimes(input);
+  if (!times) {
+    await sendTelegramMessage(env, t('email.invalidDigestTimes'));
+    return;
+  }
+  const dg = await getPrefixDigests(env);
+  dg[prefix] = times;
+  await setPrefixDigests(env, dg);
+  await sendTelegramMessage(env, t('email.digestTimesSet', { prefix: esc(prefix), times: times.join(', '), tz: getTimezone(env) }));
+}
+
+// 自定义时长的定时静音（key：g、p:<前缀>、s:<发件人>）
+export async function cmdMuteFor(key, input, env) {
+  const timeZone = getTimezone(env);
+  const until = parseMuteDuration(input, Date.now(), timeZone);
+  if (!until) {
+    await sendTelegramMessage(env, t('mute.invalid'));
+    return;
+  }
+  await applyMute(env, key, until);
+  const label = key === 'g' ? t('mute.all') : key.slice(2);
+  await sendTelegramMessage(env, t('mute.mutedUntil', { v: esc(label), time: formatMuteUntil(until, timeZone) }));
+}
+
 export async function cmdList(env) {
   await sendTelegramInlineList(env);
 }
@@ -750,16 +978,21 @@ export async function cmdSearch(keyword, env) {
     return;
   }
   await saveSearchQuery(env, keyword);
-  const idx = await getEmailIndex(env);
-  const results = searchEntries(idx.entries, keyword);
-  results.sort((a, b) => b.ts - a.ts);
-  await sendTelegramMessage(env, buildSearchText(keyword, results, 0), null, {
-    reply_markup: buildSearchKeyboard(results, 0),
-  });
+  const { text, keyboard } = await buildSearchPage(env, keyword, 0);
+  await sendTelegramMessage(env, text, null, { reply_markup: keyboard });
 }
 
 // ============ handleEmailCallback ============
 
+async function resumePrefix(env, prefix) {
+  const active = await getActiveRules(env);
+  const paused = await getPausedRules(env);
+  const idx = paused.indexOf(prefix);
+  if (idx !== -1) { paused.splice(idx, 1); active.push(prefix); }
+  await setActiveRules(env, active); await setPausedRules(env, paused);
+  await releaseBurners(env, [prefix], true);
+}
+
 export async function handleEmailCallback(cbq, env, ctx) {
   const data = cbq.data;
   const msgId = cbq.message.message_id;
@@ -769,6 +1002,11 @@ export async function handleEmailCallback(cbq, env, ctx) {
   const value = rest.join(':');
   let toast = '';
 
+  if (!isOwner(env) && !VIEWER_EMAIL_ACTIONS.has(action)) {
+    await answerCallbackQuery(env, cbq.id, t('user.toast.noPermission'));
+    return;
+  }
+
   // ====== 主列表操作 ======
   if (action === 'pause') {
     const active = await getActiveRules(env);
@@ -779,11 +1017,7 @@ export async function handleEmailCallback(cbq, env, ctx) {
     toast = t('email.toast.paused', { v: value });
     await editToList(env, msgId);
   } else if (action === 'resume') {
-    const active = await getActiveRules(env);
-    const paused = await getPausedRules(env);
-    const idx = paused.indexOf(value);
-    if (idx !== -1) { paused.splice(idx, 1); active.push(value); }
-    await setActiveRules(env, active); await setPausedRules(env, paused);
+    await resumePrefix(env, value);
     toast = t('email.toast.resumed', { v: value });
     await editToList(env, msgId);
   } else if (action === 'pause_all') {
@@ -796,6 +1030,7 @@ export async function handleEmailCallback(cbq, env, ctx) {
   } else if (action === 'resume_all') {
     const active = await getActiveRules(env);
     const paused = await getPausedRules(env);
+    await releaseBurners(env, paused, true);
     active.push(...paused); paused.length = 0;
     await setActiveRules(env, active); await setPausedRules(env, paused);
     toast = t('email.toast.resumedAll');
@@ -805,23 +1040,44 @@ export async function handleEmailCallback(cbq, env, ctx) {
     await answerCallbackQuery(env, cbq.id);
     return;
   } else if (action === 'random') {
-    const prefix = generateRandomPrefix();
-    const active = await getActiveRules(env);
-    if (!active.includes(prefix)) {
-      active.push(prefix);
-      await setActiveRules(env, active);
+    toast = t('burner.choose');
+    await editMessageReplyMarkup(env, msgId, buildBurnerLimitKeyboard());
+  } else if (action === 'rnd') {
+    // value = perm | <limit> | <limit>:<pause|delete>
+    const [limit, end] = value.split(':');
+    if (BURNER_LIMITS[limit] && !end) {
+      toast = t('burner.chooseEnd');
+      await editMessageReplyMarkup(env, msgId, buildBurnerEndKeyboard(limit));
+    } else {
+      const prefix = await createRandomPrefix(env, limit, end);
+      toast = t('email.toast.randomAdded', { v: prefix });
+      await editToList(env, msgId);
+      // 一步为新前缀建立关联的密码条目
+      await sendTelegramMessage(env, buildBurnerCreatedText(prefix, limit, end), null, {
+        reply_markup: { inline_keyboard: [[{ text: t('pwd.link.btnCreate'), callback_data: `pnp:${prefix}` }]] },
+      });
     }
-    toast = t('email.toast.randomAdded', { v: prefix });
-    await editToList(env, msgId);
-    await sendTelegramMessage(env, t('email.toast.randomAddedMsg', { v: esc(prefix) }));
+  } else if (action === 'qv') {
+    // 隔离区：查看 / 添加前缀 / 恢复已暂停的前缀
+    const view = await buildQuarantineView(env, value);
+    if (!view) toast = t('qr.toast.expired');
+    else await sendTelegramMessage(env, view.text, null, view.keyboard ? { reply_markup: view.keyboard } : {});
+  } else if (action === 'qa') {
+    await cmdAddPrefix(value, env);
+  } else if (action === 'qres') {
+    await resumePrefix(env, value);
+    toast = t('email.toast.resumed', { v: value });
   } else if (action === 'global_mute') {
-    await setGlobalMute(env, true);
-    toast = t('email.toast.muteOn');
-    await editToList(env, msgId);
+    toast = t('mute.choose');
+    await editMessageReplyMarkup(env, msgId, buildMuteDurationKeyboard('g'));
   } else if (action === 'global_unmute') {
     await setGlobalMute(env, false);
+    await clearMuteTimer(env, 'g');
     toast = t('email.toast.muteOff');
     await editToList(env, msgId);
+  } else if (action === 'mt') {
+    await handleMuteChoice(cbq, env, value);
+    return;
 
   } else if (action === 'back') {
     await editToList(env, msgId);
@@ -833,21 +1089,9 @@ export async function handleEmailCallback(cbq, env, ctx) {
     await editToSettings(env, msgId, value, true);
     toast = t('email.toast.confirmDel', { v: value });
   } else if (action === 'confirm_del') {
-    const active = await getActiveRules(env);
-    const paused = await getPausedRules(env);
-    const wasActive = active.includes(value);
-    let idx = active.indexOf(value);
-    if (idx !== -1) active.splice(idx, 1);
-    idx = paused.indexOf(value);
-    if (idx !== -1) paused.splice(idx, 1);
-    await setActiveRules(env, active); await setPausedRules(env, paused);
-    // 清理域名配置和静音状态
-    const [pd, mp] = await Promise.all([getPrefixDomains(env), getMutedPrefixes(env)]);
-    const deletedDomains = pd[value] || [];
-    delete pd[value];
-    const mpIdx = mp.indexOf(value);
-    if (mpIdx !== -1) mp.splice(mpIdx, 1);
-    await Promise.all([setPrefixDomains(env, pd), mpIdx !== -1 ? setMutedPrefixes(env, mp) : null]);
+    // 清理域名配置、静音状态、转发和一次性限制
+    const { wasActive, domains: deletedDomains, forwards: deletedForwards } = await deletePrefixConfig(env, value);
+    await releaseBurners(env, [value]);
     toast = t('email.toast.deleted', { v: value });
     await editToList(env, msgId);
     // 发送删除记录，方便误操作恢复
@@ -856,6 +1100,9 @@ export async function handleEmailCallback(cbq, env, ctx) {
     if (deletedDomains.length > 0) {
       record += t('email.toast.domainLimit') + deletedDomains.map(d => esc(d)).join(', ');
     }
+    if (deletedForwards.length > 0) {
+      record += t('email.toast.forwardList') + deletedForwards.map(a => escAddr(a)).join(', ');
+    }
     await sendTelegramMessage(env, record);
   } else if (action === 'add_domain') {
     // value = prefix
@@ -881,22 +1128,68 @@ export async function handleEmailCallback(cbq, env, ctx) {
     await setPrefixDomains(env, pd);
     toast = t('email.toast.domainRemoved', { d: domain });
     await editToSettings(env, msgId, prefix);
-  } else if (action === 'mute_prefix') {
-    const mp = await getMutedPrefixes(env);
-    if (!mp.includes(value)) mp.push(value);
-    await setMutedPrefixes(env, mp);
-    toast = t('email.toast.prefixMuted', { v: value });
+  } else if (action === 'add_fwd') {
+    await sendTelegramPrompt(env, t('email.prompt.addForward', { v: value }));
+    await answerCallbackQuery(env, cbq.id);
+    return;
+  } else if (action === 'rm_fwd') {
+    // value = "prefix:index"
+    const sepIdx = value.lastIndexOf(':');
+    const prefix = value.substring(0, sepIdx);
+    const i = parseInt(value.substring(sepIdx + 1));
+    const [pf, fo] = await Promise.all([getPrefixForwards(env), getForwardOnlyPrefixes(env)]);
+    const list = pf[prefix] || [];
+    const removed = list[i];
+    if (removed !== undefined) list.splice(i, 1);
+    if (list.length === 0) {
+      delete pf[prefix];
+      // 没有转发地址时仅转发模式无意义，一并关闭
+      const foIdx = fo.indexOf(prefix);
+      if (foIdx !== -1) { fo.splice(foIdx, 1); await setForwardOnlyPrefixes(env, fo); }
+    } else {
+      pf[prefix] = list;
+    }
+    await setPrefixForwards(env, pf);
+    if (removed) toast = t('email.toast.forwardRemoved', { v: removed });
+    await editToSettings(env, msgId, prefix);
+  } else if (action === 'fwd_only' || action === 'fwd_notify') {
+    const fo = await getForwardOnlyPrefixes(env);
+    const i = fo.indexOf(value);
+    if (action === 'fwd_only' && i === -1) fo.push(value);
+    if (action === 'fwd_notify' && i !== -1) fo.splice(i, 1);
+    await setForwardOnlyPrefixes(env, fo);
+    toast = action === 'fwd_only'
+      ? t('email.toast.forwardOnlyOn', { v: value })
+      : t('email.toast.forwardOnlyOff', { v: value });
     await editToSettings(env, msgId, value);
+  } else if (action === 'dg_on' || action === 'dg_off') {
+    // 关闭后队列中剩余的邮件在下一次定时任务时发出
+    const dg = await getPrefixDigests(env);
+    if (action === 'dg_on') dg[value] = dg[value] || DEFAULT_DIGEST_TIMES;
+    else delete dg[value];
+    await setPrefixDigests(env, dg);
+    toast = action === 'dg_on'
+      ? t('email.toast.digestOn', { v: value })
+      : t('email.toast.digestOff', { v: value });
+    await editToSettings(env, msgId, value);
+  } else if (action === 'dg_time') {
+    await sendTelegramPrompt(env, t('email.prompt.digestTimes', { v: value }));
+    await answerCallbackQuery(env, cbq.id);
+    return;
+  } else if (action === 'mute_prefix') {
+    toast = t('mute.choose');
+    await editMessageReplyMarkup(env, msgId, buildMuteDurationKeyboard(`p:${value}`));
   } else if (action === 'unmute_prefix') {
     const mp = await getMutedPrefixes(env);
     const idx = mp.indexOf(value);
     if (idx !== -1) mp.splice(idx, 1);
     await setMutedPrefixes(env, mp);
+    await clearMuteTimer(env, `p:${value}`);
     toast = t('email.toast.prefixUnmuted', { v: value });
     await editToSettings(env, msgId, value);
 
   // ====== 邮件通知：发件人操作 ======
-  } else if (action === 'ms' || action === 'us' || action === 'bs' || action === 'ubs') {
+  } else if (['ms', 'us', 'bs', 'ubs', 'bd', 'ubd'].includes(action)) {
     const targetId = parseInt(value);
     const [meta, idx] = await Promise.all([getMsgMeta(env, value), getEmailIndex(env)]);
     const entry = idx.entries.find(e => e.id === targetId);
@@ -904,16 +1197,13 @@ export async function handleEmailCallback(cbq, env, ctx) {
     if (!sender) {
       toast = t('email.toast.expired');
     } else if (action === 'ms') {
-      const list = await getMutedSenders(env);
-      if (!list.includes(sender)) list.push(sender);
-      await setMutedSenders(env, list);
-      toast = t('email.toast.senderMuted', { v: sender });
-      await updateEmailKeyboard(env, targetId, msgId);
+      toast = t('mute.choose');
+      await editMessageReplyMarkup(env, msgId, buildMuteDurationKeyboard(`s:${targetId}`));
     } else if (action === 'us') {
+      // 同时移除匹配该发件人的域名/通配条目，否则按钮状态不会变
       const list = await getMutedSenders(env);
-      const i = list.indexOf(sender);
-      if (i !== -1) list.splice(i, 1);
-      await setMutedSenders(env, list);
+      await setMutedSenders(env, list.filter(e => !matchSenderEntry(e, sender)));
+      await clearMuteTimer(env, `s:${sender}`);
       toast = t('email.toast.senderUnmuted', { v: sender });
       await updateEmailKeyboard(env, targetId, msgId);
     } else if (action === 'bs') {
@@ -929,6 +1219,46 @@ export async function handleEmailCallback(cbq, env, ctx) {
       await setBlockedSenders(env, list);
       toast = t('email.toast.senderUnblocked', { v: sender });
       await updateEmailKeyboard(env, targetId, msgId);
+    } else if (action === 'bd') {
+      const domainEntry = senderDomainEntry(sender);
+      const list = await getBlockedSenders(env);
+      if (domainEntry && !list.includes(domainEntry)) list.push(domainEntry);
+      await setBlockedSenders(env, list);
+      toast = t('email.toast.domainBlocked', { v: domainEntry });
+      await updateEmailKeyboard(env, targetId, msgId);
+    } else if (action === 'ubd') {
+      const domainEntry = senderDomainEntry(sender);
+      const list = await getBlockedSenders(env);
+      const i = list.indexOf(domainEntry);
+      if (i !== -1) list.splice(i, 1);
+      await setBlockedSenders(env, list);
+      toast = t('email.toast.domainUnblocked', { v: domainEntry });
+      await updateEmailKeyboard(env, targetId, msgId);
+    }
+
+  // ====== 邮件通知：退订 ======
+  } else if (action === 'unsub') {
+    const meta = await getMsgMeta(env, value);
+    if (!meta?.unsub) {
+      toast = t('email.toast.expired');
+    } else if (meta.unsubResult?.ok) {
+      toast = t('unsub.toast.already');
+    } else {
+      const result = await performUnsubscribe(env, meta.unsub, meta.to);
+      meta.unsubResult = { ok: result.ok, method: result.method, ts: Date.now(), ...(result.error ? { error: result.error } : {}) };
+      await saveMsgMeta(env, value, meta);
+      const senderMuted = matchSenderList(await getMutedSenders(env), meta.sender);
+      const { text, keyboard } = buildUnsubscribeResult(result, meta.unsub, meta.sender, value, senderMuted);
+      await sendTelegramMessage(env, text, msgId, keyboard ? { reply_markup: keyboard } : {});
+      if (result.ok) await updateEmailKeyboard(env, parseInt(value), msgId);
+    }
+
+  // ====== 邮件通知：回复 ======
+  } else if (action === 'reply') {
+    if (!getMailSender(env)) {
+      toast = t('email.toast.replyUnavailable');
+    } else {
+      await sendTelegramPrompt(env, t('email.prompt.reply', { id: value }));
     }
 
   // ====== 邮件通知：按需下载 ======
@@ -942,14 +1272,14 @@ export async function handleEmailCallback(cbq, env, ctx) {
     const imageList = (meta?.images?.length > 0)
       ? meta.images
       : (entry?.images || []).map(img => ({
-          i: img.idx, fn: img.fn || `image_${img.idx}`, mime: img.mime || 'application/octet-stream',
+          i: img.idx, fn: img.fn || `image_${img.idx}`, mime: img.mime || 'application/octet-stream', p: img.part,
         }));
     if (imageList.length === 0) {
       toast = t('email.toast.noAttachments');
     } else {
       const mediaItems = [];
       for (const img of imageList) {
-        const data = await getImage(env, value, img.i);
+        const data = await getImage(env, value, img.i, img.p);
         if (!data) continue;
         const blob = new Blob([data], { type: img.mime });
         const isPhoto = IMAGE_TYPES.has(img.mime);
@@ -967,7 +1297,7 @@ export async function handleEmailCallback(cbq, env, ctx) {
       }
     }
   } else if (action === 'eml') {
-    const emlData = await getStrippedEml(env, value);
+    const emlData = await getEmailEml(env, value);
     if (!emlData) { toast = t('email.toast.expired'); }
     else {
       const meta = await getMsgMeta(env, value);
@@ -976,6 +1306,17 @@ export async function handleEmailCallback(cbq, env, ctx) {
       await sendTelegramDocument(env, emlBlob, `${subjectClean}.eml`, msgId);
       toast = t('email.toast.emlSent');
     }
+  } else if (action === 'dl') {
+    // value = "msgId:fileIdx"
+    const [targetId, fileIdx] = value.split(':').map(n => parseInt(n));
+    const idx = await getEmailIndex(env);
+    const file = idx.entries.find(e => e.id === targetId)?.files?.find(f => f.idx === fileIdx);
+    const data = file ? await getAttachment(env, targetId, fileIdx, file.part) : null;
+    if (!data) { toast = t('email.toast.fileExpired'); }
+    else {
+      await sendTelegramDocument(env, new Blob([data], { type: file.mime }), file.fn, msgId);
+      toast = t('email.toast.fileSent');
+    }
 
   // ====== 邮件通知：收藏 ======
   } else if (action === 'star') {
@@ -985,15 +1326,8 @@ export async function handleEmailCallback(cbq, env, ctx) {
     if (!entry) { toast = t('email.toast.expired'); }
     else {
       // 检查收藏容量
-      let starredSize = 0;
-      for (const e of idx.entries) {
-        if (e.starred) {
-          starredSize += (e.textSize || 0);
-          for (const img of (e.images || [])) starredSize += img.size;
-        }
-      }
-      const entrySize = (entry.textSize || 0) +
-        (entry.images || []).reduce((s, img) => s + img.size, 0);
+      const starredSize = calcStarredSize(idx.entries);
+      const entrySize = entryStoredSize(entry);
       const starMax = getStarMaxStorage(env);
       if (starredSize + entrySize > starMax) {
         toast = t('email.toast.starFull', { used: formatSize(starredSize), total: formatSize(starMax) });
@@ -1023,7 +1357,7 @@ export async function handleEmailCallback(cbq, env, ctx) {
   } else if (action === 'view_star') {
     const targetId = parseInt(value);
     const [idx, emlData, mutedList, blockedList] = await Promise.all([
-      getEmailIndex(env), getStrippedEml(env, targetId),
+      getEmailIndex(env), getEmailEml(env, targetId),
       getMutedSenders(env), getBlockedSenders(env),
     ]);
     const entry = idx.entries.find(e => e.id === targetId);
@@ -1047,11 +1381,16 @@ export async function handleEmailCallback(cbq, env, ctx) {
         } catch { /* 解析失败 */ }
       }
       const senderAddr = sender.toLowerCase();
-      const senderMuted = mutedList.includes(senderAddr);
+      const senderMuted = matchSenderList(mutedList, senderAddr);
       const senderBlocked = blockedList.includes(senderAddr);
       const attCount = entry ? (entry.images || []).length : 0;
       const starred = entry ? entry.starred : false;
-      const keyboard = buildEmailActionKeyboard(targetId, senderMuted, senderBlocked, attCount, starred);
+      const keyboard = buildEmailActionKeyboard(targetId, senderMuted, senderBlocked, attCount, starred, {
+        canReply: !!getMailSender(env),
+        domainBlocked: blockedList.includes(senderDomainEntry(senderAddr)),
+        files: entry?.files,
+        viewUrl: entry ? await buildViewUrl(env, targetId) : null,
+      });
       await sendTelegramMessage(env, text, null, { reply_markup: keyboard });
     }
 
@@ -1066,18 +1405,10 @@ export async function handleEmailCallback(cbq, env, ctx) {
     const entry = idx.entries.find(e => e.id === targetId);
     if (!entry) { toast = t('email.toast.expired'); }
     else {
-      const delPromises = [];
-      let freed = 0;
-      for (const img of (entry.images || [])) {
-        delPromises.push(env.KV.delete(`img:${targetId}:${img.idx}`));
-        freed += img.size;
-      }
-      if (entry.textSize > 0) {
-        delPromises.push(env.KV.delete(`email_text:${targetId}`));
-        freed += entry.textSize;
-      }
-      await Promise.all(delPromises);
+      const freed = entryStoredSize(entry);
+      await deleteEntryBlobs(env, [entry]);
       entry.images = [];
+      entry.files = [];
       entry.textSize = 0;
       entry.starred = false;
       idx.totalSize = calcStorageUsage(idx);
@@ -1110,16 +1441,12 @@ export async function handleEmailCallback(cbq, env, ctx) {
     const targetId = parseInt(value);
     const idx = await getEmailIndex(env);
     const entry = idx.entries.find(e => e.id === targetId);
-    if (!entry || (entry.images || []).length === 0) { toast = t('email.toast.noDelAtt'); }
+    if (!entry || (entry.images || []).length + (entry.files || []).length === 0) { toast = t('email.toast.noDelAtt'); }
     else {
-      const delPromises = [];
-      let freed = 0;
-      for (const img of (entry.images || [])) {
-        delPromises.push(env.KV.delete(`img:${targetId}:${img.idx}`));
-        freed += img.size;
-      }
-      await Promise.all(delPromises);
+      const freed = entryStoredSize(entry) - (entry.textSize || 0);
+      await deleteEntryBlobs(env, [{ ...entry, textSize: 0 }]);
       entry.images = [];
+      entry.files = [];
       idx.totalSize = calcStorageUsage(idx);
       await setEmailIndex(env, idx);
       const meta = await getMsgMeta(env, targetId);
@@ -1157,6 +1484,7 @@ export async function handleEmailCallback(cbq, env, ctx) {
     } else if (isMuted) {
       mutedList.splice(mutedList.indexOf(fullAddr), 1);
       await setMutedSenders(env, mutedList);
+      await clearMuteTimer(env, `s:${fullAddr}`);
       toast = t('email.toast.unmutedAddr', { v: fullAddr });
     }
     await editToMgmt(env, msgId);
@@ -1170,15 +1498,10 @@ export async function handleEmailCallback(cbq, env, ctx) {
     let freed = 0;
     for (const entry of idx.entries) {
       if (entry.starred) continue;
-      const delPromises = [];
-      if (entry.textSize > 0) delPromises.push(env.KV.delete(`email_text:${entry.id}`));
-      for (const img of (entry.images || [])) {
-        delPromises.push(env.KV.delete(`img:${entry.id}:${img.idx}`));
-        freed += img.size;
-      }
-      freed += entry.textSize || 0;
-      await Promise.all(delPromises);
+      freed += entryStoredSize(entry);
+      await deleteEntryBlobs(env, [entry]);
       entry.images = [];
+      entry.files = [];
       entry.textSize = 0;
     }
     idx.totalSize = calcStorageUsage(idx);
@@ -1194,14 +1517,8 @@ export async function handleEmailCallback(cbq, env, ctx) {
     for (let i = idx.entries.length - 1; i >= 0; i--) {
       const entry = idx.entries[i];
       if (entry.starred) continue;
-      const delPromises = [];
-      if (entry.textSize > 0) delPromises.push(env.KV.delete(`email_text:${entry.id}`));
-      for (const img of (entry.images || [])) {
-        delPromises.push(env.KV.delete(`img:${entry.id}:${img.idx}`));
-        freed += img.size;
-      }
-      freed += entry.textSize || 0;
-      await Promise.all(delPromises);
+      freed += entryStoredSize(entry);
+      await deleteEntryBlobs(env, [entry]);
       idx.entries.splice(i, 1);
     }
     idx.totalSize = calcStorageUsage(idx);
@@ -1219,6 +1536,10 @@ export async function handleEmailCallback(cbq, env, ctx) {
     await sendTelegramPrompt(env, t('email.prompt.mgmtSearch'));
     await answerCallbackQuery(env, cbq.id);
     return;
+  } else if (action === 'emab' || action === 'emam') {
+    await sendTelegramPrompt(env, t(action === 'emab' ? 'email.prompt.addBlockRule' : 'email.prompt.addMuteRule'));
+    await answerCallbackQuery(env, cbq.id);
+    return;
   } else if (action === 'emsp') {
     const keyword = await getMgmtSearch(env);
     if (!keyword) { toast = t('email.toast.mgmtSearchExpired'); }
@@ -1236,9 +1557,9 @@ export async function handleEmailCallback(cbq, env, ctx) {
       getEmailIndex(env), getMutedSenders(env), getBlockedSenders(env),
     ]);
     const entry = idx.entries.find(e => e.id === targetId);
-    if (!entry) { toast = t('email.toast.expired'); }
+    if (!entry || !canSeePrefix(env, entry.prefix)) { toast = t('email.toast.expired'); }
     else {
-      const emlData = entry.textSize > 0 ? await getStrippedEml(env, targetId) : null;
+      const emlData = entry.textSize > 0 ? await getEmailEml(env, targetId) : null;
       let text = t('email.star.detailTitle');
       text += `${t('email.from')}${escAddr(entry.sender || 'unknown')}\n`;
       text += `${t('email.subject')}${esc(entry.subject || t('email.noSubject'))}\n`;
@@ -1255,11 +1576,17 @@ export async function handleEmailCallback(cbq, env, ctx) {
         } catch { /* 解析失败 */ }
       }
       const senderAddr = (entry.sender || '').toLowerCase();
-      const senderMuted = mutedList.includes(senderAddr);
+      const senderMuted = matchSenderList(mutedList, senderAddr);
       const senderBlocked = blockedList.includes(senderAddr);
       const attCount = (entry.images || []).length;
-      const keyboard = buildEmailActionKeyboard(targetId, senderMuted, senderBlocked, attCount, entry.starred);
-      await sendTelegramMessage(env, text, null, { reply_markup: keyboard });
+      const keyboard = buildEmailActionKeyboard(targetId, senderMuted, senderBlocked, attCount, entry.starred, {
+        canReply: !!getMailSender(env),
+        domainBlocked: blockedList.includes(senderDomainEntry(senderAddr)),
+        files: entry.files,
+        viewUrl: isOwner(env) ? await buildViewUrl(env, targetId) : null,
+      });
+      // 其他用户只查看，不显示操作按钮
+      await sendTelegramMessage(env, text, null, isOwner(env) ? { reply_markup: keyboard } : {});
     }
   } else if (action === 'search_back') {
     const keyword = await getSearchQuery(env);
@@ -1270,22 +1597,86 @@ export async function handleEmailCallback(cbq, env, ctx) {
   await answerCallbackQuery(env, cbq.id, toast);
 }
 
+// ============ 回复邮件 ============
+
+// 用原邮件的收件前缀地址作为 From，回复到原发件人（优先 Reply-To）
+export async function replyToEmail(env, emailId, text, sender) {
+  if (!text) return { ok: false, error: t('email.reply.empty') };
+  const [meta, emlData] = await Promise.all([getMsgMeta(env, emailId), getEmailEml(env, emailId)]);
+  if (!emlData) return { ok: false, error: t('email.reply.expired') };
+  let parsed;
+  try { parsed = await new PostalMime().parse(emlData); }
+  catch { return { ok: false, error: t('email.reply.expired') }; }
+  const to = parsed.replyTo?.[0]?.address || parsed.from?.address || meta?.sender;
+  const from = meta?.to || parsed.deliveredTo || parsed.to?.[0]?.address;
+  if (!to || !from) return { ok: false, error: t('email.reply.noAddress') };
+  const result = await sendReplyEmail(env, {
+    from, to, text,
+    subject: parsed.subject || '',
+    inReplyTo: parsed.messageId || '',
+    references: parsed.references || '',
+  }, sender);
+  return result.ok ? { ok: true, from, to } : result;
+}
+
 // ============ handleEmailReply ============
 
+// ============ 定时静音选择 ============
+
+// value：<时长>:<目标>，目标为 g、p:<前缀>、s:<邮件 id>
+async function handleMuteChoice(cbq, env, value) {
+  const msgId = cbq.message.message_id;
+  const [choice, kind, ...rest] = value.split(':');
+  const arg = rest.join(':');
+  let key = kind === 'g' ? 'g' : `p:${arg}`;
+  let label = kind === 'g' ? t('mute.all') : arg;
+  if (kind === 's') {
+    const targetId = parseInt(arg);
+    const [meta, idx] = await Promise.all([getMsgMeta(env, arg), getEmailIndex(env)]);
+    const sender = meta?.sender || idx.entries.find(e => e.id === targetId)?.sender || '';
+    if (!sender) {
+      await answerCallbackQuery(env, cbq.id, t('email.toast.expired'));
+      return;
+    }
+    key = `s:${sender}`;
+    label = sender;
+  }
+  const restore = () => {
+    if (kind === 'g') return editToList(env, msgId);
+    if (kind === 'p') return editToSettings(env, msgId, arg);
+    return updateEmailKeyboard(env, parseInt(arg), msgId);
+  };
+
+  let toast = '';
+  if (choice === 'custom') {
+    await sendTelegramPrompt(env, kind === 'g' ? t('mute.promptGlobal') : t('mute.prompt', { v: label }));
+  } else if (choice === 'ever') {
+    await applyMute(env, key, null);
+    toast = kind === 'g' ? t('email.toast.muteOn')
+      : t(kind === 'p' ? 'email.toast.prefixMuted' : 'email.toast.senderMuted', { v: label });
+  } else if (choice !== 'no') {
+    const timeZone = getTimezone(env);
+    const until = muteUntilPreset(choice, Date.now(), timeZone);
+    if (until) {
+      await applyMute(env, key, until);
+      toast = t('mute.mutedUntil', { v: label, time: formatMuteUntil(until, timeZone) });
+    }
+  }
+  await restore();
+  await answerCallbackQuery(env, cbq.id, toast);
+}
+
 export async function handleEmailReply(msg, replyTo, text, env) {
   const input = text.toLowerCase().trim();
+  const replyEmailId = extractPromptValue(t('email.prompt.reply', { id: '\x00' }), replyTo.text);
   try {
     if (replyTo.text === t('email.prompt.addPrefix')) {
       await cmdAddPrefix(input, env);
     } else if (replyTo.text === t('email.prompt.search')) {
       const keyword = text.trim();
       await saveSearchQuery(env, keyword);
-      const idx = await getEmailIndex(env);
-      const results = searchEntries(idx.entries, keyword);
-      results.sort((a, b) => b.ts - a.ts);
-      await sendTelegramMessage(env, buildSearchText(keyword, results, 0), null, {
-        reply_markup: buildSearchKeyboard(results, 0),
-      });
+      const { text: resultText, keyboard } = await buildSearchPage(env, keyword, 0);
+      await sendTelegramMessage(env, resultText, null, { reply_markup: keyboard });
     } else if (replyTo.text === t('email.prompt.mgmtSearch')) {
       const keyword = text.trim();
       await saveMgmtSearch(env, keyword);
@@ -1300,19 +1691,29 @@ export async function handleEmailReply(msg, replyTo, text, env) {
         buildMgmtText(senders, 0, storageInfo, null, keyword), null, {
           reply_markup: buildMgmtKeyboard(senders, 0, null, keyword),
         });
-    } else {
-      // Try addDomain pattern: extract prefix from template
-      const marker = '\x00';
-      const tpl = t('email.prompt.addDomain', { v: marker });
-      const mi = tpl.indexOf(marker);
-      if (mi !== -1) {
-        const before = tpl.slice(0, mi);
-        const after = tpl.slice(mi + 1);
-        if (replyTo.text.startsWith(before) && replyTo.text.endsWith(after)) {
-          const prefix = replyTo.text.slice(before.length, replyTo.text.length - after.length);
-          if (prefix) await cmdAddDomain(prefix, input, env);
-        }
+    } else if (replyTo.text === t('email.prompt.addBlockRule') || replyTo.text === t('email.prompt.addMuteRule')) {
+      await cmdAddSenderRule(replyTo.text === t('email.prompt.addBlockRule') ? 'block' : 'mute', text, env);
+    } else if (replyEmailId) {
+      const emailId = parseInt(replyEmailId);
+      const result = await replyToEmail(env, emailId, text.trim());
+      if (result.ok) {
+        await deleteMessage(env, replyTo.message_id);
+        await sendTelegramMessage(env, t('email.replySent', { to: escAddr(result.to) }), emailId);
+      } else {
+        await sendTelegramMessage(env, t('email.replyFailed', { err: esc(result.error) }));
       }
+    } else {
+      // addDomain / addForward 提示：从模板中提取前缀
+      const domainPrefix = extractPromptValue(t('email.prompt.addDomain', { v: '\x00' }), replyTo.text);
+      const fwdPrefix = extractPromptValue(t('email.prompt.addForward', { v: '\x00' }), replyTo.text);
+      const digestPrefix = extractPromptValue(t('email.prompt.digestTimes', { v: '\x00' }), replyTo.text);
+      // 定时静音：全局提示固定文本，前缀/发件人从模板中提取（含 @ 为发件人）
+      const muteTarget = replyTo.text === t('mute.promptGlobal')
+        ? 'g' : extractPromptValue(t('mute.prompt', { v: '\x00' }), replyTo.text);
+      if (domainPrefix) await cmdAddDomain(domainPrefix, input, env);
+      else if (fwdPrefix) await cmdAddForward(fwdPrefix, input, env);
+      else if (digestPrefix) await cmdSetDigestTimes(digestPrefix, input, env);
+      else if (muteTarget) await cmdMuteFor(muteTarget === 'g' ? 'g' : `${muteTarget.includes('@') ? 's' : 'p'}:${muteTarget}`, input, env);
     }
   } catch (err) {
     console.error('Webhook reply error:', err);
@@ -1322,34 +1723,89 @@ export async function handleEmailReply(msg, replyTo, text, env) {
 
 // ============ handleIncomingEmail ============
 
-export async function handleIncomingEmail(message, env) {
+// 逐个转发，返回失败的地址列表（目标地址未验证时 forward 会抛错）
+export async function forwardEmail(message, addrs) {
+  const failed = [];
+  for (const addr of addrs) {
+    try {
+      await message.forward(addr);
+    } catch (err) {
+      console.log(`Forward to ${addr} failed:`, err.message);
+      failed.push(addr);
+    }
+  }
+  return failed;
+}
+
+export async function handleIncomingEmail(message, env, ctx) {
   try {
     const rawFrom = message.from || 'unknown';
     const rawTo = message.to || 'unknown';
 
+    // 先解除已到期的定时静音（定时任务之间到期的也能及时生效）
+    let muteTimers = {};
+    try {
+      muteTimers = await liftExpiredMutes(env);
+    } catch (err) {
+      console.log('Mute expiry failed:', err.message);
+    }
+
     // 并行读取所有过滤和静音配置
     const senderAddr = rawFrom.toLowerCase();
     const [blockedSenders, activeRules, pausedRules, prefixDomains,
-           globalMute, mutedPrefixes, mutedSenders] = await Promise.all([
+           globalMute, mutedPrefixes, mutedSenders, prefixForwards, forwardOnly, mailRules,
+           prefixDigests, quietHours, burners] = await Promise.all([
       getBlockedSenders(env),
       getActiveRules(env), getPausedRules(env), getPrefixDomains(env),
       getGlobalMute(env), getMutedPrefixes(env), getMutedSenders(env),
+      getPrefixForwards(env), getForwardOnlyPrefixes(env), getMailRules(env),
+      getPrefixDigests(env), getQuietHours(env), getBurnerPrefixes(env),
     ]);
 
-    if (blockedSenders.includes(senderAddr)) {
+    const rejectPolicy = getRejectPolicy(env);
+    const prefix = rawTo.split('@')[0].toLowerCase();
+    // 收信统计：写入交给 waitUntil，不拖慢收信
+    const countMail = (kind, extra) => {
+      const write = recordMailStat(env, kind, { prefix, sender: senderAddr, ...extra });
+      return ctx ? ctx.waitUntil(write) : write;
+    };
+    if (matchSenderList(blockedSenders, senderAddr)) {
       console.log(`Blocked sender: ${rawFrom}`);
+      if (rejectPolicy.blocked) message.setReject(rejectPolicy.reason);
+      await countMail('blocked');
+      return;
+    }
+    // 已到期/用完的一次性前缀：结束并拒收
+    const burner = burners[prefix];
+    if (burner && (burner.ended || isBurnerExhausted(burner))) {
+      console.log(`Rejected: ${rawTo} (burner ended)`);
+      if (!burner.ended) await endBurner(env, prefix);
+      await quarantineEmail(env, message, { prefix, to: rawTo.toLowerCase(), sender: senderAddr, reason: 'burner' });
+      message.setReject(rejectPolicy.reason);
+      await countMail('rejected');
       return;
     }
     if (!isAllowedRecipient(rawTo, activeRules, pausedRules, prefixDomains)) {
       console.log(`Skipped: ${rawTo} (not allowed)`);
+      // 开启隔离时保留几天，定时报告（须在退信前读取原文）
+      const reason = pausedRules.includes(prefix) ? 'paused' : activeRules.includes(prefix) ? 'domain' : 'unknown';
+      await quarantineEmail(env, message, { prefix, to: rawTo.toLowerCase(), sender: senderAddr, reason });
+      if (rejectPolicy.unknown) message.setReject(rejectPolicy.reason);
+      await countMail('rejected');
       return;
     }
+    // 计数；达到上限后这封仍正常投递，之后的邮件拒收
+    if (burner) {
+      const counted = await countBurnerEmail(env, prefix);
+      if (counted && isBurnerExhausted(counted)) await endBurner(env, prefix);
+    }
+    // 论坛模式：发往该前缀的话题（首次自动创建）；只替换本次调用的 env
+    env = await useTopic(env, `p:${prefix}`);
 
-    const prefix = rawTo.split('@')[0].toLowerCase();
-    const shouldMute = globalMute || mutedPrefixes.includes(prefix) || mutedSenders.includes(senderAddr);
+    const shouldMute = globalMute || mutedPrefixes.includes(prefix) || matchSenderList(mutedSenders, senderAddr);
 
-    // 邮件频率检测（含写入，需在过滤后执行）
-    const isHighFreq = await checkEmailRate(env);
+    const fwdAddrs = prefixForwards[prefix] || [];
+    const isForwardOnly = fwdAddrs.length > 0 && forwardOnly.includes(prefix);
 
     let parsed;
     let rawEmail;
@@ -1359,6 +1815,12 @@ export async function handleIncomingEmail(message, env) {
       parsed = await parser.parse(rawEmail);
     } catch (parseErr) {
       console.log('postal-mime parse failed:', parseErr.message);
+      // 无法匹配规则和 DMARC：照常转发；仅转发的前缀转发成功后不再通知
+      const failed = await forwardEmail(message, fwdAddrs);
+      if (isForwardOnly && failed.length === 0) {
+        await countMail('forwarded');
+        return;
+      }
       const subject = message.headers?.get('subject') || t('email.parseFailed');
       const fallbackText = t('email.parseFailedTitle')
         + `${t('email.from')}${esc(rawFrom)}\n`
@@ -1368,26 +1830,68 @@ export async function handleIncomingEmail(message, env) {
         + `${t('email.parseFailedBody')}\n`
         + `${t('email.parseFailedError')}${esc(parseErr.message)}`;
       await sendTelegramMessage(env, fallbackText, null, { disable_notification: shouldMute });
+      await countMail('delivered', { muted: shouldMute });
+      return;
+    }
+
+    // 邮件规则（解析后按顺序匹配）
+    const ruleResult = evaluateMailRules(mailRules, {
+      from: senderAddr, to: rawTo.toLowerCase(), prefix,
+      subject: parsed.subject || '', headers: parsed.headers || [],
+      hasAttachment: (parsed.attachments || []).length > 0, size: rawEmail.byteLength,
+    });
+    if (ruleResult.drop) {
+      console.log(`Dropped by rule: ${rawFrom} → ${rawTo}`);
+      await countMail('dropped');
+      return;
+    }
+    // DMARC 未通过：按设置丢弃或静音（提示始终显示在通知中）
+    const dmarcAction = isDmarcFail(parseAuthResults(parsed.headers)) ? getDmarcFailAction(env) : null;
+    if (dmarcAction === 'drop') {
+      console.log(`Dropped (DMARC fail): ${rawFrom} → ${rawTo}`);
+      await countMail('dropped');
+      return;
+    }
+    // 转发到真实邮箱：规则和 DMARC 丢弃的邮件不转发；前缀和规则的地址合并去重后只转发一次
+    const fwdFailed = await forwardEmail(message, [...new Set([...fwdAddrs, ...ruleResult.forward])]);
+    if (isForwardOnly && !fwdFailed.some(a => fwdAddrs.includes(a))) {
+      console.log(`Forward only: ${rawTo} → ${fwdAddrs.join(', ')}`);
+      await countMail('forwarded');
       return;
     }
+    // 仅转发前缀转发失败时退回到 Telegram 通知，避免邮件丢失
+
+    // 邮件频率检测（含写入，需在过滤后执行）
+    const isHighFreq = await checkEmailRate(env);
 
     // 编码修复 + 提取正文
     const fixed = tryFixBodyEncoding(new Uint8Array(rawEmail), parsed.text, parsed.html);
     let body = fixed.text || '';
-    if (!body && fixed.html) {
-      body = htmlToText(fixed.html);
-    }
+    // HTML 始终转换一次，用于收集链接做钓鱼检测
+    const links = [];
+    const htmlText = fixed.html ? htmlToText(fixed.html, links) : '';
+    if (!body) body = htmlText;
+    const bodyText = body;
+    const linkWarnings = buildPhishingWarnings(findPhishingWarnings(links, await getTrustedDomains(env)));
     if (!body) body = t('email.noBody');
 
-    // 附件分类：图片附件存储，非图片仅在通知中列出
+    // 附件分类：图片和不超过附件上限的文件附件存储，超限文件仅在通知中列出
     const maxSize = getAttachMaxSize(env);
     const trackingSize = getTrackingPixelSize(env);
     const bodyMaxLen = getBodyMaxLength(env);
-    const attachmentSummary = buildAttachmentSummary(parsed.attachments, maxSize, trackingSize);
+    // 日历邀请：第一个可解析的 VEVENT 单独显示，不计入附件摘要
+    let calendarEvent = null;
+    let calendarAtt = null;
+    for (const att of parsed.attachments || []) {
+      if (!att.content || !isCalendarAttachment(att)) continue;
+      calendarEvent = parseIcs(attachmentText(att));
+      if (calendarEvent) { calendarAtt = att; break; }
+    }
+    const attachmentSummary = buildAttachmentSummary((parsed.attachments || []).filter(att => att !== calendarAtt), maxSize, trackingSize);
 
-    // 列出非图片附件（仅通知，不存储）
     let nonImageInfo = '';
     const imageAtts = [];
+    const fileAtts = [];
     if (parsed.attachments) {
       const nonImages = [];
       for (const att of parsed.attachments) {
@@ -1399,6 +1903,8 @@ export async function handleIncomingEmail(message, env) {
         if (isImage && isInline && size < trackingSize) continue; // 跟踪像素
         if (isImage) {
           imageAtts.push(att);
+        } else if (size <= maxSize) {
+          fileAtts.push(att);
         } else {
           nonImages.push({ name: att.filename || 'unnamed', size });
         }
@@ -1409,7 +1915,9 @@ export async function handleIncomingEmail(message, env) {
       }
     }
 
-    // 退订链接提取
+    // 退订链接提取；可一键退订或发 mailto 时另有退订按钮
+    const unsubParsed = parseListUnsubscribe(parsed.headers);
+    const unsub = canAutoUnsubscribe(env, unsubParsed) ? unsubParsed : null;
     let unsubInfo = '';
     const unsubHeader = parsed.headers?.find(h => h.key === 'list-unsubscribe');
     if (unsubHeader) {
@@ -1420,32 +1928,90 @@ export async function handleIncomingEmail(message, env) {
     }
 
     // 根据频率选择通知格式
+    const timeZone = getTimezone(env);
+    const fwdInfo = fwdFailed.length > 0 ? t('email.forwardFailed', { v: fwdFailed.map(a => esc(a)).join(', ') }) : '';
     let text;
-    if (isHighFreq) {
-      text = buildCompactNotificationText(parsed, rawFrom, rawTo);
+    if (isHighFreq || ruleResult.compact) {
+      text = buildCompactNotificationText(parsed, rawFrom, rawTo, timeZone) + fwdInfo;
     } else {
-      text = buildNotificationText(parsed, rawFrom, rawTo, body, attachmentSummary, bodyMaxLen);
-      const extras = (nonImageInfo ? esc(nonImageInfo) : '') + unsubInfo;
+      text = buildNotificationText(parsed, rawFrom, rawTo, body, attachmentSummary, bodyMaxLen, timeZone, linkWarnings);
+      const extras = (nonImageInfo ? esc(nonImageInfo) : '') + unsubInfo + fwdInfo;
       if (text.length + extras.length <= TG_MESSAGE_LIMIT) {
         text += extras;
       }
     }
 
-    // 发送主通知（高频时强制静音）
-    const senderIsMuted = mutedSenders.includes(senderAddr);
-    const msgResult = await sendTelegramMessage(env, text, null, {
-      disable_notification: shouldMute || isHighFreq,
-    });
-    const mainMessageId = msgResult?.result?.message_id;
+    // 规则标签显示在通知顶部
+    if (ruleResult.tags.length > 0) {
+      const tagLine = '🏷 ' + ruleResult.tags.map(tag => `#${esc(tag)}`).join(' ') + '\n';
+      if (text.length + tagLine.length <= TG_MESSAGE_LIMIT) text = tagLine + text;
+    }
 
-    // 存储管理：精简 .eml + 图片附件
-    if (mainMessageId) {
-      // 1. 存储精简 .eml
-      const emlSize = await saveStrippedEml(env, mainMessageId, rawEmail);
+    // 关联了密码条目的前缀收到无关网站的邮件：可能是地址泄露或被转卖
+    const leakWarning = await checkAddressLeak(env, prefix, senderDomain(parsed, rawFrom));
+    if (leakWarning && text.length + leakWarning.length <= TG_MESSAGE_LIMIT) text = leakWarning + text;
+
+    // 日历邀请置顶（精简格式同样保留）
+    if (calendarEvent) {
+      const block = buildCalendarBlock(calendarEvent, timeZone) + '\n';
+      if (text.length + block.length <= TG_MESSAGE_LIMIT) text = block + text;
+    }
+
+    // 验证码/登录链接置顶（精简格式同样保留）
+    const otp = extractVerificationCode(parsed.subject, bodyText);
+    const magicLink = extractMagicLink(fixed.html, bodyText);
+    const otpHeader = buildOtpHeader(otp, magicLink);
+    if (otpHeader && text.length + otpHeader.length <= TG_MESSAGE_LIMIT) text = otpHeader + text;
+
+    // 免打扰时段静音，例外发件人/关键词仍然提醒
+    const isQuiet = isQuietTime(quietHours.windows, Date.now(), timeZone)
+      && !isVipMail(quietHours.vip, senderAddr, parsed.subject, bodyText);
+
+    // 发送主通知（高频时强制静音）；摘要模式不单独推送，用独立 id 存储后加入摘要队列
+    const senderIsMuted = matchSenderList(mutedSenders, senderAddr);
+    const isDigest = !!prefixDigests[prefix];
+    let mainMessageId;
+    if (isDigest) {
+      mainMessageId = await nextDigestId(env);
+    } else {
+      // 同一对话的邮件回复上一条通知，并显示是第几封
+      const thread = await findMailThread(env, parsed);
+      const threadLine = thread ? t('thread.counter', { n: thread.count }) : '';
+      if (threadLine && text.length + threadLine.length <= TG_MESSAGE_LIMIT) text = threadLine + text;
+      const msgResult = await sendTelegramMessage(env, text, thread?.replyTo, {
+        disable_notification: shouldMute || ruleResult.mute || isHighFreq || isQuiet || dmarcAction === 'mute',
+      });
+      mainMessageId = msgResult?.result?.message_id;
+      if (mainMessageId) await recordMailThread(env, parsed, thread, mainMessageId);
+    }
+
+    // 规则要求不存储：只保留发件人元数据，供静音/屏蔽按钮使用
+    if (mainMessageId && ruleResult.nostore) {
+      await saveMsgMeta(env, mainMessageId, {
+        sender: senderAddr, to: rawTo.toLowerCase(), subject: parsed.subject || '', attCount: 0, images: [],
+        ...(otp ? { otp } : {}),
+        ...(unsub ? { unsub } : {}),
+      });
+      if (!isDigest) {
+        const keyboard = buildEmailActionKeyboard(mainMessageId, senderIsMuted, false, 0, false, { noStorage: true, otp, unsub: !!unsub });
+        await fetchWithRetry(
+          `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/editMessageReplyMarkup`,
+          { method: 'POST', headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ chat_id: env.TG_CHAT_ID, message_id: mainMessageId, reply_markup: keyboard }) },
+          'addEmailKeyboard',
+        );
+      }
+    } else if (mainMessageId) {
+      // 存储管理：精简 .eml + 图片 + 文件附件
+      // 1. 存储 .eml（R2 保存完整原件，KV 保存精简版）
+      const emlSize = await saveEmailEml(env, mainMessageId, rawEmail);
+      // 完整原件已含附件：只记录 part（附件序号），不再单独存储，也不重复计入空间
+      const inEml = emlSize > 0 && !!getMailBucket(env);
+      const emlPart = att => ({ part: parsed.attachments.indexOf(att), ttl: getEmlTtl(env) });
 
       // 2. 存储图片附件
       const storedImages = [];
-      let totalImageSize = 0;
+      let totalAttSize = 0;
 
       const idx = await runEmailCleanup(env);
       const maxStorage = getMaxStorage(env);
@@ -1456,9 +2022,15 @@ export async function handleIncomingEmail(message, env) {
         const imgBuf = await imgBytes.arrayBuffer();
         const imgSize = imgBuf.byteLength;
         const ttl = getImageTtl(imgSize);
+        const cid = (att.contentId || '').replace(/^<|>$/g, '');
+        const fn = att.filename || `image_${i}${extFromMime(att.mimeType)}`;
+        if (inEml) {
+          storedImages.push({ i, fn, mime: att.mimeType, size: imgSize, cid, ...emlPart(att) });
+          continue;
+        }
 
         // 检查空间，必要时驱逐
-        const needed = emlSize + totalImageSize + imgSize;
+        const needed = emlSize + totalAttSize + imgSize;
         if (idx.totalSize + needed > maxStorage) {
           await evictForSpace(env, idx, needed);
         }
@@ -1469,43 +2041,119 @@ export async function handleIncomingEmail(message, env) {
         }
 
         if (await saveImage(env, mainMessageId, i, imgBuf)) {
-          storedImages.push({ i, fn: att.filename || `image_${i}${extFromMime(att.mimeType)}`, mime: att.mimeType, size: imgSize, ttl });
-          totalImageSize += imgSize;
+          storedImages.push({ i, fn, mime: att.mimeType, size: imgSize, ttl, cid });
+          totalAttSize += imgSize;
         }
       }
 
-      // 3. 更新索引
-      idx.entries.push({
+      // 文件附件与图片共用存储空间
+      const storedFiles = [];
+      for (let i = 0; i < fileAtts.length; i++) {
+        const att = fileAtts[i];
+        const fileBuf = await base64ToBlob(att.content, att.mimeType).arrayBuffer();
+        const fileSize = fileBuf.byteLength;
+        const mime = att.mimeType || 'application/octet-stream';
+        const file = { idx: i, size: fileSize, ttl: getImageTtl(fileSize), fn: att.filename || `file_${i}${extFromMime(mime)}`, mime };
+        // 日历邀请单独显示导入按钮
+        if (att === calendarAtt) Object.assign(file, { fn: att.filename || 'invite.ics', ics: true });
+        if (inEml) {
+          storedFiles.push({ ...file, ...emlPart(att) });
+          continue;
+        }
+        const needed = emlSize + totalAttSize + fileSize;
+        if (idx.totalSize + needed > maxStorage) {
+          await evictForSpace(env, idx, needed);
+        }
+        if (idx.totalSize + needed > maxStorage) {
+          console.log(`Skipping attachment ${i}: storage full`);
+          continue;
+        }
+        if (await saveAttachment(env, mainMessageId, i, fileBuf)) {
+          storedFiles.push(file);
+          totalAttSize += fileSize;
+        }
+      }
+
+      // 3. 更新索引（规则收藏需在收藏容量内）
+      const starred = ruleResult.star
+        && calcStarredSize(idx.entries) + emlSize + totalAttSize <= getStarMaxStorage(env);
+      const newEntry = {
         id: mainMessageId,
         ts: Date.now(),
-        starred: false,
+        starred,
         textSize: emlSize,
-        images: storedImages.map(img => ({ idx: img.i, size: img.size, ttl: img.ttl, fn: img.fn, mime: img.mime })),
+        images: storedImages.map(img => ({ idx: img.i, size: img.size, ttl: img.ttl, fn: img.fn, mime: img.mime, ...(img.cid ? { cid: img.cid } : {}), ...(img.part !== undefined ? { part: img.part } : {}) })),
+        files: storedFiles,
         sender: senderAddr,
         subject: (parsed.subject || '').substring(0, 100),
-      });
-      idx.totalSize += emlSize + totalImageSize;
+        prefix,
+        size: rawEmail.byteLength,
+      };
+      if (ruleResult.tags.length > 0) newEntry.tags = ruleResult.tags;
+      if (getMailBucket(env)) newEntry.r2 = true;
+      idx.entries.push(newEntry);
+      idx.totalSize += emlSize + totalAttSize;
       await trimOldEntries(env, idx);
       await setEmailIndex(env, idx);
 
+      // 正文写入全文索引（失败不影响通知）
+      try { await indexEmailBody(env, mainMessageId, bodyText); }
+      catch (err) { console.log('Full-text index failed:', err.message); }
+
       // 4. 保存元数据
       await saveMsgMeta(env, mainMessageId, {
         sender: senderAddr,
+        to: rawTo.toLowerCase(),
         subject: parsed.subject || '',
         attCount: storedImages.length,
-        images: storedImages.map(img => ({ i: img.i, fn: img.fn, mime: img.mime })),
+        images: storedImages.map(img => ({ i: img.i, fn: img.fn, mime: img.mime, ...(img.part !== undefined ? { p: img.part } : {}) })),
+        ...(otp ? { otp } : {}),
+        ...(unsub ? { unsub } : {}),
       });
 
       // 5. 添加操作按钮
-      const keyboard = buildEmailActionKeyboard(mainMessageId, senderIsMuted, false, storedImages.length, false);
-      await fetchWithRetry(
-        `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/editMessageReplyMarkup`,
-        { method: 'POST', headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ chat_id: env.TG_CHAT_ID, message_id: mainMessageId, reply_markup: keyboard }) },
-        'addEmailKeyboard',
-      );
+      if (!isDigest) {
+        const keyboard = buildEmailActionKeyboard(mainMessageId, senderIsMuted, false, storedImages.length, starred, {
+          canReply: !!getMailSender(env),
+          files: storedFiles,
+          otp,
+          viewUrl: await buildViewUrl(env, mainMessageId),
+          unsub: !!unsub,
+        });
+        await fetchWithRetry(
+          `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/editMessageReplyMarkup`,
+          { method: 'POST', headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ chat_id: env.TG_CHAT_ID, message_id: mainMessageId, reply_markup: keyboard }) },
+          'addEmailKeyboard',
+        );
+      }
+    }
+
+    const listItem = {
+      id: mainMessageId, ts: Date.now(), sender: senderAddr,
+      subject: (parsed.subject || '').substring(0, 100), stored: !ruleResult.nostore,
+    };
+    if (isDigest && mainMessageId) {
+      await queueDigestItem(env, prefix, listItem);
     }
 
+    // 定时静音期间收到的邮件，解除时汇总列出
+    const timedMute = shouldMute && !isDigest ? findTimedMute(muteTimers, prefix, senderAddr) : null;
+    if (timedMute && mainMessageId) {
+      await logMutedEmail(env, timedMute, listItem);
+    }
+
+    // 分配了该前缀的其他用户各收到一份；摘要前缀随摘要发送
+    if (mainMessageId && !isDigest) {
+      await notifyPrefixUsers(env, prefix, text, mainMessageId, {
+        stored: !ruleResult.nostore,
+        silent: shouldMute || ruleResult.mute || isHighFreq || isQuiet || dmarcAction === 'mute',
+      });
+    }
+
+    await countMail('delivered', {
+      muted: shouldMute || ruleResult.mute || dmarcAction === 'mute', compact: isHighFreq || ruleResult.compact,
+    });
     console.log('Email processed successfully');
   } catch (err) {
     console.log('Worker error:', err.message, err.stack);
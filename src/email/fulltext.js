@@ -0,0 +1,341 @@
+import { esc, parseSize } from '../shared/utils.js';
+import {
+  getEmailIndex, getSearchShard, setSearchShard, deleteSearchShard, listSearchShards,
+  getSearchDoc, setSearchDoc, deleteSearchDoc, listSearchDocs, entryStoredSize,
+} from '../shared/storage.js';
+
+// 分片 = id 区间 × token 桶：每个分片覆盖的消息 id 区间（Telegram message_id 递增）和桶数
+export const SEARCH_SHARD_SPAN = 200;
+export const SEARCH_SHARD_BUCKETS = 32;
+// 单个分片的大小上限，放不下的邮件保留为待合并文档，查询时单独读取
+export const SEARCH_SHARD_MAX_BYTES = 128 * 1024;
+const MAX_DOC_TOKENS = 2000;
+const MAX_TOKEN_LENGTH = 32;
+
+// 中日韩字符：按二元组切分（无空格分词）
+const CJK = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff';
+const CJK_RE = new RegExp(`[${CJK}]`);
+const CJK_SPLIT_RE = new RegExp(`[${CJK}]+|[^${CJK}]+`, 'g');
+
+// 得分权重：发件人 > 主题 > 正文
+const WEIGHT_SENDER = 3;
+const WEIGHT_SUBJECT = 2;
+const WEIGHT_BODY = 1;
+
+// ============ 分词 ============
+
+// 拉丁文按词（≥2 字符），CJK 连续片段拆为二元组（单字片段保留单字）
+export function tokenize(text, limit = MAX_DOC_TOKENS) {
+  const tokens = new Set();
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  for (const word of words) {
+    for (const part of word.match(CJK_SPLIT_RE)) {
+      if (CJK_RE.test(part[0])) {
+        if (part.length === 1) tokens.add(part);
+        for (let i = 0; i + 1 < part.length; i++) tokens.add(part.slice(i, i + 2));
+      } else if (part.length >= 2) {
+        tokens.add(part.slice(0, MAX_TOKEN_LENGTH));
+      }
+      if (tokens.size >= limit) return [...tokens].slice(0, limit);
+    }
+  }
+  return [...tokens];
+}
+
+export function searchShardOf(id) {
+  return Math.floor(id / SEARCH_SHARD_SPAN);
+}
+
+// token 所在的桶（FNV-1a 哈希）
+export function searchBucketOf(token) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) h = Math.imul(h ^ token.charCodeAt(i), 16777619);
+  return (h >>> 0) % SEARCH_SHARD_BUCKETS;
+}
+
+// ============ 索引读写 ============
+
+// 收信时只写本邮件的待合并文档，并发收信互不覆盖
+export async function indexEmailBody(env, id, text) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return;
+  await setSearchDoc(env, id, tokens);
+}
+
+// 每日任务（唯一的分片写入方）：把待合并文档并入分片，放不下的留待查询时读取
+export async function mergeSearchDocs(env) {
+  const ids = (await listSearchDocs(env)).sort((a, b) => a - b);
+  const shards = new Map(); // "n:b" → { n, b, shard, size, dirty }
+  const merged = [];
+  for (const id of ids) {
+    const tokens = await getSearchDoc(env, id);
+    if (!tokens) continue;
+    const n = searchShardOf(id);
+    const groups = new Map();
+    for (const tok of tokens) {
+      const b = searchBucketOf(tok);
+      (groups.get(b) || groups.set(b, []).get(b)).push(tok);
+    }
+    const targets = [];
+    for (const [b, toks] of groups) {
+      const key = `${n}:${b}`;
+      if (!shards.has(key)) {
+        const shard = await getSearchShard(env, n, b);
+        shards.set(key, { n, b, shard, size: JSON.stringify(shard).length, dirty: false });
+      }
+      const target = shards.get(key);
+      const added = toks.reduce((sum, tok) => sum + String(id).length + 1 + (target.shard[tok] ? 0 : tok.length + 6), 0);
+      targets.push([target, toks, added]);
+    }
+    if (targets.some(([target, , added]) => target.size + added > SEARCH_SHARD_MAX_BYTES)) continue;
+    // 与已有内容合并，重复合并同一邮件不会产生重复 id
+    for (const [target, toks, added] of targets) {
+      for (const tok of toks) {
+        const list = target.shard[tok] || (target.shard[tok] = []);
+        if (!list.includes(id)) list.push(id);
+      }
+      target.size += added;
+      target.dirty = true;
+    }
+    merged.push(id);
+  }
+  // 先写分片再删文档：中途失败时下次重新合并
+  for (const { n, b, shard, dirty } of shards.values()) {
+    if (dirty) await setSearchShard(env, n, b, shard);
+  }
+  for (const id of merged) await deleteSearchDoc(env, id);
+  return merged.length;
+}
+
+// 返回 Map<term, Set<id>>：每个查询词在正文中命中的邮件
+// 只读取查询词所在桶的分片，外加尚未合并的文档
+export async function lookupBodyHits(env, entries, terms) {
+  const hits = new Map(terms.map(term => [term, new Set()]));
+  if (terms.length === 0 || entries.length === 0) return hits;
+  const shardNums = [...new Set(entries.map(e => searchShardOf(e.id)))];
+  const buckets = [...new Set(terms.map(searchBucketOf))];
+  const keys = shardNums.flatMap(n => buckets.map(b => [n, b]));
+  const shards = await Promise.all(keys.map(([n, b]) => getSearchShard(env, n, b)));
+  for (const shard of shards) {
+    for (const term of terms) {
+      for (const id of (shard[term] || [])) hits.get(term).add(id);
+    }
+  }
+  const wanted = new Set(entries.map(e => e.id));
+  const pending = (await listSearchDocs(env)).filter(id => wanted.has(id));
+  const docs = await Promise.all(pending.map(id => getSearchDoc(env, id)));
+  pending.forEach((id, i) => {
+    const tokens = new Set(docs[i] || []);
+    for (const term of terms) if (tokens.has(term)) hits.get(term).add(id);
+  });
+  return hits;
+}
+
+// 删除已不在邮件索引中的 id 和待合并文档，整片失效时删除分片
+export async function pruneSearchShards(env) {
+  const idx = await getEmailIndex(env);
+  const live = new Set(idx.entries.map(e => e.id));
+  const liveShards = new Set(idx.entries.map(e => searchShardOf(e.id)));
+  let removed = 0;
+  for (const id of await listSearchDocs(env)) {
+    if (!live.has(id)) await deleteSearchDoc(env, id);
+  }
+  for (const { n, b } of await listSearchShards(env)) {
+    if (!liveShards.has(n)) {
+      await deleteSearchShard(env, n, b);
+      removed++;
+      continue;
+    }
+    const shard = await getSearchShard(env, n, b);
+    let changed = false;
+    for (const [tok, ids] of Object.entries(shard)) {
+      const kept = ids.filter(id => live.has(id));
+      if (kept.length === ids.length) continue;
+      changed = true;
+      if (kept.length > 0) shard[tok] = kept;
+      else delete shard[tok];
+    }
+    if (changed) await setSearchShard(env, n, b, shard);
+  }
+  return removed;
+}
+
+// ============ 查询语法 ============
+
+export const QUERY_OPERATORS = ['from', 'to', 'subject', 'before', 'after', 'has', 'is', 'larger', 'smaller', 'tag'];
+
+// 拆分为子句 { field, value, negate }；field 为 text（自由词）、phrase（引号短语）或运算符
+// 例：from:amazon -subject:"weekly digest" after:2026-01-01 larger:1mb "order shipped"
+export function parseSearchQuery(query) {
+  const clauses = [];
+  const re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let m;
+  while ((m = re.exec(String(query || '')))) {
+    const quoted = m[3] !== undefined;
+    let field = (m[2] || '').toLowerCase();
+    let value = (quoted ? m[3] : m[4]).trim();
+    // 未知运算符（如 re:hello、http://）按普通词处理
+    if (field && !QUERY_OPERATORS.includes(field)) {
+      value = `${m[2]}:${value}`;
+      field = '';
+    }
+    if (!value) continue;
+    clauses.push({ field: field || (quoted ? 'phrase' : 'text'), value, negate: m[1] === '-' });
+  }
+  return clauses;
+}
+
+// 肯定的自由词/短语，用于正文排序、摘要和高亮
+export function queryFreeText(clauses) {
+  return clauses
+    .filter(c => !c.negate && (c.field === 'text' || c.field === 'phrase'))
+    .map(c => c.value)
+    .join(' ');
+}
+
+// 查询涉及的全部正文词（含取反的词）
+export function queryBodyTerms(clauses) {
+  const terms = new Set();
+  for (const c of clauses) {
+    if (c.field === 'text' || c.field === 'phrase') tokenize(c.value).forEach(term => terms.add(term));
+  }
+  return [...terms];
+}
+
+// YYYY-MM-DD / YYYY/M/D → UTC 零点；无法解析返回 null
+export function parseQueryDate(value) {
+  const m = String(value || '').match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (!m) return null;
+  const ts = Date.UTC(+m[1], +m[2] - 1, +m[3]);
+  return new Date(ts).getUTCDate() === +m[3] ? ts : null;
+}
+
+// 旧条目没有原始大小时，用 .eml + 图片 + 文件附件估算
+export function entryMailSize(e) {
+  return e.size || entryStoredSize(e);
+}
+
+// 自由词：分词后每个词须在发件人、主题或正文命中；无可分词内容时退回子串匹配
+function matchFreeText(e, value, bodyHits, phrase) {
+  const sender = (e.sender || '').toLowerCase();
+  const subject = (e.subject || '').toLowerCase();
+  const lower = value.toLowerCase();
+  if (sender.includes(lower) || subject.includes(lower)) return true;
+  const terms = tokenize(value);
+  if (terms.length === 0) return false;
+  const inBody = term => !!bodyHits?.get(term)?.has(e.id);
+  // 短语在正文中只能近似为所有词都出现
+  if (phrase) return terms.every(inBody);
+  return terms.every(term => sender.includes(term) || subject.includes(term) || inBody(term));
+}
+
+function matchClause(e, c, bodyHits) {
+  const v = c.value.toLowerCase();
+  switch (c.field) {
+    case 'text':
+      return matchFreeText(e, c.value, bodyHits, false);
+    case 'phrase':
+      return matchFreeText(e, c.value, bodyHits, true);
+    case 'from':
+      return (e.sender || '').toLowerCase().includes(v);
+    case 'to':
+      return (e.prefix || '') === v.split('@')[0];
+    case 'subject':
+      return (e.subject || '').toLowerCase().includes(v);
+    case 'tag':
+      return (e.tags || []).includes(v.replace(/^#/, ''));
+    // before: 不含当天，after: 含当天
+    case 'before':
+    case 'after': {
+      const day = parseQueryDate(v);
+      if (day === null) return null;
+      return c.field === 'before' ? e.ts < day : e.ts >= day;
+    }
+    case 'larger':
+    case 'smaller': {
+      const bytes = parseSize(v);
+      if (bytes === null) return null;
+      return c.field === 'larger' ? entryMailSize(e) > bytes : entryMailSize(e) < bytes;
+    }
+    case 'has':
+      if (v === 'image') return (e.images || []).length > 0;
+      if (v === 'attachment') return (e.images || []).length > 0 || (e.files || []).length > 0;
+      if (v === 'tag') return (e.tags || []).length > 0;
+      return null;
+    case 'is':
+      if (v === 'starred') return !!e.starred;
+      if (v === 'unstarred') return !e.starred;
+      return null;
+    default:
+      return null;
+  }
+}
+
+// 所有子句都须满足（取反子句须不满足）；无法解析的日期/大小/取值（null）忽略
+export function matchSearchQuery(e, clauses, bodyHits) {
+  return clauses.every((c) => {
+    const hit = matchClause(e, c, bodyHits);
+    return hit === null || hit !== c.negate;
+  });
+}
+
+// ============ 排序 ============
+
+// 所有查询词都须在发件人、主题或正文中命中；按得分、时间倒序
+export function rankSearchResults(entries, keyword, bodyHits) {
+  const terms = tokenize(keyword);
+  const phrase = keyword.trim().toLowerCase();
+  const results = [];
+  for (const e of entries) {
+    const sender = (e.sender || '').toLowerCase();
+    const subject = (e.subject || '').toLowerCase();
+    let score = 0;
+    let bodyMatch = false;
+    let matched = terms.length > 0;
+    for (const term of terms) {
+      let termScore = 0;
+      if (sender.includes(term)) termScore += WEIGHT_SENDER;
+      if (subject.includes(term)) termScore += WEIGHT_SUBJECT;
+      if (bodyHits?.get(term)?.has(e.id)) {
+        termScore += WEIGHT_BODY;
+        bodyMatch = true;
+      }
+      if (termScore === 0) { matched = false; break; }
+      score += termScore;
+    }
+    if (!matched) continue;
+    // 整个关键词原样出现时额外加分
+    if (sender.includes(phrase) || subject.includes(phrase)) score += WEIGHT_SUBJECT;
+    results.push({ ...e, score, bodyMatch });
+  }
+  return results.sort((a, b) => (b.score - a.score) || (b.ts - a.ts));
+}
+
+// ============ 摘要 ============
+
+// 截取第一个命中词附近的正文片段（纯文本）
+export function buildSnippet(text, keyword, width = 80) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+  const candidates = [keyword.trim().toLowerCase(), ...tokenize(keyword)].filter(Boolean);
+  let pos = -1;
+  for (const term of candidates) {
+    pos = lower.indexOf(term);
+    if (pos !== -1) break;
+  }
+  if (pos === -1) return '';
+  const start = Math.max(0, pos - Math.floor(width / 3));
+  const end = Math.min(flat.length, start + width);
+  return (start > 0 ? '…' : '') + flat.slice(start, end) + (end < flat.length ? '…' : '');
+}
+
+// 转义后用 <b> 标出命中词
+export function highlightSnippet(snippet, keyword) {
+  const terms = [keyword.trim(), ...tokenize(keyword)]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (terms.length === 0) return esc(snippet);
+  const re = new RegExp(`(${terms.join('|')})`, 'gi');
+  return snippet.split(re).map((part, i) => (i % 2 === 1 ? `<b>${esc(part)}</b>` : esc(part))).join('');
+}
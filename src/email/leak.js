@@ -0,0 +1,57 @@
+import { esc } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import { getPwdLinks, setPwdLinks } from '../shared/storage.js';
+import { baseDomain, siteLabel, isSameSite } from './phishing.js';
+
+// 每个关联最多记录的网站域名
+export const MAX_LINK_SITES = 5;
+
+const PREFIX_RE = /^[a-z0-9][a-z0-9._+-]*$/;
+const HOST_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// https://www.GitHub.com/login → github.com；不像域名返回 ''
+export function normalizeSite(value) {
+  const host = String(value || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '').split(/[/?#:]/)[0].replace(/^www\./, '');
+  return HOST_RE.test(host) ? baseDomain(host) : '';
+}
+
+// "shop github.com, githubapp.com" → { prefix: 'shop', sites: ['github.com', 'githubapp.com'] }
+// 前缀格式不对或域名无法识别返回 null
+export function parseLinkInput(text) {
+  const [prefix, ...rest] = String(text || '').trim().toLowerCase().split(/[\s,，]+/).filter(Boolean);
+  if (!prefix || prefix.length > 64 || !PREFIX_RE.test(prefix)) return null;
+  const sites = [];
+  for (const value of rest) {
+    const site = normalizeSite(value);
+    if (!site) return null;
+    if (!sites.includes(site)) sites.push(site);
+  }
+  return { prefix, sites: sites.slice(0, MAX_LINK_SITES) };
+}
+
+// 发件域名是否属于关联的网站：同一网站（见 isSameSite），或网站名加了其他字样（githubapp.com）
+// 网站名相同只是后缀不同（github.top）不算
+export function isRelatedSender(domain, sites) {
+  const label = siteLabel(domain);
+  return sites.some(site => {
+    const name = siteLabel(site);
+    return isSameSite(domain, site) || (name.length >= 4 && label !== name && label.includes(name));
+  });
+}
+
+// 发到关联前缀的邮件来自无关域名时返回警告行，否则返回 ''
+// 关联时没有填网站的，以第一封邮件的发件域名为准
+export async function checkAddressLeak(env, prefix, domain) {
+  if (!domain) return '';
+  const links = await getPwdLinks(env);
+  const link = links[prefix];
+  if (!link) return '';
+  if (!link.sites?.length) {
+    link.sites = [baseDomain(domain)];
+    await setPwdLinks(env, links);
+    return '';
+  }
+  if (isRelatedSender(domain, link.sites)) return '';
+  return t('leak.warning', { name: esc(link.name), domain: esc(domain), sites: esc(link.sites.join(', ')) });
+}
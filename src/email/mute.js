@@ -0,0 +1,172 @@
+import { esc, zonedTime, parseClockTime } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import { sendTelegramMessage } from '../shared/telegram.js';
+import {
+  getMuteTimers, setMuteTimers, setGlobalMute, getMutedPrefixes, setMutedPrefixes,
+  getMutedSenders, setMutedSenders, getTimezone,
+} from '../shared/storage.js';
+import { buildMailItemsText, buildDigestKeyboard } from './digest.js';
+import { withTopic } from '../shared/topics.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 预设时长；am = 直到下一个早上 8 点（按设置的时区）
+export const MUTE_PRESETS = { '1h': HOUR_MS, '8h': 8 * HOUR_MS };
+export const MUTE_MORNING = 8 * 60;
+export const MUTE_MAX_MS = 30 * DAY_MS;
+// 静音期间最多记录的邮件条数
+export const MUTE_LOG_MAX = 50;
+
+const DURATION_UNITS = {
+  m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000, '分钟': 60000,
+  h: HOUR_MS, hr: HOUR_MS, hour: HOUR_MS, hours: HOUR_MS, '小时': HOUR_MS,
+  d: DAY_MS, day: DAY_MS, days: DAY_MS, '天': DAY_MS,
+};
+
+// ============ 时长 ============
+
+// 下一次到达当地 hh:mm 的时间戳
+export function nextLocalTime(minutes, now, timeZone) {
+  const current = zonedTime(now, timeZone).minutes;
+  let delta = (minutes - current + 24 * 60) % (24 * 60);
+  if (delta === 0) delta = 24 * 60;
+  return now - (now % 60000) + delta * 60000;
+}
+
+// 预设按钮 → 截止时间
+export function muteUntilPreset(choice, now, timeZone) {
+  if (choice === 'am') return nextLocalTime(MUTE_MORNING, now, timeZone);
+  return MUTE_PRESETS[choice] ? now + MUTE_PRESETS[choice] : null;
+}
+
+// "30m" / "2h" / "3天" / "18:30" → 截止时间；无效或超过 30 天返回 null
+export function parseMuteDuration(input, now, timeZone) {
+  const value = String(input || '').trim().toLowerCase();
+  const clock = parseClockTime(value);
+  if (clock !== null) return nextLocalTime(clock, now, timeZone);
+  const m = value.match(/^(\d+)\s*([a-z\u4e00-\u9fff]+)$/);
+  if (!m || !DURATION_UNITS[m[2]]) return null;
+  const ms = +m[1] * DURATION_UNITS[m[2]];
+  if (ms <= 0 || ms > MUTE_MAX_MS) return null;
+  return now + ms;
+}
+
+// 当天显示 HH:MM，否则 MM-DD HH:MM（当地时间）
+export function formatMuteUntil(until, timeZone, now = Date.now()) {
+  const local = new Date(until + zonedTime(until, timeZone).offset).toISOString();
+  const today = new Date(now + zonedTime(now, timeZone).offset).toISOString().slice(0, 10);
+  const time = local.slice(11, 16);
+  return local.slice(0, 10) === today ? time : `${local.slice(5, 10)} ${time}`;
+}
+
+// ============ 选择界面 ============
+
+// target：g（全局）、p:<前缀>、s:<邮件 id>
+export function buildMuteDurationKeyboard(target) {
+  return {
+    inline_keyboard: [
+      [
+        { text: t('mute.btn.1h'), callback_data: `mt:1h:${target}` },
+        { text: t('mute.btn.8h'), callback_data: `mt:8h:${target}` },
+      ],
+      [
+        { text: t('mute.btn.am'), callback_data: `mt:am:${target}` },
+        { text: t('mute.btn.custom'), callback_data: `mt:custom:${target}` },
+      ],
+      [{ text: t('mute.btn.ever'), callback_data: `mt:ever:${target}` }],
+      [{ text: t('btn.cancel'), callback_data: `mt:no:${target}` }],
+    ],
+  };
+}
+
+// 定时器 key：g、p:<前缀>、s:<发件人>
+export function muteTargetLabel(key) {
+  if (key === 'g') return t('mute.target.global');
+  if (key.startsWith('p:')) return t('mute.target.prefix', { v: esc(key.slice(2)) });
+  return t('mute.target.sender', { v: esc(key.slice(2)) });
+}
+
+// ============ 定时器读写 ============
+
+// 开启静音；until 为 null 表示永久（清除定时器）
+export async function applyMute(env, key, until) {
+  if (key === 'g') {
+    await setGlobalMute(env, true);
+  } else if (key.startsWith('p:')) {
+    const list = await getMutedPrefixes(env);
+    if (!list.includes(key.slice(2))) list.push(key.slice(2));
+    await setMutedPrefixes(env, list);
+  } else {
+    const list = await getMutedSenders(env);
+    if (!list.includes(key.slice(2))) list.push(key.slice(2));
+    await setMutedSenders(env, list);
+  }
+  const timers = await getMuteTimers(env);
+  if (until) timers[key] = { until, log: timers[key]?.log || [] };
+  else delete timers[key];
+  await setMuteTimers(env, timers);
+}
+
+// 手动取消静音时清除定时器
+export async function clearMuteTimer(env, key) {
+  const timers = await getMuteTimers(env);
+  if (!timers[key]) return;
+  delete timers[key];
+  await setMuteTimers(env, timers);
+}
+
+// 邮件被哪个定时静音命中（全局 > 前缀 > 发件人）
+export function findTimedMute(timers, prefix, sender) {
+  return ['g', `p:${prefix}`, `s:${sender}`].find(key => timers[key]) || null;
+}
+
+export async function logMutedEmail(env, key, item) {
+  const timers = await getMuteTimers(env);
+  if (!timers[key]) return;
+  timers[key].log = [...(timers[key].log || []), item].slice(-MUTE_LOG_MAX);
+  await setMuteTimers(env, timers);
+}
+
+// ============ 到期解除 ============
+
+export function buildMuteEndedText(key, log, timeZone) {
+  const target = muteTargetLabel(key);
+  if (log.length === 0) return { text: t('mute.endedEmpty', { target }), listed: 0 };
+  return buildMailItemsText(
+    t('mute.ended', { target, n: log.length }), log, timeZone,
+    n => t('mute.more', { n }),
+  );
+}
+
+// 解除已到期的静音并发送期间收到的邮件列表；返回剩余的定时器
+export async function liftExpiredMutes(env, now = Date.now()) {
+  const timers = await getMuteTimers(env);
+  const expired = Object.keys(timers).filter(key => timers[key].until <= now);
+  if (expired.length === 0) return timers;
+
+  const ended = expired.map(key => ({ key, log: timers[key].log || [] }));
+  for (const key of expired) delete timers[key];
+  // 先写回，避免重复解除时重复发送
+  await setMuteTimers(env, timers);
+
+  const prefixes = expired.filter(key => key.startsWith('p:')).map(key => key.slice(2));
+  const senders = expired.filter(key => key.startsWith('s:')).map(key => key.slice(2));
+  if (expired.includes('g')) await setGlobalMute(env, false);
+  if (prefixes.length > 0) {
+    await setMutedPrefixes(env, (await getMutedPrefixes(env)).filter(p => !prefixes.includes(p)));
+  }
+  if (senders.length > 0) {
+    await setMutedSenders(env, (await getMutedSenders(env)).filter(s => !senders.includes(s)));
+  }
+
+  const timeZone = getTimezone(env);
+  for (const { key, log } of ended) {
+    const { text, listed } = buildMuteEndedText(key, log, timeZone);
+    const send = (target = env) => sendTelegramMessage(target, text, null, { reply_markup: buildDigestKeyboard(log, listed) });
+    // 前缀静音的汇总发往该前缀的话题
+    if (key.startsWith('p:')) await withTopic(env, key, send);
+    else await send();
+  }
+  return timers;
+}
@@ -0,0 +1,92 @@
+import { esc } from '../shared/utils.js';
+import { t } from '../i18n.js';
+
+// ============ 验证码识别 ============
+
+// 关键词附近的验证码：中英文常见说法
+const OTP_KEYWORD_RE = new RegExp([
+  '验证码', '校验码', '动态码', '确认码', '安全码', '登录码', '动态密码', '一次性密码',
+  'verification code', 'verify code', 'security code', 'confirmation code', 'authentication code',
+  'login code', 'log-in code', 'sign-in code', 'signin code', 'access code', 'one-time code',
+  'one time code', 'one-time password', 'one time password', 'passcode', 'otp', 'code is', 'your code',
+].map((k) => {
+  const re = k.replace(/[-\s]/g, '[-\\s]?');
+  return /^[a-z]/.test(k) ? `\\b${re}\\b` : re;
+}).join('|'), 'gi');
+
+// 4-8 位数字（允许 123-456 / 123 456 分组）；前后不能紧挨字母数字，排除日期、金额、小数
+const OTP_CODE_RE = /(?<![A-Za-z\d.,:/$€£¥-])(\d{3}[- ]\d{3}|\d{4,8})(?![A-Za-z\d]|[.,:/-]\d)/g;
+
+// 关键词之后优先，其次关键词之前
+const OTP_WINDOW_AFTER = 60;
+const OTP_WINDOW_BEFORE = 40;
+
+function findCodeIn(segment, fromEnd) {
+  const codes = [...segment.matchAll(OTP_CODE_RE)].map(m => m[1].replace(/[- ]/g, ''));
+  if (codes.length === 0) return null;
+  return fromEnd ? codes[codes.length - 1] : codes[0];
+}
+
+function findCodeNearKeyword(text) {
+  for (const m of text.matchAll(OTP_KEYWORD_RE)) {
+    const end = m.index + m[0].length;
+    const code = findCodeIn(text.slice(end, end + OTP_WINDOW_AFTER), false)
+      || findCodeIn(text.slice(Math.max(0, m.index - OTP_WINDOW_BEFORE), m.index), true);
+    if (code) return code;
+  }
+  return null;
+}
+
+// 从主题和正文中提取验证码，找不到返回 null
+export function extractVerificationCode(subject, bodyText) {
+  for (const text of [subject, bodyText]) {
+    if (!text) continue;
+    const code = findCodeNearKeyword(String(text).replace(/\s+/g, ' '));
+    if (code) return code;
+  }
+  return null;
+}
+
+// ============ 登录链接识别 ============
+
+const MAGIC_TEXT_RE = /magic link|(?:sign|log)[-\s]?in|verify|confirm|activate|登录|登入|验证|确认|激活/i;
+const MAGIC_URL_RE = /magic|login|log-in|signin|sign-in|sign_in|verify|confirm|activate|auth|token=/i;
+const MAX_LINK_LENGTH = 1000;
+const MAGIC_CONTEXT_BEFORE = 100;
+
+function isUsableLink(url) {
+  if (!url || url.length > MAX_LINK_LENGTH) return false;
+  try {
+    const u = new URL(url);
+    return u.protocol === 'https:' || u.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+// HTML 中按钮文字像"登录/验证"的链接优先；纯文本中取前文提到登录/验证、地址本身也像登录链接的 URL
+export function extractMagicLink(html, bodyText) {
+  if (html) {
+    for (const m of html.matchAll(/<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+      const url = m[1].replace(/&amp;/g, '&').trim();
+      const label = m[2].replace(/<[^>]+>/g, ' ');
+      if (MAGIC_TEXT_RE.test(label) && MAGIC_URL_RE.test(url) && isUsableLink(url)) return url;
+    }
+  }
+  if (bodyText) {
+    for (const m of bodyText.matchAll(/https?:\/\/[^\s<>"')\]]+/g)) {
+      const context = bodyText.slice(Math.max(0, m.index - MAGIC_CONTEXT_BEFORE), m.index);
+      if (MAGIC_TEXT_RE.test(context) && MAGIC_URL_RE.test(m[0]) && isUsableLink(m[0])) return m[0];
+    }
+  }
+  return null;
+}
+
+// ============ 通知顶部 ============
+
+export function buildOtpHeader(code, link) {
+  let header = '';
+  if (code) header += t('email.otp.code', { code: esc(code) });
+  if (link) header += t('email.otp.link', { url: esc(link) });
+  return header ? header + '\n' : '';
+}
@@ -0,0 +1,72 @@
+import { EmailMessage } from 'cloudflare:email';
+
+// ============ 发信（send_email 绑定） ============
+
+// 默认发信实现：通过 wrangler.jsonc 中配置的 SEND_EMAIL 绑定发出
+export async function sendViaBinding(env, from, to, raw) {
+  await env.SEND_EMAIL.send(new EmailMessage(from, to, raw));
+}
+
+// 返回可用的发信函数；env.MAIL_SENDER 可注入替代实现（测试用本地 stub）
+export function getMailSender(env) {
+  if (typeof env.MAIL_SENDER === 'function') return env.MAIL_SENDER;
+  if (env.SEND_EMAIL) return sendViaBinding;
+  return null;
+}
+
+// ============ MIME 构建 ============
+
+// RFC 2047 编码头部（纯 ASCII 原样返回）
+export function encodeMimeHeader(value) {
+  const str = String(value || '');
+  if (/^[\x20-\x7E]*$/.test(str)) return str;
+  const bytes = new TextEncoder().encode(str);
+  return `=?UTF-8?B?${btoa(String.fromCharCode(...bytes))}?=`;
+}
+
+export function base64Lines(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return (btoa(bin).match(/.{1,76}/g) || ['']).join('\r\n');
+}
+
+export function buildReplySubject(subject) {
+  const s = (subject || '').trim();
+  return /^re:/i.test(s) ? s : `Re: ${s}`;
+}
+
+// 构建纯文本回复邮件：In-Reply-To / References 串起原邮件线程
+export function buildReplyMime({ from, to, subject, text, inReplyTo, references }) {
+  const domain = from.split('@')[1] || 'localhost';
+  const id = crypto.randomUUID();
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeMimeHeader(buildReplySubject(subject))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${id}@${domain}>`,
+  ];
+  if (inReplyTo) {
+    const refs = (references || '').split(/\s+/).filter(Boolean);
+    if (!refs.includes(inReplyTo)) refs.push(inReplyTo);
+    headers.push(`In-Reply-To: ${inReplyTo}`);
+    headers.push(`References: ${refs.join(' ')}`);
+  }
+  headers.push('MIME-Version: 1.0');
+  headers.push('Content-Type: text/plain; charset=utf-8');
+  headers.push('Content-Transfer-Encoding: base64');
+  return headers.join('\r\n') + '\r\n\r\n' + base64Lines(text) + '\r\n';
+}
+
+// 发送回复；sender 缺省时取 getMailSender(env)
+export async function sendReplyEmail(env, params, sender) {
+  const send = sender || getMailSender(env);
+  if (!send) return { ok: false, error: 'SEND_EMAIL binding not configured' };
+  try {
+    await send(env, params.from, params.to, buildReplyMime(params));
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
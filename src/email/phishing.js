@@ -0,0 +1,109 @@
+import { esc } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import { DEFAULT_TRUSTED_DOMAINS } from '../shared/storage.js';
+
+// 通知中最多列出的提示条数
+export const MAX_LINK_WARNINGS = 5;
+
+// 形近字符归一：paypa1 / rnicrosoft / g00gle
+const CONFUSABLES = [[/rn/g, 'm'], [/vv/g, 'w'], [/[1i|]/g, 'l'], [/0/g, 'o'], [/3/g, 'e'], [/5/g, 's']];
+// 二级后缀：example.co.uk / example.com.cn
+const SECOND_LEVEL = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac']);
+
+// http(s) 链接的主机名（国际化域名转为 punycode）；其他协议返回 null
+export function urlHost(url) {
+  try {
+    const u = new URL(String(url).trim());
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+    return u.hostname.toLowerCase().replace(/\.$/, '') || null;
+  } catch { return null; }
+}
+
+// 链接文字本身是网址或域名时返回其主机名，否则 null
+export function textHost(text) {
+  const m = String(text || '').trim().match(/^(?:https?:\/\/)?((?:[\p{L}\p{N}-]+\.)+[\p{L}]{2,})(?:[:/?#]\S*)?$/iu);
+  return m ? urlHost(`http://${m[1]}`) : null;
+}
+
+export function isIpHost(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[');
+}
+
+// 可注册域名（粗略）：a.b.example.com → example.com，x.example.co.uk → example.co.uk
+export function baseDomain(host) {
+  const labels = host.split('.');
+  const n = labels.length > 2 && labels[labels.length - 1].length === 2 && SECOND_LEVEL.has(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-n).join('.');
+}
+
+// 网站名：可注册域名去掉后缀（mail.paypal.co.uk → paypal）
+export function siteLabel(host) {
+  return baseDomain(host).split('.')[0];
+}
+
+// 默认品牌在其他后缀下的官方网站；同名不同后缀的域名（paypal.top、github.io）任何人都能注册，不算同一网站
+export const SISTER_DOMAINS = {
+  'paypal.com': ['paypal.de', 'paypal.fr', 'paypal.co.uk', 'paypal.me'],
+  'apple.com': ['apple.com.cn', 'apple.co.uk'],
+  'google.com': ['google.de', 'google.fr', 'google.co.uk', 'google.co.jp', 'google.com.hk', 'google.ca'],
+  'amazon.com': ['amazon.de', 'amazon.fr', 'amazon.it', 'amazon.es', 'amazon.co.uk', 'amazon.co.jp', 'amazon.ca', 'amazon.com.au', 'amazon.in'],
+};
+
+// 同一网站：可注册域名相同，或是该品牌登记的官方网站
+export function isSameSite(host, site) {
+  const base = baseDomain(host);
+  const siteBase = baseDomain(site);
+  return base === siteBase || (SISTER_DOMAINS[siteBase] || []).includes(base);
+}
+
+function skeleton(label) {
+  return CONFUSABLES.reduce((s, [re, to]) => s.replace(re, to), label);
+}
+
+// 仿冒的品牌域名：形近（paypa1.com）或把品牌域名放在子域名里（paypal.com.evil.net）
+export function findLookalikeBrand(host, trusted) {
+  if (trusted.some(brand => isSameSite(host, brand))) return null;
+  const label = siteLabel(host);
+  for (const brand of trusted) {
+    if (skeleton(label) === skeleton(siteLabel(brand))) return brand;
+    if (host.startsWith(`${brand}.`) || host.includes(`.${brand}.`)) return brand;
+  }
+  return null;
+}
+
+// links：htmlToText 收集的 [{ text, url }]；返回去重后的 [{ type, host, shown?, brand? }]
+export function findPhishingWarnings(links, trusted = DEFAULT_TRUSTED_DOMAINS) {
+  const warnings = [];
+  const seen = new Set();
+  const add = (warning) => {
+    const key = `${warning.type}:${warning.host}:${warning.shown || ''}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    warnings.push(warning);
+  };
+  for (const link of links || []) {
+    const host = urlHost(link.url);
+    if (!host) continue;
+    const shown = textHost(link.text);
+    if (shown && baseDomain(shown) !== baseDomain(host)) add({ type: 'mismatch', host, shown });
+    if (isIpHost(host)) {
+      add({ type: 'ip', host });
+      continue;
+    }
+    if (host.split('.').some(l => l.startsWith('xn--'))) add({ type: 'punycode', host });
+    const brand = findLookalikeBrand(host, trusted);
+    if (brand) add({ type: 'lookalike', host, brand });
+  }
+  return warnings;
+}
+
+// 附在通知末尾的提示段落；没有提示时返回空串
+export function buildPhishingWarnings(warnings) {
+  if (!warnings || warnings.length === 0) return '';
+  let text = t('phish.title');
+  for (const w of warnings.slice(0, MAX_LINK_WARNINGS)) {
+    text += t(`phish.${w.type}`, { host: esc(w.host), shown: esc(w.shown || ''), brand: esc(w.brand || '') }) + '\n';
+  }
+  if (warnings.length > MAX_LINK_WARNINGS) text += t('phish.more', { n: warnings.length - MAX_LINK_WARNINGS }) + '\n';
+  return text;
+}
@@ -0,0 +1,134 @@
+import PostalMime from 'postal-mime';
+import { esc, escAddr, formatDate, htmlToText } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import { sendTelegramMessage } from '../shared/telegram.js';
+import {
+  getQuarantineDays, saveQuarantineEml, getQuarantineEml, listQuarantine,
+  getQuarantineReported, setQuarantineReported,
+  getTimezone, getBodyMaxLength,
+} from '../shared/storage.js';
+
+// 隔离的 .eml 只保留邮件头和正文文本
+export const QUARANTINE_TEXT_MAX = 20000;
+// 两次报告的最短间隔
+export const QUARANTINE_REPORT_INTERVAL = 6 * 60 * 60 * 1000;
+// 报告中逐条列出的邮件数
+export const QUARANTINE_REPORT_LIST = 10;
+
+const VIEW_PER_ROW = 5;
+// 去掉原有的 MIME 结构头，换成纯文本正文
+const MIME_HEADER_RE = /^(content-[a-z-]+|mime-version):/i;
+
+// ============ 存入 ============
+
+// 原始邮件 → 去掉附件的 .eml：保留原邮件头（MIME 头除外）+ 纯文本正文
+export function stripEml(raw, parsed) {
+  const source = new TextDecoder().decode(raw);
+  const end = source.search(/\r?\n\r?\n/);
+  const lines = (end === -1 ? source : source.slice(0, end)).split(/\r?\n/);
+  const headers = [];
+  let skip = false;
+  for (const line of lines) {
+    // 折行续行跟随上一行的去留
+    if (/^[ \t]/.test(line)) { if (!skip) headers.push(line); continue; }
+    skip = MIME_HEADER_RE.test(line);
+    if (!skip) headers.push(line);
+  }
+  const body = (parsed.text || (parsed.html ? htmlToText(parsed.html) : '')).slice(0, QUARANTINE_TEXT_MAX);
+  return [
+    ...headers,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ].join('\r\n') + '\r\n\r\n' + body + '\r\n';
+}
+
+// reason：unknown 未知前缀、paused 已暂停、domain 前缀存在但收件域名不在限制内、burner 一次性前缀已结束
+// 每封只写一个键（.eml + metadata），隔离失败不影响拒收
+export async function quarantineEmail(env, message, { prefix, to, sender, reason }, now = Date.now()) {
+  const days = getQuarantineDays(env);
+  if (!days) return null;
+  try {
+    const raw = await new Response(message.raw).arrayBuffer();
+    const parsed = await new PostalMime().parse(raw);
+    const id = now.toString(36) + crypto.randomUUID().replace(/-/g, '').slice(0, 6);
+    // metadata 上限 1KB
+    await saveQuarantineEml(env, id, stripEml(raw, parsed), days, {
+      ts: now, sender: (sender || '').substring(0, 100), to: to.substring(0, 100), prefix: prefix.substring(0, 64), reason,
+      subject: (parsed.subject || '').substring(0, 60), size: raw.byteLength,
+    });
+    return id;
+  } catch (err) {
+    console.log('Quarantine failed:', err.message);
+    return null;
+  }
+}
+
+// ============ 报告 ============
+
+function actionButton(item) {
+  // 超长前缀放不进 callback_data（64 字节）
+  if (new TextEncoder().encode(item.prefix).length > 58) return null;
+  if (item.reason === 'unknown') return { text: t('qr.btn.allow', { v: item.prefix }), callback_data: `qa:${item.prefix}` };
+  if (item.reason === 'paused') return { text: t('qr.btn.resume', { v: item.prefix }), callback_data: `qres:${item.prefix}` };
+  return null;
+}
+
+// items 从新到旧；每封一个查看按钮，每个前缀一个添加/恢复按钮
+export function buildQuarantineReport(items, days, timeZone = 'UTC') {
+  const listed = items.slice(0, QUARANTINE_REPORT_LIST);
+  let text = t('qr.report.title', { n: items.length, days });
+  listed.forEach((item, i) => {
+    const sender = item.sender ? escAddr(item.sender) : t('email.search.unknownSender');
+    const subject = esc((item.subject || t('email.noSubject')).substring(0, 60));
+    text += `<b>${i + 1}.</b> ${sender} → <code>${esc(item.to)}</code> · ${t(`qr.reason.${item.reason}`)}\n`
+      + `     ${subject} · ${esc(formatDate(new Date(item.ts).toISOString(), timeZone))}\n\n`;
+  });
+  if (items.length > listed.length) text += t('qr.report.more', { n: items.length - listed.length });
+
+  const rows = [];
+  for (let i = 0; i < listed.length; i += VIEW_PER_ROW) {
+    rows.push(listed.slice(i, i + VIEW_PER_ROW).map((item, j) => ({ text: t('qr.btn.view', { n: i + j + 1 }), callback_data: `qv:${item.id}` })));
+  }
+  const seen = new Set();
+  for (const item of listed) {
+    const button = actionButton(item);
+    if (!button || seen.has(button.callback_data)) continue;
+    seen.add(button.callback_data);
+    rows.push([button]);
+  }
+  return { text: text.trim(), keyboard: { inline_keyboard: rows } };
+}
+
+// 定时任务调用：有新的隔离邮件且距上次报告超过间隔时发送「N 封被拒收」
+export async function runQuarantineReport(env, now = Date.now()) {
+  const reported = await getQuarantineReported(env);
+  if (now - reported < QUARANTINE_REPORT_INTERVAL) return 0;
+  const fresh = (await listQuarantine(env)).filter(item => item.ts > reported).sort((a, b) => b.ts - a.ts);
+  if (fresh.length === 0) return 0;
+  const report = buildQuarantineReport(fresh, getQuarantineDays(env), getTimezone(env));
+  await sendTelegramMessage(env, report.text, null, { reply_markup: report.keyboard });
+  await setQuarantineReported(env, now);
+  return fresh.length;
+}
+
+// ============ 查看 ============
+
+// 已过期返回 null
+export async function buildQuarantineView(env, id) {
+  const stored = await getQuarantineEml(env, id);
+  if (!stored) return null;
+  const { eml, item } = stored;
+  const parsed = await new PostalMime().parse(eml);
+  const maxLen = getBodyMaxLength(env);
+  let body = (parsed.text || '').trim() || t('email.noBody');
+  if (body.length > maxLen) body = body.substring(0, maxLen) + t('email.truncated');
+  const text = t('qr.view.title', { reason: t(`qr.reason.${item.reason}`) })
+    + `${t('email.from')}${escAddr(item.sender)}\n`
+    + `${t('email.to')}${esc(item.to)}\n`
+    + `${t('email.time')}${esc(formatDate(new Date(item.ts).toISOString(), getTimezone(env)))}\n`
+    + `${t('email.subject')}${esc(parsed.subject || t('email.noSubject'))}\n`
+    + `\n━━━━━━━━━━━━━━━━━━━━\n\n${esc(body)}`;
+  const button = actionButton(item);
+  return { text, keyboard: button ? { inline_keyboard: [[button]] } : null };
+}
@@ -0,0 +1,119 @@
+import { zonedTime, parseClockTime, formatClockTime } from '../shared/utils.js';
+import { matchSenderEntry } from '../shared/storage.js';
+import { t } from '../i18n.js';
+
+export const MAX_QUIET_WINDOWS = 10;
+export const MAX_QUIET_VIP = 30;
+
+const DAY_MINUTES = 24 * 60;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// 星期名称（0=周日）
+const DAY_NAMES = [
+  ['sun', 'sunday', '周日', '周天', '星期日', '星期天'],
+  ['mon', 'monday', '周一', '星期一'],
+  ['tue', 'tuesday', '周二', '星期二'],
+  ['wed', 'wednesday', '周三', '星期三'],
+  ['thu', 'thursday', '周四', '星期四'],
+  ['fri', 'friday', '周五', '星期五'],
+  ['sat', 'saturday', '周六', '星期六'],
+];
+const DAY_GROUPS = {
+  weekdays: [1, 2, 3, 4, 5], '工作日': [1, 2, 3, 4, 5],
+  weekends: [0, 6], weekend: [0, 6], '周末': [0, 6],
+  daily: ALL_DAYS, everyday: ALL_DAYS, '每天': ALL_DAYS,
+};
+
+function dayIndex(name) {
+  return DAY_NAMES.findIndex(names => names.includes(name));
+}
+
+// mon-fri / 周一至周五 / sun / 工作日 → 星期数组；无法识别返回 null
+function parseDays(token) {
+  if (DAY_GROUPS[token]) return DAY_GROUPS[token];
+  const range = token.split(/[-–~至到]/);
+  if (range.length === 2) {
+    const from = dayIndex(range[0]);
+    const to = dayIndex(range[1]);
+    if (from === -1 || to === -1) return null;
+    const days = [];
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.push(d);
+      if (d === to) break;
+    }
+    return days;
+  }
+  const d = dayIndex(token);
+  return d === -1 ? null : [d];
+}
+
+// "23:00-08:00 mon-fri" / "all sun" / "全天 周末" → { start, end, days }；格式错误返回 null
+// 跨午夜的时段归属开始那天
+export function parseQuietWindow(input) {
+  const tokens = String(input || '').toLowerCase().split(/[\s,，、]+/).filter(Boolean);
+  let span = null;
+  const days = new Set();
+  for (const token of tokens) {
+    if (token === 'all' || token === 'allday' || token === '全天') {
+      if (span) return null;
+      span = { start: 0, end: DAY_MINUTES };
+      continue;
+    }
+    const times = token.match(/^(\d{1,2}[:：]\d{2})[-–~至到](\d{1,2}[:：]\d{2})$/);
+    if (times) {
+      const start = parseClockTime(times[1]);
+      const end = parseClockTime(times[2]);
+      if (span || start === null || end === null || start === end) return null;
+      span = { start, end };
+      continue;
+    }
+    const parsed = parseDays(token);
+    if (!parsed) return null;
+    parsed.forEach(d => days.add(d));
+  }
+  if (!span) return null;
+  return { ...span, days: days.size > 0 ? [...days].sort() : ALL_DAYS };
+}
+
+// 连续的星期合并显示（周一开始）：周一–周五、周六, 周日
+function formatDays(days) {
+  if (days.length === 7) return t('quiet.everyDay');
+  const names = t('quiet.dayNames').split(',');
+  const order = [1, 2, 3, 4, 5, 6, 0].filter(d => days.includes(d));
+  const runs = [];
+  for (const d of order) {
+    const last = runs[runs.length - 1];
+    if (last && (last[last.length - 1] + 1) % 7 === d) last.push(d);
+    else runs.push([d]);
+  }
+  return runs.map(run => (run.length > 2
+    ? `${names[run[0]]}–${names[run[run.length - 1]]}`
+    : run.map(d => names[d]).join(', '))).join(', ');
+}
+
+export function formatQuietWindow(w) {
+  const span = w.start === 0 && w.end === DAY_MINUTES
+    ? t('quiet.allDay')
+    : `${formatClockTime(w.start)}–${formatClockTime(w.end)}`;
+  return `${formatDays(w.days)} ${span}`;
+}
+
+// 按时区判断当前是否处于任一免打扰时段
+export function isQuietTime(windows, now, timeZone) {
+  if (!windows || windows.length === 0) return false;
+  const { weekday, minutes } = zonedTime(now, timeZone);
+  const yesterday = (weekday + 6) % 7;
+  return windows.some((w) => {
+    if (w.start < w.end) return w.days.includes(weekday) && minutes >= w.start && minutes < w.end;
+    return (w.days.includes(weekday) && minutes >= w.start) || (w.days.includes(yesterday) && minutes < w.end);
+  });
+}
+
+// 例外：含 @ 的条目按发件人规则匹配（同屏蔽列表），其余为主题/正文关键词
+export function isVipMail(vip, sender, subject, bodyText) {
+  if (!vip || vip.length === 0) return false;
+  const text = `${subject || ''}\n${bodyText || ''}`.toLowerCase();
+  return vip.some(entry => (entry.includes('@')
+    ? matchSenderEntry(entry, sender)
+    : text.includes(entry.toLowerCase())));
+}
@@ -0,0 +1,397 @@
+import { esc, extractPromptValue, parseSize } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import {
+  sendTelegramMessage, sendTelegramPrompt,
+  editMessageText, deleteMessage, answerCallbackQuery,
+} from '../shared/telegram.js';
+import { getMailRules, setMailRules, matchSenderEntry, normalizeSenderEntry } from '../shared/storage.js';
+import { isOwner } from '../shared/users.js';
+
+export const RULE_CONDITIONS = ['from', 'to', 'subject', 'header', 'attachment', 'size'];
+export const RULE_ACTIONS = ['drop', 'mute', 'star', 'compact', 'forward', 'tag', 'nostore'];
+export const RULES_PAGE_SIZE = 8;
+export const MAX_MAIL_RULES = 50;
+
+// 需要用户输入参数的条件/动作
+const VALUE_CONDITIONS = new Set(['from', 'to', 'subject', 'header', 'size']);
+const VALUE_ACTIONS = new Set(['forward', 'tag']);
+
+// ============ 条件匹配 ============
+
+// ">1mb" / "<500kb" / ">2048"（无单位按字节）
+export function parseSizeCondition(value) {
+  const m = String(value || '').trim().match(/^([<>])\s*(.+)$/);
+  const bytes = m ? parseSize(m[2]) : null;
+  return bytes === null ? null : { op: m[1], bytes };
+}
+
+// mail: { from, to, prefix, subject, headers: [{key,value}], hasAttachment, size }
+export function matchCondition(cond, mail) {
+  switch (cond.type) {
+    case 'from':
+      return matchSenderEntry(cond.value, mail.from);
+    case 'to':
+      return cond.value.includes('@') ? matchSenderEntry(cond.value, mail.to) : mail.prefix === cond.value;
+    case 'subject':
+      try { return new RegExp(cond.value, 'i').test(mail.subject); } catch { return false; }
+    case 'header': {
+      // "Name" 判断存在；"Name: value" 判断相等（忽略大小写）
+      const sep = cond.value.indexOf(':');
+      const name = (sep === -1 ? cond.value : cond.value.slice(0, sep)).trim().toLowerCase();
+      const expected = sep === -1 ? null : cond.value.slice(sep + 1).trim().toLowerCase();
+      return mail.headers.some(h => h.key === name
+        && (expected === null || String(h.value).trim().toLowerCase() === expected));
+    }
+    case 'attachment':
+      return mail.hasAttachment;
+    case 'size': {
+      const s = parseSizeCondition(cond.value);
+      if (!s) return false;
+      return s.op === '>' ? mail.size > s.bytes : mail.size < s.bytes;
+    }
+    default:
+      return false;
+  }
+}
+
+// 条件全部满足才命中；暂停或缺少条件/动作的规则不生效
+export function matchRule(rule, mail) {
+  if (rule.paused || !rule.conditions?.length || !rule.actions?.length) return false;
+  return rule.conditions.every(c => matchCondition(c, mail));
+}
+
+// 按顺序累加所有命中规则的动作，命中 drop 后不再继续
+export function evaluateMailRules(rules, mail) {
+  const result = {
+    matched: [], drop: false, mute: false, star: false, compact: false, nostore: false,
+    forward: [], tags: [],
+  };
+  for (const rule of rules) {
+    if (!matchRule(rule, mail)) continue;
+    result.matched.push(rule.id);
+    for (const a of rule.actions) {
+      if (a.type === 'forward' || a.type === 'tag') {
+        const list = a.type === 'forward' ? result.forward : result.tags;
+        if (!list.includes(a.value)) list.push(a.value);
+      } else if (RULE_ACTIONS.includes(a.type)) {
+        result[a.type] = true;
+      }
+    }
+    if (result.drop) break;
+  }
+  return result;
+}
+
+// ============ 参数校验 ============
+
+// 返回规范化后的值，无效时返回空串
+export function normalizeRuleValue(type, input) {
+  const raw = String(input || '').trim();
+  if (!raw || raw.length > 200) return '';
+  switch (type) {
+    case 'from':
+      return normalizeSenderEntry(raw);
+    case 'to': {
+      const v = raw.toLowerCase();
+      if (v.includes('@') || /[*?]/.test(v)) return normalizeSenderEntry(v);
+      return /^[a-z0-9][a-z0-9._+-]*$/.test(v) && v.length <= 64 ? v : '';
+    }
+    case 'subject':
+      try { new RegExp(raw, 'i'); return raw; } catch { return ''; }
+    case 'header':
+      return /^[A-Za-z0-9-]+\s*(:.*)?$/.test(raw) ? raw : '';
+    case 'size':
+      return parseSizeCondition(raw) ? raw.toLowerCase().replace(/\s+/g, '') : '';
+    case 'forward': {
+      const v = raw.toLowerCase();
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) && v.length <= 254 ? v : '';
+    }
+    case 'tag': {
+      const v = raw.replace(/^#/, '');
+      return /^[\p{L}\p{N}_-]{1,30}$/u.test(v) ? v : '';
+    }
+    default:
+      return '';
+  }
+}
+
+// ============ 规则 UI ============
+
+function condLabel(c) {
+  const label = t(`rules.cond.${c.type}`);
+  return c.value ? `${label} ${c.value}` : label;
+}
+
+function actionLabel(a) {
+  const label = t(`rules.action.${a.type}`);
+  if (a.type === 'tag') return `${label} #${a.value}`;
+  return a.value ? `${label} ${a.value}` : label;
+}
+
+function ruleSummary(rule) {
+  const conds = rule.conditions.map(c => esc(condLabel(c))).join(' · ') || t('rules.none');
+  const acts = rule.actions.map(a => esc(actionLabel(a))).join(' · ') || t('rules.none');
+  return `${conds}\n   → ${acts}`;
+}
+
+export function buildRulesText(rules, page = 0) {
+  if (rules.length === 0) return t('rules.empty');
+  const totalPages = Math.ceil(rules.length / RULES_PAGE_SIZE);
+  let text = t('rules.title', { n: rules.length });
+  if (totalPages > 1) text += t('rules.page', { page: page + 1, pages: totalPages });
+  text += '\n' + t('rules.hint') + '\n\n';
+  const start = page * RULES_PAGE_SIZE;
+  rules.slice(start, start + RULES_PAGE_SIZE).forEach((rule, i) => {
+    const icon = rule.paused ? '⏸' : '▶️';
+    text += `<b>${start + i + 1}.</b> ${icon} <b>${esc(rule.name)}</b>\n   ${ruleSummary(rule)}\n\n`;
+  });
+  return text.trim();
+}
+
+export function buildRulesKeyboard(rules, page = 0) {
+  const rows = [];
+  const totalPages = Math.ceil(rules.length / RULES_PAGE_SIZE) || 1;
+  const start = page * RULES_PAGE_SIZE;
+  rules.slice(start, start + RULES_PAGE_SIZE).forEach((rule, i) => {
+    const icon = rule.paused ? '⏸' : '▶️';
+    rows.push([{ text: `${start + i + 1}. ${icon} ${rule.name}`, callback_data: `rl_v:${rule.id}` }]);
+  });
+  if (totalPages > 1) {
+    const navRow = [];
+    if (page > 0) navRow.push({ text: '◀️', callback_data: `rl_p:${page - 1}` });
+    navRow.push({ text: `${page + 1}/${totalPages}`, callback_data: 'noop' });
+    if (page < totalPages - 1) navRow.push({ text: '▶️', callback_data: `rl_p:${page + 1}` });
+    rows.push(navRow);
+  }
+  rows.push([{ text: t('rules.btnNew'), callback_data: 'rl_add' }]);
+  return { inline_keyboard: rows };
+}
+
+export function buildRuleDetailText(rule, index) {
+  let text = t('rules.detail.title', { n: index + 1, name: esc(rule.name) });
+  text += rule.paused ? t('rules.detail.paused') : t('rules.detail.active');
+  text += '\n\n' + t('rules.detail.conditions') + '\n';
+  text += rule.conditions.length
+    ? rule.conditions.map(c => `  • ${esc(condLabel(c))}`).join('\n')
+    : `  ${t('rules.none')}`;
+  text += '\n\n' + t('rules.detail.actions') + '\n';
+  text += rule.actions.length
+    ? rule.actions.map(a => `  • ${esc(actionLabel(a))}`).join('\n')
+    : `  ${t('rules.none')}`;
+  if (!rule.conditions.length || !rule.actions.length) text += '\n\n' + t('rules.detail.incomplete');
+  return text;
+}
+
+export function buildRuleDetailKeyboard(rule, index, total, confirmDel) {
+  const rows = [];
+  rule.conditions.forEach((c, i) => {
+    rows.push([{ text: `❌ ${condLabel(c)}`, callback_data: `rl_dc:${rule.id}:${i}` }]);
+  });
+  rule.actions.forEach((a, i) => {
+    rows.push([{ text: `❌ → ${actionLabel(a)}`, callback_data: `rl_da:${rule.id}:${i}` }]);
+  });
+  rows.push([
+    { text: t('rules.btnAddCond'), callback_data: `rl_ac:${rule.id}` },
+    { text: t('rules.btnAddAction'), callback_data: `rl_aa:${rule.id}` },
+  ]);
+  const ctrlRow = [];
+  if (index > 0) ctrlRow.push({ text: '⬆️', callback_data: `rl_up:${rule.id}` });
+  if (index < total - 1) ctrlRow.push({ text: '⬇️', callback_data: `rl_dn:${rule.id}` });
+  ctrlRow.push(rule.paused
+    ? { text: t('rules.btnResume'), callback_data: `rl_tg:${rule.id}` }
+    : { text: t('rules.btnPause'), callback_data: `rl_tg:${rule.id}` });
+  rows.push(ctrlRow);
+  if (confirmDel) {
+    rows.push([
+      { text: t('rules.btnConfirmDel'), callback_data: `rl_cd:${rule.id}` },
+      { text: t('btn.cancel'), callback_data: `rl_v:${rule.id}` },
+    ]);
+  } else {
+    rows.push([{ text: t('rules.btnDel'), callback_data: `rl_del:${rule.id}` }]);
+  }
+  rows.push([{ text: t('rules.btnBackList'), callback_data: 'rl' }]);
+  return { inline_keyboard: rows };
+}
+
+// 选择条件/动作类型
+export function buildRuleTypeKeyboard(ruleId, kind) {
+  const types = kind === 'cond' ? RULE_CONDITIONS : RULE_ACTIONS;
+  const action = kind === 'cond' ? 'rl_ct' : 'rl_at';
+  const labelKey = kind === 'cond' ? 'rules.cond' : 'rules.action';
+  const rows = [];
+  for (let i = 0; i < types.length; i += 2) {
+    rows.push(types.slice(i, i + 2).map(type => ({
+      text: t(`${labelKey}.${type}`), callback_data: `${action}:${ruleId}:${type}`,
+    })));
+  }
+  rows.push([{ text: t('btn.cancel'), callback_data: `rl_v:${ruleId}` }]);
+  return { inline_keyboard: rows };
+}
+
+// ============ 页面导航 ============
+
+async function editToRules(env, msgId, page = 0) {
+  const rules = await getMailRules(env);
+  return editMessageText(env, msgId, buildRulesText(rules, page), buildRulesKeyboard(rules, page));
+}
+
+async function editToRule(env, msgId, rules, index, confirmDel) {
+  const rule = rules[index];
+  return editMessageText(env, msgId, buildRuleDetailText(rule, index),
+    buildRuleDetailKeyboard(rule, index, rules.length, confirmDel));
+}
+
+async function sendRuleDetail(env, rules, index) {
+  const rule = rules[index];
+  return sendTelegramMessage(env, buildRuleDetailText(rule, index), null, {
+    reply_markup: buildRuleDetailKeyboard(rule, index, rules.length),
+  });
+}
+
+export async function cmdRules(env) {
+  const rules = await getMailRules(env);
+  return sendTelegramMessage(env, buildRulesText(rules), null, {
+    reply_markup: buildRulesKeyboard(rules),
+  });
+}
+
+function promptFor(kind, ruleId, type) {
+  const labelKey = kind === 'cond' ? 'rules.cond' : 'rules.action';
+  return t(`rules.prompt.${kind}`, { id: ruleId, field: t(`${labelKey}.${type}`) });
+}
+
+// ============ handleRulesCallback ============
+
+export async function handleRulesCallback(cbq, env) {
+  const [action, ruleId, arg] = cbq.data.split(':');
+  const msgId = cbq.message.message_id;
+  let toast = '';
+
+  if (!isOwner(env)) {
+    await answerCallbackQuery(env, cbq.id, t('user.toast.noPermission'));
+    return;
+  }
+
+  if (action === 'rl') {
+    await editToRules(env, msgId);
+  } else if (action === 'rl_p') {
+    await editToRules(env, msgId, parseInt(ruleId));
+  } else if (action === 'rl_add') {
+    const rules = await getMailRules(env);
+    if (rules.length >= MAX_MAIL_RULES) {
+      toast = t('rules.toast.limit', { max: MAX_MAIL_RULES });
+    } else {
+      await sendTelegramPrompt(env, t('rules.prompt.name'));
+    }
+  } else {
+    const rules = await getMailRules(env);
+    const index = rules.findIndex(r => r.id === ruleId);
+    const rule = rules[index];
+    if (!rule) {
+      toast = t('rules.toast.notFound');
+      await editToRules(env, msgId);
+    } else if (action === 'rl_v') {
+      await editToRule(env, msgId, rules, index);
+    } else if (action === 'rl_ac' || action === 'rl_aa') {
+      const kind = action === 'rl_ac' ? 'cond' : 'action';
+      await editMessageText(env, msgId, buildRuleDetailText(rule, index), buildRuleTypeKeyboard(rule.id, kind));
+    } else if (action === 'rl_ct' || action === 'rl_at') {
+      const kind = action === 'rl_ct' ? 'cond' : 'action';
+      const types = kind === 'cond' ? RULE_CONDITIONS : RULE_ACTIONS;
+      const needsValue = kind === 'cond' ? VALUE_CONDITIONS : VALUE_ACTIONS;
+      if (!types.includes(arg)) {
+        await editToRule(env, msgId, rules, index);
+      } else if (needsValue.has(arg)) {
+        await sendTelegramPrompt(env, promptFor(kind, rule.id, arg) + '\n' + t(`rules.hint.${arg}`));
+        await editToRule(env, msgId, rules, index);
+      } else {
+        const list = kind === 'cond' ? rule.conditions : rule.actions;
+        if (!list.some(x => x.type === arg)) list.push({ type: arg });
+        await setMailRules(env, rules);
+        toast = t('rules.toast.added');
+        await editToRule(env, msgId, rules, index);
+      }
+    } else if (action === 'rl_dc' || action === 'rl_da') {
+      const list = action === 'rl_dc' ? rule.conditions : rule.actions;
+      const i = parseInt(arg);
+      if (i >= 0 && i < list.length) list.splice(i, 1);
+      await setMailRules(env, rules);
+      toast = t('rules.toast.removed');
+      await editToRule(env, msgId, rules, index);
+    } else if (action === 'rl_up' || action === 'rl_dn') {
+      const target = action === 'rl_up' ? index - 1 : index + 1;
+      if (target >= 0 && target < rules.length) {
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        await setMailRules(env, rules);
+        await editToRule(env, msgId, rules, target);
+      }
+    } else if (action === 'rl_tg') {
+      rule.paused = !rule.paused;
+      await setMailRules(env, rules);
+      toast = rule.paused ? t('rules.toast.paused') : t('rules.toast.resumed');
+      await editToRule(env, msgId, rules, index);
+    } else if (action === 'rl_del') {
+      toast = t('rules.toast.confirmDel');
+      await editToRule(env, msgId, rules, index, true);
+    } else if (action === 'rl_cd') {
+      rules.splice(index, 1);
+      await setMailRules(env, rules);
+      toast = t('rules.toast.deleted', { name: rule.name });
+      await editToRules(env, msgId);
+    }
+  }
+
+  await answerCallbackQuery(env, cbq.id, toast);
+}
+
+// ============ handleRulesReply ============
+
+export async function handleRulesReply(msg, replyTo, text, env) {
+  try {
+    const rules = await getMailRules(env);
+    if (replyTo.text === t('rules.prompt.name')) {
+      const name = text.split('\n')[0].trim().slice(0, 30);
+      if (!name) return;
+      if (rules.length >= MAX_MAIL_RULES) {
+        await sendTelegramMessage(env, t('rules.toast.limit', { max: MAX_MAIL_RULES }));
+        return;
+      }
+      rules.push({ id: Date.now().toString(36), name, paused: false, conditions: [], actions: [] });
+      await setMailRules(env, rules);
+      await deleteMessage(env, replyTo.message_id);
+      await sendRuleDetail(env, rules, rules.length - 1);
+      return;
+    }
+
+    // 条件/动作参数提示：首行为 "🧩 规则 #<id> · 条件/动作 · <字段>"
+    const header = replyTo.text.split('\n')[0];
+    const candidates = [
+      ...[...VALUE_CONDITIONS].map(type => ['cond', type]),
+      ...[...VALUE_ACTIONS].map(type => ['action', type]),
+    ];
+    for (const [kind, type] of candidates) {
+      const labelKey = kind === 'cond' ? 'rules.cond' : 'rules.action';
+      const ruleId = extractPromptValue(t(`rules.prompt.${kind}`, { id: '\x00', field: t(`${labelKey}.${type}`) }), header);
+      if (!ruleId) continue;
+      const index = rules.findIndex(r => r.id === ruleId);
+      if (index === -1) {
+        await sendTelegramMessage(env, t('rules.toast.notFound'));
+        return;
+      }
+      const value = normalizeRuleValue(type, text);
+      if (!value) {
+        await sendTelegramMessage(env, t(`rules.invalid.${type}`));
+        return;
+      }
+      const list = kind === 'cond' ? rules[index].conditions : rules[index].actions;
+      if (!list.some(x => x.type === type && x.value === value)) list.push({ type, value });
+      await setMailRules(env, rules);
+      await deleteMessage(env, replyTo.message_id);
+      await sendRuleDetail(env, rules, index);
+      return;
+    }
+  } catch (err) {
+    console.error('Rules reply error:', err);
+    try { await sendTelegramMessage(env, t('error.exec', { err: err.message })); } catch {}
+  }
+}
@@ -0,0 +1,187 @@
+import { esc, formatSize, zonedTime } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import { sendTelegramMessage } from '../shared/telegram.js';
+import { getEmailIndex, entryStoredSize, getTimezone } from '../shared/storage.js';
+
+export const STATS_DAYS = 30;
+export const STATS_TOP = 5;
+// 每天最多记录的发件人，超出时丢弃计数最少的
+export const MAX_STAT_SENDERS = 200;
+// 逐封计数保留的天数，留出时区差，确保每日任务有机会汇总已结束的日期
+export const STATS_KEEP_DAYS = 3;
+// 收信结果：delivered 已通知、forwarded 仅转发、blocked 屏蔽、rejected 未知/暂停前缀、dropped 规则或 DMARC 丢弃
+export const STAT_KINDS = ['delivered', 'forwarded', 'blocked', 'rejected', 'dropped'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// 按设置的时区取日期 YYYY-MM-DD
+export function statDay(ts, timeZone) {
+  return new Date(ts + zonedTime(ts, timeZone).offset).toISOString().slice(0, 10);
+}
+
+// ============ 计数 ============
+
+// 一天的计数：{ n: { delivered, forwarded, blocked, rejected, dropped, muted, compact }, prefixes: {}, senders: {} }
+export function addMailStat(day, kind, { prefix, sender, muted, compact } = {}) {
+  day.n = day.n || {};
+  day.prefixes = day.prefixes || {};
+  day.senders = day.senders || {};
+  day.n[kind] = (day.n[kind] || 0) + 1;
+  if (muted) day.n.muted = (day.n.muted || 0) + 1;
+  if (compact) day.n.compact = (day.n.compact || 0) + 1;
+  if (prefix) day.prefixes[prefix] = (day.prefixes[prefix] || 0) + 1;
+  if (sender) day.senders[sender] = (day.senders[sender] || 0) + 1;
+  return capSenders(day);
+}
+
+// 发件人超出上限时只保留计数最多的
+function capSenders(day) {
+  const senders = Object.entries(day.senders);
+  if (senders.length > MAX_STAT_SENDERS) {
+    senders.sort((a, b) => b[1] - a[1]);
+    day.senders = Object.fromEntries(senders.slice(0, Math.floor(MAX_STAT_SENDERS * 0.75)));
+  }
+  return day;
+}
+
+// 每封邮件写一个独立的键 stat_mail:<day>:<id>（计数放在 metadata 里），不读改写共享的键，并发收信不会丢计数
+// 每日任务把已结束的日期汇总成 stats:<day>，逐封的键随后自动过期
+export async function recordMailStat(env, kind, { prefix, sender, muted, compact } = {}, now = Date.now()) {
+  if (!env.KV) return;
+  try {
+    const id = now.toString(36) + crypto.randomUUID().replace(/-/g, '').slice(0, 6);
+    const meta = { k: kind };
+    if (prefix) meta.p = prefix.substring(0, 64);
+    if (sender) meta.s = sender.substring(0, 100);
+    if (muted) meta.m = 1;
+    if (compact) meta.c = 1;
+    await env.KV.put(`stat_mail:${statDay(now, getTimezone(env))}:${id}`, '', {
+      expirationTtl: (STATS_KEEP_DAYS + 1) * 86400, metadata: meta,
+    });
+  } catch (err) {
+    console.log('Stats record failed:', err.message);
+  }
+}
+
+// 从逐封的键汇总一天
+export async function collectDayStats(env, date) {
+  const day = { n: {}, prefixes: {}, senders: {} };
+  let cursor;
+  do {
+    const page = await env.KV.list({ prefix: `stat_mail:${date}:`, cursor });
+    for (const { metadata: m } of page.keys) {
+      if (m?.k) addMailStat(day, m.k, { prefix: m.p, sender: m.s, muted: m.m, compact: m.c });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return day;
+}
+
+// 每日任务：最近几天中已结束、还没汇总且有收信的日期存为 stats:<day>
+export async function archiveMailStats(env, now = Date.now()) {
+  const timeZone = getTimezone(env);
+  const today = statDay(now, timeZone);
+  let archived = 0;
+  for (let i = 1; i <= STATS_KEEP_DAYS; i++) {
+    const date = statDay(now - i * DAY_MS, timeZone);
+    if (date >= today || await env.KV.get(`stats:${date}`)) continue;
+    const day = await collectDayStats(env, date);
+    if (Object.keys(day.n).length === 0) continue;
+    await env.KV.put(`stats:${date}`, JSON.stringify(day), { expirationTtl: (STATS_DAYS + 2) * 86400 });
+    archived++;
+  }
+  return archived;
+}
+
+// 最近 30 天（含今天），从早到晚；还没汇总的近几天从逐封的键现算
+export async function loadMailStats(env, now = Date.now()) {
+  const timeZone = getTimezone(env);
+  const days = Array.from({ length: STATS_DAYS }, (_, i) => statDay(now - (STATS_DAYS - 1 - i) * DAY_MS, timeZone));
+  const values = await Promise.all(days.map(d => env.KV.get(`stats:${d}`)));
+  return Promise.all(days.map(async (date, i) => {
+    let data = {};
+    if (values[i]) {
+      try { data = JSON.parse(values[i]); } catch { /* 损坏的记录按空处理 */ }
+    } else if (i >= STATS_DAYS - 1 - STATS_KEEP_DAYS) {
+      data = await collectDayStats(env, date);
+    }
+    return { date, n: data.n || {}, prefixes: data.prefixes || {}, senders: data.senders || {} };
+  }));
+}
+
+// ============ 汇总与显示 ============
+
+export function sparkline(values) {
+  const max = Math.max(...values, 0);
+  // 最低一档只留给 0
+  return values.map(v => SPARK_CHARS[v === 0 ? 0 : 1 + Math.round(v / max * (SPARK_CHARS.length - 2))]).join('');
+}
+
+function received(day) {
+  return STAT_KINDS.reduce((sum, kind) => sum + (day.n[kind] || 0), 0);
+}
+
+function sumMaps(maps) {
+  const total = {};
+  for (const map of maps) {
+    for (const [key, n] of Object.entries(map)) total[key] = (total[key] || 0) + n;
+  }
+  return total;
+}
+
+export function topEntries(map, n = STATS_TOP) {
+  return Object.entries(map).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, n);
+}
+
+// 当前存储占用（按邮件索引）：{ prefixes: { p: bytes }, senders: { s: bytes } }
+export function storageBreakdown(entries) {
+  const prefixes = {};
+  const senders = {};
+  for (const e of entries) {
+    const size = entryStoredSize(e);
+    if (!size) continue;
+    if (e.prefix) prefixes[e.prefix] = (prefixes[e.prefix] || 0) + size;
+    if (e.sender) senders[e.sender] = (senders[e.sender] || 0) + size;
+  }
+  return { prefixes, senders };
+}
+
+function formatTop(list, format = n => String(n)) {
+  return list.map(([key, n]) => `${esc(key)} <b>${format(n)}</b>`).join('\n');
+}
+
+export function buildStatsText(days, storage) {
+  const counts = days.map(received);
+  const total = counts.reduce((a, b) => a + b, 0);
+  let text = t('stats.title', { n: days.length });
+  if (total === 0) return text + t('stats.empty');
+
+  const n = sumMaps(days.map(d => d.n));
+  text += t('stats.perDay', { from: days[0].date.slice(5), to: days[days.length - 1].date.slice(5) });
+  text += `<code>${sparkline(counts)}</code>\n`;
+  text += t('stats.total', { total, max: Math.max(...counts), today: counts[counts.length - 1] });
+
+  text += t('stats.topPrefixes') + formatTop(topEntries(sumMaps(days.map(d => d.prefixes)))) + '\n';
+  text += t('stats.topSenders') + formatTop(topEntries(sumMaps(days.map(d => d.senders)))) + '\n';
+
+  if (Object.keys(storage.prefixes).length > 0) {
+    text += t('stats.storagePrefixes') + formatTop(topEntries(storage.prefixes), formatSize) + '\n';
+    text += t('stats.storageSenders') + formatTop(topEntries(storage.senders), formatSize) + '\n';
+  }
+
+  const delivered = n.delivered || 0;
+  if (delivered > 0) {
+    text += t('stats.compact', { pct: Math.round((n.compact || 0) / delivered * 100), n: n.compact || 0, total: delivered });
+  }
+  text += t('stats.hits', {
+    blocked: n.blocked || 0, rejected: n.rejected || 0, dropped: n.dropped || 0,
+    muted: n.muted || 0, forwarded: n.forwarded || 0,
+  });
+  return text;
+}
+
+export async function cmdStats(env) {
+  const [days, idx] = await Promise.all([loadMailStats(env), getEmailIndex(env)]);
+  return sendTelegramMessage(env, buildStatsText(days, storageBreakdown(idx.entries)));
+}
@@ -0,0 +1,44 @@
+import { getMailThreads, setMailThreads, dropStaleThreads } from '../shared/storage.js';
+
+// 最多记录的 Message-ID 数量，超出时丢弃最久没有新邮件的对话
+export const MAX_THREAD_IDS = 2000;
+
+// "<a@x> <b@y>" → ['a@x', 'b@y']
+export function parseMessageIds(value) {
+  return (String(value || '').match(/<[^<>\s]+>/g) || []).map(id => id.slice(1, -1).toLowerCase());
+}
+
+// 可能所属对话的 Message-ID：先 In-Reply-To，再 References 从后往前（越靠后越近）
+export function threadRefs(parsed) {
+  return [...parseMessageIds(parsed.inReplyTo), ...parseMessageIds(parsed.references).reverse()];
+}
+
+// 查找邮件所属的对话；返回 { id, replyTo, count }（count 含本封），不属于已知对话返回 null
+export async function findMailThread(env, parsed) {
+  const refs = threadRefs(parsed);
+  if (refs.length === 0) return null;
+  const map = await getMailThreads(env);
+  for (const ref of refs) {
+    const id = map.ids[ref];
+    const thread = id && map.threads[id];
+    if (thread) return { id, replyTo: thread.last, count: thread.count + 1 };
+  }
+  return null;
+}
+
+// 记录本封邮件的通知；thread 为 findMailThread 的结果，为空时以本封开始新对话
+export async function recordMailThread(env, parsed, thread, tgMsgId, now = Date.now()) {
+  const [own] = parseMessageIds(parsed.messageId);
+  if (!thread && !own) return;
+  const map = await getMailThreads(env);
+  const id = thread?.id || own;
+  const prev = map.threads[id];
+  map.threads[id] = { last: tgMsgId, count: (prev?.count || 0) + 1, ts: now };
+  if (own) map.ids[own] = id;
+
+  if (Object.keys(map.ids).length > MAX_THREAD_IDS) {
+    const byAge = Object.values(map.threads).map(t => t.ts).sort((a, b) => a - b);
+    dropStaleThreads(map, Math.max(byAge[0] + 1, byAge[Math.floor(byAge.length / 4)]));
+  }
+  await setMailThreads(env, map);
+}
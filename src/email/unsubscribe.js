@@ -0,0 +1,115 @@
+import { esc } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import { getMailSender, encodeMimeHeader, base64Lines } from './outbound.js';
+
+// 一键退订请求超时（ms）
+export const UNSUBSCRIBE_TIMEOUT = 10000;
+
+// mailto 退订地址只接受单个普通地址（解码后写入 To: 头，不能带换行或多个收件人）
+const MAILTO_ADDR_RE = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+// ============ 解析 ============
+
+// List-Unsubscribe: <https://…>, <mailto:…> 以及 List-Unsubscribe-Post（RFC 8058）
+// 返回 { url, mailto, oneClick }，没有可用地址返回 null
+export function parseListUnsubscribe(headers) {
+  const header = (headers || []).find(h => h.key === 'list-unsubscribe');
+  if (!header) return null;
+  const targets = (String(header.value).match(/<[^<>]+>/g) || []).map(v => v.slice(1, -1).trim());
+  const url = targets.find(v => /^https:\/\//i.test(v)) || '';
+  const mailto = targets.find(v => /^mailto:/i.test(v) && parseMailto(v)) || '';
+  if (!url && !mailto) return null;
+  const post = (headers || []).find(h => h.key === 'list-unsubscribe-post');
+  const oneClick = !!url && /List-Unsubscribe=One-Click/i.test(post?.value || '');
+  return { url, mailto, oneClick };
+}
+
+// mailto:list@x.com?subject=unsubscribe&body=… → { to, subject, body }；地址无效返回 null
+export function parseMailto(mailto) {
+  const [addr, query = ''] = mailto.replace(/^mailto:/i, '').split('?');
+  let to;
+  try { to = decodeURIComponent(addr).trim(); } catch { return null; }
+  if (!MAILTO_ADDR_RE.test(to)) return null;
+  const params = new URLSearchParams(query);
+  return {
+    to,
+    subject: (params.get('subject') || 'unsubscribe').replace(/[\r\n]+/g, ' '),
+    body: params.get('body') || 'unsubscribe',
+  };
+}
+
+// 有可自动执行的方式时才显示退订按钮：一键 POST，或有发信绑定时的 mailto
+export function canAutoUnsubscribe(env, info) {
+  return !!info && (info.oneClick || (!!info.mailto && !!getMailSender(env)));
+}
+
+// ============ 执行 ============
+
+// env.UNSUBSCRIBE_FETCH 可注入替代实现（测试用本地 stub）
+export function getUnsubscribeFetcher(env) {
+  return typeof env.UNSUBSCRIBE_FETCH === 'function' ? env.UNSUBSCRIBE_FETCH : fetch;
+}
+
+async function postOneClick(env, url) {
+  try {
+    const res = await getUnsubscribeFetcher(env)(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'List-Unsubscribe=One-Click',
+      redirect: 'manual',
+      signal: AbortSignal.timeout(UNSUBSCRIBE_TIMEOUT),
+    });
+    return res.status >= 200 && res.status < 400 ? { ok: true } : { ok: false, error: `HTTP ${res.status}` };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+function buildUnsubscribeMime(from, { to, subject, body }) {
+  const domain = from.split('@')[1] || 'localhost';
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeMimeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+  ].join('\r\n') + '\r\n\r\n' + base64Lines(body) + '\r\n';
+}
+
+// 优先一键 POST，其次用收件别名发 mailto 退订邮件；都不可用时 method 为 manual（只能手动打开链接）
+// 返回 { ok, method: 'post'|'mailto'|'manual', error? }
+export async function performUnsubscribe(env, info, from) {
+  if (info.oneClick) {
+    const result = await postOneClick(env, info.url);
+    if (result.ok || !info.mailto) return { ...result, method: 'post' };
+  }
+  const send = getMailSender(env);
+  const mail = info.mailto ? parseMailto(info.mailto) : null;
+  if (mail && send && from) {
+    try {
+      await send(env, from, mail.to, buildUnsubscribeMime(from, mail));
+      return { ok: true, method: 'mailto' };
+    } catch (err) {
+      return { ok: false, method: 'mailto', error: err.message };
+    }
+  }
+  return { ok: false, method: 'manual' };
+}
+
+// 退订结果消息：成功后提供静音发件人按钮，无法自动退订时提供链接
+export function buildUnsubscribeResult(result, info, sender, emailId, senderMuted) {
+  const v = esc(sender);
+  if (result.ok) {
+    const text = t(`unsub.done.${result.method}`, { v });
+    if (senderMuted) return { text, keyboard: null };
+    return { text: text + t('unsub.offerMute'), keyboard: { inline_keyboard: [[{ text: t('email.btn.muteSender'), callback_data: `ms:${emailId}` }]] } };
+  }
+  const text = result.method === 'manual'
+    ? t('unsub.manual', { v })
+    : t('unsub.failed', { v, error: esc(result.error || '') });
+  const keyboard = info.url ? { inline_keyboard: [[{ text: t('unsub.btnOpen'), url: info.url }]] } : null;
+  return { text, keyboard };
+}
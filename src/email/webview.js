@@ -0,0 +1,151 @@
+import PostalMime from 'postal-mime';
+import { esc, formatAddress, formatAddressList, formatDate } from '../shared/utils.js';
+import { t } from '../i18n.js';
+import { getEmailEml, getImage, getEmailIndex, getWorkerOrigin, getTimezone, loadSystemConfig } from '../shared/storage.js';
+import { tryFixBodyEncoding } from './encoding.js';
+
+// 网页查看链接有效期（秒）
+export const VIEW_LINK_TTL = 7 * 24 * 3600;
+
+// 纵深防御：即使过滤遗漏，也不执行脚本、不加载外部资源
+const VIEW_CSP = "default-src 'none'; img-src 'self' data:; style-src 'unsafe-inline'; font-src data:; form-action 'none'; frame-ancestors 'none'";
+
+// ============ 签名 ============
+
+function base64Url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// HMAC-SHA256(m:<id>:<exp>)，密钥为 bot token
+export async function signViewLink(env, id, exp) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(env.TG_BOT_TOKEN), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'],
+  );
+  return base64Url(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`m:${id}:${exp}`)));
+}
+
+export async function verifyViewLink(env, id, exp, sig, now = Date.now()) {
+  if (!sig || !/^\d+$/.test(String(exp)) || Number(exp) * 1000 <= now) return false;
+  const expected = await signViewLink(env, id, exp);
+  if (expected.length !== sig.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ sig.charCodeAt(i);
+  return diff === 0;
+}
+
+// 通知上的「打开完整邮件」链接；未记录 Worker 地址（未访问过 /init）时返回 null
+export async function buildViewUrl(env, id, now = Date.now()) {
+  const origin = await getWorkerOrigin(env);
+  if (!origin || !env.TG_BOT_TOKEN) return null;
+  const exp = Math.floor(now / 1000) + VIEW_LINK_TTL;
+  return `${origin}/m/${id}?exp=${exp}&sig=${await signViewLink(env, id, exp)}`;
+}
+
+// ============ HTML 过滤 ============
+
+const SAFE_HREF = /^\s*(https?:|mailto:|#)/i;
+
+function attrValue(raw) {
+  return raw.replace(/^["']|["']$/g, '');
+}
+
+// 去掉脚本、表单、外部资源和事件属性；cid: 图片交给 cidSrc 换成本地地址（返回 null 则移除）
+export function sanitizeEmailHtml(html, cidSrc = () => null) {
+  let out = String(html || '');
+  out = out.replace(/<!--[\s\S]*?-->/g, '');
+  out = out.replace(/<(script|iframe|object|embed|applet|frameset|noscript|title|svg|math|form)\b[\s\S]*?<\/\1\s*>/gi, '');
+  out = out.replace(/<\/?(script|iframe|object|embed|applet|frame|frameset|form|input|button|textarea|select|base|link|meta|html|head|body|title|svg|math)\b[^>]*>/gi, '');
+  out = out.replace(/<!DOCTYPE[^>]*>/gi, '');
+  // 事件属性
+  out = out.replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '');
+  // 链接只保留 http(s)/mailto/锚点，图片只保留 cid 和 data:image，其余资源属性移除
+  out = out.replace(/\s+(href|src|srcset|background|poster|action|formaction|xlink:href)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, (m, attr, raw) => {
+    const name = attr.toLowerCase();
+    const value = attrValue(raw).trim();
+    if (name === 'href') return SAFE_HREF.test(value) ? m : '';
+    if (name === 'src') {
+      if (/^cid:/i.test(value)) {
+        const src = cidSrc(value.slice(4).replace(/^<|>$/g, ''));
+        return src ? ` src="${src}"` : '';
+      }
+      return /^data:image\//i.test(value) ? m : '';
+    }
+    return '';
+  });
+  // CSS 中的外部资源
+  out = out.replace(/@import[^;]*;?/gi, '');
+  out = out.replace(/url\s*\(\s*(?!["']?data:image\/)[^)]*\)/gi, 'none');
+  out = out.replace(/expression\s*\(/gi, '(');
+  return out;
+}
+
+// ============ 页面 ============
+
+function htmlResponse(body, status = 200) {
+  return new Response(body, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': VIEW_CSP,
+      'Referrer-Policy': 'no-referrer',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store',
+    },
+  });
+}
+
+function messagePage(text, status) {
+  return htmlResponse(`<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"></head><body style="font-family:sans-serif;padding:2em">${esc(text)}</body></html>`, status);
+}
+
+export function buildViewPage(parsed, bodyHtml, timeZone = 'UTC') {
+  const rows = [
+    [t('view.from'), formatAddress(parsed.from)],
+    [t('view.to'), formatAddressList(parsed.to)],
+    [t('view.date'), parsed.date ? formatDate(parsed.date, timeZone) : ''],
+  ].filter(([, v]) => v);
+  const subject = esc(parsed.subject || t('email.noSubject'));
+  return '<!DOCTYPE html><html><head><meta charset="utf-8">'
+    + '<meta name="viewport" content="width=device-width, initial-scale=1"><meta name="referrer" content="no-referrer">'
+    + `<base target="_blank"><title>${subject}</title></head><body style="margin:0">`
+    + '<div style="font-family:sans-serif;font-size:14px;padding:12px 16px;background:#f4f4f5;border-bottom:1px solid #ddd">'
+    + `<div style="font-size:18px;font-weight:bold;margin-bottom:6px">${subject}</div>`
+    + rows.map(([k, v]) => `<div>${esc(k)} ${esc(v)}</div>`).join('')
+    + `</div><div style="padding:16px">${bodyHtml}</div></body></html>`;
+}
+
+// GET /m/<id>?exp=&sig= 邮件页面；/m/<id>/<idx>?exp=&sig= 内嵌图片
+export async function handleViewRequest(request, env) {
+  await loadSystemConfig(env);
+  const url = new URL(request.url);
+  const m = url.pathname.match(/^\/m\/(\d+)(?:\/(\d+))?$/);
+  if (!m) return messagePage(t('view.notFound'), 404);
+  const id = Number(m[1]);
+  const exp = url.searchParams.get('exp');
+  const sig = url.searchParams.get('sig');
+  if (!await verifyViewLink(env, id, exp, sig)) return messagePage(t('view.expired'), 403);
+
+  const idx = await getEmailIndex(env);
+  const entry = idx.entries.find(e => e.id === id);
+  if (m[2] !== undefined) {
+    const img = (entry?.images || []).find(i => i.idx === Number(m[2]));
+    const data = img ? await getImage(env, id, img.idx, img.part) : null;
+    if (!data) return new Response('Not found', { status: 404 });
+    return new Response(data, {
+      headers: { 'Content-Type': img.mime || 'application/octet-stream', 'Cache-Control': 'private, max-age=3600', 'X-Content-Type-Options': 'nosniff' },
+    });
+  }
+
+  const emlData = await getEmailEml(env, id);
+  if (!emlData) return messagePage(t('view.notFound'), 404);
+  let parsed;
+  try { parsed = await new PostalMime().parse(emlData); }
+  catch { return messagePage(t('view.notFound'), 404); }
+  const fixed = tryFixBodyEncoding(new Uint8Array(emlData), parsed.text, parsed.html);
+  const query = `?exp=${exp}&sig=${sig}`;
+  const cids = new Map((entry?.images || []).filter(i => i.cid).map(i => [i.cid, `/m/${id}/${i.idx}${query}`]));
+  const body = fixed.html
+    ? sanitizeEmailHtml(fixed.html, cid => cids.get(cid) || null)
+    : `<pre style="white-space:pre-wrap;font-family:inherit">${esc(fixed.text || t('email.noBody'))}</pre>`;
+  return htmlResponse(buildViewPage(parsed, body, getTimezone(env)));
+}
@@ -31,6 +31,8 @@ const zh = {
 
   // ---- 邮件通知 ----
   'email.new': '📧 <b>新邮件</b>\n\n',
+  'email.otp.code': '🔢 验证码：<code>{code}</code>\n',
+  'email.otp.link': '🔗 <a href="{url}">登录/验证链接</a>\n',
   'email.from': '<b>发件人：</b>',
   'email.to': '<b>收件人：</b>',
   'email.cc': '<b>抄送：</b>',
@@ -48,7 +50,7 @@ const zh = {
   'email.att.docs': '{n} 个文档',
   'email.att.oversized': '{n} 个超大文件',
   'email.att.prefix': '附件: ',
-  'email.att.nonImage': '\n\n📋 非图片附件（不存储）：\n',
+  'email.att.nonImage': '\n\n📋 超出大小限制的附件（不存储）：\n',
   'email.att.unsubscribe': '退订此邮件列表',
 
   // ---- 邮件通知 - 解析失败 ----
@@ -61,7 +63,13 @@ const zh = {
 
   // ---- 邮件通知 - 操作按钮 ----
   'email.btn.att': '📎 附件 ({n})',
+  'email.btn.file': '📄 {name} ({size})',
+  'email.btn.ics': '📅 导入日历 (.ics)',
+  'email.btn.unsubscribe': '🚫 退订',
+  'email.btn.unsubscribed': '✅ 已退订',
+  'email.btn.copyCode': '📋 复制验证码 {code}',
   'email.btn.eml': '📄 .eml',
+  'email.btn.web': '🌐 打开完整邮件',
   'email.btn.unstar': '⭐ 取消收藏',
   'email.btn.star': '收藏',
   'email.btn.delAtt': '🗑 删除附件',
@@ -69,12 +77,16 @@ const zh = {
   'email.btn.muteSender': '🔇 静音发件人',
   'email.btn.unblockSender': '✅ 取消屏蔽',
   'email.btn.blockSender': '⛔ 屏蔽发件人',
+  'email.btn.blockDomain': '🌐 屏蔽域名',
+  'email.btn.unblockDomain': '✅ 取消域名屏蔽',
+  'email.btn.reply': '↩️ 回复',
   'email.btn.confirmDelAtt': '⚠️ 确认删除附件',
 
   // ---- 邮件列表 ----
   'email.list.empty': '📧 未设置过滤，所有邮件均会转发。\n点击下方按钮添加。',
   'email.list.title': '📧 邮箱过滤规则：',
   'email.list.globalMute': '🔇 全局静音已开启',
+  'email.list.globalMuteUntil': '🔇 全局静音中，{time} 自动解除',
   'email.list.paused': '(已暂停)',
   'email.list.addPrefix': '➕ 添加前缀',
   'email.list.randomPrefix': '🎲 随机前缀',
@@ -95,8 +107,18 @@ const zh = {
   'email.settings.addDomain': '➕ 添加域名',
   'email.settings.unmutePrefix': '🔔 取消静音',
   'email.settings.mutePrefix': '🔇 静音此前缀',
+  'email.settings.mutedUntil': ' 🔇 至 {time}',
   'email.settings.confirmDelBtn': '⚠️ 确认删除',
   'email.settings.delPrefix': '🗑 删除前缀',
+  'email.settings.forwards': '转发到：\n',
+  'email.settings.forwardOnlyOn': '📤 仅转发，不发 Telegram 通知\n',
+  'email.settings.addForward': '📤 添加转发',
+  'email.settings.forwardOnly': '📤 仅转发',
+  'email.settings.forwardOnlyOff': '🔔 恢复通知',
+  'email.settings.digestOn': '📰 摘要模式：每天 {v}（{tz}）汇总发送\n',
+  'email.settings.digestEnable': '📰 摘要模式',
+  'email.settings.digestDisable': '🔔 逐封通知',
+  'email.settings.digestTimes': '🕘 摘要时间',
 
   // ---- 邮件操作 toast ----
   'email.toast.paused': '⏸️ 已暂停 {v}',
@@ -115,17 +137,27 @@ const zh = {
   'email.toast.domainLimit': '\n域名限制：',
   'email.toast.confirmRmDomain': '⚠️ 再次点击确认删除',
   'email.toast.domainRemoved': '❌ 已移除 @{d}',
+  'email.toast.forwardList': '\n转发地址：',
+  'email.toast.forwardRemoved': '❌ 已移除转发 {v}',
+  'email.toast.forwardOnlyOn': '📤 {v} 已设为仅转发',
+  'email.toast.forwardOnlyOff': '🔔 {v} 已恢复 Telegram 通知',
+  'email.toast.digestOn': '📰 {v} 已改为摘要模式',
+  'email.toast.digestOff': '🔔 {v} 已恢复逐封通知',
   'email.toast.prefixMuted': '🔇 已静音 {v}',
   'email.toast.prefixUnmuted': '🔔 已取消静音 {v}',
   'email.toast.expired': '⏰ 邮件数据已过期',
   'email.toast.senderMuted': '🔇 已静音 {v}',
   'email.toast.senderUnmuted': '🔔 已取消静音 {v}',
   'email.toast.senderBlocked': '⛔ 已屏蔽 {v}',
+  'email.toast.domainBlocked': '⛔ 已屏蔽整个域名 {v}',
+  'email.toast.domainUnblocked': '✅ 已取消屏蔽域名 {v}',
   'email.toast.senderUnblocked': '✅ 已取消屏蔽 {v}',
   'email.toast.noAttachments': '没有可下载的图片附件',
   'email.toast.attExpired': '⏰ 附件已过期',
   'email.toast.attSent': '📎 已发送 {n} 个附件',
   'email.toast.emlSent': '📄 .eml 已发送',
+  'email.toast.fileSent': '📄 文件已发送',
+  'email.toast.fileExpired': '⏰ 文件已过期或已删除',
   'email.toast.starred': '⭐ 已收藏',
   'email.toast.unstarred': '已取消收藏',
   'email.toast.starFull': '⚠️ 收藏空间不足（{used}/{total}）',
@@ -145,6 +177,7 @@ const zh = {
   'email.toast.clearedBlock': '✅ 已清空屏蔽列表',
   'email.toast.searchExpired': '搜索已过期，请重新搜索',
   'email.toast.mgmtSearchExpired': '搜索已过期，请重新查询',
+  'email.toast.replyUnavailable': '⚠️ 未配置 SEND_EMAIL 发信绑定，无法回复',
 
   // ---- 邮件搜索 ----
   'email.search.title': '🔍 搜索 "<b>{kw}</b>"（共 {total} 条',
@@ -156,6 +189,146 @@ const zh = {
   'email.search.next': '▶️ 下一页',
   'email.search.dateShort': '{m}月{d}日',
 
+  // ---- 邮件摘要 ----
+  'digest.title': '📰 <b>{prefix}</b> 邮件摘要（{n} 封）\n\n',
+  'digest.more': '…另有 {n} 封未列出，可用 /search to:{prefix} 查看',
+
+  // ---- 免打扰时段 ----
+  'quiet.everyDay': '每天',
+  'quiet.allDay': '全天',
+  'quiet.dayNames': '周日,周一,周二,周三,周四,周五,周六',
+
+  // ---- 定时静音 ----
+  'mute.btn.1h': '⏱ 1 小时',
+  'mute.btn.8h': '⏱ 8 小时',
+  'mute.btn.am': '🌅 到明早 8 点',
+  'mute.btn.custom': '✏️ 自定义',
+  'mute.btn.ever': '♾ 一直静音',
+  'mute.choose': '选择静音时长',
+  'mute.all': '全部通知',
+  'mute.target.global': '全局静音',
+  'mute.target.prefix': '{v} 的静音',
+  'mute.target.sender': '{v} 的静音',
+  'mute.ended': '🔔 <b>{target}</b>已结束，期间收到 {n} 封邮件：\n\n',
+  'mute.endedEmpty': '🔔 <b>{target}</b>已结束，期间没有新邮件',
+  'mute.more': '…另有 {n} 封未列出',
+  'mute.promptGlobal': '🔇 全局静音多久？输入时长（如 30m、2h、3d）或截止时间（如 18:30）：',
+  'mute.prompt': '🔇 静音 {v} 多久？输入时长（如 30m、2h、3d）或截止时间（如 18:30）：',
+  'mute.invalid': '❌ 无效的时长，例：30m、2h、3d、18:30（最长 30 天）',
+  'mute.mutedUntil': '🔇 已静音 {v}，{time} 自动解除',
+
+  // ---- 一次性前缀 ----
+  'burner.btn.perm': '♾ 长期使用',
+  'burner.btn.24h': '⏳ 24 小时',
+  'burner.btn.7d': '⏳ 7 天',
+  'burner.btn.30d': '⏳ 30 天',
+  'burner.btn.n1': '📨 收 1 封',
+  'burner.btn.n5': '📨 收 5 封',
+  'burner.btn.pause': '⏸️ 到期暂停',
+  'burner.btn.delete': '🗑 到期删除',
+  'burner.choose': '选择随机前缀的有效期',
+  'burner.chooseEnd': '到期后暂停还是删除？',
+  'burner.created': '\n{limit}，到期后{end}，之后的邮件将被拒收',
+  'burner.end.pause': '暂停',
+  'burner.end.delete': '删除',
+  'burner.ended': '🔥 已结束',
+  'burner.notice.expired': '🔥 一次性前缀 <b>{v}</b> 已到期',
+  'burner.notice.used': '🔥 一次性前缀 <b>{v}</b> 已收满 {n} 封',
+  'burner.notice.paused': '，已暂停并拒收后续邮件（恢复即可解除限制）',
+  'burner.notice.deleted': '，已删除并拒收后续邮件',
+
+  // ---- 论坛话题 ----
+  'topic.pwd': '🔐 密码',
+  'topic.cfg': '⚙️ 配置',
+
+  // ---- 用户与权限 ----
+  'user.role.owner': 'Owner',
+  'user.role.member': '成员',
+  'user.role.readonly': '只读',
+  'user.btnView': '📄 查看全文',
+  'user.noPermission': '🚫 当前角色（{role}）没有此权限',
+  'user.toast.noPermission': '🚫 没有权限',
+  'user.welcome': '👋 你已被添加为 {role}\n前缀：{prefixes}\n可用命令：/search、/pwd',
+
+  // ---- 发件人验证 ----
+  'auth.dmarcFail': '⚠️ <b>发件域 {domain} 未通过 DMARC 验证，发件人可能是伪造的</b>\n\n',
+
+  // ---- 钓鱼链接 ----
+  'phish.title': '⚠️ <b>链接安全提示</b>\n',
+  'phish.mismatch': '• 显示为 {shown}，实际指向 <code>{host}</code>',
+  'phish.ip': '• 链接指向 IP 地址 <code>{host}</code>',
+  'phish.punycode': '• 国际化域名 <code>{host}</code> 可能在仿冒其他网站',
+  'phish.lookalike': '• <code>{host}</code> 形似 {brand}，可能是仿冒',
+  'phish.more': '• 还有 {n} 条',
+
+  // ---- 邮件对话 ----
+  'thread.counter': '🧵 对话中的第 {n} 封\n',
+
+  // ---- 日历邀请 ----
+  'cal.title': '📅 <b>日历邀请</b>\n',
+  'cal.cancelled': '📅 <b>会议已取消</b>\n',
+  'cal.when': '🕒 {v}\n',
+  'cal.origTime': ' · 原时间 {time} {tz}',
+  'cal.repeat': '🔁 {v}\n',
+  'cal.where': '📍 {v}\n',
+  'cal.organizer': '👤 组织者：{v}\n',
+  'cal.attendees': '👥 参与者（{n}）：{v}\n',
+  'cal.more': '，另有 {n} 人',
+  'cal.freq.daily': '每天',
+  'cal.freq.weekly': '每周',
+  'cal.freq.monthly': '每月',
+  'cal.freq.yearly': '每年',
+  'cal.freqN.daily': '每 {n} 天',
+  'cal.freqN.weekly': '每 {n} 周',
+  'cal.freqN.monthly': '每 {n} 个月',
+  'cal.freqN.yearly': '每 {n} 年',
+  'cal.count': '共 {n} 次',
+  'cal.until': '至 {v}',
+
+  // ---- 退订 ----
+  'unsub.done.post': '✅ 已通过一键退订退订 {v} 的邮件列表',
+  'unsub.done.mailto': '✅ 已向 {v} 的列表发送退订邮件',
+  'unsub.offerMute': '\n\n退订生效前可能还会收到邮件，可以先静音该发件人。',
+  'unsub.manual': '⚠️ {v} 不支持自动退订，请打开链接手动退订',
+  'unsub.failed': '❌ 退订 {v} 失败：{error}',
+  'unsub.btnOpen': '🔗 打开退订页面',
+  'unsub.toast.already': '已退订过',
+
+  // ---- 统计 ----
+  'stats.title': '📊 <b>收信统计</b>（最近 {n} 天）\n\n',
+  'stats.empty': '暂无收信记录',
+  'stats.perDay': '每日收信 {from} → {to}\n',
+  'stats.total': '共 <b>{total}</b> 封，单日最多 {max} 封，今天 {today} 封\n\n',
+  'stats.topPrefixes': '🏷 <b>收信最多的前缀</b>\n',
+  'stats.topSenders': '\n👤 <b>收信最多的发件人</b>\n',
+  'stats.storagePrefixes': '\n💾 <b>存储占用（前缀）</b>\n',
+  'stats.storageSenders': '\n💾 <b>存储占用（发件人）</b>\n',
+  'stats.compact': '\n📦 精简模式：{pct}%（{n}/{total} 封通知）\n',
+  'stats.hits': '\n🚫 屏蔽 {blocked} · 拒收 {rejected} · 规则丢弃 {dropped}\n🔕 静音 {muted} · ↪️ 仅转发 {forwarded}',
+
+  // ---- 地址泄露 ----
+  'leak.warning': '🕵️ <b>可能的地址泄露</b>：此地址关联 {name}（{sites}），却收到了 {domain} 的邮件\n',
+
+  // ---- 隔离区 ----
+  'qr.report.title': '🧺 <b>{n} 封邮件被拒收</b>（发往未知或已暂停的前缀，隔离保留 {days} 天）\n\n',
+  'qr.report.more': '…另有 {n} 封\n',
+  'qr.reason.unknown': '未知前缀',
+  'qr.reason.paused': '已暂停',
+  'qr.reason.domain': '域名不符',
+  'qr.reason.burner': '一次性前缀已结束',
+  'qr.btn.view': '👁 {n}',
+  'qr.btn.allow': '✅ 添加 {v}',
+  'qr.btn.resume': '▶️ 恢复 {v}',
+  'qr.view.title': '🧺 <b>隔离的邮件</b>（{reason}，附件已去除）\n\n',
+  'qr.toast.expired': '邮件已过期',
+
+  // ---- 网页查看 ----
+  'view.from': '发件人：',
+  'view.to': '收件人：',
+  'view.date': '时间：',
+  'view.expired': '链接无效或已过期，请在 Telegram 中重新打开邮件。',
+  'view.notFound': '邮件不存在或已过期清理。',
+
   // ---- 邮箱管理 ----
   'email.mgmt.title': '📧 <b>邮箱管理</b>',
   'email.mgmt.searchTitle': '🔍 搜索 "<b>{kw}</b>"',
@@ -174,12 +347,16 @@ const zh = {
   'email.mgmt.btnCleanAll': '🗑 清理邮件',
   'email.mgmt.btnClearBlock': '🗑 清空屏蔽',
   'email.mgmt.btnSearch': '🔍 查询',
+  'email.mgmt.btnAddBlock': '➕ 屏蔽规则',
+  'email.mgmt.btnAddMute': '➕ 静音规则',
+  'email.mgmt.patternHint': '\n🌐 = 域名/通配规则',
   'email.mgmt.btnBackMgmt': '◀️ 返回管理',
 
   // ---- 收藏 ----
   'email.star.empty': '⭐ 没有收藏的邮件。',
   'email.star.title': '⭐ 收藏邮件：\n\n',
   'email.star.photos': '{n} 张图片',
+  'email.star.files': '{n} 个文件',
   'email.star.storage': '\n💾 收藏占用: {used} / {total}',
   'email.star.confirmDel': '\n\n⚠️ 确认要删除此邮件的所有存储数据吗？',
   'email.star.btnConfirmDel': '⚠️ 确认删除邮件',
@@ -191,12 +368,89 @@ const zh = {
   // ---- 邮件 prompt ----
   'email.prompt.addPrefix': '请输入要添加的邮箱前缀：',
   'email.prompt.addDomain': '请输入 {v} 允许的域名：',
-  'email.prompt.search': '请输入搜索关键词（发件人/主题）：',
+  'email.prompt.addForward': '请输入 {v} 的转发目标地址（需已在 Email Routing 中验证）：',
+  'email.prompt.digestTimes': '请输入 {v} 的摘要发送时间（按设置的时区，24 小时制，多个用逗号分隔，如 09:00, 18:00）：',
+  'email.prompt.search': '请输入搜索关键词（发件人/主题/正文）：\n可用 from: to: subject: before:/after:2026-01-31 has:image has:attachment is:starred larger:1mb、"短语"、-排除',
   'email.prompt.mgmtSearch': '请输入要查询的发件人地址关键词：',
+  'email.prompt.addBlockRule': '⛔ 请输入要屏蔽的地址或规则（如 spam@x.com、@x.com、*.x.com、news*@*）：',
+  'email.prompt.addMuteRule': '🔇 请输入要静音的地址或规则（如 spam@x.com、@x.com、*.x.com、news*@*）：',
+  'email.prompt.reply': '↩️ 回复邮件 #{id}，请输入回复内容：',
 
   // ---- 邮件验证 ----
   'email.invalidPrefix': '❌ 前缀格式无效：仅允许小写字母、数字、. _ + -，最长64字符',
   'email.domainAdded': '✅ 已为 <b>{prefix}</b> 添加域名 @{domain}',
+  'email.invalidForward': '❌ 邮箱地址格式无效',
+  'email.invalidSenderRule': '❌ 无效的地址或规则',
+  'email.senderRuleBlocked': '⛔ 已添加屏蔽规则 <code>{v}</code>',
+  'email.senderRuleMuted': '🔇 已添加静音规则 <code>{v}</code>',
+  'email.forwardAdded': '✅ 已为 <b>{prefix}</b> 添加转发 {addr}',
+  'email.digestTimesSet': '✅ <b>{prefix}</b> 的摘要时间：{times}（{tz}）',
+  'email.invalidDigestTimes': '❌ 时间格式无效，示例：09:00, 18:00（最多 6 个）',
+  'email.forwardFailed': '\n\n⚠️ 转发失败：{v}',
+  'email.replySent': '✅ 已回复 {to}',
+  'email.replyFailed': '❌ 回复失败: {err}',
+  'email.reply.empty': '回复内容为空',
+  'email.reply.expired': '原邮件已过期，无法回复',
+  'email.reply.noAddress': '无法确定收发件地址',
+
+  // ---- 邮件规则 ----
+  'rules.title': '🧩 <b>邮件规则</b>（{n} 条）',
+  'rules.page': ' · 第 {page}/{pages} 页',
+  'rules.hint': '按顺序匹配，一封邮件可命中多条规则；命中「丢弃」后不再继续',
+  'rules.empty': '🧩 <b>邮件规则</b>\n\n还没有规则。\n规则在邮件解析后按顺序匹配：可按发件人、收件前缀、主题、邮件头、附件、大小筛选，执行丢弃、静音、收藏、精简格式、转发、标签或不存储。',
+  'rules.none': '（无）',
+  'rules.btnNew': '➕ 新建规则',
+  'rules.btnAddCond': '➕ 条件',
+  'rules.btnAddAction': '➕ 动作',
+  'rules.btnPause': '⏸ 暂停',
+  'rules.btnResume': '▶️ 启用',
+  'rules.btnDel': '🗑 删除规则',
+  'rules.btnConfirmDel': '⚠️ 确认删除',
+  'rules.btnBackList': '🔙 规则列表',
+  'rules.detail.title': '🧩 <b>规则 #{n}：{name}</b>\n',
+  'rules.detail.active': '▶️ 启用中',
+  'rules.detail.paused': '⏸ 已暂停',
+  'rules.detail.conditions': '<b>条件</b>（全部满足）：',
+  'rules.detail.actions': '<b>动作</b>：',
+  'rules.detail.incomplete': '⚠️ 至少需要一个条件和一个动作才会生效',
+  'rules.cond.from': '发件人',
+  'rules.cond.to': '收件前缀',
+  'rules.cond.subject': '主题匹配',
+  'rules.cond.header': '邮件头',
+  'rules.cond.attachment': '有附件',
+  'rules.cond.size': '大小',
+  'rules.action.drop': '丢弃',
+  'rules.action.mute': '静音',
+  'rules.action.star': '收藏',
+  'rules.action.compact': '精简格式',
+  'rules.action.forward': '转发到',
+  'rules.action.tag': '标签',
+  'rules.action.nostore': '不存储',
+  'rules.hint.from': '请输入地址或规则（如 a@x.com、@x.com、*.x.com、news*@*）：',
+  'rules.hint.to': '请输入前缀（如 shop）或收件地址规则：',
+  'rules.hint.subject': '请输入正则表达式（忽略大小写，如 invoice|发票）：',
+  'rules.hint.header': '请输入头部名称（存在即命中），或 名称: 值（如 List-Id: news.x.com）：',
+  'rules.hint.size': '请输入 >大小 或 <大小（如 >1mb、<50kb）：',
+  'rules.hint.forward': '请输入目标地址（需已在 Email Routing 中验证）：',
+  'rules.hint.tag': '请输入标签（字母、数字、下划线，如 invoice）：',
+  'rules.prompt.name': '🧩 请输入新规则的名称：',
+  'rules.prompt.cond': '🧩 规则 #{id} · 条件 · {field}',
+  'rules.prompt.action': '🧩 规则 #{id} · 动作 · {field}',
+  'rules.invalid.from': '❌ 无效的地址或规则',
+  'rules.invalid.to': '❌ 无效的前缀或地址规则',
+  'rules.invalid.subject': '❌ 正则表达式无效',
+  'rules.invalid.header': '❌ 格式应为 名称 或 名称: 值',
+  'rules.invalid.size': '❌ 格式应为 >1mb 或 <50kb',
+  'rules.invalid.forward': '❌ 邮箱地址格式无效',
+  'rules.invalid.tag': '❌ 标签只能包含字母、数字、下划线和 -，最长 30 字符',
+  'rules.toast.limit': '最多 {max} 条规则',
+  'rules.toast.notFound': '规则不存在',
+  'rules.toast.added': '✅ 已添加',
+  'rules.toast.removed': '已移除',
+  'rules.toast.paused': '⏸ 规则已暂停',
+  'rules.toast.resumed': '▶️ 规则已启用',
+  'rules.toast.confirmDel': '再次点击确认删除',
+  'rules.toast.deleted': '🗑 已删除规则 {name}',
 
   // ---- 密码列表 ----
   'pwd.list.empty': '🔐 密码列表为空\n\n点击下方 ➕ 新建',
@@ -217,6 +471,8 @@ const zh = {
   'pwd.detail.btnDel': '🗑 删除',
   'pwd.detail.btnTotp': '🔢 获取验证码',
   'pwd.detail.notExist': '❌ 密码 <b>{name}</b> 不存在',
+  'pwd.detail.link': '\n📮 关联前缀 <code>{prefix}</code> · 🌐 {sites}\n',
+  'pwd.detail.linkNoSite': '以第一封邮件的发件网站为准',
 
   // ---- 密码编辑 ----
   'pwd.edit.title': '✏️ 编辑 <b>{name}</b>：\n\n选择要修改的字段：',
@@ -225,12 +481,14 @@ const zh = {
   'pwd.edit.btnNote': '📝 备注',
   'pwd.edit.btnTotp': '🔢 2FA密钥',
   'pwd.edit.btnName': '📛 名称',
+  'pwd.edit.btnLink': '📮 关联前缀',
   'pwd.edit.btnBack': '◀️ 返回',
   'pwd.field.username': '用户名',
   'pwd.field.password': '密码',
   'pwd.field.note': '备注',
   'pwd.field.name': '名称',
   'pwd.field.totp': '2FA密钥',
+  'pwd.field.link': '关联前缀',
 
   // ---- 密码 prompt ----
   'pwd.prompt.name': '🔐 请输入密码名称：',
@@ -238,6 +496,8 @@ const zh = {
   'pwd.prompt.totpHint': '\n\n请输入 Base32 密钥或 otpauth:// URI',
   'pwd.prompt.clearHint': '\n（发送空格可清除）',
   'pwd.prompt.currentValue': '\n\n当前值：<code>{v}</code>\n点击上方可复制，修改后发送',
+  'pwd.prompt.linkHint': '\n\n发送「前缀 网站域名」，如 <code>shop github.com</code>，可填多个域名；不填域名时以收到的第一封邮件为准。\n来自其他网站的邮件会标记为可能的地址泄露',
+  'pwd.prompt.newForPrefix': '🔐 为 {v} 新建密码条目，请输入名称（最好是网站域名，如 github.com）：',
 
   // ---- 密码操作 ----
   'pwd.invalidName': '❌ 名称不能为空、不能包含 : 且不超过60字节',
@@ -261,6 +521,12 @@ const zh = {
   'pwd.reply.invalidTotp': '❌ 无效的2FA密钥，请输入 Base32 密钥或 otpauth:// URI',
   'pwd.reply.totpSet': '✅ 已设置2FA\n\n',
   'pwd.reply.updated': '✅ 已更新{field}\n\n',
+  'pwd.reply.linkSet': '✅ 已关联前缀\n\n',
+  'pwd.reply.linkCleared': '✅ 已取消关联\n\n',
+  'pwd.reply.invalidLink': '❌ 格式不正确，请发送「前缀 网站域名」，如 shop github.com',
+  'pwd.reply.linkUnknownPrefix': '❌ 前缀 <b>{prefix}</b> 不存在，请先在 /list 中添加',
+  'pwd.reply.linkTaken': '❌ 前缀 <b>{prefix}</b> 已关联到 <b>{name}</b>',
+  'pwd.link.btnCreate': '🔐 存入密码库',
 
   // ---- 密码回收站 ----
   'pwd.trash.empty': '🗑 回收站为空',
@@ -286,12 +552,20 @@ const zh = {
   'cfg.title': '⚙️ <b>系统设置</b>',
   'cfg.mail': '💾 邮件：{used} / {total}',
   'cfg.star': '⭐ 收藏：{used} / {total}',
+  'cfg.mail.backend': '🗄 存储后端：{v}',
   'cfg.pwdLimit': '🔐 密码上限：{v}',
   'cfg.unlimited': '不限',
   'cfg.count': '{n} 条',
   'cfg.btnMail': '📧 邮件设置',
   'cfg.btnPwd': '🔐 密码设置',
+  'cfg.btnUsers': '👥 用户',
   'cfg.btnLang': '🌐 English',
+  'cfg.timezone': '🕒 时区：{v}',
+  'cfg.btnTimezone': '🕒 时区',
+  'cfg.forum': '💬 论坛话题：{v}',
+  'cfg.forumOn': '按前缀分话题',
+  'cfg.forumOff': '关闭',
+  'cfg.btnForum': '💬 话题',
 
   // ---- 密码设置子菜单 ----
   'cfg.pwd.title': '🔐 <b>密码设置</b>',
@@ -332,15 +606,86 @@ const zh = {
   'cfg.desc.attachMaxSizeMB': '超过只列出不发送',
   'cfg.desc.bodyMaxLength': '通知中正文最大显示长度',
   'cfg.desc.trackingPixelKB': '小于此的内嵌小图自动忽略',
+  'cfg.reject.blocked': '⛔ 屏蔽发件人：{v}',
+  'cfg.reject.unknown': '❓ 未知/暂停前缀：{v}',
+  'cfg.reject.reason': '✏️ 退信原因：<code>{v}</code>',
+  'cfg.reject.drop': '静默丢弃',
+  'cfg.reject.bounce': '退信（5xx）',
+  'cfg.reject.btnBlocked': '⛔ 屏蔽处理',
+  'cfg.reject.btnUnknown': '❓ 未知前缀处理',
+  'cfg.reject.btnReason': '✏️ 退信原因',
+  'cfg.reject.toastBounce': '已改为退信',
+  'cfg.reject.toastDrop': '已改为静默丢弃',
+  'cfg.reject.invalidReason': '❌ 退信原因只能包含英文可打印字符，且不超过 {max} 个字符',
+  'cfg.reject.reasonSet': '✅ 退信原因已设为 <code>{v}</code>',
+  'cfg.dmarc.line': '🛡 DMARC 未通过：{v}',
+  'cfg.dmarc.show': '仅提示',
+  'cfg.dmarc.mute': '提示并静音',
+  'cfg.dmarc.drop': '丢弃',
+  'cfg.dmarc.btn': '🛡 DMARC 处理',
+  'cfg.dmarc.toast': 'DMARC 未通过：{v}',
+  'cfg.quarantine.line': '🧺 隔离未知/暂停前缀的邮件：{v}',
+  'cfg.quarantine.off': '关闭',
+  'cfg.quarantine.days': '保留 {n} 天',
+  'cfg.quarantine.btn': '🧺 隔离区',
+  'cfg.quarantine.toast': '隔离：{v}',
+  'cfg.quiet.btn': '🌙 免打扰时段',
+  'cfg.quiet.title': '🌙 <b>免打扰时段</b>（{tz}）\n\n',
+  'cfg.quiet.desc': '时段内的新邮件静音推送，例外的发件人或关键词仍然提醒。\n\n',
+  'cfg.quiet.empty': '尚未设置时段\n',
+  'cfg.quiet.vipTitle': '\n⭐ <b>例外</b>（仍然提醒）：\n',
+  'cfg.quiet.active': '\n🌙 当前处于免打扰时段',
+  'cfg.quiet.btnAdd': '➕ 添加时段',
+  'cfg.quiet.btnVip': '⭐ 添加例外',
+  'cfg.quiet.btnBack': '◀️ 返回邮件设置',
+  'cfg.quiet.added': '✅ 已添加免打扰时段：{v}',
+  'cfg.quiet.vipAdded': '✅ 已添加例外：<code>{v}</code>',
+  'cfg.quiet.invalid': '❌ 时段格式无效，例：23:00-08:00 周一-周五、全天 周日',
+  'cfg.quiet.invalidVip': '❌ 请输入发件人地址/域名（含 @）或 2-50 个字符的关键词',
+  'cfg.quiet.full': '❌ 最多 {max} 条',
+  'cfg.users.title': '👥 <b>用户</b>\n\n',
+  'cfg.users.owner': '👑 <code>{id}</code> · Owner\n',
+  'cfg.users.noPrefix': '无前缀',
+  'cfg.users.desc': '\n成员：接收并搜索分配前缀的邮件，可查看和编辑关联到这些前缀的密码条目\n只读：同上，但不能显示或编辑密码\n其余密码条目、导出和回收站仅 owner 可用\n点击用户切换角色',
+  'cfg.users.btnAdd': '➕ 添加/修改用户',
+  'cfg.users.btnConfirmDel': '⚠️ 确认移除 {id}',
+  'cfg.users.confirmDel': '\n\n⚠️ 确认移除用户 <code>{id}</code>？',
+  'cfg.users.toastRole': '{id} → {role}',
+  'cfg.users.toastRemoved': '已移除 {id}',
+  'cfg.users.invalid': '❌ 格式错误，例：123456789 member shop news',
+  'cfg.users.isOwner': '❌ 这是 owner 的 ID',
+  'cfg.users.full': '❌ 最多 {max} 个用户',
+  'cfg.users.saved': '✅ 用户 <code>{id}</code>：{role} · {prefixes}',
+  'cfg.quiet.toastRemoved': '已删除',
+  'cfg.trusted.btn': '🛡 可信品牌',
+  'cfg.trusted.title': '🛡 <b>可信品牌域名</b>\n\n',
+  'cfg.trusted.desc': '邮件中的链接与这些域名形似（如 paypa1.com）或把它们放在子域名里时会提示可能是仿冒。\n\n',
+  'cfg.trusted.empty': '列表为空\n',
+  'cfg.trusted.btnAdd': '➕ 添加域名',
+  'cfg.trusted.btnReset': '↩️ 恢复默认',
+  'cfg.trusted.added': '✅ 已添加可信域名：<code>{v}</code>',
+  'cfg.trusted.invalid': '❌ 请输入域名，例：paypal.com',
+  'cfg.trusted.toastReset': '已恢复默认列表',
 
   // ---- 配置操作 ----
   'cfg.prompt.setValue': '⚙️ 设置{label}\n',
   'cfg.prompt.currentValue': '\n当前值：{v} {unit}\n有效范围：{min}-{max}',
   'cfg.prompt.unlimitedHint': '（0=不限）',
+  'cfg.prompt.rejectReason': '⚙️ 设置退信原因\n\n当前：{v}\n请输入英文原因，发送 - 恢复默认',
+  'cfg.prompt.timezone': '⚙️ 设置时区\n\n当前：{v}\n请输入 IANA 时区名，如 Asia/Shanghai、America/New_York，发送 UTC 恢复默认',
+  'cfg.prompt.user': '⚙️ 添加或修改用户\n\n格式：用户 ID（数字）[member|readonly] [前缀…]\n例：123456789 member shop news\n已存在的用户会被覆盖',
+  'cfg.prompt.quietWindow': '⚙️ 添加免打扰时段\n\n格式：开始-结束 [星期]，省略星期表示每天\n例：23:00-08:00 周一-周五\n例：全天 周日',
+  'cfg.prompt.quietVip': '⚙️ 添加免打扰例外\n\n输入发件人（boss@corp.com、@bank.com）或关键词（主题/正文包含即提醒）',
+  'cfg.prompt.trusted': '⚙️ 添加可信品牌域名\n\n输入域名，例：paypal.com',
+  'cfg.invalidTimezone': '❌ 无法识别的时区：{v}\n示例：Asia/Shanghai、Europe/London、UTC',
+  'cfg.timezoneSet': '✅ 时区已设为 <code>{v}</code>',
   'cfg.toast.confirmReset': '⚠️ 再次点击确认恢复默认',
   'cfg.confirmReset': '\n\n⚠️ 确认要恢复邮件设置为默认值吗？',
   'cfg.btnConfirmReset': '⚠️ 确认恢复',
   'cfg.toast.resetDone': '✅ 已恢复邮件设置为默认值',
+  'cfg.toast.forumOn': '💬 已开启论坛话题',
+  'cfg.toast.forumOff': '💬 已关闭论坛话题',
+  'cfg.toast.forumFailed': '❌ 无法创建话题：请使用已开启话题的超级群组，并授予 bot 管理话题权限',
   'cfg.invalidValue': '❌ 无效值，请输入 {min}-{max} 的整数',
   'cfg.valueSet': '✅ {label}已设为 {v}',
 
@@ -393,9 +738,11 @@ const zh = {
   'index.callbackError': '❌ 操作失败',
   'index.commandError': '❌ 命令执行出错: {err}',
   'cmd.list': '管理邮箱前缀',
-  'cmd.search': '搜索邮件（发件人/主题）',
+  'cmd.search': '搜索邮件（发件人/主题/正文，支持 from: 等语法）',
   'cmd.pwd': '密码管理',
   'cmd.config': '系统设置',
+  'cmd.rules': '邮件规则',
+  'cmd.stats': '收信统计',
 
   // ---- storage.js ----
   'storage.pwdExists': '密码条目 "{name}" 已存在',
@@ -434,6 +781,8 @@ const en = {
 
   // ---- Email notification ----
   'email.new': '📧 <b>New Email</b>\n\n',
+  'email.otp.code': '🔢 Code: <code>{code}</code>\n',
+  'email.otp.link': '🔗 <a href="{url}">Sign-in / verification link</a>\n',
   'email.from': '<b>From:</b> ',
   'email.to': '<b>To:</b> ',
   'email.cc': '<b>CC:</b> ',
@@ -451,7 +800,7 @@ const en = {
   'email.att.docs': '{n} document(s)',
   'email.att.oversized': '{n} oversized file(s)',
   'email.att.prefix': 'Attachments: ',
-  'email.att.nonImage': '\n\n📋 Non-image attachments (not stored):\n',
+  'email.att.nonImage': '\n\n📋 Attachments over the size limit (not stored):\n',
   'email.att.unsubscribe': 'Unsubscribe',
 
   // ---- Email notification - parse failed ----
@@ -464,7 +813,13 @@ const en = {
 
   // ---- Email notification - action buttons ----
   'email.btn.att': '📎 Att ({n})',
+  'email.btn.file': '📄 {name} ({size})',
+  'email.btn.ics': '📅 Add to calendar (.ics)',
+  'email.btn.unsubscribe': '🚫 Unsubscribe',
+  'email.btn.unsubscribed': '✅ Unsubscribed',
+  'email.btn.copyCode': '📋 Copy code {code}',
   'email.btn.eml': '📄 .eml',
+  'email.btn.web': '🌐 Open full email',
   'email.btn.unstar': '⭐ Unstar',
   'email.btn.star': 'Star',
   'email.btn.delAtt': '🗑 Del Att',
@@ -472,12 +827,16 @@ const en = {
   'email.btn.muteSender': '🔇 Mute Sender',
   'email.btn.unblockSender': '✅ Unblock',
   'email.btn.blockSender': '⛔ Block Sender',
+  'email.btn.blockDomain': '🌐 Block Domain',
+  'email.btn.unblockDomain': '✅ Unblock Domain',
+  'email.btn.reply': '↩️ Reply',
   'email.btn.confirmDelAtt': '⚠️ Confirm Delete',
 
   // ---- Email list ----
   'email.list.empty': '📧 No filters set. All emails will be forwarded.\nClick below to add.',
   'email.list.title': '📧 Email Filter Rules:\n',
   'email.list.globalMute': '🔇 Global Mute ON',
+  'email.list.globalMuteUntil': '🔇 Global mute until {time}',
   'email.list.paused': '(paused)',
   'email.list.addPrefix': '➕ Add Prefix',
   'email.list.randomPrefix': '🎲 Random',
@@ -498,8 +857,18 @@ const en = {
   'email.settings.addDomain': '➕ Add Domain',
   'email.settings.unmutePrefix': '🔔 Unmute',
   'email.settings.mutePrefix': '🔇 Mute Prefix',
+  'email.settings.mutedUntil': ' 🔇 until {time}',
   'email.settings.confirmDelBtn': '⚠️ Confirm Delete',
   'email.settings.delPrefix': '🗑 Delete Prefix',
+  'email.settings.forwards': 'Forward to:\n',
+  'email.settings.forwardOnlyOn': '📤 Forward only, no Telegram notification\n',
+  'email.settings.addForward': '📤 Add Forward',
+  'email.settings.forwardOnly': '📤 Forward Only',
+  'email.settings.forwardOnlyOff': '🔔 Notify Too',
+  'email.settings.digestOn': '📰 Digest mode: delivered daily at {v} ({tz})\n',
+  'email.settings.digestEnable': '📰 Digest mode',
+  'email.settings.digestDisable': '🔔 Notify each',
+  'email.settings.digestTimes': '🕘 Digest times',
 
   // ---- Email toast ----
   'email.toast.paused': '⏸️ Paused {v}',
@@ -518,17 +887,27 @@ const en = {
   'email.toast.domainLimit': '\nDomain restrictions: ',
   'email.toast.confirmRmDomain': '⚠️ Click again to confirm',
   'email.toast.domainRemoved': '❌ Removed @{d}',
+  'email.toast.forwardList': '\nForwards: ',
+  'email.toast.forwardRemoved': '❌ Removed forward {v}',
+  'email.toast.forwardOnlyOn': '📤 {v} set to forward only',
+  'email.toast.forwardOnlyOff': '🔔 {v} notifies Telegram again',
+  'email.toast.digestOn': '📰 {v} switched to digest mode',
+  'email.toast.digestOff': '🔔 {v} notifies each email again',
   'email.toast.prefixMuted': '🔇 Muted {v}',
   'email.toast.prefixUnmuted': '🔔 Unmuted {v}',
   'email.toast.expired': '⏰ Email data expired',
   'email.toast.senderMuted': '🔇 Muted {v}',
   'email.toast.senderUnmuted': '🔔 Unmuted {v}',
   'email.toast.senderBlocked': '⛔ Blocked {v}',
+  'email.toast.domainBlocked': '⛔ Blocked whole domain {v}',
+  'email.toast.domainUnblocked': '✅ Unblocked domain {v}',
   'email.toast.senderUnblocked': '✅ Unblocked {v}',
   'email.toast.noAttachments': 'No downloadable attachments',
   'email.toast.attExpired': '⏰ Attachments expired',
   'email.toast.attSent': '📎 Sent {n} attachment(s)',
   'email.toast.emlSent': '📄 .eml sent',
+  'email.toast.fileSent': '📄 File sent',
+  'email.toast.fileExpired': '⏰ File expired or deleted',
   'email.toast.starred': '⭐ Starred',
   'email.toast.unstarred': 'Unstarred',
   'email.toast.starFull': '⚠️ Star storage full ({used}/{total})',
@@ -548,6 +927,7 @@ const en = {
   'email.toast.clearedBlock': '✅ Block list cleared',
   'email.toast.searchExpired': 'Search expired, please search again',
   'email.toast.mgmtSearchExpired': 'Search expired, please search again',
+  'email.toast.replyUnavailable': '⚠️ SEND_EMAIL binding not configured, cannot reply',
 
   // ---- Email search ----
   'email.search.title': '🔍 Search "<b>{kw}</b>" ({total} result(s)',
@@ -559,6 +939,146 @@ const en = {
   'email.search.next': '▶️ Next',
   'email.search.dateShort': '{m}/{d}',
 
+  // ---- Email digest ----
+  'digest.title': '📰 <b>{prefix}</b> digest ({n} email(s))\n\n',
+  'digest.more': '…{n} more not listed, see /search to:{prefix}',
+
+  // ---- Quiet hours ----
+  'quiet.everyDay': 'Every day',
+  'quiet.allDay': 'all day',
+  'quiet.dayNames': 'Sun,Mon,Tue,Wed,Thu,Fri,Sat',
+
+  // ---- Timed mute ----
+  'mute.btn.1h': '⏱ 1 hour',
+  'mute.btn.8h': '⏱ 8 hours',
+  'mute.btn.am': '🌅 Until 8 AM',
+  'mute.btn.custom': '✏️ Custom',
+  'mute.btn.ever': '♾ Until I unmute',
+  'mute.choose': 'Choose how long to mute',
+  'mute.all': 'all notifications',
+  'mute.target.global': 'Global mute',
+  'mute.target.prefix': 'Mute of {v}',
+  'mute.target.sender': 'Mute of {v}',
+  'mute.ended': '🔔 <b>{target}</b> ended, {n} email(s) arrived meanwhile:\n\n',
+  'mute.endedEmpty': '🔔 <b>{target}</b> ended, no new emails meanwhile',
+  'mute.more': '…{n} more not listed',
+  'mute.promptGlobal': '🔇 Mute all notifications for how long? Enter a duration (e.g. 30m, 2h, 3d) or an end time (e.g. 18:30):',
+  'mute.prompt': '🔇 Mute {v} for how long? Enter a duration (e.g. 30m, 2h, 3d) or an end time (e.g. 18:30):',
+  'mute.invalid': '❌ Invalid duration, e.g. 30m, 2h, 3d, 18:30 (at most 30 days)',
+  'mute.mutedUntil': '🔇 Muted {v} until {time}',
+
+  // ---- Burner prefixes ----
+  'burner.btn.perm': '♾ Permanent',
+  'burner.btn.24h': '⏳ 24 hours',
+  'burner.btn.7d': '⏳ 7 days',
+  'burner.btn.30d': '⏳ 30 days',
+  'burner.btn.n1': '📨 1 email',
+  'burner.btn.n5': '📨 5 emails',
+  'burner.btn.pause': '⏸️ Then pause',
+  'burner.btn.delete': '🗑 Then delete',
+  'burner.choose': 'Choose how long the random prefix lives',
+  'burner.chooseEnd': 'Pause or delete it when used up?',
+  'burner.created': '\n{limit}, then {end}; later mail is rejected',
+  'burner.end.pause': 'paused',
+  'burner.end.delete': 'deleted',
+  'burner.ended': '🔥 ended',
+  'burner.notice.expired': '🔥 Burner prefix <b>{v}</b> expired',
+  'burner.notice.used': '🔥 Burner prefix <b>{v}</b> received its {n} email(s)',
+  'burner.notice.paused': ' and was paused; further mail is rejected (resume it to lift the limit)',
+  'burner.notice.deleted': ' and was deleted; further mail is rejected',
+
+  // ---- Forum topics ----
+  'topic.pwd': '🔐 Passwords',
+  'topic.cfg': '⚙️ Settings',
+
+  // ---- Users and roles ----
+  'user.role.owner': 'Owner',
+  'user.role.member': 'Member',
+  'user.role.readonly': 'Read-only',
+  'user.btnView': '📄 View',
+  'user.noPermission': '🚫 Your role ({role}) does not allow this',
+  'user.toast.noPermission': '🚫 Not allowed',
+  'user.welcome': '👋 You were added as {role}\nPrefixes: {prefixes}\nAvailable commands: /search, /pwd',
+
+  // ---- Sender authentication ----
+  'auth.dmarcFail': '⚠️ <b>The sender domain {domain} failed DMARC — the sender may be spoofed</b>\n\n',
+
+  // ---- Phishing links ----
+  'phish.title': '⚠️ <b>Link warnings</b>\n',
+  'phish.mismatch': '• Shows {shown} but points to <code>{host}</code>',
+  'phish.ip': '• Link points to the IP address <code>{host}</code>',
+  'phish.punycode': '• Internationalized domain <code>{host}</code> may imitate another site',
+  'phish.lookalike': '• <code>{host}</code> looks like {brand} — possible impersonation',
+  'phish.more': '• {n} more',
+
+  // ---- Conversations ----
+  'thread.counter': '🧵 Message {n} in this conversation\n',
+
+  // ---- Calendar invitations ----
+  'cal.title': '📅 <b>Calendar invitation</b>\n',
+  'cal.cancelled': '📅 <b>Event cancelled</b>\n',
+  'cal.when': '🕒 {v}\n',
+  'cal.origTime': ' · originally {time} {tz}',
+  'cal.repeat': '🔁 {v}\n',
+  'cal.where': '📍 {v}\n',
+  'cal.organizer': '👤 Organizer: {v}\n',
+  'cal.attendees': '👥 Attendees ({n}): {v}\n',
+  'cal.more': ' and {n} more',
+  'cal.freq.daily': 'Daily',
+  'cal.freq.weekly': 'Weekly',
+  'cal.freq.monthly': 'Monthly',
+  'cal.freq.yearly': 'Yearly',
+  'cal.freqN.daily': 'Every {n} days',
+  'cal.freqN.weekly': 'Every {n} weeks',
+  'cal.freqN.monthly': 'Every {n} months',
+  'cal.freqN.yearly': 'Every {n} years',
+  'cal.count': '{n} times',
+  'cal.until': 'until {v}',
+
+  // ---- Unsubscribe ----
+  'unsub.done.post': '✅ Unsubscribed from {v} via one-click unsubscribe',
+  'unsub.done.mailto': '✅ Sent an unsubscribe email for {v}\'s list',
+  'unsub.offerMute': '\n\nMail may still arrive for a while — you can mute this sender meanwhile.',
+  'unsub.manual': '⚠️ {v} doesn\'t support automatic unsubscribe; open the link to unsubscribe manually',
+  'unsub.failed': '❌ Unsubscribing from {v} failed: {error}',
+  'unsub.btnOpen': '🔗 Open unsubscribe page',
+  'unsub.toast.already': 'Already unsubscribed',
+
+  // ---- Stats ----
+  'stats.title': '📊 <b>Mail stats</b> (last {n} days)\n\n',
+  'stats.empty': 'No mail received yet',
+  'stats.perDay': 'Mail per day {from} → {to}\n',
+  'stats.total': '<b>{total}</b> total, busiest day {max}, today {today}\n\n',
+  'stats.topPrefixes': '🏷 <b>Top prefixes</b>\n',
+  'stats.topSenders': '\n👤 <b>Top senders</b>\n',
+  'stats.storagePrefixes': '\n💾 <b>Storage by prefix</b>\n',
+  'stats.storageSenders': '\n💾 <b>Storage by sender</b>\n',
+  'stats.compact': '\n📦 Compact mode: {pct}% ({n}/{total} notifications)\n',
+  'stats.hits': '\n🚫 Blocked {blocked} · Rejected {rejected} · Dropped {dropped}\n🔕 Muted {muted} · ↪️ Forward-only {forwarded}',
+
+  // ---- Address leaks ----
+  'leak.warning': '🕵️ <b>Possible address leak</b>: this alias belongs to {name} ({sites}) but the mail is from {domain}\n',
+
+  // ---- Quarantine ----
+  'qr.report.title': '🧺 <b>{n} emails rejected</b> (sent to unknown or paused prefixes, kept for {days} days)\n\n',
+  'qr.report.more': '…and {n} more\n',
+  'qr.reason.unknown': 'unknown prefix',
+  'qr.reason.paused': 'paused',
+  'qr.reason.domain': 'domain not allowed',
+  'qr.reason.burner': 'burner ended',
+  'qr.btn.view': '👁 {n}',
+  'qr.btn.allow': '✅ Allow {v}',
+  'qr.btn.resume': '▶️ Resume {v}',
+  'qr.view.title': '🧺 <b>Quarantined email</b> ({reason}, attachments removed)\n\n',
+  'qr.toast.expired': 'Email expired',
+
+  // ---- Web view ----
+  'view.from': 'From:',
+  'view.to': 'To:',
+  'view.date': 'Date:',
+  'view.expired': 'This link is invalid or has expired. Open the email again from Telegram.',
+  'view.notFound': 'This email no longer exists or has been cleaned up.',
+
   // ---- Email management ----
   'email.mgmt.title': '📧 <b>Email Management</b>',
   'email.mgmt.searchTitle': '🔍 Search "<b>{kw}</b>"',
@@ -577,12 +1097,16 @@ const en = {
   'email.mgmt.btnCleanAll': '🗑 Clean All',
   'email.mgmt.btnClearBlock': '🗑 Clear Blocked',
   'email.mgmt.btnSearch': '🔍 Search',
+  'email.mgmt.btnAddBlock': '➕ Block Rule',
+  'email.mgmt.btnAddMute': '➕ Mute Rule',
+  'email.mgmt.patternHint': '\n🌐 = domain/wildcard rule',
   'email.mgmt.btnBackMgmt': '◀️ Back',
 
   // ---- Starred ----
   'email.star.empty': '⭐ No starred emails.',
   'email.star.title': '⭐ Starred Emails:\n\n',
   'email.star.photos': '{n} photo(s)',
+  'email.star.files': '{n} file(s)',
   'email.star.storage': '\n💾 Star storage: {used} / {total}',
   'email.star.confirmDel': '\n\n⚠️ Delete all stored data for this email?',
   'email.star.btnConfirmDel': '⚠️ Confirm Delete',
@@ -594,12 +1118,89 @@ const en = {
   // ---- Email prompts ----
   'email.prompt.addPrefix': 'Enter prefix to add:',
   'email.prompt.addDomain': 'Enter allowed domain for {v}:',
-  'email.prompt.search': 'Enter search keyword (sender/subject):',
+  'email.prompt.addForward': 'Enter forward-to address for {v} (must be verified in Email Routing):',
+  'email.prompt.digestTimes': 'Enter digest times for {v} (configured timezone, 24h, comma separated, e.g. 09:00, 18:00):',
+  'email.prompt.search': 'Enter search keyword (sender/subject/body):\nSupports from: to: subject: before:/after:2026-01-31 has:image has:attachment is:starred larger:1mb, "phrases" and -exclusion',
   'email.prompt.mgmtSearch': 'Enter sender address keyword:',
+  'email.prompt.addBlockRule': '⛔ Enter an address or rule to block (e.g. spam@x.com, @x.com, *.x.com, news*@*):',
+  'email.prompt.addMuteRule': '🔇 Enter an address or rule to mute (e.g. spam@x.com, @x.com, *.x.com, news*@*):',
+  'email.prompt.reply': '↩️ Reply to email #{id} — enter your message:',
 
   // ---- Email validation ----
   'email.invalidPrefix': '❌ Invalid prefix: only lowercase letters, digits, . _ + -, max 64 chars',
   'email.domainAdded': '✅ Added domain @{domain} for <b>{prefix}</b>',
+  'email.invalidForward': '❌ Invalid email address',
+  'email.invalidSenderRule': '❌ Invalid address or rule',
+  'email.senderRuleBlocked': '⛔ Block rule added: <code>{v}</code>',
+  'email.senderRuleMuted': '🔇 Mute rule added: <code>{v}</code>',
+  'email.forwardAdded': '✅ Added forward {addr} for <b>{prefix}</b>',
+  'email.digestTimesSet': '✅ Digest times for <b>{prefix}</b>: {times} ({tz})',
+  'email.invalidDigestTimes': '❌ Invalid times, e.g. 09:00, 18:00 (at most 6)',
+  'email.forwardFailed': '\n\n⚠️ Forward failed: {v}',
+  'email.replySent': '✅ Reply sent to {to}',
+  'email.replyFailed': '❌ Reply failed: {err}',
+  'email.reply.empty': 'Reply is empty',
+  'email.reply.expired': 'Original email expired, cannot reply',
+  'email.reply.noAddress': 'Cannot determine reply addresses',
+
+  // ---- Mail rules ----
+  'rules.title': '🧩 <b>Mail Rules</b> ({n})',
+  'rules.page': ' · page {page}/{pages}',
+  'rules.hint': 'Matched in order; an email can hit several rules. Matching stops at Drop',
+  'rules.empty': '🧩 <b>Mail Rules</b>\n\nNo rules yet.\nRules are matched in order after an email is parsed: filter by sender, recipient prefix, subject, header, attachment or size, then drop, mute, star, force compact, forward, tag or skip storage.',
+  'rules.none': '(none)',
+  'rules.btnNew': '➕ New Rule',
+  'rules.btnAddCond': '➕ Condition',
+  'rules.btnAddAction': '➕ Action',
+  'rules.btnPause': '⏸ Pause',
+  'rules.btnResume': '▶️ Resume',
+  'rules.btnDel': '🗑 Delete Rule',
+  'rules.btnConfirmDel': '⚠️ Confirm Delete',
+  'rules.btnBackList': '🔙 Rule List',
+  'rules.detail.title': '🧩 <b>Rule #{n}: {name}</b>\n',
+  'rules.detail.active': '▶️ Active',
+  'rules.detail.paused': '⏸ Paused',
+  'rules.detail.conditions': '<b>Conditions</b> (all must match):',
+  'rules.detail.actions': '<b>Actions</b>:',
+  'rules.detail.incomplete': '⚠️ Needs at least one condition and one action to take effect',
+  'rules.cond.from': 'From',
+  'rules.cond.to': 'To/prefix',
+  'rules.cond.subject': 'Subject regex',
+  'rules.cond.header': 'Header',
+  'rules.cond.attachment': 'Has attachment',
+  'rules.cond.size': 'Size',
+  'rules.action.drop': 'Drop',
+  'rules.action.mute': 'Mute',
+  'rules.action.star': 'Star',
+  'rules.action.compact': 'Compact format',
+  'rules.action.forward': 'Forward to',
+  'rules.action.tag': 'Tag',
+  'rules.action.nostore': 'Skip storage',
+  'rules.hint.from': 'Enter an address or pattern (e.g. a@x.com, @x.com, *.x.com, news*@*):',
+  'rules.hint.to': 'Enter a prefix (e.g. shop) or a recipient address pattern:',
+  'rules.hint.subject': 'Enter a regular expression (case-insensitive, e.g. invoice|receipt):',
+  'rules.hint.header': 'Enter a header name (matches if present) or Name: value (e.g. List-Id: news.x.com):',
+  'rules.hint.size': 'Enter >size or <size (e.g. >1mb, <50kb):',
+  'rules.hint.forward': 'Enter the destination (must be verified in Email Routing):',
+  'rules.hint.tag': 'Enter a tag (letters, digits, underscore, e.g. invoice):',
+  'rules.prompt.name': '🧩 Enter a name for the new rule:',
+  'rules.prompt.cond': '🧩 Rule #{id} · condition · {field}',
+  'rules.prompt.action': '🧩 Rule #{id} · action · {field}',
+  'rules.invalid.from': '❌ Invalid address or pattern',
+  'rules.invalid.to': '❌ Invalid prefix or address pattern',
+  'rules.invalid.subject': '❌ Invalid regular expression',
+  'rules.invalid.header': '❌ Use Name or Name: value',
+  'rules.invalid.size': '❌ Use a form like >1mb or <50kb',
+  'rules.invalid.forward': '❌ Invalid email address',
+  'rules.invalid.tag': '❌ Tags may contain letters, digits, _ and -, up to 30 characters',
+  'rules.toast.limit': 'At most {max} rules',
+  'rules.toast.notFound': 'Rule not found',
+  'rules.toast.added': '✅ Added',
+  'rules.toast.removed': 'Removed',
+  'rules.toast.paused': '⏸ Rule paused',
+  'rules.toast.resumed': '▶️ Rule resumed',
+  'rules.toast.confirmDel': 'Tap again to confirm',
+  'rules.toast.deleted': '🗑 Deleted rule {name}',
 
   // ---- Password list ----
   'pwd.list.empty': '🔐 Password list is empty\n\nClick ➕ below to create',
@@ -620,6 +1221,8 @@ const en = {
   'pwd.detail.btnDel': '🗑 Delete',
   'pwd.detail.btnTotp': '🔢 Get Code',
   'pwd.detail.notExist': '❌ Password <b>{name}</b> not found',
+  'pwd.detail.link': '\n📮 Linked prefix <code>{prefix}</code> · 🌐 {sites}\n',
+  'pwd.detail.linkNoSite': 'taken from the first email',
 
   // ---- Password edit ----
   'pwd.edit.title': '✏️ Edit <b>{name}</b>:\n\nSelect field to modify:',
@@ -628,12 +1231,14 @@ const en = {
   'pwd.edit.btnNote': '📝 Note',
   'pwd.edit.btnTotp': '🔢 2FA Key',
   'pwd.edit.btnName': '📛 Name',
+  'pwd.edit.btnLink': '📮 Linked Prefix',
   'pwd.edit.btnBack': '◀️ Back',
   'pwd.field.username': 'Username',
   'pwd.field.password': 'Password',
   'pwd.field.note': 'Note',
   'pwd.field.name': 'Name',
   'pwd.field.totp': '2FA Key',
+  'pwd.field.link': 'Linked Prefix',
 
   // ---- Password prompts ----
   'pwd.prompt.name': '🔐 Enter password name:',
@@ -641,6 +1246,8 @@ const en = {
   'pwd.prompt.totpHint': '\n\nEnter Base32 key or otpauth:// URI',
   'pwd.prompt.clearHint': '\n(Send space to clear)',
   'pwd.prompt.currentValue': '\n\nCurrent: <code>{v}</code>\nTap above to copy, then send new value',
+  'pwd.prompt.linkHint': '\n\nSend "prefix site-domain", e.g. <code>shop github.com</code>; several domains are allowed. Without a domain the first email received decides.\nMail from other sites is flagged as a possible address leak',
+  'pwd.prompt.newForPrefix': '🔐 New vault entry for {v} - enter a name (ideally the site domain, e.g. github.com):',
 
   // ---- Password operations ----
   'pwd.invalidName': '❌ Name cannot be empty, contain : or exceed 60 bytes',
@@ -664,6 +1271,12 @@ const en = {
   'pwd.reply.invalidTotp': '❌ Invalid 2FA key. Enter Base32 key or otpauth:// URI',
   'pwd.reply.totpSet': '✅ 2FA set\n\n',
   'pwd.reply.updated': '✅ Updated {field}\n\n',
+  'pwd.reply.linkSet': '✅ Prefix linked\n\n',
+  'pwd.reply.linkCleared': '✅ Prefix unlinked\n\n',
+  'pwd.reply.invalidLink': '❌ Invalid format. Send "prefix site-domain", e.g. shop github.com',
+  'pwd.reply.linkUnknownPrefix': '❌ Prefix <b>{prefix}</b> does not exist; add it in /list first',
+  'pwd.reply.linkTaken': '❌ Prefix <b>{prefix}</b> is already linked to <b>{name}</b>',
+  'pwd.link.btnCreate': '🔐 Save to vault',
 
   // ---- Password trash ----
   'pwd.trash.empty': '🗑 Trash is empty',
@@ -689,12 +1302,20 @@ const en = {
   'cfg.title': '⚙️ <b>Settings</b>',
   'cfg.mail': '💾 Mail: {used} / {total}',
   'cfg.star': '⭐ Star: {used} / {total}',
+  'cfg.mail.backend': '🗄 Storage backend: {v}',
   'cfg.pwdLimit': '🔐 Password limit: {v}',
   'cfg.unlimited': 'Unlimited',
   'cfg.count': '{n}',
   'cfg.btnMail': '📧 Mail Settings',
   'cfg.btnPwd': '🔐 Password Settings',
+  'cfg.btnUsers': '👥 Users',
   'cfg.btnLang': '🌐 中文',
+  'cfg.timezone': '🕒 Timezone: {v}',
+  'cfg.btnTimezone': '🕒 Timezone',
+  'cfg.forum': '💬 Forum topics: {v}',
+  'cfg.forumOn': 'one topic per prefix',
+  'cfg.forumOff': 'off',
+  'cfg.btnForum': '💬 Topics',
 
   // ---- Password settings submenu ----
   'cfg.pwd.title': '🔐 <b>Password Settings</b>',
@@ -735,15 +1356,86 @@ const en = {
   'cfg.desc.attachMaxSizeMB': 'List only, no download if exceeded',
   'cfg.desc.bodyMaxLength': 'Max body length in notification',
   'cfg.desc.trackingPixelKB': 'Auto-ignore inline images smaller than this',
+  'cfg.reject.blocked': '⛔ Blocked senders: {v}',
+  'cfg.reject.unknown': '❓ Unknown/paused prefixes: {v}',
+  'cfg.reject.reason': '✏️ Reject reason: <code>{v}</code>',
+  'cfg.reject.drop': 'silent drop',
+  'cfg.reject.bounce': 'bounce (5xx)',
+  'cfg.reject.btnBlocked': '⛔ Blocked Policy',
+  'cfg.reject.btnUnknown': '❓ Unknown Policy',
+  'cfg.reject.btnReason': '✏️ Reject Reason',
+  'cfg.reject.toastBounce': 'Now bouncing',
+  'cfg.reject.toastDrop': 'Now dropping silently',
+  'cfg.reject.invalidReason': '❌ Reject reason must be printable ASCII, at most {max} characters',
+  'cfg.reject.reasonSet': '✅ Reject reason set to <code>{v}</code>',
+  'cfg.dmarc.line': '🛡 DMARC fail: {v}',
+  'cfg.dmarc.show': 'warn only',
+  'cfg.dmarc.mute': 'warn and mute',
+  'cfg.dmarc.drop': 'drop',
+  'cfg.dmarc.btn': '🛡 DMARC fail',
+  'cfg.dmarc.toast': 'DMARC fail: {v}',
+  'cfg.quarantine.line': '🧺 Quarantine mail to unknown/paused prefixes: {v}',
+  'cfg.quarantine.off': 'off',
+  'cfg.quarantine.days': 'keep {n} days',
+  'cfg.quarantine.btn': '🧺 Quarantine',
+  'cfg.quarantine.toast': 'Quarantine: {v}',
+  'cfg.quiet.btn': '🌙 Quiet Hours',
+  'cfg.quiet.title': '🌙 <b>Quiet hours</b> ({tz})\n\n',
+  'cfg.quiet.desc': 'New emails arrive silently during these windows; exceptions still ring.\n\n',
+  'cfg.quiet.empty': 'No windows yet\n',
+  'cfg.quiet.vipTitle': '\n⭐ <b>Exceptions</b> (still ring):\n',
+  'cfg.quiet.active': '\n🌙 Quiet hours are active now',
+  'cfg.quiet.btnAdd': '➕ Add Window',
+  'cfg.quiet.btnVip': '⭐ Add Exception',
+  'cfg.quiet.btnBack': '◀️ Back to Mail Settings',
+  'cfg.quiet.added': '✅ Quiet window added: {v}',
+  'cfg.quiet.vipAdded': '✅ Exception added: <code>{v}</code>',
+  'cfg.quiet.invalid': '❌ Invalid window, e.g. 23:00-08:00 mon-fri or all sun',
+  'cfg.quiet.invalidVip': '❌ Enter a sender address/domain (with @) or a keyword of 2-50 characters',
+  'cfg.quiet.full': '❌ At most {max} entries',
+  'cfg.users.title': '👥 <b>Users</b>\n\n',
+  'cfg.users.owner': '👑 <code>{id}</code> · Owner\n',
+  'cfg.users.noPrefix': 'no prefixes',
+  'cfg.users.desc': '\nMember: receives and searches mail for assigned prefixes, can view and edit password entries linked to them\nRead-only: the same, but cannot reveal or edit passwords\nOther entries, export and the trash stay owner-only\nTap a user to switch role',
+  'cfg.users.btnAdd': '➕ Add / update user',
+  'cfg.users.btnConfirmDel': '⚠️ Remove {id}',
+  'cfg.users.confirmDel': '\n\n⚠️ Remove user <code>{id}</code>?',
+  'cfg.users.toastRole': '{id} → {role}',
+  'cfg.users.toastRemoved': 'Removed {id}',
+  'cfg.users.invalid': '❌ Invalid format, e.g. 123456789 member shop news',
+  'cfg.users.isOwner': '❌ That is the owner\'s ID',
+  'cfg.users.full': '❌ At most {max} users',
+  'cfg.users.saved': '✅ User <code>{id}</code>: {role} · {prefixes}',
+  'cfg.quiet.toastRemoved': 'Removed',
+  'cfg.trusted.btn': '🛡 Trusted Brands',
+  'cfg.trusted.title': '🛡 <b>Trusted brand domains</b>\n\n',
+  'cfg.trusted.desc': 'Links that look like these domains (e.g. paypa1.com) or hide them in a subdomain are flagged as possible impersonation.\n\n',
+  'cfg.trusted.empty': 'The list is empty\n',
+  'cfg.trusted.btnAdd': '➕ Add domain',
+  'cfg.trusted.btnReset': '↩️ Restore defaults',
+  'cfg.trusted.added': '✅ Trusted domain added: <code>{v}</code>',
+  'cfg.trusted.invalid': '❌ Please enter a domain, e.g. paypal.com',
+  'cfg.trusted.toastReset': 'Default list restored',
 
   // ---- Config operations ----
   'cfg.prompt.setValue': '⚙️ Set {label}\n',
   'cfg.prompt.currentValue': '\nCurrent: {v} {unit}\nRange: {min}-{max}',
   'cfg.prompt.unlimitedHint': ' (0=unlimited)',
+  'cfg.prompt.rejectReason': '⚙️ Set reject reason\n\nCurrent: {v}\nEnter an ASCII reason, or - to restore default',
+  'cfg.prompt.timezone': '⚙️ Set timezone\n\nCurrent: {v}\nEnter an IANA timezone name such as Asia/Shanghai or America/New_York, or UTC to restore default',
+  'cfg.prompt.user': '⚙️ Add or update a user\n\nFormat: user ID (number) [member|readonly] [prefixes…]\nExample: 123456789 member shop news\nAn existing user is overwritten',
+  'cfg.prompt.quietWindow': '⚙️ Add quiet hours\n\nFormat: start-end [days], days default to every day\ne.g. 23:00-08:00 mon-fri\ne.g. all sun',
+  'cfg.prompt.quietVip': '⚙️ Add quiet hours exception\n\nEnter a sender (boss@corp.com, @bank.com) or a keyword matched against subject/body',
+  'cfg.prompt.trusted': '⚙️ Add a trusted brand domain\n\nEnter a domain, e.g. paypal.com',
+  'cfg.invalidTimezone': '❌ Unknown timezone: {v}\ne.g. Asia/Shanghai, Europe/London, UTC',
+  'cfg.timezoneSet': '✅ Timezone set to <code>{v}</code>',
   'cfg.toast.confirmReset': '⚠️ Click again to confirm',
   'cfg.confirmReset': '\n\n⚠️ Reset mail settings to defaults?',
   'cfg.btnConfirmReset': '⚠️ Confirm Reset',
   'cfg.toast.resetDone': '✅ Mail settings reset to defaults',
+  'cfg.toast.forumOn': '💬 Forum topics enabled',
+  'cfg.toast.forumOff': '💬 Forum topics disabled',
+  'cfg.toast.forumFailed': '❌ Could not create a topic: use a supergroup with topics enabled and let the bot manage topics',
   'cfg.invalidValue': '❌ Invalid value. Enter integer {min}-{max}',
   'cfg.valueSet': '✅ {label} set to {v}',
 
@@ -796,9 +1488,11 @@ const en = {
   'index.callbackError': '❌ Operation failed',
   'index.commandError': '❌ Command error: {err}',
   'cmd.list': 'Manage email prefixes',
-  'cmd.search': 'Search emails (sender/subject)',
+  'cmd.search': 'Search emails (sender/subject/body, from: etc. filters)',
   'cmd.pwd': 'Password manager',
   'cmd.config': 'Settings',
+  'cmd.rules': 'Mail rules',
+  'cmd.stats': 'Mail stats',
 
   // ---- storage.js ----
   'storage.pwdExists': 'Password entry "{name}" already exists',
@@ -1,8 +1,18 @@
 import { deriveWebhookSecret } from './shared/utils.js';
 import { t } from './i18n.js';
 import { sendTelegramMessage, answerCallbackQuery } from './shared/telegram.js';
-import { loadSystemConfig, runPasswordBackup } from './shared/storage.js';
+import { loadSystemConfig, runPasswordBackup, setWorkerOrigin } from './shared/storage.js';
 import { cmdList, cmdSearch, handleEmailCallback, handleEmailReply, handleIncomingEmail } from './email/email.js';
+import { cmdRules, handleRulesCallback, handleRulesReply } from './email/rules.js';
+import { mergeSearchDocs, pruneSearchShards } from './email/fulltext.js';
+import { runDigests } from './email/digest.js';
+import { liftExpiredMutes } from './email/mute.js';
+import { runBurnerExpiry } from './email/burner.js';
+import { runQuarantineReport } from './email/quarantine.js';
+import { handleViewRequest } from './email/webview.js';
+import { cmdStats, archiveMailStats } from './email/stats.js';
+import { useTopic } from './shared/topics.js';
+import { resolveChatEnv, isOwner, sendNoPermission } from './shared/users.js';
 import { cmdPwdList, cmdPwdSave, handlePwdCallback, handlePwdReply } from './password/password.js';
 import { cmdConfig, handleConfigCallback, handleConfigReply, handleImportFile } from './config/config.js';
 import { VERSION, SCHEMA_VERSION } from './version.js';
@@ -11,18 +21,38 @@ import { VERSION, SCHEMA_VERSION } from './version.js';
 
 const PWD_ACTIONS = new Set([
   'pa', 'pv', 'ps', 'ph', 'pe', 'peu', 'pep', 'pen', 'prn', 'pet',
-  'pt', 'pd', 'pcd', 'pp', 'pb', 'noop',
+  'pt', 'pd', 'pcd', 'pp', 'pb', 'noop', 'pel', 'pnp',
   'ptl', 'ptv', 'ptr', 'ptd', 'ptcd', 'ptp', 'ptca', 'ptcca',
 ]);
 
 const CONFIG_ACTIONS = new Set([
   'cfg', 'cfg_e', 'cfg_rst', 'cfg_rsta', 'cfg_mail', 'cfg_pwd',
   'cfg_ex', 'cfg_xp', 'cfg_xa', 'cfg_xk', 'cfg_im', 'cfg_ic', 'cfg_in',
-  'cfg_bk', 'cfg_br', 'cfg_brc', 'cfg_lang',
+  'cfg_bk', 'cfg_br', 'cfg_brc', 'cfg_lang', 'cfg_rj', 'cfg_rr',
+  'cfg_tz', 'cfg_qh', 'cfg_qha', 'cfg_qhd', 'cfg_qva', 'cfg_qvd', 'cfg_ft',
+  'cfg_us', 'cfg_ua', 'cfg_ur', 'cfg_ud', 'cfg_udc', 'cfg_dm',
+  'cfg_tb', 'cfg_tba', 'cfg_tbd', 'cfg_tbr', 'cfg_qr',
 ]);
 
+const RULE_ACTIONS = new Set([
+  'rl', 'rl_p', 'rl_add', 'rl_v', 'rl_ac', 'rl_aa', 'rl_ct', 'rl_at',
+  'rl_dc', 'rl_da', 'rl_up', 'rl_dn', 'rl_tg', 'rl_del', 'rl_cd',
+]);
+
+// 非 owner 用户可用的命令（/save 对只读用户在密码模块内拦截）
+const USER_COMMANDS = new Set(['/search', '/pwd', '/save']);
+
+// 每日任务（备份、索引清理）的 cron 表达式；其余触发（每 15 分钟）处理摘要、定时静音等
+// 两个 cron 在 02:00 同时触发，各自只做自己的任务，否则摘要和报告会发两遍
+const DAILY_CRON = '0 2 * * *';
+
 // ============ Webhook 路由 ============
 
+// 论坛话题中的消息/按钮：回复留在同一话题
+function topicOf(msg) {
+  return msg?.is_topic_message ? msg.message_thread_id : undefined;
+}
+
 export async function handleTelegramWebhook(request, env, ctx) {
   let update;
   try { update = await request.json(); }
@@ -32,13 +62,19 @@ export async function handleTelegramWebhook(request, env, ctx) {
   // 处理 Inline Keyboard 按钮回调
   const cbq = update.callback_query;
   if (cbq) {
-    if (String(cbq.message?.chat?.id) !== String(env.TG_CHAT_ID)) return new Response('OK');
+    // 只响应 owner 和已授权用户；用户的回复发往其私聊
+    const chatEnv = await resolveChatEnv(env, cbq.message?.chat?.id);
+    if (!chatEnv) return new Response('OK');
+    // 话题只记在本次请求的副本上
+    env = { ...chatEnv, _threadId: topicOf(cbq.message) };
     try {
       const [action] = cbq.data.split(':');
       if (PWD_ACTIONS.has(action)) {
         await handlePwdCallback(cbq, env, ctx);
       } else if (CONFIG_ACTIONS.has(action)) {
         await handleConfigCallback(cbq, env);
+      } else if (RULE_ACTIONS.has(action)) {
+        await handleRulesCallback(cbq, env);
       } else {
         await handleEmailCallback(cbq, env, ctx);
       }
@@ -52,10 +88,18 @@ export async function handleTelegramWebhook(request, env, ctx) {
   const msg = update.message;
   if (!msg) return new Response('OK');
 
-  // 处理文件上传（密码导入）
+  // 安全验证：只响应 owner（TG_CHAT_ID）和已授权用户
+  const chatId = String(msg.chat?.id);
+  const chatEnv = await resolveChatEnv(env, chatId);
+  if (!chatEnv) {
+    console.log(`Webhook: unauthorized chat_id ${chatId}`);
+    return new Response('OK');
+  }
+  env = { ...chatEnv, _threadId: topicOf(msg) };
+
+  // 处理文件上传（密码导入，仅 owner）
   if (msg.document) {
-    const chatId = String(msg.chat.id);
-    if (chatId !== String(env.TG_CHAT_ID)) return new Response('OK');
+    if (!isOwner(env)) return new Response('OK');
     try {
       const importMode = await env.KV.get('pwd_import_mode');
       if (importMode === 'waiting') {
@@ -69,22 +113,21 @@ export async function handleTelegramWebhook(request, env, ctx) {
 
   if (!msg.text) return new Response('OK');
 
-  // 安全验证：只响应配置的 chat_id
-  const chatId = String(msg.chat.id);
-  if (chatId !== String(env.TG_CHAT_ID)) {
-    console.log(`Webhook: unauthorized chat_id ${chatId}`);
-    return new Response('OK');
-  }
-
   const text = msg.text.trim();
 
   // 处理用户回复 ForceReply 提示的输入（命令优先）
+  // 话题内未回复任何消息时 reply_to_message 是话题创建消息（无 text），不会进入这里
   const replyTo = msg.reply_to_message;
   if (replyTo && replyTo.text && !text.startsWith('/')) {
-    if (replyTo.text.startsWith('⚙️') || replyTo.text.startsWith('🔑')) {
+    // 非 owner 用户只能回复搜索和密码提示
+    if (!isOwner(env) && !replyTo.text.startsWith('🔐') && replyTo.text !== t('email.prompt.search')) {
+      await sendNoPermission(env);
+    } else if (replyTo.text.startsWith('⚙️') || replyTo.text.startsWith('🔑')) {
       await handleConfigReply(msg, replyTo, text, env);
     } else if (replyTo.text.startsWith('🔐')) {
       await handlePwdReply(msg, replyTo, text, env);
+    } else if (replyTo.text.startsWith('🧩')) {
+      await handleRulesReply(msg, replyTo, text, env);
     } else {
       await handleEmailReply(msg, replyTo, text, env);
     }
@@ -95,6 +138,13 @@ export async function handleTelegramWebhook(request, env, ctx) {
   const command = rawCommand.toLowerCase().split('@')[0];
 
   try {
+    if (!isOwner(env) && !USER_COMMANDS.has(command)) {
+      if (command.startsWith('/')) await sendNoPermission(env);
+      return new Response('OK');
+    }
+    // 在 General 中打开密码/配置时，改发到各自的话题
+    if (!env._threadId && (command === '/pwd' || command === '/save')) env = await useTopic(env, 'pwd');
+    if (!env._threadId && command === '/config') env = await useTopic(env, 'cfg');
     switch (command) {
       case '/list': await cmdList(env); break;
       case '/pwd': await cmdPwdList(env); break;
@@ -109,6 +159,8 @@ export async function handleTelegramWebhook(request, env, ctx) {
         break;
       }
       case '/config': await cmdConfig(env); break;
+      case '/rules': await cmdRules(env); break;
+      case '/stats': await cmdStats(env); break;
       default: return new Response('OK');
     }
   } catch (err) {
@@ -125,6 +177,7 @@ async function runInit(origin, env) {
   const results = {};
   const secret = deriveWebhookSecret(env.TG_BOT_TOKEN);
   const workerUrl = `${origin}/`;
+  await setWorkerOrigin(env, origin);
 
   const whRes = await fetch(`https://api.telegram.org/bot${env.TG_BOT_TOKEN}/setWebhook`, {
     method: 'POST',
@@ -136,6 +189,8 @@ async function runInit(origin, env) {
   const commands = [
     { command: 'list', description: t('cmd.list') },
     { command: 'search', description: t('cmd.search') },
+    { command: 'rules', description: t('cmd.rules') },
+    { command: 'stats', description: t('cmd.stats') },
     { command: 'pwd', description: t('cmd.pwd') },
     { command: 'config', description: t('cmd.config') },
   ];
@@ -235,6 +290,69 @@ async function checkLatestVersion(env) {
   }
 }
 
+// ============ 定时任务 ============
+
+async function runFrequentTasks(env) {
+  // 发送到点的邮件摘要
+  try {
+    await runDigests(env);
+  } catch (err) {
+    console.log('Digest delivery failed:', err.message);
+  }
+
+  // 解除到期的定时静音
+  try {
+    await liftExpiredMutes(env);
+  } catch (err) {
+    console.log('Mute expiry failed:', err.message);
+  }
+
+  // 结束到期的一次性前缀
+  try {
+    await runBurnerExpiry(env);
+  } catch (err) {
+    console.log('Burner expiry failed:', err.message);
+  }
+
+  // 报告新隔离的拒收邮件
+  try {
+    await runQuarantineReport(env);
+  } catch (err) {
+    console.log('Quarantine report failed:', err.message);
+  }
+}
+
+async function runDailyTasks(env, ctx) {
+  // 确保 schema 版本号存在
+  const schemaVer = await env.KV.get('sys_schema_version');
+  if (!schemaVer) {
+    await env.KV.put('sys_schema_version', String(SCHEMA_VERSION));
+  }
+
+  const result = await runPasswordBackup(env);
+  if (result.ok) {
+    console.log(`Password backup: ${result.count} entries backed up (${result.date})`);
+  }
+
+  // 合并新邮件的全文索引，并清理已过期的邮件
+  try {
+    await mergeSearchDocs(env);
+    await pruneSearchShards(env);
+  } catch (err) {
+    console.log('Search index prune failed:', err.message);
+  }
+
+  // 汇总已结束日期的收信统计
+  try {
+    await archiveMailStats(env);
+  } catch (err) {
+    console.log('Stats archive failed:', err.message);
+  }
+
+  // 检查最新版本（静默，不影响其他功能）
+  ctx.waitUntil(checkLatestVersion(env));
+}
+
 // ============ Worker 入口 ============
 
 export default {
@@ -259,6 +377,11 @@ export default {
       });
     }
 
+    // /m/<id>：签名的邮件网页查看
+    if (url.pathname.startsWith('/m/')) {
+      return handleViewRequest(request, env);
+    }
+
     // 首次访问自动初始化
     const initialized = await env.KV.get('sys_initialized');
     if (!initialized) {
@@ -270,25 +393,13 @@ export default {
 
   async email(message, env, ctx) {
     await loadSystemConfig(env);
-    await handleIncomingEmail(message, env);
+    await handleIncomingEmail(message, env, ctx);
   },
 
   async scheduled(event, env, ctx) {
     await loadSystemConfig(env);
-
-    // 确保 schema 版本号存在
-    const schemaVer = await env.KV.get('sys_schema_version');
-    if (!schemaVer) {
-      await env.KV.put('sys_schema_version', String(SCHEMA_VERSION));
-    }
-
-    const result = await runPasswordBackup(env);
-    if (result.ok) {
-      console.log(`Password backup: ${result.count} entries backed up (${result.date})`);
-    }
-
-    // 检查最新版本（静默，不影响其他功能）
-    ctx.waitUntil(checkLatestVersion(env));
+    if (event.cron === DAILY_CRON) await runDailyTasks(env, ctx);
+    else await runFrequentTasks(env);
   },
 };
 
@@ -296,10 +407,29 @@ export default {
 
 export * from './shared/utils.js';
 export * from './shared/telegram.js';
+export * from './shared/topics.js';
+export * from './shared/users.js';
 export * from './shared/crypto.js';
 export * from './email/encoding.js';
 export * from './shared/storage.js';
 export * from './email/email.js';
+export * from './email/outbound.js';
+export * from './email/rules.js';
+export * from './email/fulltext.js';
+export * from './email/otp.js';
+export * from './email/digest.js';
+export * from './email/quiet.js';
+export * from './email/mute.js';
+export * from './email/burner.js';
+export * from './email/auth.js';
+export * from './email/phishing.js';
+export * from './email/webview.js';
+export * from './email/threads.js';
+export * from './email/calendar.js';
+export * from './email/unsubscribe.js';
+export * from './email/stats.js';
+export * from './email/leak.js';
+export * from './email/quarantine.js';
 export * from './config/config.js';
 export * from './password/password.js';
 export * from './i18n.js';
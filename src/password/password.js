@@ -1,4 +1,4 @@
-import { esc } from '../shared/utils.js';
+import { esc, extractPromptValue } from '../shared/utils.js';
 import { t } from '../i18n.js';
 import {
   sleep, sendTelegramMessage, sendTelegramPrompt,
@@ -11,10 +11,20 @@ import {
   getTrashList, setTrashList, deleteTrashEntry, getTrashEntry,
   moveToTrash, cleanExpiredTrash, restoreFromTrash,
   PWD_TRASH_TTL, getMaxPasswords,
+  getPwdLinks, setPwdLinks, findPwdLink, getActiveRules, getPausedRules,
 } from '../shared/storage.js';
+import { isOwner, canEditPasswords, canAccessPwdEntry, sendNoPermission } from '../shared/users.js';
+import { parseLinkInput, normalizeSite } from '../email/leak.js';
 
 export const PWD_PAGE_SIZE = 8;
 
+// 成员可查看和编辑自己前缀关联的条目；新建、删除、改关联和回收站仅 owner
+const MEMBER_PWD_ACTIONS = new Set(['pv', 'ps', 'ph', 'pe', 'peu', 'pep', 'pen', 'prn', 'pet', 'pt', 'pp', 'pb', 'noop']);
+// 只读用户只能浏览列表和详情（不显示密码、不编辑）
+const READONLY_PWD_ACTIONS = new Set(['pv', 'ph', 'pp', 'pb', 'noop']);
+// 不针对具体条目的 action
+const PWD_LIST_ACTIONS = new Set(['pp', 'pb', 'noop']);
+
 export function cbData(prefix, name) {
   const enc = new TextEncoder();
   if (enc.encode(prefix + name).length <= 64) return prefix + name;
@@ -57,7 +67,8 @@ export function buildPwdListKeyboard(list, page, trashCount) {
   return { inline_keyboard: rows };
 }
 
-export function buildPwdDetailText(name, entry, showPassword) {
+// link：findPwdLink 的结果，条目关联了前缀时显示
+export function buildPwdDetailText(name, entry, showPassword, link = null) {
   let text = `🔐 <b>${esc(name)}</b>\n`;
   if (entry.username) {
     text += `\n👤 <code>${esc(entry.username)}</code>\n`;
@@ -72,6 +83,10 @@ export function buildPwdDetailText(name, entry, showPassword) {
   if (entry.note) {
     text += `\n📝 ${esc(entry.note)}\n`;
   }
+  if (link) {
+    const sites = link.sites?.length ? esc(link.sites.join(', ')) : t('pwd.detail.linkNoSite');
+    text += t('pwd.detail.link', { prefix: esc(link.prefix), sites });
+  }
   if (entry.totp) {
     text += t('pwd.detail.totp');
   }
@@ -119,7 +134,10 @@ export function buildPwdEditKeyboard(name) {
     { text: t('pwd.edit.btnNote'), callback_data: cbData('pen:', name) },
     { text: t('pwd.edit.btnTotp'), callback_data: cbData('pet:', name) },
   ]);
-  rows.push([{ text: t('pwd.edit.btnName'), callback_data: cbData('prn:', name) }]);
+  rows.push([
+    { text: t('pwd.edit.btnName'), callback_data: cbData('prn:', name) },
+    { text: t('pwd.edit.btnLink'), callback_data: cbData('pel:', name) },
+  ]);
   rows.push([{ text: t('pwd.edit.btnBack'), callback_data: cbData('pv:', name) }]);
   return { inline_keyboard: rows };
 }
@@ -222,19 +240,41 @@ async function deduplicateList(env) {
   return clean;
 }
 
+async function pwdLinkOf(env, name) {
+  return findPwdLink(await getPwdLinks(env), name);
+}
+
+// 关联条目和前缀（一个条目只关联一个前缀），返回新的关联
+async function linkPwdToPrefix(env, name, prefix, sites) {
+  const links = await getPwdLinks(env);
+  const current = findPwdLink(links, name);
+  if (current) delete links[current.prefix];
+  links[prefix] = { name, sites };
+  await setPwdLinks(env, links);
+  return { prefix, ...links[prefix] };
+}
+
+// 非 owner 用户只列出可访问的条目
+async function visiblePwdList(env, list) {
+  if (isOwner(env)) return list;
+  const links = await getPwdLinks(env);
+  return list.filter(item => canAccessPwdEntry(env, findPwdLink(links, item.name)));
+}
+
 export async function editToPwdList(env, msgId, page) {
   if (page === undefined) page = 0;
-  const [list, trashList] = await Promise.all([getPasswordList(env), getTrashList(env)]);
+  const [all, trashList] = await Promise.all([getPasswordList(env), getTrashList(env)]);
+  const list = await visiblePwdList(env, all);
   list.sort((a, b) => b.ts - a.ts);
   return editMessageText(env, msgId, buildPwdListText(list, page), buildPwdListKeyboard(list, page, trashList.length));
 }
 
 export async function editToPwdDetail(env, msgId, name, showPassword, confirmDel) {
-  const entry = await getPasswordEntry(env, name);
+  const [entry, link] = await Promise.all([getPasswordEntry(env, name), pwdLinkOf(env, name)]);
   if (!entry) {
     return editMessageText(env, msgId, t('pwd.detail.notExist', { name: esc(name) }));
   }
-  return editMessageText(env, msgId, buildPwdDetailText(name, entry, showPassword), buildPwdDetailKeyboard(name, showPassword, confirmDel, !!entry.password, !!entry.totp));
+  return editMessageText(env, msgId, buildPwdDetailText(name, entry, showPassword, link), buildPwdDetailKeyboard(name, showPassword, confirmDel, !!entry.password, !!entry.totp));
 }
 
 export async function editToPwdEdit(env, msgId, name) {
@@ -242,7 +282,8 @@ export async function editToPwdEdit(env, msgId, name) {
 }
 
 export async function cmdPwdList(env) {
-  const [list, trashList] = await Promise.all([deduplicateList(env), getTrashList(env)]);
+  const [all, trashList] = await Promise.all([deduplicateList(env), getTrashList(env)]);
+  const list = await visiblePwdList(env, all);
   list.sort((a, b) => b.ts - a.ts);
   const result = await sendTelegramMessage(env, buildPwdListText(list, 0), null, {
     reply_markup: buildPwdListKeyboard(list, 0, trashList.length),
@@ -254,7 +295,12 @@ export async function cmdPwdList(env) {
   }
 }
 
-export async function cmdPwdSave(name, env) {
+// linkPrefix：从随机前缀创建时一并关联该前缀，名称像域名时作为网站
+export async function cmdPwdSave(name, env, linkPrefix = '') {
+  if (!isOwner(env)) {
+    await sendNoPermission(env);
+    return;
+  }
   if (!name) {
     await sendTelegramPrompt(env, t('pwd.prompt.name'));
     return;
@@ -273,9 +319,11 @@ export async function cmdPwdSave(name, env) {
       return;
     }
   }
+  const site = normalizeSite(name);
   const existingEntry = await getPasswordEntry(env, name);
   if (existingEntry) {
-    await sendTelegramMessage(env, t('pwd.alreadyExists') + buildPwdDetailText(name, existingEntry, false), null, {
+    const link = linkPrefix ? await linkPwdToPrefix(env, name, linkPrefix, site ? [site] : []) : await pwdLinkOf(env, name);
+    await sendTelegramMessage(env, t('pwd.alreadyExists') + buildPwdDetailText(name, existingEntry, false, link), null, {
       reply_markup: buildPwdDetailKeyboard(name, false, false, !!existingEntry.password, !!existingEntry.totp),
     });
     return;
@@ -285,7 +333,8 @@ export async function cmdPwdSave(name, env) {
   const list = await getPasswordList(env);
   list.unshift({ name, ts: Date.now() });
   await setPasswordList(env, list);
-  const text = buildPwdDetailText(name, entry, false) + t('pwd.editHint');
+  const link = linkPrefix ? await linkPwdToPrefix(env, name, linkPrefix, site ? [site] : []) : null;
+  const text = buildPwdDetailText(name, entry, false, link) + t('pwd.editHint');
   await sendTelegramMessage(env, text, null, {
     reply_markup: buildPwdDetailKeyboard(name, false, false, false),
   });
@@ -298,8 +347,20 @@ export async function handlePwdCallback(cbq, env, ctx) {
   const msgId = cbq.message.message_id;
   let toast = '';
 
+  if (!isOwner(env)) {
+    const allowed = canEditPasswords(env) ? MEMBER_PWD_ACTIONS : READONLY_PWD_ACTIONS;
+    const denied = !allowed.has(action)
+      || (!PWD_LIST_ACTIONS.has(action) && !canAccessPwdEntry(env, await pwdLinkOf(env, await resolvePwdName(env, value))));
+    if (denied) {
+      await answerCallbackQuery(env, cbq.id, t('user.toast.noPermission'));
+      return;
+    }
+  }
+
   if (action === 'pa') {
     await sendTelegramPrompt(env, t('pwd.prompt.name'));
+  } else if (action === 'pnp') {
+    await sendTelegramPrompt(env, t('pwd.prompt.newForPrefix', { v: value }));
   } else if (action === 'pv') {
     const name = await resolvePwdName(env, value);
     await editToPwdDetail(env, msgId, name, false);
@@ -317,16 +378,20 @@ export async function handlePwdCallback(cbq, env, ctx) {
   } else if (action === 'pe') {
     const name = await resolvePwdName(env, value);
     await editToPwdEdit(env, msgId, name);
-  } else if (action === 'peu' || action === 'pep' || action === 'pen' || action === 'prn' || action === 'pet') {
+  } else if (action === 'peu' || action === 'pep' || action === 'pen' || action === 'prn' || action === 'pet' || action === 'pel') {
     const name = await resolvePwdName(env, value);
-    const entry = await getPasswordEntry(env, name);
-    const fieldMap = { peu: ['username', entry?.username], pep: ['password', entry?.password], pen: ['note', entry?.note], prn: ['name', name], pet: ['totp', entry?.totp] };
+    const [entry, link] = await Promise.all([getPasswordEntry(env, name), pwdLinkOf(env, name)]);
+    const linkText = link ? [link.prefix, ...(link.sites || [])].join(' ') : '';
+    const fieldMap = { peu: ['username', entry?.username], pep: ['password', entry?.password], pen: ['note', entry?.note], prn: ['name', name], pet: ['totp', entry?.totp], pel: ['link', linkText] };
     const [fieldKey, current] = fieldMap[action];
     const field = t(`pwd.field.${fieldKey}`);
     let prompt = t('pwd.prompt.edit', { name: esc(name), field });
     if (action === 'pet') {
       prompt += t('pwd.prompt.totpHint');
       if (current) prompt += t('pwd.prompt.clearHint');
+    } else if (action === 'pel') {
+      prompt += t('pwd.prompt.linkHint');
+      if (current) prompt += t('pwd.prompt.currentValue', { v: esc(current) }) + t('pwd.prompt.clearHint');
     } else if (current) {
       prompt += t('pwd.prompt.currentValue', { v: esc(current) });
     }
@@ -407,22 +472,32 @@ export async function handlePwdCallback(cbq, env, ctx) {
 }
 
 export async function handlePwdReply(msg, replyTo, text, env) {
+  if (!canEditPasswords(env)) {
+    await sendNoPermission(env);
+    return;
+  }
   try {
-    // 匹配 "🔐 请输入密码名称" / "🔐 Enter password name"
-    const namePrompt = t('pwd.prompt.name');
-    if (replyTo.text.startsWith(namePrompt.slice(0, 4))) {
+    // 为随机前缀新建条目
+    const linkPrefix = extractPromptValue(t('pwd.prompt.newForPrefix', { v: '\x00' }), replyTo.text);
+    if (linkPrefix) {
+      await deleteMessage(env, replyTo.message_id);
+      await cmdPwdSave(text.split('\n')[0].trim(), env, linkPrefix);
+      return;
+    }
+    // 匹配 "🔐 请输入密码名称" / "🔐 编辑 …"（中文两者第二个字不同，只比较图标）
+    if (replyTo.text.startsWith('🔐')) {
       // 检查是否是新建密码提示（不包含编辑关键字）
       // 编辑提示包含字段名，新建提示不包含
       if (!replyTo.text.includes(t('pwd.field.username')) && !replyTo.text.includes(t('pwd.field.password'))
         && !replyTo.text.includes(t('pwd.field.note')) && !replyTo.text.includes(t('pwd.field.name'))
-        && !replyTo.text.includes(t('pwd.field.totp'))) {
+        && !replyTo.text.includes(t('pwd.field.totp')) && !replyTo.text.includes(t('pwd.field.link'))) {
         const name = text.split('\n')[0].trim();
         await deleteMessage(env, replyTo.message_id);
         await cmdPwdSave(name, env);
         return;
       }
       // 解析编辑字段：匹配 "🔐 编辑 NAME FIELD：" 或 "🔐 Edit NAME FIELD:"
-      const fieldKeys = ['username', 'password', 'note', 'name', 'totp'];
+      const fieldKeys = ['username', 'password', 'note', 'name', 'totp', 'link'];
       let matchedName = null;
       let matchedFieldKey = null;
       for (const fk of fieldKeys) {
@@ -446,6 +521,8 @@ export async function handlePwdReply(msg, replyTo, text, env) {
       }
       if (!matchedName || !matchedFieldKey) {
         await sendTelegramMessage(env, t('pwd.reply.cantParse'));
+      } else if (!isOwner(env) && (matchedFieldKey === 'link' || !canAccessPwdEntry(env, await pwdLinkOf(env, matchedName)))) {
+        await sendNoPermission(env);
       } else {
         const newValue = text.trim();
         const entry = await getPasswordEntry(env, matchedName);
@@ -463,9 +540,15 @@ export async function handlePwdReply(msg, replyTo, text, env) {
             const idx = list.findIndex(e => e.name === matchedName);
             if (idx !== -1) list[idx].name = newValue;
             await setPasswordList(env, list);
+            const links = await getPwdLinks(env);
+            const link = findPwdLink(links, matchedName);
+            if (link) {
+              links[link.prefix].name = newValue;
+              await setPwdLinks(env, links);
+            }
             await deleteMessage(env, msg.message_id);
             await deleteMessage(env, replyTo.message_id);
-            const rtext = t('pwd.reply.renamed') + buildPwdDetailText(newValue, entry, false);
+            const rtext = t('pwd.reply.renamed') + buildPwdDetailText(newValue, entry, false, link && { ...link, name: newValue });
             await sendTelegramMessage(env, rtext, null, {
               reply_markup: buildPwdDetailKeyboard(newValue, false, false, !!entry.password, !!entry.totp),
             });
@@ -476,7 +559,7 @@ export async function handlePwdReply(msg, replyTo, text, env) {
             await setPasswordEntry(env, matchedName, entry);
             await deleteMessage(env, msg.message_id);
             await deleteMessage(env, replyTo.message_id);
-            const rtext = t('pwd.reply.totpCleared') + buildPwdDetailText(matchedName, entry, false);
+            const rtext = t('pwd.reply.totpCleared') + buildPwdDetailText(matchedName, entry, false, await pwdLinkOf(env, matchedName));
             await sendTelegramMessage(env, rtext, null, {
               reply_markup: buildPwdDetailKeyboard(matchedName, false, false, !!entry.password, !!entry.totp),
             });
@@ -489,12 +572,41 @@ export async function handlePwdReply(msg, replyTo, text, env) {
               await setPasswordEntry(env, matchedName, entry);
               await deleteMessage(env, msg.message_id);
               await deleteMessage(env, replyTo.message_id);
-              const rtext = t('pwd.reply.totpSet') + buildPwdDetailText(matchedName, entry, false);
+              const rtext = t('pwd.reply.totpSet') + buildPwdDetailText(matchedName, entry, false, await pwdLinkOf(env, matchedName));
               await sendTelegramMessage(env, rtext, null, {
                 reply_markup: buildPwdDetailKeyboard(matchedName, false, false, !!entry.password, !!entry.totp),
               });
             }
           }
+        } else if (matchedFieldKey === 'link') {
+          const parsed = newValue ? parseLinkInput(newValue) : null;
+          const links = await getPwdLinks(env);
+          const [active, paused] = await Promise.all([getActiveRules(env), getPausedRules(env)]);
+          if (newValue && !parsed) {
+            await sendTelegramMessage(env, t('pwd.reply.invalidLink'));
+          } else if (parsed && !active.includes(parsed.prefix) && !paused.includes(parsed.prefix)) {
+            await sendTelegramMessage(env, t('pwd.reply.linkUnknownPrefix', { prefix: esc(parsed.prefix) }));
+          } else if (parsed && links[parsed.prefix] && links[parsed.prefix].name !== matchedName) {
+            await sendTelegramMessage(env, t('pwd.reply.linkTaken', { prefix: esc(parsed.prefix), name: esc(links[parsed.prefix].name) }));
+          } else {
+            // 空格清除关联
+            let link = null;
+            if (parsed) {
+              link = await linkPwdToPrefix(env, matchedName, parsed.prefix, parsed.sites);
+            } else {
+              const current = findPwdLink(links, matchedName);
+              if (current) {
+                delete links[current.prefix];
+                await setPwdLinks(env, links);
+              }
+            }
+            await deleteMessage(env, msg.message_id);
+            await deleteMessage(env, replyTo.message_id);
+            const rtext = t(link ? 'pwd.reply.linkSet' : 'pwd.reply.linkCleared') + buildPwdDetailText(matchedName, entry, false, link);
+            await sendTelegramMessage(env, rtext, null, {
+              reply_markup: buildPwdDetailKeyboard(matchedName, false, false, !!entry.password, !!entry.totp),
+            });
+          }
         } else {
           if (matchedFieldKey === 'username') entry.username = newValue;
           else if (matchedFieldKey === 'password') entry.password = newValue;
@@ -502,7 +614,7 @@ export async function handlePwdReply(msg, replyTo, text, env) {
           await setPasswordEntry(env, matchedName, entry);
           await deleteMessage(env, msg.message_id);
           await deleteMessage(env, replyTo.message_id);
-          const rtext = t('pwd.reply.updated', { field: t(`pwd.field.${matchedFieldKey}`) }) + buildPwdDetailText(matchedName, entry, false);
+          const rtext = t('pwd.reply.updated', { field: t(`pwd.field.${matchedFieldKey}`) }) + buildPwdDetailText(matchedName, entry, false, await pwdLinkOf(env, matchedName));
           await sendTelegramMessage(env, rtext, null, {
             reply_markup: buildPwdDetailKeyboard(matchedName, false, false, !!entry.password, !!entry.totp),
           });
@@ -1,5 +1,7 @@
+import PostalMime from 'postal-mime';
 import { encryptData, decryptData } from './crypto.js';
 import { t, setLang } from '../i18n.js';
+import { isValidTimezone } from './utils.js';
 
 // ============ 存储管理常量（可通过环境变量覆盖） ============
 
@@ -14,7 +16,7 @@ export const MAX_EMAIL_ENTRIES = 5000;
 // ============ 配置项定义 ============
 
 export const CONFIG_ITEMS = [
-  { key: 'maxStorageMB',     label: 'cfg.item.maxStorageMB',     unit: 'cfg.unit.mb',      min: 10,  max: 1000,  defaultVal: 300,  envKey: 'MAX_STORAGE_MB' },
+  { key: 'maxStorageMB',     label: 'cfg.item.maxStorageMB',     unit: 'cfg.unit.mb',      min: 10,  max: 1000,  r2Max: 10000, defaultVal: 300,  envKey: 'MAX_STORAGE_MB' },
   { key: 'starMaxStorageMB', label: 'cfg.item.starMaxStorageMB', unit: 'cfg.unit.mb',      min: 5,   max: 1000,  defaultVal: 50,   envKey: 'STAR_MAX_STORAGE_MB' },
   { key: 'emlTtlDays',       label: 'cfg.item.emlTtlDays',       unit: 'cfg.unit.days',    min: 1,   max: 365,   defaultVal: 60,   envKey: 'EML_TTL_DAYS' },
   { key: 'maxEmailEntries',  label: 'cfg.item.maxEmailEntries',  unit: 'cfg.unit.count',   min: 100, max: 50000, defaultVal: 5000,  envKey: 'MAX_EMAIL_ENTRIES' },
@@ -26,6 +28,11 @@ export const CONFIG_ITEMS = [
   { key: 'maxPasswords',     label: 'cfg.item.maxPasswords',     unit: 'cfg.unit.count',   min: 0,   max: 10000, defaultVal: 0,    envKey: 'MAX_PASSWORDS' },
 ];
 
+// 绑定 R2 后存储上限不再受 KV 限制
+export function getConfigItemMax(env, item) {
+  return item.r2Max && getMailBucket(env) ? item.r2Max : item.max;
+}
+
 // ============ 系统配置 KV 读写 ============
 
 export async function getSystemConfig(env) {
@@ -109,6 +116,138 @@ export function getEffectiveValue(env, key) {
   return getConfigValue(env, env._sysConfig, key);
 }
 
+// ============ 拒收策略（屏蔽发件人 / 未知前缀） ============
+
+export const REJECT_POLICY_KEYS = ['rejectBlocked', 'rejectUnknown', 'rejectReason'];
+export const DEFAULT_REJECT_REASON = 'Address does not exist';
+
+// blocked / unknown：true = setReject 退信，false = 静默丢弃
+export function getRejectPolicy(env) {
+  const cfg = env._sysConfig || {};
+  return {
+    blocked: cfg.rejectBlocked === true,
+    unknown: cfg.rejectUnknown === true,
+    reason: cfg.rejectReason || DEFAULT_REJECT_REASON,
+  };
+}
+
+// DMARC 未通过的邮件：show 仅提示（默认）、mute 静音、drop 丢弃
+export function getDmarcFailAction(env) {
+  const action = (env._sysConfig || {}).dmarcFail;
+  return action === 'mute' || action === 'drop' ? action : 'show';
+}
+
+// 拒收邮件（未知/暂停前缀）的隔离天数，0 = 不隔离
+export const QUARANTINE_DAYS_OPTIONS = [0, 3, 7];
+export function getQuarantineDays(env) {
+  const days = (env._sysConfig || {}).quarantineDays;
+  return QUARANTINE_DAYS_OPTIONS.includes(days) ? days : 0;
+}
+
+// 每封隔离邮件一个键 qr:<id>：值为 .eml，metadata 为 { ts, sender, to, prefix, subject, size, reason }，到期自动删除
+// id 以时间开头，list 按时间顺序返回
+export async function saveQuarantineEml(env, id, eml, days, meta) {
+  await env.KV.put(`qr:${id}`, eml, { expirationTtl: days * 86400, metadata: meta });
+}
+export async function getQuarantineEml(env, id) {
+  const { value, metadata } = await env.KV.getWithMetadata(`qr:${id}`, 'arrayBuffer');
+  return value && metadata ? { eml: value, item: { id, ...metadata } } : null;
+}
+export async function listQuarantine(env) {
+  if (!env.KV) return [];
+  const items = [];
+  let cursor;
+  do {
+    const page = await env.KV.list({ prefix: 'qr:', cursor });
+    for (const key of page.keys) {
+      if (key.metadata) items.push({ id: key.name.slice(3), ...key.metadata });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return items;
+}
+
+// 上次报告时间，只由定时任务写入
+export async function getQuarantineReported(env) {
+  return Number(await env.KV.get('quarantine_reported')) || 0;
+}
+export async function setQuarantineReported(env, ts) {
+  await env.KV.put('quarantine_reported', String(ts));
+}
+
+// 钓鱼检测对照的品牌域名（常被仿冒）；未设置时使用默认列表
+export const DEFAULT_TRUSTED_DOMAINS = [
+  'paypal.com', 'apple.com', 'icloud.com', 'google.com', 'microsoft.com', 'amazon.com',
+  'github.com', 'netflix.com', 'facebook.com', 'alipay.com', 'taobao.com', 'qq.com',
+];
+export const MAX_TRUSTED_DOMAINS = 50;
+
+export async function getTrustedDomains(env) {
+  if (!env.KV) return [...DEFAULT_TRUSTED_DOMAINS];
+  try {
+    const val = await env.KV.get('trusted_domains');
+    return val ? JSON.parse(val) : [...DEFAULT_TRUSTED_DOMAINS];
+  } catch { return [...DEFAULT_TRUSTED_DOMAINS]; }
+}
+export async function setTrustedDomains(env, domains) {
+  await env.KV.put('trusted_domains', JSON.stringify(domains));
+}
+
+// ============ 时区 / 免打扰时段 ============
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+export function getTimezone(env) {
+  const tz = (env._sysConfig || {}).timezone;
+  return tz && isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+// { windows: [{ start, end, days }], vip: [] }，start/end 为当天分钟数
+export async function getQuietHours(env) {
+  const empty = { windows: [], vip: [] };
+  if (!env.KV) return empty;
+  try {
+    const val = await env.KV.get('quiet_hours');
+    return val ? { ...empty, ...JSON.parse(val) } : empty;
+  } catch { return empty; }
+}
+export async function setQuietHours(env, quiet) {
+  await env.KV.put('quiet_hours', JSON.stringify(quiet));
+}
+
+// ============ 用户与角色 ============
+
+// TG_CHAT_ID 为 owner；其他用户：{ <chat id>: { role: 'member'|'readonly', prefixes: [] } }
+export async function getBotUsers(env) {
+  if (!env.KV) return {};
+  try {
+    const val = await env.KV.get('bot_users');
+    return val ? JSON.parse(val) : {};
+  } catch { return {}; }
+}
+export async function setBotUsers(env, users) {
+  await env.KV.put('bot_users', JSON.stringify(users));
+}
+
+// ============ 论坛话题 ============
+
+// 目标群组为开启了话题的超级群组时，按前缀/模块发往各自的话题
+export function isForumMode(env) {
+  return (env._sysConfig || {}).forumTopics === true;
+}
+
+// { p:<prefix> | pwd | cfg: message_thread_id }
+export async function getForumTopics(env) {
+  if (!env.KV) return {};
+  try {
+    const val = await env.KV.get('forum_topics');
+    return val ? JSON.parse(val) : {};
+  } catch { return {}; }
+}
+export async function setForumTopics(env, obj) {
+  await env.KV.put('forum_topics', JSON.stringify(obj));
+}
+
 export const IMAGE_TTL_TIERS = [
   { max: 1 * 1024 * 1024, ttl: 5184000 },   // <1MB → 60d
   { max: 2 * 1024 * 1024, ttl: 2592000 },   // 1-2MB → 30d
@@ -123,6 +262,17 @@ export function getImageTtl(size) {
   return 604800;
 }
 
+// ============ Worker 地址 ============
+
+// 访问 /init 时记录，用于生成网页查看链接
+export async function getWorkerOrigin(env) {
+  if (!env.KV) return null;
+  return env.KV.get('sys_origin');
+}
+export async function setWorkerOrigin(env, origin) {
+  await env.KV.put('sys_origin', origin);
+}
+
 // ============ 通用 KV ============
 
 export async function getKVList(env, key) {
@@ -153,6 +303,73 @@ export async function setPrefixDomains(env, obj) {
   await env.KV.put('prefix_domains', JSON.stringify(obj));
 }
 
+// 每个前缀的转发地址（需在 Email Routing 中验证过的目标地址）
+export async function getPrefixForwards(env) {
+  if (!env.KV) return {};
+  try {
+    const val = await env.KV.get('prefix_forwards');
+    return val ? JSON.parse(val) : {};
+  } catch { return {}; }
+}
+export async function setPrefixForwards(env, obj) {
+  await env.KV.put('prefix_forwards', JSON.stringify(obj));
+}
+
+// 仅转发（不发 Telegram 通知）的前缀
+export async function getForwardOnlyPrefixes(env) { return getKVList(env, 'forward_only_prefixes'); }
+export async function setForwardOnlyPrefixes(env, list) { await setKVList(env, 'forward_only_prefixes', list); }
+
+// 摘要模式的前缀及发送时刻：{ prefix: ['09:00', '18:00'] }
+export async function getPrefixDigests(env) {
+  if (!env.KV) return {};
+  try {
+    const val = await env.KV.get('prefix_digests');
+    return val ? JSON.parse(val) : {};
+  } catch { return {}; }
+}
+export async function setPrefixDigests(env, obj) {
+  await env.KV.put('prefix_digests', JSON.stringify(obj));
+}
+
+// 一次性前缀：{ prefix: { created, expires?, maxEmails?, count, end: 'pause'|'delete', ended?, endedAt? } }
+export async function getBurnerPrefixes(env) {
+  if (!env.KV) return {};
+  try {
+    const val = await env.KV.get('burner_prefixes');
+    return val ? JSON.parse(val) : {};
+  } catch { return {}; }
+}
+export async function setBurnerPrefixes(env, obj) {
+  await env.KV.put('burner_prefixes', JSON.stringify(obj));
+}
+
+// 待发送的摘要：{ prefix: [{ id, ts, sender, subject, stored }] }
+export async function getDigestQueue(env) {
+  if (!env.KV) return {};
+  try {
+    const val = await env.KV.get('digest_queue');
+    return val ? JSON.parse(val) : {};
+  } catch { return {}; }
+}
+export async function setDigestQueue(env, obj) {
+  await env.KV.put('digest_queue', JSON.stringify(obj));
+}
+
+// 摘要邮件没有单独的 Telegram 消息，索引 id 取自独立区间，避免与 message_id 冲突
+export const DIGEST_ID_BASE = 2 ** 40;
+export function isDigestId(id) {
+  return id >= DIGEST_ID_BASE;
+}
+export async function nextDigestId(env) {
+  const seq = (parseInt(await env.KV.get('digest_seq')) || 0) + 1;
+  await env.KV.put('digest_seq', String(seq));
+  return DIGEST_ID_BASE + seq;
+}
+
+// 邮件规则（有序列表，每条含 conditions / actions）
+export async function getMailRules(env) { return getKVList(env, 'mail_rules'); }
+export async function setMailRules(env, list) { await setKVList(env, 'mail_rules', list); }
+
 // 屏蔽发件人
 export async function getBlockedSenders(env) { return getKVList(env, 'blocked_senders'); }
 export async function setBlockedSenders(env, list) { await setKVList(env, 'blocked_senders', list); }
@@ -161,6 +378,48 @@ export async function setBlockedSenders(env, list) { await setKVList(env, 'block
 export async function getMutedSenders(env) { return getKVList(env, 'muted_senders'); }
 export async function setMutedSenders(env, list) { await setKVList(env, 'muted_senders', list); }
 
+// ============ 发件人匹配（精确地址 / @域名 / 通配符） ============
+
+// 以 @ 开头或含 * ? 的条目视为模式
+export function isSenderPattern(entry) {
+  return entry.startsWith('@') || /[*?]/.test(entry);
+}
+
+function globToRegExp(glob) {
+  const src = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${src}$`, 'i');
+}
+
+// @x.com 及不含 @ 的模式匹配域名部分（*.x.com 只匹配子域名），其余匹配完整地址
+export function matchSenderEntry(entry, addr) {
+  const e = entry.toLowerCase();
+  const a = addr.toLowerCase();
+  if (!isSenderPattern(e)) return e === a;
+  const domain = a.slice(a.lastIndexOf('@') + 1);
+  if (e.startsWith('@')) return globToRegExp(e.slice(1)).test(domain);
+  if (!e.includes('@')) return globToRegExp(e).test(domain);
+  return globToRegExp(e).test(a);
+}
+
+export function matchSenderList(list, addr) {
+  return list.some(entry => matchSenderEntry(entry, addr));
+}
+
+// 发件人所在域名对应的屏蔽条目（@domain）
+export function senderDomainEntry(addr) {
+  const at = addr.lastIndexOf('@');
+  return at === -1 ? '' : '@' + addr.slice(at + 1).toLowerCase();
+}
+
+// 规范化手动输入的地址/规则：裸域名转为 @domain；拒绝不含字母数字的纯通配
+export function normalizeSenderEntry(input) {
+  let e = String(input || '').trim().toLowerCase();
+  if (!e || e.length > 100 || !/^[a-z0-9.*?_+@-]+$/.test(e) || !/[a-z0-9]/.test(e)) return '';
+  if ((e.match(/@/g) || []).length > 1) return '';
+  if (!e.includes('@') && !/[*?]/.test(e)) e = '@' + e;
+  return e;
+}
+
 // 前缀静音
 export async function getMutedPrefixes(env) { return getKVList(env, 'muted_prefixes'); }
 export async function setMutedPrefixes(env, list) { await setKVList(env, 'muted_prefixes', list); }
@@ -175,6 +434,44 @@ export async function setGlobalMute(env, muted) {
   await env.KV.put('global_mute', String(muted));
 }
 
+// 定时静音：{ g | p:<prefix> | s:<sender>: { until, log: [{ id, ts, sender, subject, stored }] } }
+export async function getMuteTimers(env) {
+  if (!env.KV) return {};
+  try {
+    const val = await env.KV.get('mute_timers');
+    return val ? JSON.parse(val) : {};
+  } catch { return {}; }
+}
+export async function setMuteTimers(env, obj) {
+  await env.KV.put('mute_timers', JSON.stringify(obj));
+}
+
+// 删除前缀及其域名限制、静音、转发、摘要配置和密码关联；返回被删除的内容供记录
+export async function deletePrefixConfig(env, prefix) {
+  const [active, paused, pd, mp, pf, fo, dg, timers, links] = await Promise.all([
+    getActiveRules(env), getPausedRules(env),
+    getPrefixDomains(env), getMutedPrefixes(env), getPrefixForwards(env), getForwardOnlyPrefixes(env),
+    getPrefixDigests(env), getMuteTimers(env), getPwdLinks(env),
+  ]);
+  const wasActive = active.includes(prefix);
+  const domains = pd[prefix] || [];
+  const forwards = pf[prefix] || [];
+  const without = list => list.filter(p => p !== prefix);
+  delete pd[prefix];
+  await Promise.all([
+    setActiveRules(env, without(active)),
+    setPausedRules(env, without(paused)),
+    setPrefixDomains(env, pd),
+    mp.includes(prefix) ? setMutedPrefixes(env, without(mp)) : null,
+    forwards.length > 0 ? (delete pf[prefix], setPrefixForwards(env, pf)) : null,
+    fo.includes(prefix) ? setForwardOnlyPrefixes(env, without(fo)) : null,
+    dg[prefix] ? (delete dg[prefix], setPrefixDigests(env, dg)) : null,
+    timers[`p:${prefix}`] ? (delete timers[`p:${prefix}`], setMuteTimers(env, timers)) : null,
+    links[prefix] ? (delete links[prefix], setPwdLinks(env, links)) : null,
+  ]);
+  return { wasActive, domains, forwards };
+}
+
 export function isAllowedRecipient(to, activeRules, pausedRules, prefixDomains) {
   if (activeRules.length === 0 && pausedRules.length === 0) return true;
   const [prefix, domain] = to.toLowerCase().split('@');
@@ -214,6 +511,24 @@ export async function deletePasswordEntry(env, name) {
   await env.KV.delete(`pwd:${name}`);
 }
 
+// 密码条目与前缀的关联（明文，收信时无需解密）：{ prefix: { name, sites: ['github.com'] } }
+export async function getPwdLinks(env) {
+  if (!env.KV) return {};
+  try {
+    const val = await env.KV.get('pwd_links');
+    return val ? JSON.parse(val) : {};
+  } catch { return {}; }
+}
+export async function setPwdLinks(env, obj) {
+  await env.KV.put('pwd_links', JSON.stringify(obj));
+}
+
+// 条目关联的前缀；一个条目只关联一个前缀，返回 { prefix, name, sites } 或 null
+export function findPwdLink(links, name) {
+  const prefix = Object.keys(links).find(p => links[p].name === name);
+  return prefix ? { prefix, ...links[prefix] } : null;
+}
+
 export async function resolvePwdName(env, value) {
   if (!value) return value;
   const entry = await getPasswordEntry(env, value);
@@ -256,9 +571,16 @@ export async function moveToTrash(env, name) {
   if (!entry) return null;
   const deletedAt = Date.now();
   await setTrashEntry(env, deletedAt, entry);
+  // 前缀关联随条目进回收站，恢复时重新关联
+  const links = await getPwdLinks(env);
+  const link = findPwdLink(links, name);
   const trashList = await getTrashList(env);
-  trashList.push({ name, deletedAt });
+  trashList.push({ name, deletedAt, ...(link ? { link } : {}) });
   await setTrashList(env, trashList);
+  if (link) {
+    delete links[link.prefix];
+    await setPwdLinks(env, links);
+  }
   const pwdList = await getPasswordList(env);
   const idx = pwdList.findIndex(e => e.name === name);
   if (idx !== -1) pwdList.splice(idx, 1);
@@ -312,6 +634,13 @@ export async function restoreFromTrash(env, deletedAt) {
   const pwdList = await getPasswordList(env);
   pwdList.unshift({ name: finalName, ts: Date.now() });
   await setPasswordList(env, pwdList);
+  if (trashItem.link) {
+    const links = await getPwdLinks(env);
+    if (!links[trashItem.link.prefix]) {
+      links[trashItem.link.prefix] = { name: finalName, sites: trashItem.link.sites || [] };
+      await setPwdLinks(env, links);
+    }
+  }
   const idx = trashList.findIndex(t => t.deletedAt === deletedAt);
   if (idx !== -1) trashList.splice(idx, 1);
   await setTrashList(env, trashList);
@@ -371,27 +700,74 @@ export function buildStrippedEml(rawEmail) {
   return bytes;
 }
 
-export async function saveStrippedEml(env, msgId, rawEmail) {
+// ============ 邮件数据存储（可选 R2） ============
+
+// 绑定 MAIL_BUCKET 时 .eml、图片和文件附件存入 R2，KV 只保留索引
+export function getMailBucket(env) {
+  return env.MAIL_BUCKET || null;
+}
+
+async function putMailBlob(env, key, data) {
+  const bucket = getMailBucket(env);
+  if (bucket) await bucket.put(key, data);
+  else await env.KV.put(key, data);
+}
+
+// R2 未命中时回退 KV（启用 R2 之前存入的邮件）
+async function getMailBlob(env, key) {
+  const bucket = getMailBucket(env);
+  if (bucket) {
+    const obj = await bucket.get(key);
+    if (obj) return obj.arrayBuffer();
+  }
+  if (!env.KV) return null;
+  return env.KV.get(key, { type: 'arrayBuffer' });
+}
+
+// 按索引条目记录的存储位置删除（R2 单次最多删除 1000 个键）
+export async function deleteEntryBlobs(env, entries) {
+  const kvKeys = [];
+  const r2Keys = [];
+  for (const entry of entries) {
+    if (entry.r2) r2Keys.push(...entryBlobKeys(entry));
+    else kvKeys.push(...entryBlobKeys(entry));
+  }
+  const tasks = kvKeys.map(key => env.KV.delete(key));
+  const bucket = getMailBucket(env);
+  if (r2Keys.length > 0 && !bucket) console.log(`R2 bucket not bound, ${r2Keys.length} object(s) left behind`);
+  for (let i = 0; bucket && i < r2Keys.length; i += 1000) tasks.push(bucket.delete(r2Keys.slice(i, i + 1000)));
+  await Promise.all(tasks);
+}
+
+// R2 无大小限制，保存完整原始 .eml（附件不再单独存储）；KV 只保存去掉附件的精简版
+export async function saveEmailEml(env, msgId, rawEmail) {
   try {
-    const stripped = buildStrippedEml(rawEmail);
-    await env.KV.put(`email_text:${msgId}`, stripped.buffer);
-    return stripped.byteLength;
+    const data = getMailBucket(env) ? new Uint8Array(rawEmail) : buildStrippedEml(rawEmail);
+    await putMailBlob(env, `email_text:${msgId}`, data);
+    return data.byteLength;
   } catch (err) {
-    console.log('Failed to store stripped eml:', err.message);
+    console.log('Failed to store eml:', err.message);
     return 0;
   }
 }
 
-export async function getStrippedEml(env, msgId) {
-  if (!env.KV) return null;
+export async function getEmailEml(env, msgId) {
   try {
-    return await env.KV.get(`email_text:${msgId}`, { type: 'arrayBuffer' });
+    return await getMailBlob(env, `email_text:${msgId}`);
   } catch { return null; }
 }
 
+// R2 中的完整 .eml 已包含附件，图片和文件不再单独存储，按 part（邮件附件序号）从原件取出
+async function getEmlPart(env, msgId, part) {
+  const eml = await getEmailEml(env, msgId);
+  if (!eml) return null;
+  const parsed = await new PostalMime().parse(eml);
+  return parsed.attachments?.[part]?.content || null;
+}
+
 export async function saveImage(env, msgId, idx, imageData) {
   try {
-    await env.KV.put(`img:${msgId}:${idx}`, imageData);
+    await putMailBlob(env, `img:${msgId}:${idx}`, imageData);
     return true;
   } catch (err) {
     console.log(`Failed to store image ${idx}:`, err.message);
@@ -399,10 +775,28 @@ export async function saveImage(env, msgId, idx, imageData) {
   }
 }
 
-export async function getImage(env, msgId, idx) {
-  if (!env.KV) return null;
+export async function getImage(env, msgId, idx, part) {
+  try {
+    if (part !== undefined) return await getEmlPart(env, msgId, part);
+    return await getMailBlob(env, `img:${msgId}:${idx}`);
+  } catch { return null; }
+}
+
+// 非图片附件（PDF、压缩包、文档等）
+export async function saveAttachment(env, msgId, idx, data) {
+  try {
+    await putMailBlob(env, `file:${msgId}:${idx}`, data);
+    return true;
+  } catch (err) {
+    console.log(`Failed to store attachment ${idx}:`, err.message);
+    return false;
+  }
+}
+
+export async function getAttachment(env, msgId, idx, part) {
   try {
-    return await env.KV.get(`img:${msgId}:${idx}`, { type: 'arrayBuffer' });
+    if (part !== undefined) return await getEmlPart(env, msgId, part);
+    return await getMailBlob(env, `file:${msgId}:${idx}`);
   } catch { return null; }
 }
 
@@ -439,12 +833,30 @@ export async function setEmailIndex(env, index) {
   await env.KV.put('email_index', JSON.stringify(index));
 }
 
+// 附件是否单独存储（R2 中的附件在完整 .eml 里，记有 part）
+function isSeparateBlob(blob) {
+  return blob.part === undefined;
+}
+
+// 单封邮件占用的存储：.eml + 单独存储的图片和文件附件，每个字节只算一次
+export function entryStoredSize(entry) {
+  return (entry.textSize || 0)
+    + (entry.images || []).filter(isSeparateBlob).reduce((s, img) => s + img.size, 0)
+    + (entry.files || []).filter(isSeparateBlob).reduce((s, f) => s + f.size, 0);
+}
+
+// 单封邮件在 KV 中的全部数据键
+export function entryBlobKeys(entry) {
+  const keys = [];
+  if (entry.textSize > 0) keys.push(`email_text:${entry.id}`);
+  for (const img of (entry.images || []).filter(isSeparateBlob)) keys.push(`img:${entry.id}:${img.idx}`);
+  for (const f of (entry.files || []).filter(isSeparateBlob)) keys.push(`file:${entry.id}:${f.idx}`);
+  return keys;
+}
+
 export function calcStorageUsage(index) {
   let total = 0;
-  for (const e of index.entries) {
-    total += e.textSize || 0;
-    for (const img of (e.images || [])) total += img.size;
-  }
+  for (const e of index.entries) total += entryStoredSize(e);
   return total;
 }
 
@@ -457,14 +869,11 @@ export function cleanExpiredEntries(index, env) {
     if (entry.starred) continue;
 
     const textExpired = now > entry.ts + emlTtl * 1000;
-    let allImagesExpired = (entry.images || []).length === 0;
-    if (!allImagesExpired) {
-      allImagesExpired = (entry.images || []).every(img => now > entry.ts + img.ttl * 1000);
-    }
+    const blobs = [...(entry.images || []), ...(entry.files || [])];
+    const allBlobsExpired = blobs.every(b => now > entry.ts + b.ttl * 1000);
 
-    if (textExpired && allImagesExpired) {
-      index.totalSize -= (entry.textSize || 0);
-      for (const img of (entry.images || [])) index.totalSize -= img.size;
+    if (textExpired && allBlobsExpired) {
+      index.totalSize -= entryStoredSize(entry);
       removed.push(index.entries.splice(i, 1)[0]);
     }
   }
@@ -487,11 +896,11 @@ export async function evictForSpace(env, index, needed) {
       const entry = index.entries[i];
       if (entry.starred) continue;
 
-      const entrySize = (entry.textSize || 0) +
-        (entry.images || []).reduce((s, img) => s + img.size, 0);
+      const entrySize = entryStoredSize(entry);
       const maxTtl = Math.max(
         emlTtl,
         ...(entry.images || []).map(img => img.ttl),
+        ...(entry.files || []).map(f => f.ttl),
         1
       ) * 1000;
       const age = now - entry.ts;
@@ -506,15 +915,9 @@ export async function evictForSpace(env, index, needed) {
     if (bestIdx === -1) break;
 
     const entry = index.entries[bestIdx];
-    const delPromises = [];
-    if (entry.textSize > 0) delPromises.push(env.KV.delete(`email_text:${entry.id}`));
-    for (const img of (entry.images || [])) {
-      delPromises.push(env.KV.delete(`img:${entry.id}:${img.idx}`));
-    }
-    await Promise.all(delPromises);
+    await deleteEntryBlobs(env, [entry]);
 
-    index.totalSize -= (entry.textSize || 0);
-    for (const img of (entry.images || [])) index.totalSize -= img.size;
+    index.totalSize -= entryStoredSize(entry);
     index.entries.splice(bestIdx, 1);
     evicted++;
   }
@@ -523,19 +926,47 @@ export async function evictForSpace(env, index, needed) {
   return evicted;
 }
 
+// ============ 邮件对话 ============
+
+// { ids: { <Message-ID>: <对话 id> }, threads: { <对话 id>: { last, count, ts } } }
+// 对话 id 为首封邮件的 Message-ID，last 为最近一条通知的消息 id
+export async function getMailThreads(env) {
+  const empty = { ids: {}, threads: {} };
+  if (!env.KV) return empty;
+  try {
+    const val = await env.KV.get('mail_threads');
+    return val ? { ...empty, ...JSON.parse(val) } : empty;
+  } catch { return empty; }
+}
+export async function setMailThreads(env, threads) {
+  await env.KV.put('mail_threads', JSON.stringify(threads));
+}
+
+// 移除 minTs 之前没有新邮件的对话（与邮件索引一同清理）
+export function dropStaleThreads(map, minTs) {
+  const stale = new Set(Object.keys(map.threads).filter(id => map.threads[id].ts < minTs));
+  if (stale.size === 0) return 0;
+  for (const id of stale) delete map.threads[id];
+  for (const [msgId, id] of Object.entries(map.ids)) {
+    if (stale.has(id)) delete map.ids[msgId];
+  }
+  return stale.size;
+}
+
+export async function pruneMailThreads(env, minTs) {
+  const map = await getMailThreads(env);
+  if (dropStaleThreads(map, minTs) > 0) await setMailThreads(env, map);
+}
+
 // ============ 邮件索引清理 ============
 
 export async function runEmailCleanup(env) {
   const idx = await getEmailIndex(env);
   const expired = cleanExpiredEntries(idx, env);
   if (expired.length > 0) {
-    const delPromises = [];
-    for (const ex of expired) {
-      if (ex.textSize > 0) delPromises.push(env.KV.delete(`email_text:${ex.id}`));
-      for (const img of (ex.images || [])) delPromises.push(env.KV.delete(`img:${ex.id}:${img.idx}`));
-    }
-    await Promise.all(delPromises);
+    await deleteEntryBlobs(env, expired);
     await setEmailIndex(env, idx);
+    await pruneMailThreads(env, Date.now() - getEmlTtl(env) * 1000);
   }
   return idx;
 }
@@ -547,16 +978,12 @@ export async function trimOldEntries(env, idx) {
   nonStarred.sort((a, b) => a.ts - b.ts);
   const excess = nonStarred.slice(0, nonStarred.length - maxEntries);
   const excessIds = new Set(excess.map(e => e.id));
-  const delPromises = [];
-  for (const entry of excess) {
-    if (entry.textSize > 0) delPromises.push(env.KV.delete(`email_text:${entry.id}`));
-    for (const img of (entry.images || [])) delPromises.push(env.KV.delete(`img:${entry.id}:${img.idx}`));
-  }
-  await Promise.all(delPromises);
+  await deleteEntryBlobs(env, excess);
   for (let i = idx.entries.length - 1; i >= 0; i--) {
     if (excessIds.has(idx.entries[i].id)) idx.entries.splice(i, 1);
   }
   idx.totalSize = calcStorageUsage(idx);
+  await pruneMailThreads(env, excess[excess.length - 1].ts);
   return excess.length;
 }
 
@@ -637,12 +1064,59 @@ export async function replaceAllPasswords(env, entries, rawBackup) {
 
 // ============ 搜索 ============
 
+// 非 owner 用户的搜索词单独保存
+function searchQueryKey(env) {
+  return env._user ? `search_query:${env._user.id}` : 'search_query';
+}
+
 export async function saveSearchQuery(env, keyword) {
-  await env.KV.put('search_query', keyword, { expirationTtl: 3600 });
+  await env.KV.put(searchQueryKey(env), keyword, { expirationTtl: 3600 });
 }
 
 export async function getSearchQuery(env) {
-  return await env.KV.get('search_query') || '';
+  return await env.KV.get(searchQueryKey(env)) || '';
+}
+
+// 全文索引分片：ft:<n>:<b> 保存 token → 邮件 id 列表（n 为 id 区间，b 为 token 桶）
+export async function getSearchShard(env, n, b) {
+  try {
+    const val = await env.KV.get(`ft:${n}:${b}`);
+    return val ? JSON.parse(val) : {};
+  } catch { return {}; }
+}
+export async function setSearchShard(env, n, b, shard) { await env.KV.put(`ft:${n}:${b}`, JSON.stringify(shard)); }
+export async function deleteSearchShard(env, n, b) { await env.KV.delete(`ft:${n}:${b}`); }
+
+async function listKeyNames(env, prefix) {
+  const names = [];
+  let cursor;
+  do {
+    const res = await env.KV.list({ prefix, cursor });
+    for (const k of res.keys) names.push(k.name.slice(prefix.length));
+    cursor = res.list_complete ? null : res.cursor;
+  } while (cursor);
+  return names;
+}
+
+export async function listSearchShards(env) {
+  return (await listKeyNames(env, 'ft:')).map(name => {
+    const [n, b] = name.split(':').map(v => parseInt(v));
+    return { n, b };
+  });
+}
+
+// 待合并的单封邮件 token：ftd:<id>，每封邮件只写自己的键，由每日任务合并进分片
+export async function getSearchDoc(env, id) {
+  try {
+    const val = await env.KV.get(`ftd:${id}`);
+    return val ? JSON.parse(val) : null;
+  } catch { return null; }
+}
+export async function setSearchDoc(env, id, tokens) { await env.KV.put(`ftd:${id}`, JSON.stringify(tokens)); }
+export async function deleteSearchDoc(env, id) { await env.KV.delete(`ftd:${id}`); }
+
+export async function listSearchDocs(env) {
+  return (await listKeyNames(env, 'ftd:')).map(v => parseInt(v));
 }
 
 // ============ 管理页搜索 ============
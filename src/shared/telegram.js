@@ -48,63 +48,84 @@ export async function fetchWithRetry(url, options, label) {
   }
 }
 
-export async function sendTelegramMessage(env, text, replyToMessageId, options) {
-  const payload = {
-    chat_id: env.TG_CHAT_ID,
-    text,
-    parse_mode: 'HTML',
-    ...options,
+// 当前请求所在的论坛话题（env._threadId），未设置时发往 General
+export function topicParams(env) {
+  return env._threadId ? { message_thread_id: env._threadId } : {};
+}
+
+// 发送到当前话题；话题已被删除时退回 General，避免消息丢失
+// build 按 env._threadId 生成请求体（JSON 对象或上传文件的 FormData），退回时重新生成
+async function sendToTopic(env, method, build, label) {
+  const url = `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/${method}`;
+  const send = () => {
+    const body = build();
+    const init = body instanceof FormData
+      ? { method: 'POST', body }
+      : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+    return fetchWithRetry(url, init, label);
   };
-  if (replyToMessageId) {
-    payload.reply_parameters = { message_id: replyToMessageId };
+  const threaded = !!env._threadId;
+  const result = await send();
+  if (!result?.ok && threaded && /thread not found/i.test(result?.description || '')) {
+    // env 是请求自己的副本（见 useTopic），本次请求之后的消息也改发 General
+    env._threadId = undefined;
+    return send();
   }
-  return fetchWithRetry(
-    `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/sendMessage`,
-    { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) },
-    'sendMessage',
-  );
+  return result;
+}
+
+export async function sendTelegramMessage(env, text, replyToMessageId, options) {
+  return sendToTopic(env, 'sendMessage', () => {
+    const payload = {
+      chat_id: env.TG_CHAT_ID,
+      ...topicParams(env),
+      text,
+      parse_mode: 'HTML',
+      ...options,
+    };
+    if (replyToMessageId) {
+      // 被回复的消息已删除时照常发送
+      payload.reply_parameters = { message_id: replyToMessageId, allow_sending_without_reply: true };
+    }
+    return payload;
+  }, 'sendMessage');
 }
 
 export async function sendTelegramPrompt(env, text) {
-  const payload = {
+  return sendToTopic(env, 'sendMessage', () => ({
     chat_id: env.TG_CHAT_ID,
+    ...topicParams(env),
     text,
     parse_mode: 'HTML',
     reply_markup: { force_reply: true, selective: true },
-  };
-  return fetchWithRetry(
-    `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/sendMessage`,
-    { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) },
-    'sendPrompt',
-  );
+  }), 'sendPrompt');
 }
 
-export async function sendTelegramPhoto(env, blob, filename, replyToMessageId) {
+// 上传文件的表单：chat、话题和回复目标
+function uploadForm(env, replyToMessageId) {
   const form = new FormData();
   form.append('chat_id', env.TG_CHAT_ID);
-  form.append('photo', blob, filename);
+  if (env._threadId) form.append('message_thread_id', String(env._threadId));
   if (replyToMessageId) {
     form.append('reply_parameters', JSON.stringify({ message_id: replyToMessageId }));
   }
-  return fetchWithRetry(
-    `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/sendPhoto`,
-    { method: 'POST', body: form },
-    'sendPhoto',
-  );
+  return form;
+}
+
+export async function sendTelegramPhoto(env, blob, filename, replyToMessageId) {
+  return sendToTopic(env, 'sendPhoto', () => {
+    const form = uploadForm(env, replyToMessageId);
+    form.append('photo', blob, filename);
+    return form;
+  }, 'sendPhoto');
 }
 
 export async function sendTelegramDocument(env, blob, filename, replyToMessageId) {
-  const form = new FormData();
-  form.append('chat_id', env.TG_CHAT_ID);
-  form.append('document', blob, filename);
-  if (replyToMessageId) {
-    form.append('reply_parameters', JSON.stringify({ message_id: replyToMessageId }));
-  }
-  return fetchWithRetry(
-    `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/sendDocument`,
-    { method: 'POST', body: form },
-    'sendDocument',
-  );
+  return sendToTopic(env, 'sendDocument', () => {
+    const form = uploadForm(env, replyToMessageId);
+    form.append('document', blob, filename);
+    return form;
+  }, 'sendDocument');
 }
 
 export async function sendTelegramMediaGroup(env, mediaItems, replyToMessageId) {
@@ -119,25 +140,16 @@ export async function sendTelegramMediaGroup(env, mediaItems, replyToMessageId)
     return sendTelegramDocument(env, item.blob, item.filename, replyToMessageId);
   }
 
-  const form = new FormData();
-  form.append('chat_id', env.TG_CHAT_ID);
-  if (replyToMessageId) {
-    form.append('reply_parameters', JSON.stringify({ message_id: replyToMessageId }));
-  }
-
-  const media = mediaItems.map((item, i) => {
-    const field = `file${i}`;
-    form.append(field, item.blob, item.filename || `attachment_${i}`);
-    return { type: item.type, media: `attach://${field}` };
-  });
-
-  form.append('media', JSON.stringify(media));
-
-  return fetchWithRetry(
-    `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/sendMediaGroup`,
-    { method: 'POST', body: form },
-    'sendMediaGroup',
-  );
+  return sendToTopic(env, 'sendMediaGroup', () => {
+    const form = uploadForm(env, replyToMessageId);
+    const media = mediaItems.map((item, i) => {
+      const field = `file${i}`;
+      form.append(field, item.blob, item.filename || `attachment_${i}`);
+      return { type: item.type, media: `attach://${field}` };
+    });
+    form.append('media', JSON.stringify(media));
+    return form;
+  }, 'sendMediaGroup');
 }
 
 export async function deleteMessage(env, messageId) {
@@ -165,6 +177,26 @@ export async function editMessageText(env, msgId, text, replyMarkup) {
   );
 }
 
+export async function editMessageReplyMarkup(env, msgId, replyMarkup) {
+  return fetchWithRetry(
+    `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/editMessageReplyMarkup`,
+    { method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: env.TG_CHAT_ID, message_id: msgId, reply_markup: replyMarkup }) },
+    'editMessageReplyMarkup',
+  );
+}
+
+// 创建论坛话题，返回 message_thread_id；群组未开启话题或无权限时返回 null
+export async function createForumTopic(env, name) {
+  const result = await fetchWithRetry(
+    `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/createForumTopic`,
+    { method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: env.TG_CHAT_ID, name: name.slice(0, 128) }) },
+    'createForumTopic',
+  );
+  return result?.ok ? result.result.message_thread_id : null;
+}
+
 export async function getFileUrl(env, fileId) {
   const result = await fetchWithRetry(
     `https://api.telegram.org/bot${env.TG_BOT_TOKEN}/getFile`,
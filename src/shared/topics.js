@@ -0,0 +1,31 @@
+import { t } from '../i18n.js';
+import { createForumTopic } from './telegram.js';
+import { isForumMode, getForumTopics, setForumTopics } from './storage.js';
+
+// 话题 key：p:<前缀>、pwd、cfg
+export function topicName(key) {
+  if (key.startsWith('p:')) return `📧 ${key.slice(2)}`;
+  return t(`topic.${key}`);
+}
+
+// 返回话题 id，不存在时自动创建；未开启论坛模式或创建失败返回 null
+export async function resolveTopic(env, key) {
+  if (!isForumMode(env)) return null;
+  const topics = await getForumTopics(env);
+  if (topics[key]) return topics[key];
+  const id = await createForumTopic(env, topicName(key));
+  if (!id) return null;
+  topics[key] = id;
+  await setForumTopics(env, topics);
+  return id;
+}
+
+// 返回发往该话题的 env 副本；同一 isolate 的并发请求共用 env，不能直接修改
+export async function useTopic(env, key) {
+  return { ...env, _threadId: (await resolveTopic(env, key)) || undefined };
+}
+
+// 用该话题的 env 副本执行 fn(topicEnv)
+export async function withTopic(env, key, fn) {
+  return fn(await useTopic(env, key));
+}
@@ -0,0 +1,91 @@
+import { t } from '../i18n.js';
+import { esc } from './utils.js';
+import { sendTelegramMessage } from './telegram.js';
+import { getBotUsers } from './storage.js';
+
+export const ROLE_OWNER = 'owner';
+export const ROLE_MEMBER = 'member';
+export const ROLE_READONLY = 'readonly';
+export const USER_ROLES = [ROLE_MEMBER, ROLE_READONLY];
+export const MAX_BOT_USERS = 20;
+
+const ROLE_ALIASES = {
+  member: ROLE_MEMBER, '成员': ROLE_MEMBER,
+  readonly: ROLE_READONLY, 'read-only': ROLE_READONLY, ro: ROLE_READONLY, '只读': ROLE_READONLY,
+};
+
+// ============ 身份 ============
+
+// 来自 TG_CHAT_ID 的为 owner（原 env）；已授权用户返回发往其私聊的 env；其余返回 null
+export async function resolveChatEnv(env, chatId) {
+  if (chatId === undefined || chatId === null) return null;
+  if (String(chatId) === String(env.TG_CHAT_ID)) return env;
+  const users = await getBotUsers(env);
+  const user = users[String(chatId)];
+  if (!user) return null;
+  return { ...env, TG_CHAT_ID: String(chatId), _threadId: undefined, _user: { id: String(chatId), ...user } };
+}
+
+export function userRole(env) {
+  return env._user ? env._user.role : ROLE_OWNER;
+}
+
+export function isOwner(env) {
+  return !env._user;
+}
+
+// owner 可见全部前缀，其他用户只能看到分配给自己的前缀
+export function canSeePrefix(env, prefix) {
+  return !env._user || (env._user.prefixes || []).includes(prefix);
+}
+
+// 只读用户不能显示密码、编辑或导出
+export function canEditPasswords(env) {
+  return userRole(env) !== ROLE_READONLY;
+}
+
+// 密码库属于 owner；其他用户只能访问关联到自己前缀的条目（link：findPwdLink 的结果）
+export function canAccessPwdEntry(env, link) {
+  return isOwner(env) || (!!link && canSeePrefix(env, link.prefix));
+}
+
+export function roleLabel(role) {
+  return t(`user.role.${role}`);
+}
+
+// ============ 输入解析 ============
+
+// "123456 readonly shop news" → { id, role, prefixes }；格式错误返回 null
+export function parseUserInput(input) {
+  const tokens = String(input || '').trim().toLowerCase().split(/[\s,，]+/).filter(Boolean);
+  if (tokens.length === 0 || !/^-?\d{1,20}$/.test(tokens[0])) return null;
+  const id = tokens.shift();
+  let role = ROLE_MEMBER;
+  if (tokens.length > 0 && ROLE_ALIASES[tokens[0]]) role = ROLE_ALIASES[tokens.shift()];
+  if (!tokens.every(p => p.length <= 64 && /^[a-z0-9][a-z0-9._+-]*$/.test(p))) return null;
+  return { id, role, prefixes: [...new Set(tokens)] };
+}
+
+// ============ 通知分发 ============
+
+// 新邮件同时发给分配了该前缀的用户（仅查看按钮，操作留给 owner）；摘要传入自己的 reply_markup
+export async function notifyPrefixUsers(env, prefix, text, emailId, options = {}) {
+  const users = await getBotUsers(env);
+  const targets = Object.keys(users).filter(id => (users[id].prefixes || []).includes(prefix));
+  for (const id of targets) {
+    const userEnv = { ...env, TG_CHAT_ID: id, _threadId: undefined };
+    const reply_markup = options.reply_markup || (options.stored
+      ? { inline_keyboard: [[{ text: t('user.btnView'), callback_data: `search_view:${emailId}` }]] }
+      : undefined);
+    try {
+      await sendTelegramMessage(userEnv, text, null, { reply_markup, disable_notification: !!options.silent });
+    } catch (err) {
+      console.log(`Notify user ${id} failed:`, err.message);
+    }
+  }
+  return targets.length;
+}
+
+export async function sendNoPermission(env) {
+  await sendTelegramMessage(env, t('user.noPermission', { role: esc(roleLabel(userRole(env))) }));
+}
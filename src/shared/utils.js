@@ -26,12 +26,14 @@ export function formatAddressList(addrs) {
   return result;
 }
 
-export function formatDate(isoString) {
+export function formatDate(isoString, timeZone = 'UTC') {
   if (!isoString) return '';
   try {
     const d = new Date(isoString);
     if (isNaN(d.getTime())) return isoString;
-    return d.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+    if (timeZone === 'UTC') return d.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+    const local = new Date(d.getTime() + zonedTime(d.getTime(), timeZone).offset);
+    return local.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ` ${timeZone}`);
   } catch {
     return isoString;
   }
@@ -43,7 +45,16 @@ export function formatSize(bytes) {
   return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
 }
 
-export function htmlToText(html) {
+// "1mb" / "500kb" / "2048"（无单位按字节），无法解析返回 null
+export function parseSize(value) {
+  const m = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m)?$/);
+  if (!m) return null;
+  const unit = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 }[m[2] || 'b'];
+  return Math.round(parseFloat(m[1]) * unit);
+}
+
+// links：可选数组，收集 { text, url } 供钓鱼链接检测
+export function htmlToText(html, links) {
   if (!html) return '';
   let text = html;
   // 移除不可见内容
@@ -63,6 +74,7 @@ export function htmlToText(html) {
   text = text.replace(/<a\s[^>]*href=["']([^"']*)["'][^>]*>(.*?)<\/a>/gi,
     (_, url, linkText) => {
       const clean = linkText.replace(/<[^>]*>/g, '').trim();
+      if (links) links.push({ text: clean, url });
       if (!clean || clean === url || clean === url.replace(/^https?:\/\//, '')) {
         return clean || url;
       }
@@ -98,10 +110,61 @@ export function htmlToText(html) {
   return text.trim();
 }
 
+// 从 ForceReply 提示模板中提取占位符（模板内用 \x00 标记）
+export function extractPromptValue(tpl, promptText) {
+  const mi = tpl.indexOf('\x00');
+  if (mi === -1 || !promptText) return '';
+  const before = tpl.slice(0, mi);
+  const after = tpl.slice(mi + 1);
+  if (!promptText.startsWith(before) || !promptText.endsWith(after)) return '';
+  return promptText.slice(before.length, promptText.length - after.length);
+}
+
 export function deriveWebhookSecret(botToken) {
   return botToken.replace(/[^A-Za-z0-9_-]/g, '_');
 }
 
+// ============ 时区 ============
+
+export function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// 时间戳在指定时区的星期（0=周日）、当天分钟数，以及相对 UTC 的偏移（毫秒）
+export function zonedTime(ts, timeZone) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  });
+  for (const p of fmt.formatToParts(new Date(ts))) parts[p.type] = p.value;
+  const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute);
+  return {
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    minutes: +parts.hour * 60 + +parts.minute,
+    offset: wall - (ts - (((ts % 60000) + 60000) % 60000)),
+  };
+}
+
+// "9:00" / "09：30" → 当天分钟数；格式错误返回 null
+export function parseClockTime(value) {
+  const m = String(value || '').trim().match(/^([01]?\d|2[0-3])[:：]([0-5]\d)$/);
+  return m ? +m[1] * 60 + +m[2] : null;
+}
+
+export function formatClockTime(minutes) {
+  const h = Math.floor(minutes / 60) % 24;
+  return `${String(h).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
 // ============ 随机前缀生成 ============
 
 const ADJECTIVES = [
@@ -1,5 +1,5 @@
 import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import worker, {
 	esc, formatAddress, formatAddressList, formatDate, formatSize,
 	htmlToText, classifyAttachment, buildAttachmentSummary, buildNotificationText,
@@ -9,7 +9,37 @@ import worker, {
 	generateRandomPrefix,
 	buildListText, buildListKeyboard,
 	buildSettingsText, buildSettingsKeyboard,
-	buildEmailActionKeyboard,
+	buildEmailActionKeyboard, forwardEmail, handleIncomingEmail,
+	parseSizeCondition, matchCondition, evaluateMailRules, normalizeRuleValue, RULES_PAGE_SIZE,
+	buildRulesText, buildRulesKeyboard, buildRuleDetailText, buildRuleDetailKeyboard, buildRuleTypeKeyboard,
+	handleRulesReply, getMailRules, setMailRules, getEmailIndex,
+	tokenize, rankSearchResults, buildSnippet, highlightSnippet, indexEmailBody, lookupBodyHits,
+	pruneSearchShards, searchShardOf, searchEmails, SEARCH_SHARD_SPAN,
+	mergeSearchDocs, searchBucketOf, SEARCH_SHARD_MAX_BYTES,
+	parseSearchQuery, queryFreeText, parseQueryDate, matchSearchQuery, parseSize,
+	entryStoredSize, entryBlobKeys, evictForSpace, handleEmailCallback,
+	saveEmailEml, getEmailEml, getImage, saveAttachment, getAttachment, deleteEntryBlobs, getConfigItemMax,
+	extractVerificationCode, extractMagicLink, buildOtpHeader,
+	parseDigestTimes, lastDigestSlot, buildDigestText, buildDigestKeyboard, runDigests, isDigestId,
+	zonedTime, parseClockTime, isValidTimezone, getTimezone,
+	parseQuietWindow, formatQuietWindow, isQuietTime, isVipMail, buildQuietHoursText, buildQuietHoursKeyboard,
+	handleConfigReply,
+	parseMuteDuration, muteUntilPreset, nextLocalTime, formatMuteUntil, buildMuteDurationKeyboard,
+	applyMute, liftExpiredMutes, findTimedMute, cmdMuteFor,
+	parseAuthResults, buildAuthBadge, buildDmarcWarning, getDmarcFailAction,
+	findPhishingWarnings, buildPhishingWarnings, textHost, findLookalikeBrand, getTrustedDomains,
+	signViewLink, verifyViewLink, buildViewUrl, sanitizeEmailHtml, saveEmailEml, saveImage,
+	parseMessageIds, threadRefs, findMailThread, recordMailThread, getMailThreads, pruneMailThreads, runEmailCleanup,
+	parseIcs, parseIcsDate, formatEventWhen, formatRecurrence, buildCalendarBlock, isCalendarAttachment,
+	parseListUnsubscribe, parseMailto, canAutoUnsubscribe, performUnsubscribe, buildUnsubscribeResult, saveMsgMeta, getMsgMeta,
+	addMailStat, sparkline, statDay, buildStatsText, storageBreakdown, loadMailStats, cmdStats, recordMailStat, collectDayStats, archiveMailStats, MAX_STAT_SENDERS, STATS_DAYS,
+	parseLinkInput, normalizeSite, isRelatedSender, handlePwdReply, moveToTrash, restoreFromTrash,
+	runQuarantineReport, QUARANTINE_REPORT_INTERVAL, buildQuarantineReport, listQuarantine,
+	formatBurnerStatus, formatRemaining, isBurnerExhausted, createRandomPrefix, runBurnerExpiry, buildBurnerLimitKeyboard,
+	topicParams, resolveTopic, withTopic, handleConfigCallback, sendTelegramMessage,
+	sendTelegramPhoto, sendTelegramDocument, sendTelegramMediaGroup,
+	resolveChatEnv, parseUserInput, setEmailIndex, canSeePrefix, canEditPasswords, handlePwdCallback, handleConfigReply, buildUsersKeyboard,
+	encodeMimeHeader, buildReplySubject, buildReplyMime, sendReplyEmail, getMailSender, replyToEmail,
 	getImageTtl, buildStrippedEml,
 	calcStorageUsage, cleanExpiredEntries,
 	buildStarredListText, buildStarredListKeyboard,
@@ -20,7 +50,8 @@ import worker, {
 	MAX_STORAGE, STAR_MAX_STORAGE, EML_TTL, MAX_EMAIL_ENTRIES,
 	getMaxStorage, getStarMaxStorage, getEmlTtl, getMaxEmailEntries, getRateThreshold, getMaxPasswords,
 	getRateWindow, getAttachMaxSize, getBodyMaxLength, getTrackingPixelSize,
-	CONFIG_ITEMS, getSystemConfig, setSystemConfig, getEffectiveValue, loadSystemConfig,
+	CONFIG_ITEMS, getSystemConfig, setSystemConfig, getEffectiveValue, loadSystemConfig, getRejectPolicy,
+	matchSenderEntry, matchSenderList, normalizeSenderEntry, senderDomainEntry,
 	buildConfigText, buildConfigKeyboard,
 	deriveWebhookSecret,
 	encryptData, decryptData,
@@ -36,7 +67,7 @@ import worker, {
 	handleImportFile,
 	buildMailConfigText, buildMailConfigKeyboard,
 	buildMergedSenderList, buildMgmtText, buildMgmtKeyboard,
-	MGMT_PAGE_SIZE,
+	MGMT_PAGE_SIZE, saveSearchQuery,
 	setLang, getLang, t, zh, en,
 	VERSION, SCHEMA_VERSION,
 } from '../src';
@@ -46,6 +77,33 @@ beforeEach(async () => {
 	await env.KV.put('sys_initialized', '1');
 });
 
+// 每个测试结束后恢复真实的 fetch，测试中可直接替换
+const realFetch = globalThis.fetch;
+afterEach(() => {
+	globalThis.fetch = realFetch;
+});
+
+// 拦截 Telegram API：记录每次调用（JSON body 已解析，上传文件的 FormData 原样保留）并返回成功
+// message_id 依次为 901、902…，传 messageId 时固定为该值
+// createForumTopic 依次分配话题 71、72…；发往 missingThread 话题的消息返回「话题不存在」
+function mockTelegram({ missingThread, messageId } = {}) {
+	const calls = [];
+	let nextThread = 71;
+	globalThis.fetch = async (url, init) => {
+		const body = typeof init?.body === 'string' ? JSON.parse(init.body) : init?.body ?? null;
+		calls.push({ url: String(url), body });
+		if (String(url).endsWith('/createForumTopic')) {
+			return new Response(JSON.stringify({ ok: true, result: { message_thread_id: nextThread++, name: body.name } }));
+		}
+		const thread = body instanceof FormData ? Number(body.get('message_thread_id')) : body?.message_thread_id;
+		if (missingThread && thread === missingThread) {
+			return new Response(JSON.stringify({ ok: false, error_code: 400, description: 'Bad Request: message thread not found' }));
+		}
+		return new Response(JSON.stringify({ ok: true, result: { message_id: messageId ?? 900 + calls.length } }));
+	};
+	return calls;
+}
+
 // ============ 工具函数测试 ============
 
 describe('esc', () => {
@@ -213,6 +271,82 @@ describe('buildAttachmentSummary', () => {
 	});
 });
 
+describe('calendar invitations', () => {
+	const ICS = [
+		'BEGIN:VCALENDAR', 'METHOD:REQUEST', 'BEGIN:VTIMEZONE', 'TZID:Asia/Shanghai', 'END:VTIMEZONE',
+		'BEGIN:VEVENT',
+		'SUMMARY:Quarterly review\\, Q4',
+		'DTSTART;TZID=Asia/Shanghai:20261020T090000',
+		'DTEND;TZID=Asia/Shanghai:20261020T103000',
+		'LOCATION:Room 5',
+		'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;COUNT=6',
+		'ORGANIZER;CN=Alice:mailto:alice@corp.com',
+		'ATTENDEE;CN="Bob B";PARTSTAT=ACCEPTED:mailto:bob@corp.com',
+		'ATTENDEE;PARTSTAT=NEEDS-ACTION:mailto:shop@exam',
+		' ple.com',
+		'END:VEVENT', 'END:VCALENDAR',
+	].join('\r\n');
+	it('parses the first VEVENT', () => {
+		const event = parseIcs(ICS);
+		expect(event.method).toBe('REQUEST');
+		expect(event.summary).toBe('Quarterly review, Q4');
+		expect(event.start).toEqual({ ts: Date.UTC(2026, 9, 20, 1, 0), tz: 'Asia/Shanghai' });
+		expect(event.location).toBe('Room 5');
+		expect(event.organizer).toEqual({ name: 'Alice', email: 'alice@corp.com', status: '' });
+		expect(event.attendees.map(a => a.email)).toEqual(['bob@corp.com', 'shop@example.com']);
+		expect(event.attendees[0]).toMatchObject({ name: 'Bob B', status: 'accepted' });
+		expect(parseIcs('BEGIN:VCALENDAR\r\nEND:VCALENDAR')).toBe(null);
+	});
+	it('parses dates in UTC, local zones and all-day form', () => {
+		expect(parseIcsDate('20261020T090000Z')).toEqual({ ts: Date.UTC(2026, 9, 20, 9), tz: 'UTC' });
+		expect(parseIcsDate('20260701T090000', { TZID: 'America/New_York' }).ts).toBe(Date.UTC(2026, 6, 1, 13));
+		expect(parseIcsDate('20261020', { VALUE: 'DATE' })).toEqual({ ts: Date.UTC(2026, 9, 20), allDay: true });
+		expect(parseIcsDate('soon')).toBe(null);
+	});
+	it('formats time range and recurrence', () => {
+		const event = parseIcs(ICS);
+		expect(formatEventWhen(event, 'Asia/Shanghai')).toBe('2026-10-20 09:00–10:30 (Asia/Shanghai)');
+		expect(formatEventWhen(event, 'UTC')).toBe('2026-10-20 01:00–02:30 (UTC) · 原时间 2026-10-20 09:00 Asia/Shanghai');
+		const allDay = { start: parseIcsDate('20261020', { VALUE: 'DATE' }), end: parseIcsDate('20261022', { VALUE: 'DATE' }) };
+		expect(formatEventWhen(allDay, 'UTC')).toBe('2026-10-20 – 2026-10-21');
+		expect(formatRecurrence(event.rrule)).toBe('每 2 周 · MO · 共 6 次');
+		expect(formatRecurrence('FREQ=DAILY;UNTIL=20261231T000000Z')).toBe('每天 · 至 2026-12-31');
+		expect(formatRecurrence('FREQ=SECONDLY')).toBe('');
+	});
+	it('renders the invitation block', () => {
+		const text = buildCalendarBlock(parseIcs(ICS), 'Asia/Shanghai');
+		expect(text).toContain('<b>Quarterly review, Q4</b>');
+		expect(text).toContain('📍 Room 5');
+		expect(text).toContain('Alice &lt;alice@corp.com&gt;');
+		expect(text).toContain('参与者（2）');
+		expect(buildCalendarBlock({ ...parseIcs(ICS), method: 'CANCEL' })).toContain('会议已取消');
+	});
+	it('recognizes calendar attachments', () => {
+		expect(isCalendarAttachment({ mimeType: 'text/calendar' })).toBe(true);
+		expect(isCalendarAttachment({ mimeType: 'application/octet-stream', filename: 'invite.ICS' })).toBe(true);
+		expect(isCalendarAttachment({ mimeType: 'text/plain', filename: 'notes.txt' })).toBe(false);
+	});
+	it('shows the invite and an import button on new mail', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['team']));
+		const raw = [
+			'From: alice@corp.com', 'To: team@example.com', 'Subject: Invitation', 'MIME-Version: 1.0',
+			'Content-Type: multipart/mixed; boundary="b1"', '',
+			'--b1', 'Content-Type: text/plain', '', 'Please join', '',
+			'--b1', 'Content-Type: text/calendar; method=REQUEST', '', ICS, '',
+			'--b1--', '',
+		].join('\r\n');
+		const calls = mockTelegram({ messageId: 700 });
+		await handleIncomingEmail({ from: 'alice@corp.com', to: 'team@example.com', raw }, { ...env, TG_BOT_TOKEN: '123:abc', TG_CHAT_ID: '1000' });
+		const send = calls.find(c => c.url.endsWith('/sendMessage'));
+		expect(send.body.text.startsWith('📅 <b>日历邀请</b>')).toBe(true);
+		expect(send.body.text).not.toContain('📎');
+		const markup = calls.find(c => c.url.endsWith('/editMessageReplyMarkup')).body.reply_markup;
+		expect(markup.inline_keyboard.flat()).toContainEqual({ text: '📅 导入日历 (.ics)', callback_data: 'dl:700:0' });
+		const entry = (await getEmailIndex(env)).entries.find(e => e.id === 700);
+		expect(entry.files[0]).toMatchObject({ fn: 'invite.ics', ics: true });
+	});
+});
+
 // ============ 消息格式化测试 ============
 
 describe('buildNotificationText', () => {
@@ -259,6 +393,176 @@ describe('buildNotificationText', () => {
 	});
 });
 
+describe('sender authentication', () => {
+	const CF_AUTH = 'mx.cloudflare.net; dkim=pass header.d=shop.com header.s=s1 header.b=abc; dkim=fail header.d=esp.net; spf=pass (mx.cloudflare.net: domain of a@shop.com designates 1.2.3.4 as permitted sender) smtp.mailfrom=a@shop.com; dmarc=fail reason="p=reject" header.from=shop.com; arc=none';
+	it('parses Authentication-Results and Received-SPF', () => {
+		expect(parseAuthResults([{ key: 'authentication-results', value: CF_AUTH }]))
+			.toEqual({ spf: 'pass', dkim: 'pass', dmarc: 'fail', fromDomain: 'shop.com' });
+		expect(parseAuthResults([{ key: 'received-spf', value: 'softfail (domain of a@b.com does not designate 1.2.3.4)' }]))
+			.toEqual({ spf: 'softfail' });
+		expect(parseAuthResults([{ key: 'subject', value: 'dmarc=fail' }])).toBe(null);
+	});
+	it('builds the badge line and DMARC warning', () => {
+		expect(buildAuthBadge({ spf: 'pass', dkim: 'none', dmarc: 'fail' })).toBe('🛡 SPF ✅ · DKIM ➖ · DMARC ❌\n');
+		expect(buildAuthBadge(null)).toBe('');
+		expect(buildDmarcWarning({ dmarc: 'pass' }, 'shop.com')).toBe('');
+		expect(buildDmarcWarning({ dmarc: 'fail' }, 'shop.com')).toContain('shop.com');
+	});
+	it('shows the badge and warning in notifications', () => {
+		const parsed = {
+			from: { name: 'Shop', address: 'a@shop.com' }, subject: 'Hi',
+			headers: [{ key: 'authentication-results', value: CF_AUTH }],
+		};
+		const text = buildNotificationText(parsed, 'a@shop.com', 'me@example.com', 'body', '', 1500);
+		expect(text).toContain('🛡 SPF ✅ · DKIM ✅ · DMARC ❌');
+		expect(text.indexOf('DMARC 验证')).toBeLessThan(text.indexOf('Hi'));
+		expect(buildCompactNotificationText(parsed, 'a@shop.com', 'me@example.com')).toContain('shop.com');
+		expect(buildNotificationText({ ...parsed, headers: [] }, 'a@shop.com', 'me@example.com', 'body', '', 1500)).not.toContain('🛡');
+	});
+	it('drops or mutes DMARC failures per config', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		const raw = `Authentication-Results: ${CF_AUTH}\r\nFrom: a@shop.com\r\nTo: shop@example.com\r\nSubject: Hi\r\nContent-Type: text/plain\r\n\r\nbody`;
+		const e = { ...env, TG_BOT_TOKEN: '123:abc', TG_CHAT_ID: '1000' };
+		const calls = mockTelegram();
+		await env.KV.put('sys_config', JSON.stringify({ dmarcFail: 'mute' }));
+		await loadSystemConfig(e);
+		await handleIncomingEmail({ from: 'a@shop.com', to: 'shop@example.com', raw }, e);
+		await env.KV.put('sys_config', JSON.stringify({ dmarcFail: 'drop' }));
+		await loadSystemConfig(e);
+		await handleIncomingEmail({ from: 'a@shop.com', to: 'shop@example.com', raw }, e);
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage'));
+		expect(sends).toHaveLength(1);
+		expect(sends[0].body.disable_notification).toBe(true);
+	});
+	it('cycles the DMARC action in mail config', async () => {
+		mockTelegram();
+		const e = { ...env };
+		for (const expected of ['mute', 'drop', 'show']) {
+			await handleConfigCallback({ id: 'cb', data: 'cfg_dm', message: { message_id: 5 } }, e);
+			await loadSystemConfig(e);
+			expect(getDmarcFailAction(e)).toBe(expected);
+		}
+		expect(buildMailConfigKeyboard().inline_keyboard.flat().map(b => b.callback_data)).toContain('cfg_dm');
+	});
+});
+
+describe('phishing link warnings', () => {
+	const trusted = ['paypal.com', 'microsoft.com'];
+	it('collects links while converting HTML', () => {
+		const links = [];
+		htmlToText('<a href="https://evil.net/login">www.paypal.com</a> <a href="https://shop.com">Shop</a>', links);
+		expect(links).toEqual([
+			{ text: 'www.paypal.com', url: 'https://evil.net/login' },
+			{ text: 'Shop', url: 'https://shop.com' },
+		]);
+	});
+	it('recognizes URL-like link text only', () => {
+		expect(textHost('https://www.PayPal.com/signin')).toBe('www.paypal.com');
+		expect(textHost('paypal.com')).toBe('paypal.com');
+		expect(textHost('Click here')).toBe(null);
+		expect(textHost('v1.2')).toBe(null);
+	});
+	it('detects lookalike brand domains', () => {
+		expect(findLookalikeBrand('paypa1.com', trusted)).toBe('paypal.com');
+		expect(findLookalikeBrand('login.rnicrosoft.com', trusted)).toBe('microsoft.com');
+		expect(findLookalikeBrand('paypal.com.verify.net', trusted)).toBe('paypal.com');
+		expect(findLookalikeBrand('www.paypal.com', trusted)).toBe(null);
+		expect(findLookalikeBrand('example.com', trusted)).toBe(null);
+	});
+	it('treats only listed sister domains of a brand as the brand itself', async () => {
+		const brands = await getTrustedDomains({});
+		for (const host of ['amazon.de', 'www.google.co.jp', 'paypal.de']) {
+			expect(findLookalikeBrand(host, brands)).toBe(null);
+		}
+		for (const host of ['paypal.top', 'amazon.shop', 'microsoft.xyz', 'apple.support', 'evil-login.github.io']) {
+			expect(findLookalikeBrand(host, brands)).not.toBe(null);
+		}
+		expect(findPhishingWarnings([{ text: 'Log in to PayPal', url: 'https://paypal.top/signin' }], brands))
+			.toEqual([{ type: 'lookalike', host: 'paypal.top', brand: 'paypal.com' }]);
+		expect(isRelatedSender('paypal.de', ['paypal.com'])).toBe(true);
+		expect(isRelatedSender('paypal.top', ['paypal.com'])).toBe(false);
+		expect(isRelatedSender('github.io', ['github.com'])).toBe(false);
+		expect(findLookalikeBrand('paypa1.de', brands)).toBe('paypal.com');
+		expect(findPhishingWarnings([{ text: 'Sign in', url: 'https://www.amazon.de/ap/signin' }], brands)).toEqual([]);
+	});
+	it('flags mismatched text, raw IPs and punycode', () => {
+		const warnings = findPhishingWarnings([
+			{ text: 'www.paypal.com', url: 'https://evil.net/login' },
+			{ text: 'Sign in', url: 'http://192.168.1.10/x' },
+			{ text: 'Sign in', url: 'https://аpple.com/' },
+			{ text: 'account.microsoft.com', url: 'https://login.microsoft.com/' },
+			{ text: 'Unsubscribe', url: 'mailto:x@evil.net' },
+		], trusted);
+		expect(warnings.map(w => w.type)).toEqual(['mismatch', 'ip', 'punycode']);
+		expect(warnings[0]).toEqual({ type: 'mismatch', host: 'evil.net', shown: 'www.paypal.com' });
+		expect(warnings[2].host).toBe('xn--pple-43d.com');
+	});
+	it('builds a capped warnings section', () => {
+		expect(buildPhishingWarnings([])).toBe('');
+		const many = Array.from({ length: 7 }, (_, i) => ({ type: 'ip', host: `10.0.0.${i}` }));
+		const text = buildPhishingWarnings(many);
+		expect(text).toContain('链接安全提示');
+		expect(text).toContain('10.0.0.4');
+		expect(text).not.toContain('10.0.0.5');
+		expect(text).toContain('还有 2 条');
+	});
+	it('appends warnings after the body in notifications', () => {
+		const parsed = { from: { address: 'a@shop.com' }, subject: 'Hi' };
+		const text = buildNotificationText(parsed, 'a@shop.com', 'me@example.com', 'body', '', 1500, 'UTC', '⚠️ warn\n');
+		expect(text.endsWith('body\n\n⚠️ warn')).toBe(true);
+	});
+	it('manages trusted domains from config', async () => {
+		mockTelegram();
+		expect(await getTrustedDomains(env)).toContain('paypal.com');
+		await handleConfigReply({}, { text: t('cfg.prompt.trusted') }, 'https://MyBank.com/', env);
+		expect(await getTrustedDomains(env)).toContain('mybank.com');
+		await handleConfigCallback({ id: 'cb', data: 'cfg_tbd:0', message: { message_id: 5 } }, env);
+		expect(await getTrustedDomains(env)).not.toContain('paypal.com');
+		await handleConfigCallback({ id: 'cb', data: 'cfg_tbr', message: { message_id: 5 } }, env);
+		expect(await getTrustedDomains(env)).toContain('paypal.com');
+	});
+});
+
+describe('conversation threading', () => {
+	it('parses message ids and reference order', () => {
+		expect(parseMessageIds('<A@x.com> <b@y.com>')).toEqual(['a@x.com', 'b@y.com']);
+		expect(parseMessageIds('')).toEqual([]);
+		expect(threadRefs({ inReplyTo: '<c@z>', references: '<a@x> <b@y>' })).toEqual(['c@z', 'b@y', 'a@x']);
+	});
+	it('records threads and finds replies', async () => {
+		await recordMailThread(env, { messageId: '<root@x>' }, null, 100, 1000);
+		const thread = await findMailThread(env, { inReplyTo: '<root@x>', references: '<root@x>' });
+		expect(thread).toEqual({ id: 'root@x', replyTo: 100, count: 2 });
+		await recordMailThread(env, { messageId: '<r1@y>' }, thread, 101, 2000);
+		expect(await findMailThread(env, { references: '<root@x> <r1@y>' })).toEqual({ id: 'root@x', replyTo: 101, count: 3 });
+		expect(await findMailThread(env, { inReplyTo: '<other@x>' })).toBe(null);
+		expect(await findMailThread(env, {})).toBe(null);
+	});
+	it('prunes threads with the email index', async () => {
+		await recordMailThread(env, { messageId: '<old@x>' }, null, 100, 1000);
+		await recordMailThread(env, { messageId: '<new@x>' }, null, 101, Date.now());
+		await pruneMailThreads(env, 5000);
+		expect(await getMailThreads(env)).toEqual({ ids: { 'new@x': 'new@x' }, threads: { 'new@x': expect.objectContaining({ last: 101 }) } });
+		// 索引有过期条目时一并清理过期对话
+		await recordMailThread(env, { messageId: '<old@x>' }, null, 100, 1000);
+		await setEmailIndex(env, { entries: [{ id: 1, ts: 1, sender: 'a@x.com', textSize: 0 }], totalSize: 0 });
+		await runEmailCleanup(env);
+		expect(Object.keys((await getMailThreads(env)).ids)).toEqual(['new@x']);
+	});
+	it('sends replies as Telegram replies with a counter', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['help']));
+		const calls = mockTelegram();
+		const raw = (id, extra = '') => `From: a@corp.com\r\nTo: help@example.com\r\nMessage-ID: <${id}>\r\n${extra}Subject: Ticket\r\nContent-Type: text/plain\r\n\r\nHi`;
+		const e = { ...env, TG_BOT_TOKEN: '123:abc', TG_CHAT_ID: '1000' };
+		await handleIncomingEmail({ from: 'a@corp.com', to: 'help@example.com', raw: raw('t1@corp') }, e);
+		await handleIncomingEmail({ from: 'a@corp.com', to: 'help@example.com', raw: raw('t2@corp', 'In-Reply-To: <t1@corp>\r\nReferences: <t1@corp>\r\n') }, e);
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage'));
+		expect(sends[0].body.reply_parameters).toBe(undefined);
+		expect(sends[1].body.reply_parameters).toEqual({ message_id: 901, allow_sending_without_reply: true });
+		expect(sends[1].body.text.startsWith('🧵 对话中的第 2 封')).toBe(true);
+	});
+});
+
 // ============ 编码检测与修复测试 ============
 
 describe('detectGarbled', () => {
@@ -677,6 +981,440 @@ describe('buildSettingsKeyboard', () => {
 		// xyz.com should be normal
 		expect(allData).toContain('rm_domain:info:xyz.com');
 	});
+	it('has add forward button but no forward-only toggle without addresses', () => {
+		const kb = buildSettingsKeyboard('info', [], false, false);
+		const allData = kb.inline_keyboard.flat().map(b => b.callback_data);
+		expect(allData).toContain('add_fwd:info');
+		expect(allData).not.toContain('fwd_only:info');
+	});
+	it('lists forward addresses by index with toggle', () => {
+		const forward = { addrs: ['acct@corp.com', 'me@home.com'], only: false };
+		const kb = buildSettingsKeyboard('invoice', [], false, false, null, forward);
+		const allData = kb.inline_keyboard.flat().map(b => b.callback_data);
+		expect(allData).toContain('rm_fwd:invoice:0');
+		expect(allData).toContain('rm_fwd:invoice:1');
+		expect(allData).toContain('fwd_only:invoice');
+		const onlyKb = buildSettingsKeyboard('invoice', [], false, false, null, { ...forward, only: true });
+		expect(onlyKb.inline_keyboard.flat().map(b => b.callback_data)).toContain('fwd_notify:invoice');
+	});
+});
+
+describe('buildSettingsText with forwards', () => {
+	it('lists forward addresses and forward-only mode', () => {
+		const text = buildSettingsText('invoice', [], false, false, null, { addrs: ['acct@corp.com'], only: true });
+		expect(text).toContain('转发到');
+		expect(text).toContain('<code>acct@corp.com</code>');
+		expect(text).toContain('仅转发');
+	});
+	it('omits forward section when no addresses', () => {
+		const text = buildSettingsText('invoice', [], false, false);
+		expect(text).not.toContain('转发到');
+	});
+});
+
+describe('forwardEmail', () => {
+	it('forwards to each address and reports failures', async () => {
+		const calls = [];
+		const message = {
+			forward: async (addr) => {
+				calls.push(addr);
+				if (addr === 'bad@x.com') throw new Error('destination address not verified');
+			},
+		};
+		const failed = await forwardEmail(message, ['ok@x.com', 'bad@x.com']);
+		expect(calls).toEqual(['ok@x.com', 'bad@x.com']);
+		expect(failed).toEqual(['bad@x.com']);
+	});
+	it('does nothing with no addresses', async () => {
+		expect(await forwardEmail({}, [])).toEqual([]);
+	});
+});
+
+describe('handleIncomingEmail forward-only prefix', () => {
+	it('forwards without posting to Telegram', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['invoice']));
+		await env.KV.put('prefix_forwards', JSON.stringify({ invoice: ['acct@corp.com'] }));
+		await env.KV.put('forward_only_prefixes', JSON.stringify(['invoice']));
+		const forwarded = [];
+		const message = {
+			from: 'billing@vendor.com', to: 'invoice@example.com',
+			raw: 'Subject: hi\r\n\r\nbody',
+			forward: async (addr) => { forwarded.push(addr); },
+		};
+		const calls = mockTelegram();
+		await handleIncomingEmail(message, env);
+		expect(forwarded).toEqual(['acct@corp.com']);
+		expect(calls).toEqual([]);
+	});
+	it('does not forward mail dropped by a rule or DMARC, and forwards each address once', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['invoice']));
+		await env.KV.put('prefix_forwards', JSON.stringify({ invoice: ['acct@corp.com'] }));
+		await setMailRules(env, [
+			makeRule([{ type: 'subject', value: 'spam' }], [{ type: 'drop' }]),
+			makeRule([{ type: 'to', value: 'invoice' }], [{ type: 'forward', value: 'acct@corp.com' }, { type: 'forward', value: 'boss@corp.com' }]),
+		]);
+		await env.KV.put('sys_config', JSON.stringify({ dmarcFail: 'drop' }));
+		const forwarded = [];
+		const message = (subject, auth = 'dmarc=pass') => ({
+			from: 'billing@vendor.com', to: 'invoice@example.com',
+			raw: `Authentication-Results: mx.example.com; ${auth}\r\nSubject: ${subject}\r\n\r\nbody`,
+			forward: async (addr) => { forwarded.push(`${subject}:${addr}`); },
+		});
+		mockTelegram();
+		const e = { ...env };
+		await loadSystemConfig(e);
+		await handleIncomingEmail(message('spam offer'), e);
+		await handleIncomingEmail(message('spoofed', 'dmarc=fail'), e);
+		await handleIncomingEmail(message('march'), e);
+		expect(forwarded).toEqual(['march:acct@corp.com', 'march:boss@corp.com']);
+	});
+});
+
+describe('handleIncomingEmail reject policy', () => {
+	function makeMessage(from, to) {
+		const message = { from, to, raw: 'Subject: hi\r\n\r\nbody', rejected: null };
+		message.setReject = (reason) => { message.rejected = reason; };
+		return message;
+	}
+	// 与 email() 入口一致：先加载系统配置
+	async function receive(message) {
+		const e = { ...env };
+		await loadSystemConfig(e);
+		await handleIncomingEmail(message, e);
+	}
+	it('drops silently by default', async () => {
+		await env.KV.put('blocked_senders', JSON.stringify(['spam@bad.com']));
+		const message = makeMessage('spam@bad.com', 'any@example.com');
+		await receive(message);
+		expect(message.rejected).toBe(null);
+	});
+	it('bounces blocked senders when enabled', async () => {
+		await env.KV.put('blocked_senders', JSON.stringify(['spam@bad.com']));
+		await env.KV.put('sys_config', JSON.stringify({ rejectBlocked: true, rejectReason: 'Blocked' }));
+		const message = makeMessage('spam@bad.com', 'any@example.com');
+		await receive(message);
+		expect(message.rejected).toBe('Blocked');
+	});
+	it('drops senders matching a domain rule', async () => {
+		await env.KV.put('blocked_senders', JSON.stringify(['*.spam.com']));
+		await env.KV.put('sys_config', JSON.stringify({ rejectBlocked: true }));
+		const message = makeMessage('x123@mx.spam.com', 'any@example.com');
+		await receive(message);
+		expect(message.rejected).toBe('Address does not exist');
+	});
+	it('bounces unknown prefixes when enabled', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		await env.KV.put('sys_config', JSON.stringify({ rejectUnknown: true }));
+		const message = makeMessage('a@b.com', 'nobody@example.com');
+		await receive(message);
+		expect(message.rejected).toBe('Address does not exist');
+	});
+});
+
+describe('quarantine', () => {
+	const raw = to => [
+		'From: a@shop.com', `To: ${to}`, 'Subject: Confirm your account', 'MIME-Version: 1.0',
+		'Content-Type: multipart/mixed; boundary="b1"', '', '--b1', 'Content-Type: text/plain', '', 'Click to confirm',
+		'--b1', 'Content-Type: application/pdf; name="big.pdf"', 'Content-Transfer-Encoding: base64', '',
+		'JVBERi0xLjQKSGVsbG8=', '--b1--', '',
+	].join('\r\n');
+	async function receive(to, e) {
+		const message = { from: 'a@shop.com', to, raw: raw(to), rejected: null };
+		message.setReject = (reason) => { message.rejected = reason; };
+		await handleIncomingEmail(message, e);
+		return message;
+	}
+	async function setup(days) {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		await env.KV.put('paused_prefixes', JSON.stringify(['old']));
+		await env.KV.put('sys_config', JSON.stringify({ lang: 'zh', rejectUnknown: true, ...(days ? { quarantineDays: days } : {}) }));
+		const e = { ...env };
+		await loadSystemConfig(e);
+		return e;
+	}
+	it('keeps nothing when disabled', async () => {
+		const e = await setup(0);
+		expect((await receive('nobody@example.com', e)).rejected).toBe('Address does not exist');
+		expect(await listQuarantine(env)).toEqual([]);
+	});
+	it('quarantines a stripped copy of rejected mail and still bounces it', async () => {
+		const e = await setup(3);
+		expect((await receive('nobody@example.com', e)).rejected).toBe('Address does not exist');
+		await receive('old@example.com', e);
+		const items = await listQuarantine(env);
+		expect(items.map(i => [i.to, i.reason, i.subject])).toEqual([
+			['nobody@example.com', 'unknown', 'Confirm your account'],
+			['old@example.com', 'paused', 'Confirm your account'],
+		]);
+		expect(await env.KV.get('quarantine')).toBe(null);
+		const eml = await env.KV.get(`qr:${items[0].id}`);
+		expect(eml).toContain('Subject: Confirm your account');
+		expect(eml).toContain('Click to confirm');
+		expect(eml).not.toContain('JVBERi0');
+		expect(eml).not.toContain('multipart');
+	});
+	it('quarantines mail to an ended burner prefix', async () => {
+		const e = await setup(3);
+		await env.KV.put('burner_prefixes', JSON.stringify({ tmp: { created: 0, maxEmails: 1, count: 1, ended: true } }));
+		expect((await receive('tmp@example.com', e)).rejected).toBe('Address does not exist');
+		const [item] = await listQuarantine(env);
+		expect(item).toMatchObject({ to: 'tmp@example.com', prefix: 'tmp', reason: 'burner' });
+		const report = buildQuarantineReport([item], 3);
+		expect(report.text).toContain('一次性前缀已结束');
+		expect(report.keyboard.inline_keyboard.flat().map(b => b.callback_data)).toEqual([`qv:${item.id}`]);
+	});
+	it('reports new rejections at most every few hours', async () => {
+		const e = await setup(3);
+		await receive('nobody@example.com', e);
+		await receive('old@example.com', e);
+		const calls = mockTelegram();
+		expect(await runQuarantineReport(e)).toBe(2);
+		await receive('nobody@example.com', e);
+		expect(await runQuarantineReport(e)).toBe(0);
+		expect(await runQuarantineReport(e, Date.now() + QUARANTINE_REPORT_INTERVAL)).toBe(1);
+		const report = calls[0].body;
+		expect(report.text).toContain('2 封邮件被拒收');
+		expect(report.text).toContain('<code>old@example.com</code> · 已暂停');
+		expect(report.reply_markup.inline_keyboard.flat().map(b => b.callback_data.split(':')[0])).toEqual(['qv', 'qv', 'qres', 'qa']);
+		expect(calls).toHaveLength(2);
+	});
+	it('views, allows and resumes from the report buttons', async () => {
+		const e = await setup(3);
+		await receive('nobody@example.com', e);
+		const [item] = await listQuarantine(env);
+		const calls = mockTelegram();
+		const press = data => handleEmailCallback({ id: 'cb', data, message: { message_id: 5 } }, e);
+		await press(`qv:${item.id}`);
+		await press('qv:missing');
+		await press('qa:nobody');
+		await press('qres:old');
+		const view = calls.find(c => c.url.endsWith('/sendMessage')).body;
+		expect(view.text).toContain('附件已去除');
+		expect(view.text).toContain('Click to confirm');
+		expect(view.reply_markup.inline_keyboard[0][0].callback_data).toBe('qa:nobody');
+		expect(calls.filter(c => c.url.endsWith('/answerCallbackQuery')).map(c => c.body.text)).toContain('邮件已过期');
+		expect(JSON.parse(await env.KV.get('allowed_prefixes')).sort()).toEqual(['nobody', 'old', 'shop']);
+		expect(JSON.parse(await env.KV.get('paused_prefixes'))).toEqual([]);
+	});
+	it('cycles the setting in mail config', async () => {
+		const e = await setup(0);
+		mockTelegram();
+		await handleConfigCallback({ id: 'cb', data: 'cfg_qr', message: { message_id: 5 } }, e);
+		expect(JSON.parse(await env.KV.get('sys_config')).quarantineDays).toBe(3);
+		await handleConfigCallback({ id: 'cb', data: 'cfg_qr', message: { message_id: 5 } }, e);
+		await handleConfigCallback({ id: 'cb', data: 'cfg_qr', message: { message_id: 5 } }, e);
+		expect(JSON.parse(await env.KV.get('sys_config')).quarantineDays).toBe(undefined);
+	});
+});
+
+// ============ 邮件规则测试 ============
+
+function ruleMail(overrides = {}) {
+	return {
+		from: 'billing@shop.com', to: 'invoice@example.com', prefix: 'invoice',
+		subject: 'Your Invoice #42', headers: [{ key: 'list-id', value: 'news.shop.com' }],
+		hasAttachment: true, size: 2 * 1024 * 1024, ...overrides,
+	};
+}
+
+function makeRule(conditions, actions, extra = {}) {
+	return { id: 'r1', name: 'test', paused: false, conditions, actions, ...extra };
+}
+
+describe('parseSizeCondition', () => {
+	it('parses operators and units', () => {
+		expect(parseSizeCondition('>1mb')).toEqual({ op: '>', bytes: 1024 * 1024 });
+		expect(parseSizeCondition('< 50KB')).toEqual({ op: '<', bytes: 50 * 1024 });
+		expect(parseSizeCondition('>2048')).toEqual({ op: '>', bytes: 2048 });
+	});
+	it('rejects malformed input', () => {
+		expect(parseSizeCondition('1mb')).toBe(null);
+		expect(parseSizeCondition('>lots')).toBe(null);
+	});
+});
+
+describe('matchCondition', () => {
+	it('matches from with sender patterns', () => {
+		expect(matchCondition({ type: 'from', value: '@shop.com' }, ruleMail())).toBe(true);
+		expect(matchCondition({ type: 'from', value: 'x@shop.com' }, ruleMail())).toBe(false);
+	});
+	it('matches to by prefix or address pattern', () => {
+		expect(matchCondition({ type: 'to', value: 'invoice' }, ruleMail())).toBe(true);
+		expect(matchCondition({ type: 'to', value: 'shop' }, ruleMail())).toBe(false);
+		expect(matchCondition({ type: 'to', value: '*@example.com' }, ruleMail())).toBe(true);
+	});
+	it('matches subject regex case-insensitively', () => {
+		expect(matchCondition({ type: 'subject', value: 'invoice #\\d+' }, ruleMail())).toBe(true);
+		expect(matchCondition({ type: 'subject', value: '^receipt' }, ruleMail())).toBe(false);
+	});
+	it('matches header presence and value', () => {
+		expect(matchCondition({ type: 'header', value: 'List-Id' }, ruleMail())).toBe(true);
+		expect(matchCondition({ type: 'header', value: 'List-Id: NEWS.shop.com' }, ruleMail())).toBe(true);
+		expect(matchCondition({ type: 'header', value: 'List-Id: other' }, ruleMail())).toBe(false);
+		expect(matchCondition({ type: 'header', value: 'X-Spam' }, ruleMail())).toBe(false);
+	});
+	it('matches attachment and size', () => {
+		expect(matchCondition({ type: 'attachment' }, ruleMail({ hasAttachment: false }))).toBe(false);
+		expect(matchCondition({ type: 'size', value: '>1mb' }, ruleMail())).toBe(true);
+		expect(matchCondition({ type: 'size', value: '<1mb' }, ruleMail())).toBe(false);
+	});
+});
+
+describe('evaluateMailRules', () => {
+	it('requires all conditions of a rule', () => {
+		const rule = makeRule([{ type: 'from', value: '@shop.com' }, { type: 'subject', value: 'receipt' }], [{ type: 'mute' }]);
+		expect(evaluateMailRules([rule], ruleMail()).mute).toBe(false);
+	});
+	it('accumulates actions from every matching rule in order', () => {
+		const rules = [
+			makeRule([{ type: 'from', value: '@shop.com' }], [{ type: 'tag', value: 'shop' }, { type: 'mute' }], { id: 'a' }),
+			makeRule([{ type: 'attachment' }], [{ type: 'forward', value: 'me@x.com' }, { type: 'tag', value: 'shop' }], { id: 'b' }),
+		];
+		const result = evaluateMailRules(rules, ruleMail());
+		expect(result.matched).toEqual(['a', 'b']);
+		expect(result.mute).toBe(true);
+		expect(result.tags).toEqual(['shop']);
+		expect(result.forward).toEqual(['me@x.com']);
+	});
+	it('skips paused and incomplete rules', () => {
+		const rules = [
+			makeRule([{ type: 'attachment' }], [{ type: 'drop' }], { paused: true }),
+			makeRule([], [{ type: 'drop' }]),
+			makeRule([{ type: 'attachment' }], []),
+		];
+		const result = evaluateMailRules(rules, ruleMail());
+		expect(result.drop).toBe(false);
+		expect(result.matched).toEqual([]);
+	});
+	it('stops after a drop rule', () => {
+		const rules = [
+			makeRule([{ type: 'attachment' }], [{ type: 'drop' }], { id: 'a' }),
+			makeRule([{ type: 'attachment' }], [{ type: 'star' }], { id: 'b' }),
+		];
+		const result = evaluateMailRules(rules, ruleMail());
+		expect(result.drop).toBe(true);
+		expect(result.star).toBe(false);
+		expect(result.matched).toEqual(['a']);
+	});
+});
+
+describe('normalizeRuleValue', () => {
+	it('validates each value type', () => {
+		expect(normalizeRuleValue('from', 'shop.com')).toBe('@shop.com');
+		expect(normalizeRuleValue('to', 'Invoice')).toBe('invoice');
+		expect(normalizeRuleValue('subject', '(unclosed')).toBe('');
+		expect(normalizeRuleValue('header', 'List-Id: x')).toBe('List-Id: x');
+		expect(normalizeRuleValue('header', 'bad header')).toBe('');
+		expect(normalizeRuleValue('size', '> 1 MB')).toBe('>1mb');
+		expect(normalizeRuleValue('forward', 'not-an-email')).toBe('');
+		expect(normalizeRuleValue('tag', '#发票')).toBe('发票');
+		expect(normalizeRuleValue('tag', 'two words')).toBe('');
+	});
+});
+
+describe('buildRulesText / buildRulesKeyboard', () => {
+	it('shows empty state with new-rule button', () => {
+		expect(buildRulesText([])).toContain('还没有规则');
+		const data = buildRulesKeyboard([]).inline_keyboard.flat().map(b => b.callback_data);
+		expect(data).toEqual(['rl_add']);
+	});
+	it('lists rules in order with status and summary', () => {
+		const rules = [
+			makeRule([{ type: 'from', value: '@shop.com' }], [{ type: 'tag', value: 'shop' }], { id: 'a', name: '购物' }),
+			makeRule([{ type: 'attachment' }], [{ type: 'drop' }], { id: 'b', name: 'noise', paused: true }),
+		];
+		const text = buildRulesText(rules);
+		expect(text).toContain('2 条');
+		expect(text.indexOf('购物')).toBeLessThan(text.indexOf('noise'));
+		expect(text).toContain('标签 #shop');
+		expect(text).toContain('⏸');
+		const kb = buildRulesKeyboard(rules);
+		expect(kb.inline_keyboard[0][0].callback_data).toBe('rl_v:a');
+		expect(kb.inline_keyboard[1][0].callback_data).toBe('rl_v:b');
+	});
+	it('paginates long lists', () => {
+		const rules = Array.from({ length: RULES_PAGE_SIZE + 1 }, (_, i) => makeRule([], [], { id: `r${i}`, name: `n${i}` }));
+		const data = buildRulesKeyboard(rules, 0).inline_keyboard.flat().map(b => b.callback_data);
+		expect(data).toContain('rl_p:1');
+	});
+});
+
+describe('buildRuleDetailKeyboard', () => {
+	it('has remove, add, move, pause and delete controls', () => {
+		const rule = makeRule([{ type: 'attachment' }], [{ type: 'mute' }]);
+		const data = buildRuleDetailKeyboard(rule, 1, 3).inline_keyboard.flat().map(b => b.callback_data);
+		expect(data).toContain('rl_dc:r1:0');
+		expect(data).toContain('rl_da:r1:0');
+		expect(data).toContain('rl_ac:r1');
+		expect(data).toContain('rl_aa:r1');
+		expect(data).toContain('rl_up:r1');
+		expect(data).toContain('rl_dn:r1');
+		expect(data).toContain('rl_tg:r1');
+		expect(data).toContain('rl_del:r1');
+	});
+	it('hides move buttons at the edges', () => {
+		const data = buildRuleDetailKeyboard(makeRule([], []), 0, 1).inline_keyboard.flat().map(b => b.callback_data);
+		expect(data).not.toContain('rl_up:r1');
+		expect(data).not.toContain('rl_dn:r1');
+	});
+	it('warns when a rule is incomplete', () => {
+		expect(buildRuleDetailText(makeRule([], []), 0)).toContain('至少需要');
+	});
+	it('type picker keeps callback data within 64 bytes', () => {
+		const kb = buildRuleTypeKeyboard('lz9x8c7v', 'cond');
+		for (const b of kb.inline_keyboard.flat()) {
+			expect(new TextEncoder().encode(b.callback_data).length).toBeLessThanOrEqual(64);
+		}
+	});
+});
+
+describe('handleRulesReply', () => {
+	it('creates a rule and adds a condition value from the prompt', async () => {
+		mockTelegram();
+		await handleRulesReply({ message_id: 2 }, { message_id: 1, text: t('rules.prompt.name') }, '账单', env);
+		let rules = await getMailRules(env);
+		expect(rules).toHaveLength(1);
+		expect(rules[0].name).toBe('账单');
+		const prompt = t('rules.prompt.cond', { id: rules[0].id, field: t('rules.cond.subject') }) + '\n' + t('rules.hint.subject');
+		await handleRulesReply({ message_id: 4 }, { message_id: 3, text: prompt }, 'invoice|发票', env);
+		rules = await getMailRules(env);
+		expect(rules[0].conditions).toEqual([{ type: 'subject', value: 'invoice|发票' }]);
+	});
+});
+
+describe('handleIncomingEmail with mail rules', () => {
+	async function runWithTelegram(message) {
+		const calls = mockTelegram({ messageId: 77 });
+		await handleIncomingEmail(message, env);
+		return calls;
+	}
+	const raw = 'From: a@shop.com\r\nTo: shop@example.com\r\nSubject: Big sale\r\n\r\nbody';
+
+	it('drops matching mail without notifying', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		await setMailRules(env, [makeRule([{ type: 'subject', value: 'sale' }], [{ type: 'drop' }])]);
+		const calls = await runWithTelegram({ from: 'a@shop.com', to: 'shop@example.com', raw });
+		expect(calls).toHaveLength(0);
+	});
+	it('applies mute, tag and skip-storage actions', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		await setMailRules(env, [makeRule([{ type: 'to', value: 'shop' }], [{ type: 'mute' }, { type: 'tag', value: 'promo' }, { type: 'nostore' }])]);
+		const calls = await runWithTelegram({ from: 'a@shop.com', to: 'shop@example.com', raw });
+		const send = calls.find(c => c.url.endsWith('/sendMessage'));
+		expect(send.body.text).toContain('#promo');
+		expect(send.body.disable_notification).toBe(true);
+		const idx = await getEmailIndex(env);
+		expect(idx.entries).toHaveLength(0);
+		const markup = calls.find(c => c.url.endsWith('/editMessageReplyMarkup'));
+		expect(markup.body.reply_markup.inline_keyboard.flat().map(b => b.callback_data)).not.toContain('eml:77');
+	});
+	it('stars matching mail in the index', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		await setMailRules(env, [makeRule([{ type: 'from', value: '@shop.com' }], [{ type: 'star' }])]);
+		await runWithTelegram({ from: 'a@shop.com', to: 'shop@example.com', raw });
+		const idx = await getEmailIndex(env);
+		expect(idx.entries[0].starred).toBe(true);
+	});
 });
 
 // ============ 随机前缀测试 ============
@@ -694,6 +1432,92 @@ describe('generateRandomPrefix', () => {
 	});
 });
 
+describe('burner prefixes', () => {
+	const rawTo = to => `From: a@shop.com\r\nTo: ${to}\r\nSubject: Welcome\r\nContent-Type: text/plain\r\n\r\nHi`;
+	function makeMessage(to) {
+		const message = { from: 'a@shop.com', to, raw: rawTo(to), rejected: null };
+		message.setReject = (reason) => { message.rejected = reason; };
+		return message;
+	}
+
+	it('formats remaining lifetime and usage', () => {
+		const now = Date.UTC(2026, 0, 5);
+		expect(formatRemaining(3 * 86400000 + 5000)).toBe('3d');
+		expect(formatRemaining(23 * 3600000 + 59 * 60000)).toBe('23h');
+		expect(formatRemaining(90 * 1000)).toBe('2m');
+		expect(formatBurnerStatus({ expires: now + 5 * 3600000, count: 0 }, now)).toBe(' ⏳ 5h');
+		expect(formatBurnerStatus({ maxEmails: 5, count: 2 }, now)).toBe(' 📨 2/5');
+		expect(formatBurnerStatus({ maxEmails: 1, count: 1, ended: true }, now)).toBe(' 🔥 已结束');
+		expect(formatBurnerStatus(undefined, now)).toBe('');
+		expect(isBurnerExhausted({ expires: now - 1 }, now)).toBe(true);
+		expect(isBurnerExhausted({ maxEmails: 5, count: 4 }, now)).toBe(false);
+	});
+	it('shows remaining lifetime in the list', () => {
+		const now = Date.UTC(2026, 0, 5);
+		const burners = { tmp1: { expires: now + 7 * 86400000, count: 0 }, tmp2: { maxEmails: 1, count: 1, ended: true } };
+		const text = buildListText(['info', 'tmp1'], ['tmp2'], {}, false, [], null, null, burners, now);
+		expect(text).toContain('✅ tmp1 ⏳ 7d');
+		expect(text).toContain('⏸️ tmp2 (已暂停) 🔥 已结束');
+		expect(text).toContain('✅ info\n');
+	});
+	it('random button asks for a lifetime and creates a burner', async () => {
+		const calls = mockTelegram();
+		await handleEmailCallback({ id: 'cb', data: 'random', message: { message_id: 10 } }, env);
+		expect(calls[0].url).toMatch(/editMessageReplyMarkup$/);
+		expect(calls[0].body.reply_markup).toEqual(buildBurnerLimitKeyboard());
+		expect(await env.KV.get('allowed_prefixes')).toBe(null);
+		await handleEmailCallback({ id: 'cb', data: 'rnd:24h', message: { message_id: 10 } }, env);
+		expect(calls[calls.length - 2].body.reply_markup.inline_keyboard[0].map(b => b.callback_data)).toEqual(['rnd:24h:pause', 'rnd:24h:delete']);
+		const before = Date.now();
+		await handleEmailCallback({ id: 'cb', data: 'rnd:24h:delete', message: { message_id: 10 } }, env);
+		const [prefix] = JSON.parse(await env.KV.get('allowed_prefixes'));
+		const burner = JSON.parse(await env.KV.get('burner_prefixes'))[prefix];
+		expect(burner.end).toBe('delete');
+		expect(burner.expires).toBeGreaterThanOrEqual(before + 86400000);
+		expect(calls.find(c => c.body.text?.includes('到期后删除'))).toBeTruthy();
+		await handleEmailCallback({ id: 'cb', data: 'rnd:perm', message: { message_id: 10 } }, env);
+		expect(JSON.parse(await env.KV.get('allowed_prefixes'))).toHaveLength(2);
+		expect(Object.keys(JSON.parse(await env.KV.get('burner_prefixes')))).toEqual([prefix]);
+	});
+	it('pauses after the email limit and rejects later mail', async () => {
+		const calls = mockTelegram();
+		const prefix = await createRandomPrefix(env, 'n1', 'pause');
+		const first = makeMessage(`${prefix}@example.com`);
+		await handleIncomingEmail(first, env);
+		expect(first.rejected).toBe(null);
+		expect(calls.some(c => c.body.text?.includes('Welcome'))).toBe(true);
+		expect(JSON.parse(await env.KV.get('paused_prefixes'))).toEqual([prefix]);
+		expect(JSON.parse(await env.KV.get('burner_prefixes'))[prefix]).toMatchObject({ count: 1, ended: true });
+
+		calls.length = 0;
+		const second = makeMessage(`${prefix}@example.com`);
+		await handleIncomingEmail(second, env);
+		expect(second.rejected).toBe('Address does not exist');
+		expect(calls).toHaveLength(0);
+
+		// 手动恢复后解除限制
+		await handleEmailCallback({ id: 'cb', data: `resume:${prefix}`, message: { message_id: 10 } }, env);
+		expect(JSON.parse(await env.KV.get('burner_prefixes'))).toEqual({});
+	});
+	it('deletes expired burners from the cron and prunes old records', async () => {
+		const now = Date.now();
+		await env.KV.put('allowed_prefixes', JSON.stringify(['tmp1', 'info']));
+		await env.KV.put('prefix_domains', JSON.stringify({ tmp1: ['shop.com'] }));
+		await env.KV.put('burner_prefixes', JSON.stringify({
+			tmp1: { created: now - 2 * 86400000, expires: now - 1000, count: 3, end: 'delete' },
+			old: { created: 0, maxEmails: 1, count: 1, end: 'pause', ended: true, endedAt: now - 100 * 86400000 },
+		}));
+		const calls = mockTelegram();
+		expect(await runBurnerExpiry(env, now)).toBe(1);
+		expect(JSON.parse(await env.KV.get('allowed_prefixes'))).toEqual(['info']);
+		expect(JSON.parse(await env.KV.get('prefix_domains'))).toEqual({});
+		const burners = JSON.parse(await env.KV.get('burner_prefixes'));
+		expect(Object.keys(burners)).toEqual(['tmp1']);
+		expect(burners.tmp1.ended).toBe(true);
+		expect(calls[0].body.text).toContain('已到期');
+	});
+});
+
 // ============ 邮件通知按钮测试 ============
 
 describe('buildEmailActionKeyboard', () => {
@@ -736,6 +1560,209 @@ describe('buildEmailActionKeyboard', () => {
 		expect(allData).toContain('unstar:123');
 		expect(allData).not.toContain('star:123');
 	});
+	it('hides reply button unless canReply is set', () => {
+		const plain = buildEmailActionKeyboard(123, false, false, 0, false);
+		expect(plain.inline_keyboard.flat().map(b => b.callback_data)).not.toContain('reply:123');
+		const kb = buildEmailActionKeyboard(123, false, false, 0, false, { canReply: true });
+		expect(kb.inline_keyboard[1][0].callback_data).toBe('reply:123');
+	});
+	it('puts block-domain button next to block sender', () => {
+		const kb = buildEmailActionKeyboard(123, false, false, 0, false);
+		const row = kb.inline_keyboard[1].map(b => b.callback_data);
+		expect(row.indexOf('bd:123')).toBe(row.indexOf('bs:123') + 1);
+	});
+	it('shows unblock-domain when the domain is blocked', () => {
+		const kb = buildEmailActionKeyboard(123, false, false, 0, false, { domainBlocked: true });
+		const allData = kb.inline_keyboard.flat().map(b => b.callback_data);
+		expect(allData).toContain('ubd:123');
+		expect(allData).not.toContain('bd:123');
+	});
+});
+
+describe('one-click unsubscribe', () => {
+	const headers = (value, post) => [
+		{ key: 'list-unsubscribe', value },
+		...(post ? [{ key: 'list-unsubscribe-post', value: post }] : []),
+	];
+	// 本地替身：记录请求并返回指定状态码
+	const stubFetch = (status) => {
+		const requests = [];
+		const fn = async (url, init) => {
+			requests.push({ url, method: init.method, body: init.body });
+			return new Response('', { status });
+		};
+		fn.requests = requests;
+		return fn;
+	};
+	it('parses List-Unsubscribe and one-click support', () => {
+		expect(parseListUnsubscribe(headers('<mailto:u@list.com?subject=stop>, <https://list.com/u/1>', 'List-Unsubscribe=One-Click')))
+			.toEqual({ url: 'https://list.com/u/1', mailto: 'mailto:u@list.com?subject=stop', oneClick: true });
+		expect(parseListUnsubscribe(headers('<http://list.com/u/1>'))).toBe(null);
+		expect(parseListUnsubscribe(headers('<https://list.com/u/1>')).oneClick).toBe(false);
+		expect(parseListUnsubscribe([])).toBe(null);
+		expect(parseMailto('mailto:u%2Bx@list.com?subject=stop')).toEqual({ to: 'u+x@list.com', subject: 'stop', body: 'unsubscribe' });
+	});
+	it('rejects malformed or header-injecting mailto addresses', () => {
+		expect(parseMailto('mailto:u%E0%A4%A@list.com')).toBe(null);
+		expect(parseMailto('mailto:u@list.com%0D%0ABcc:%20all@corp.com')).toBe(null);
+		expect(parseMailto('mailto:a@x.com,b@y.com')).toBe(null);
+		expect(parseMailto('mailto:u@list.com?subject=a%0D%0ABcc:%20x@y.com').subject).toBe('a Bcc: x@y.com');
+		expect(parseListUnsubscribe(headers('<mailto:u@list.com%0D%0ABcc:%20all@corp.com>'))).toBe(null);
+		expect(parseListUnsubscribe(headers('<mailto:bad%zz@list.com>, <https://list.com/u/1>')).mailto).toBe('');
+	});
+	it('shows the button only when the unsubscribe can run from here', () => {
+		const mailtoOnly = { url: '', mailto: 'mailto:u@list.com', oneClick: false };
+		expect(canAutoUnsubscribe(env, mailtoOnly)).toBe(false);
+		expect(canAutoUnsubscribe({ ...env, MAIL_SENDER: async () => {} }, mailtoOnly)).toBe(true);
+		expect(canAutoUnsubscribe(env, { url: 'https://list.com/u/1', mailto: '', oneClick: false })).toBe(false);
+		expect(canAutoUnsubscribe(env, { url: 'https://list.com/u/1', mailto: '', oneClick: true })).toBe(true);
+		expect(canAutoUnsubscribe(env, null)).toBe(false);
+	});
+	it('posts the one-click request through the injected fetcher', async () => {
+		const fetcher = stubFetch(200);
+		const info = { url: 'https://list.com/u/1', mailto: '', oneClick: true };
+		expect(await performUnsubscribe({ ...env, UNSUBSCRIBE_FETCH: fetcher }, info, 'shop@example.com')).toEqual({ ok: true, method: 'post' });
+		expect(fetcher.requests).toEqual([{ url: 'https://list.com/u/1', method: 'POST', body: 'List-Unsubscribe=One-Click' }]);
+		expect(await performUnsubscribe({ ...env, UNSUBSCRIBE_FETCH: stubFetch(500) }, info, 'shop@example.com'))
+			.toEqual({ ok: false, method: 'post', error: 'HTTP 500' });
+	});
+	it('falls back to mailto, then to manual', async () => {
+		const sent = [];
+		const e = { ...env, UNSUBSCRIBE_FETCH: stubFetch(500), MAIL_SENDER: async (_, from, to, raw) => sent.push({ from, to, raw }) };
+		const info = { url: 'https://list.com/u/1', mailto: 'mailto:u@list.com?subject=stop', oneClick: true };
+		expect(await performUnsubscribe(e, info, 'shop@example.com')).toEqual({ ok: true, method: 'mailto' });
+		expect(sent[0]).toMatchObject({ from: 'shop@example.com', to: 'u@list.com' });
+		expect(sent[0].raw).toContain('Subject: stop');
+		expect(sent[0].raw).toContain('Content-Transfer-Encoding: base64');
+		expect(sent[0].raw).toContain(btoa('unsubscribe'));
+		expect(await performUnsubscribe(env, { url: 'https://list.com/u/1', mailto: '', oneClick: false }, 'shop@example.com'))
+			.toEqual({ ok: false, method: 'manual' });
+	});
+	it('builds result messages with a mute offer or a link', () => {
+		const info = { url: 'https://list.com/u/1' };
+		const done = buildUnsubscribeResult({ ok: true, method: 'post' }, info, 'news@list.com', '42', false);
+		expect(done.keyboard.inline_keyboard[0][0].callback_data).toBe('ms:42');
+		expect(buildUnsubscribeResult({ ok: true, method: 'post' }, info, 'news@list.com', '42', true).keyboard).toBe(null);
+		expect(buildUnsubscribeResult({ ok: false, method: 'manual' }, info, 'news@list.com', '42', false).keyboard.inline_keyboard[0][0].url).toBe(info.url);
+	});
+	it('unsubscribes from the notification button and records the result', async () => {
+		await saveMsgMeta(env, '42', { sender: 'news@list.com', to: 'shop@example.com', unsub: { url: 'https://list.com/u/1', mailto: '', oneClick: true } });
+		const fetcher = stubFetch(202);
+		const calls = mockTelegram();
+		const e = { ...env, UNSUBSCRIBE_FETCH: fetcher };
+		await handleEmailCallback({ id: 'cb', data: 'unsub:42', message: { message_id: 42 } }, e);
+		await handleEmailCallback({ id: 'cb', data: 'unsub:42', message: { message_id: 42 } }, e);
+		expect(fetcher.requests).toHaveLength(1);
+		expect((await getMsgMeta(env, '42')).unsubResult).toMatchObject({ ok: true, method: 'post' });
+		expect(calls.find(c => c.url.endsWith('/sendMessage')).body.text).toContain('news@list.com');
+		const markup = calls.find(c => c.url.endsWith('/editMessageReplyMarkup')).body.reply_markup;
+		expect(markup.inline_keyboard.flat()).toContainEqual({ text: '✅ 已退订', callback_data: 'unsub:42' });
+		expect(calls.filter(c => c.url.endsWith('/answerCallbackQuery')).pop().body.text).toBe('已退订过');
+	});
+	it('does not offer to mute a sender already muted by a domain pattern', async () => {
+		await saveMsgMeta(env, '43', { sender: 'news@list.com', to: 'shop@example.com', unsub: { url: 'https://list.com/u/1', mailto: '', oneClick: true } });
+		await env.KV.put('muted_senders', JSON.stringify(['@list.com']));
+		const calls = mockTelegram();
+		await handleEmailCallback({ id: 'cb', data: 'unsub:43', message: { message_id: 43 } }, { ...env, UNSUBSCRIBE_FETCH: stubFetch(202) });
+		expect(calls.find(c => c.url.endsWith('/sendMessage')).body.reply_markup).toBeUndefined();
+	});
+});
+
+// ============ 回复邮件测试 ============
+
+describe('encodeMimeHeader', () => {
+	it('keeps ASCII unchanged', () => {
+		expect(encodeMimeHeader('Re: Hello')).toBe('Re: Hello');
+	});
+	it('encodes non-ASCII as RFC 2047 base64', () => {
+		const encoded = encodeMimeHeader('你好');
+		expect(encoded).toMatch(/^=\?UTF-8\?B\?.+\?=$/);
+		const b64 = encoded.slice(10, -2);
+		const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+		expect(new TextDecoder().decode(bytes)).toBe('你好');
+	});
+});
+
+describe('buildReplyMime', () => {
+	it('adds Re: prefix only once', () => {
+		expect(buildReplySubject('Hello')).toBe('Re: Hello');
+		expect(buildReplySubject('RE: Hello')).toBe('RE: Hello');
+	});
+	it('sets threading headers from the original message', () => {
+		const raw = buildReplyMime({
+			from: 'shop@example.com', to: 'alice@test.com', subject: 'Order', text: 'Thanks',
+			inReplyTo: '<orig@test.com>', references: '<root@test.com>',
+		});
+		expect(raw).toContain('From: shop@example.com\r\n');
+		expect(raw).toContain('To: alice@test.com\r\n');
+		expect(raw).toContain('Subject: Re: Order\r\n');
+		expect(raw).toContain('In-Reply-To: <orig@test.com>\r\n');
+		expect(raw).toContain('References: <root@test.com> <orig@test.com>\r\n');
+		expect(raw).toMatch(/Message-ID: <[^>]+@example\.com>/);
+	});
+	it('omits threading headers when original has no Message-ID', () => {
+		const raw = buildReplyMime({ from: 'a@x.com', to: 'b@y.com', subject: 's', text: 't' });
+		expect(raw).not.toContain('In-Reply-To');
+		expect(raw).not.toContain('References');
+	});
+	it('encodes UTF-8 body as base64', () => {
+		const raw = buildReplyMime({ from: 'a@x.com', to: 'b@y.com', subject: 's', text: '收到' });
+		const body = raw.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+		const bytes = Uint8Array.from(atob(body), c => c.charCodeAt(0));
+		expect(new TextDecoder().decode(bytes)).toBe('收到');
+	});
+});
+
+describe('sendReplyEmail', () => {
+	it('fails without binding or injected sender', async () => {
+		const result = await sendReplyEmail({}, { from: 'a@x.com', to: 'b@y.com', subject: 's', text: 't' });
+		expect(result.ok).toBe(false);
+		expect(getMailSender({})).toBe(null);
+	});
+	it('uses injected sender', async () => {
+		const sent = [];
+		const stub = async (_env, from, to, raw) => { sent.push({ from, to, raw }); };
+		const result = await sendReplyEmail({}, { from: 'a@x.com', to: 'b@y.com', subject: 's', text: 't' }, stub);
+		expect(result.ok).toBe(true);
+		expect(sent[0].from).toBe('a@x.com');
+		expect(sent[0].to).toBe('b@y.com');
+	});
+	it('reports sender errors', async () => {
+		const stub = async () => { throw new Error('destination not verified'); };
+		const result = await sendReplyEmail({}, { from: 'a@x.com', to: 'b@y.com', subject: 's', text: 't' }, stub);
+		expect(result).toEqual({ ok: false, error: 'destination not verified' });
+	});
+});
+
+describe('replyToEmail', () => {
+	const eml = [
+		'From: Bob <bob@sender.com>',
+		'To: shop@example.com',
+		'Subject: Invoice 42',
+		'Message-ID: <m1@sender.com>',
+		'References: <m0@sender.com>',
+		'',
+		'Hello',
+	].join('\r\n');
+
+	it('replies from the delivered prefix address with threading headers', async () => {
+		await env.KV.put('email_text:9001', new TextEncoder().encode(eml));
+		await env.KV.put('msg_meta:9001', JSON.stringify({ sender: 'bob@sender.com', to: 'shop@example.com' }));
+		const sent = [];
+		const stub = async (_env, from, to, raw) => { sent.push({ from, to, raw }); };
+		const result = await replyToEmail({ KV: env.KV, MAIL_SENDER: stub }, 9001, 'Got it');
+		expect(result.ok).toBe(true);
+		expect(sent[0].from).toBe('shop@example.com');
+		expect(sent[0].to).toBe('bob@sender.com');
+		expect(sent[0].raw).toContain('In-Reply-To: <m1@sender.com>');
+		expect(sent[0].raw).toContain('References: <m0@sender.com> <m1@sender.com>');
+		expect(sent[0].raw).toContain('Subject: Re: Invoice 42');
+	});
+	it('fails when stored .eml is gone', async () => {
+		const stub = async () => {};
+		const result = await replyToEmail({ KV: env.KV, MAIL_SENDER: stub }, 9999, 'hi');
+		expect(result.ok).toBe(false);
+	});
 });
 
 // ============ 存储管理测试 ============
@@ -903,6 +1930,276 @@ describe('cleanExpiredEntries', () => {
 	});
 });
 
+describe('mail stats', () => {
+	const mail = from => `From: ${from}\r\nTo: shop@example.com\r\nSubject: Hello\r\nContent-Type: text/plain\r\n\r\nHi there`;
+	it('aggregates one day into a single record and caps senders', () => {
+		const day = {};
+		addMailStat(day, 'delivered', { prefix: 'shop', sender: 'a@x.com', muted: true, compact: true });
+		addMailStat(day, 'blocked', { prefix: 'shop', sender: 'b@x.com' });
+		expect(day).toEqual({
+			n: { delivered: 1, blocked: 1, muted: 1, compact: 1 },
+			prefixes: { shop: 2 }, senders: { 'a@x.com': 1, 'b@x.com': 1 },
+		});
+		for (let i = 0; i <= MAX_STAT_SENDERS; i++) addMailStat(day, 'delivered', { sender: `s${i}@x.com` });
+		expect(Object.keys(day.senders).length).toBeLessThanOrEqual(MAX_STAT_SENDERS);
+		expect(day.senders['a@x.com']).toBe(1);
+	});
+	it('draws a sparkline with the lowest bar reserved for empty days', () => {
+		expect(sparkline([0, 1, 2, 4])).toBe('▁▄▅█');
+		expect(sparkline([0, 0])).toBe('▁▁');
+	});
+	it('uses the configured timezone for the day key', () => {
+		const ts = Date.UTC(2026, 9, 19, 20, 0);
+		expect(statDay(ts, 'UTC')).toBe('2026-10-19');
+		expect(statDay(ts, 'Asia/Shanghai')).toBe('2026-10-20');
+	});
+	it('builds the summary text', () => {
+		const empty = { n: {}, prefixes: {}, senders: {} };
+		const days = [
+			{ date: '2026-10-18', ...empty },
+			{ date: '2026-10-19', n: { delivered: 4, compact: 1, muted: 2, blocked: 3, rejected: 1 }, prefixes: { shop: 3, news: 1 }, senders: { 'a@x.com': 3, 'b@x.com': 1 } },
+		];
+		const text = buildStatsText(days, storageBreakdown([
+			{ id: 1, prefix: 'shop', sender: 'a@x.com', textSize: 2048 },
+			{ id: 2, prefix: 'news', sender: 'b@x.com', textSize: 1024 },
+		]));
+		expect(text).toContain('<code>▁█</code>');
+		expect(text).toContain('共 <b>8</b> 封');
+		expect(text).toContain('shop <b>3</b>');
+		expect(text).toContain('shop <b>2.0KB</b>');
+		expect(text).toContain('精简模式：25%');
+		expect(text).toContain('屏蔽 3 · 拒收 1');
+		expect(buildStatsText([{ date: '2026-10-19', ...empty }], { prefixes: {}, senders: {} })).toContain('暂无收信记录');
+	});
+	it('writes one key per incoming email through waitUntil and shows /stats', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		await env.KV.put('blocked_senders', JSON.stringify(['spam@bad.com']));
+		const calls = mockTelegram();
+		const message = (from, to) => ({ from, to, raw: mail(from), setReject() {} });
+		const ctx = createExecutionContext();
+		await handleIncomingEmail(message('news@shop.com', 'shop@example.com'), env, ctx);
+		await handleIncomingEmail(message('spam@bad.com', 'shop@example.com'), env, ctx);
+		await handleIncomingEmail(message('a@b.com', 'nobody@example.com'), env, ctx);
+		await waitOnExecutionContext(ctx);
+		await cmdStats(env);
+		const today = statDay(Date.now(), 'UTC');
+		const keys = (await env.KV.list({ prefix: `stat_mail:${today}:` })).keys;
+		expect(keys.map(k => k.metadata.k).sort()).toEqual(['blocked', 'delivered', 'rejected']);
+		expect((await env.KV.list({ prefix: 'stats:' })).keys).toEqual([]);
+		const days = await loadMailStats(env);
+		expect(days).toHaveLength(STATS_DAYS);
+		expect(days[days.length - 1].n).toEqual({ delivered: 1, blocked: 1, rejected: 1 });
+		expect(days[days.length - 1].prefixes).toEqual({ shop: 2, nobody: 1 });
+		const text = calls[calls.length - 1].body.text;
+		expect(text).toContain('news@shop.com <b>1</b>');
+		expect(text).toContain('屏蔽 1 · 拒收 1 · 规则丢弃 0');
+	});
+	it('keeps concurrent counts and archives finished days once', async () => {
+		const now = Date.UTC(2026, 9, 19, 12, 0);
+		const day = 24 * 60 * 60 * 1000;
+		await Promise.all([
+			recordMailStat(env, 'blocked', { prefix: 'shop', sender: 'a@x.com' }, now - day),
+			recordMailStat(env, 'delivered', { prefix: 'shop', sender: 'a@x.com', compact: true }, now - day),
+			recordMailStat(env, 'delivered', { prefix: 'news', muted: true }, now - day),
+			recordMailStat(env, 'rejected', { prefix: 'nobody' }, now),
+		]);
+		expect(await collectDayStats(env, '2026-10-18')).toEqual({
+			n: { blocked: 1, delivered: 2, compact: 1, muted: 1 },
+			prefixes: { shop: 2, news: 1 }, senders: { 'a@x.com': 2 },
+		});
+		expect(await archiveMailStats(env, now)).toBe(1);
+		expect(JSON.parse(await env.KV.get('stats:2026-10-18')).n).toEqual({ blocked: 1, delivered: 2, compact: 1, muted: 1 });
+		expect(await env.KV.get('stats:2026-10-19')).toBe(null);
+		expect(await archiveMailStats(env, now)).toBe(0);
+		const days = await loadMailStats(env, now);
+		expect(days[days.length - 2].n.delivered).toBe(2);
+		expect(days[days.length - 1].n).toEqual({ rejected: 1 });
+	});
+});
+
+describe('file attachments', () => {
+	it('counts files in storage usage and expiry', () => {
+		const now = Date.now();
+		const entry = { id: 1, ts: now - (EML_TTL + 1) * 1000, textSize: 100, images: [], files: [{ idx: 0, size: 900, ttl: EML_TTL * 2 }] };
+		expect(entryStoredSize(entry)).toBe(1000);
+		expect(entryBlobKeys(entry)).toEqual(['email_text:1', 'file:1:0']);
+		const index = { entries: [entry], totalSize: 1000 };
+		expect(calcStorageUsage(index)).toBe(1000);
+		expect(cleanExpiredEntries(index)).toEqual([]);
+	});
+	it('evicts files together with their email', async () => {
+		await env.KV.put('file:7:0', 'pdf');
+		const index = { entries: [{ id: 7, ts: Date.now(), textSize: 0, images: [], files: [{ idx: 0, size: 500, ttl: 604800 }] }], totalSize: 500 };
+		const evicted = await evictForSpace(env, index, getMaxStorage(env));
+		expect(evicted).toBe(1);
+		expect(index.totalSize).toBe(0);
+		expect(await env.KV.get('file:7:0')).toBe(null);
+	});
+	it('adds a download button per stored file', () => {
+		const kb = buildEmailActionKeyboard(123, false, false, 0, false, {
+			files: [{ idx: 0, fn: 'invoice.pdf', size: 2048 }, { idx: 1, fn: 'a'.repeat(60) + '.zip', size: 10 }],
+		});
+		const btns = kb.inline_keyboard.flat();
+		expect(btns.find(b => b.callback_data === 'dl:123:0').text).toBe('📄 invoice.pdf (2.0KB)');
+		expect(btns.find(b => b.callback_data === 'dl:123:1').text.length).toBeLessThan(50);
+		expect(btns.map(b => b.callback_data)).toContain('del_email:123');
+		expect(buildEmailActionKeyboard(123, false, false, 0, false, { files: [{ idx: 0, fn: 'x.pdf', size: 1 }], noStorage: true })
+			.inline_keyboard.flat().some(b => b.callback_data.startsWith('dl:'))).toBe(false);
+	});
+	it('stores PDFs from incoming mail and sends them on demand', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		const raw = [
+			'From: billing@shop.com', 'To: shop@example.com', 'Subject: Invoice',
+			'Content-Type: multipart/mixed; boundary="b1"', '',
+			'--b1', 'Content-Type: text/plain; charset=utf-8', '', 'See attached invoice.',
+			'--b1', 'Content-Type: application/pdf', 'Content-Disposition: attachment; filename="invoice.pdf"',
+			'Content-Transfer-Encoding: base64', '', btoa('%PDF-1.4 fake invoice'),
+			'--b1--',
+		].join('\r\n');
+		const calls = mockTelegram({ messageId: 500 });
+		await handleIncomingEmail({ from: 'billing@shop.com', to: 'shop@example.com', raw }, env);
+		const idx = JSON.parse(await env.KV.get('email_index'));
+		expect(idx.entries[0].files).toEqual([{ idx: 0, size: 21, ttl: 5184000, fn: 'invoice.pdf', mime: 'application/pdf' }]);
+		expect(idx.totalSize).toBe(calcStorageUsage(idx));
+		const markup = calls.find(c => c.url.endsWith('/editMessageReplyMarkup'));
+		expect(markup.body.reply_markup.inline_keyboard.flat().map(b => b.callback_data)).toContain('dl:500:0');
+
+		calls.length = 0;
+		await handleEmailCallback({ id: 'cb', data: 'dl:500:0', message: { message_id: 501 } }, env);
+		expect(calls.some(c => c.url.endsWith('/sendDocument'))).toBe(true);
+		calls.length = 0;
+		await handleEmailCallback({ id: 'cb', data: 'dl:500:9', message: { message_id: 501 } }, env);
+		expect(calls.some(c => c.url.endsWith('/sendDocument'))).toBe(false);
+	});
+});
+
+describe('R2 mail storage', () => {
+	const r2env = () => ({ ...env, MAIL_BUCKET: env.TEST_MAIL_BUCKET });
+	const raw = 'From: a@b.com\r\nContent-Type: multipart/mixed; boundary="b1"\r\n\r\n--b1\r\nContent-Type: text/plain\r\n\r\nHi\r\n--b1\r\nContent-Type: application/pdf\r\n\r\nPDFDATA\r\n--b1--';
+
+	it('keeps the full original .eml in R2 and only the stripped one in KV', async () => {
+		const bytes = new TextEncoder().encode(raw);
+		const e2 = r2env();
+		expect(await saveEmailEml(e2, 1, bytes.buffer)).toBe(bytes.byteLength);
+		expect(await env.KV.get('email_text:1')).toBe(null);
+		expect(new TextDecoder().decode(await getEmailEml(e2, 1))).toContain('PDFDATA');
+
+		await saveEmailEml(env, 2, bytes.buffer);
+		expect(new TextDecoder().decode(await getEmailEml(env, 2))).toContain('[attachment removed]');
+	});
+	it('falls back to KV for data stored before R2 was bound', async () => {
+		await env.KV.put('img:3:0', 'old');
+		expect(new TextDecoder().decode(await getImage(r2env(), 3, 0))).toBe('old');
+	});
+	it('deletes from the store recorded on each entry', async () => {
+		const e2 = r2env();
+		await saveAttachment(e2, 4, 0, new TextEncoder().encode('r2'));
+		await env.KV.put('file:5:0', 'kv');
+		await deleteEntryBlobs(e2, [
+			{ id: 4, r2: true, files: [{ idx: 0, size: 2 }] },
+			{ id: 5, files: [{ idx: 0, size: 2 }] },
+		]);
+		expect(await env.TEST_MAIL_BUCKET.get('file:4:0')).toBe(null);
+		expect(await env.KV.get('file:5:0')).toBe(null);
+	});
+	it('raises the storage ceiling only with a bucket', () => {
+		const item = CONFIG_ITEMS.find(c => c.key === 'maxStorageMB');
+		expect(getConfigItemMax(env, item)).toBe(1000);
+		expect(getConfigItemMax(r2env(), item)).toBe(10000);
+		const other = CONFIG_ITEMS.find(c => c.key === 'emlTtlDays');
+		expect(getConfigItemMax(r2env(), other)).toBe(other.max);
+	});
+	it('stores incoming mail blobs in R2 and marks the entry', async () => {
+		const e2 = r2env();
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		const mail = [
+			'From: billing@shop.com', 'To: shop@example.com', 'Subject: Invoice',
+			'Content-Type: multipart/mixed; boundary="b1"', '',
+			'--b1', 'Content-Type: text/plain', '', 'Invoice attached',
+			'--b1', 'Content-Type: application/pdf', 'Content-Disposition: attachment; filename="a.pdf"',
+			'Content-Transfer-Encoding: base64', '', btoa('%PDF fake'),
+			'--b1--',
+		].join('\r\n');
+		mockTelegram({ messageId: 600 });
+		await handleIncomingEmail({ from: 'billing@shop.com', to: 'shop@example.com', raw: mail }, e2);
+		const entry = JSON.parse(await env.KV.get('email_index')).entries[0];
+		expect(entry.r2).toBe(true);
+		expect(entry.textSize).toBe(new TextEncoder().encode(mail).byteLength);
+		// 附件留在完整原件里，不单独存储，也不重复计入空间
+		expect(await env.KV.get('file:600:0')).toBe(null);
+		expect(await env.TEST_MAIL_BUCKET.get('file:600:0')).toBe(null);
+		expect(entry.files[0]).toMatchObject({ idx: 0, part: 0, fn: 'a.pdf' });
+		expect(entryStoredSize(entry)).toBe(entry.textSize);
+		expect(JSON.parse(await env.KV.get('email_index')).totalSize).toBe(entry.textSize);
+		const data = await getAttachment(e2, 600, 0, entry.files[0].part);
+		expect(new TextDecoder().decode(data)).toBe('%PDF fake');
+	});
+});
+
+describe('signed web view', () => {
+	const e = () => ({ ...env, TG_BOT_TOKEN: '123:abc', TG_CHAT_ID: '1000' });
+	async function get(path) {
+		const ctx = createExecutionContext();
+		const res = await worker.fetch(new Request(`https://mail.example.workers.dev${path}`), e(), ctx);
+		await waitOnExecutionContext(ctx);
+		return res;
+	}
+	it('signs and verifies expiring links', async () => {
+		const exp = Math.floor(Date.now() / 1000) + 60;
+		const sig = await signViewLink(e(), 5, exp);
+		expect(await verifyViewLink(e(), 5, exp, sig)).toBe(true);
+		expect(await verifyViewLink(e(), 6, exp, sig)).toBe(false);
+		expect(await verifyViewLink({ ...e(), TG_BOT_TOKEN: 'other' }, 5, exp, sig)).toBe(false);
+		expect(await verifyViewLink(e(), 5, exp, sig, (exp + 1) * 1000)).toBe(false);
+	});
+	it('needs a recorded worker origin', async () => {
+		expect(await buildViewUrl(e(), 5)).toBe(null);
+		await env.KV.put('sys_origin', 'https://mail.example.workers.dev');
+		expect(await buildViewUrl(e(), 5)).toMatch(/^https:\/\/mail\.example\.workers\.dev\/m\/5\?exp=\d+&sig=[\w-]+$/);
+	});
+	it('strips scripts, handlers and remote resources', () => {
+		const html = '<html><head><script>alert(1)</script><link rel="stylesheet" href="https://x.com/a.css"></head>'
+			+ '<body onload="x()"><a href="javascript:alert(1)">bad</a><a href="https://shop.com">ok</a>'
+			+ '<img src="https://track.com/p.gif"><img src="cid:logo@shop"><img src="cid:gone">'
+			+ '<div style="background:url(https://track.com/bg.png)">t</div><iframe src="https://x.com"></iframe></body></html>';
+		const out = sanitizeEmailHtml(html, cid => (cid === 'logo@shop' ? '/m/5/0' : null));
+		expect(out).not.toMatch(/script|onload|javascript|track\.com|iframe|x\.com/);
+		expect(out).toContain('<a href="https://shop.com">ok</a>');
+		expect(out).toContain('<img src="/m/5/0">');
+		expect(out).toContain('<img>');
+	});
+	it('serves the sanitized email and its inline images', async () => {
+		const raw = 'From: Shop <a@shop.com>\r\nTo: me@example.com\r\nSubject: Receipt\r\nContent-Type: text/html\r\n\r\n'
+			+ '<table><tr><td>Total</td><td>$5</td></tr></table><img src="cid:logo"><script>x()</script>';
+		await saveEmailEml(env, 5, new TextEncoder().encode(raw).buffer);
+		await saveImage(env, 5, 0, new Uint8Array([1, 2, 3]).buffer);
+		await setEmailIndex(env, { entries: [{ id: 5, ts: 1, sender: 'a@shop.com', images: [{ idx: 0, mime: 'image/png', cid: 'logo' }] }], totalSize: 0 });
+		const exp = Math.floor(Date.now() / 1000) + 60;
+		const query = `?exp=${exp}&sig=${await signViewLink(e(), 5, exp)}`;
+
+		const page = await get(`/m/5${query}`);
+		expect(page.status).toBe(200);
+		expect(page.headers.get('Content-Security-Policy')).toContain("default-src 'none'");
+		const body = await page.text();
+		expect(body).toContain('<td>Total</td>');
+		expect(body).toContain('Receipt');
+		expect(body).toContain(`src="/m/5/0${query}"`);
+		expect(body).not.toContain('<script>');
+
+		const img = await get(`/m/5/0${query}`);
+		expect(img.headers.get('Content-Type')).toBe('image/png');
+		expect(new Uint8Array(await img.arrayBuffer())).toEqual(new Uint8Array([1, 2, 3]));
+
+		expect((await get(`/m/5?exp=${exp}&sig=forged`)).status).toBe(403);
+		expect((await get(`/m/6?exp=${exp}&sig=${await signViewLink(e(), 6, exp)}`)).status).toBe(404);
+	});
+	it('adds an open button to the action keyboard', () => {
+		const kb = buildEmailActionKeyboard(5, false, false, 0, false, { viewUrl: 'https://w.dev/m/5?exp=1&sig=x' });
+		expect(kb.inline_keyboard[1]).toEqual([{ text: '🌐 打开完整邮件', url: 'https://w.dev/m/5?exp=1&sig=x' }]);
+		expect(buildEmailActionKeyboard(5, false, false, 0, false, { viewUrl: 'u', noStorage: true }).inline_keyboard.flat().some(b => b.url)).toBe(false);
+	});
+});
+
 describe('buildStarredListText', () => {
 	it('shows empty message when no starred', () => {
 		const text = buildStarredListText([], {});
@@ -1153,6 +2450,220 @@ describe('buildSearchText', () => {
 	});
 });
 
+// ============ 全文搜索测试 ============
+
+describe('tokenize', () => {
+	it('splits Latin text into lowercase words of 2+ chars', () => {
+		expect(tokenize('Order #AB-12345 is a GO')).toEqual(['order', 'ab', '12345', 'is', 'go']);
+	});
+	it('splits CJK runs into bigrams', () => {
+		expect(tokenize('订单号码')).toEqual(['订单', '单号', '号码']);
+	});
+	it('keeps single CJK characters and handles mixed text', () => {
+		expect(tokenize('单 iPhone订单')).toEqual(['单', 'iphone', '订单']);
+	});
+	it('respects the token limit', () => {
+		expect(tokenize('aa bb cc dd', 2)).toEqual(['aa', 'bb']);
+	});
+});
+
+describe('rankSearchResults', () => {
+	const entries = [
+		{ id: 1, ts: 1000, sender: 'shop@store.com', subject: 'Welcome' },
+		{ id: 2, ts: 2000, sender: 'noreply@bank.com', subject: '您的订单已发货' },
+		{ id: 3, ts: 3000, sender: 'x@y.com', subject: 'Hello' },
+	];
+	it('requires every term and ranks sender/subject above body', () => {
+		const hits = new Map([['订单', new Set([3])]]);
+		const results = rankSearchResults(entries, '订单', hits);
+		expect(results.map(r => r.id)).toEqual([2, 3]);
+		expect(results[1].bodyMatch).toBe(true);
+		expect(results[0].bodyMatch).toBe(false);
+	});
+	it('finds body-only matches', () => {
+		const hits = new Map([['ab', new Set([1])], ['12345', new Set([1])]]);
+		const results = rankSearchResults(entries, 'AB-12345', hits);
+		expect(results.map(r => r.id)).toEqual([1]);
+	});
+	it('excludes entries missing any term', () => {
+		const hits = new Map([['hello', new Set()], ['world', new Set()]]);
+		expect(rankSearchResults(entries, 'hello world', hits)).toEqual([]);
+	});
+});
+
+describe('buildSnippet / highlightSnippet', () => {
+	it('cuts a window around the first hit', () => {
+		const text = 'x'.repeat(200) + ' your order 12345 has shipped ' + 'y'.repeat(200);
+		const snippet = buildSnippet(text, '12345');
+		expect(snippet).toContain('12345');
+		expect(snippet.startsWith('…')).toBe(true);
+		expect(snippet.endsWith('…')).toBe(true);
+	});
+	it('returns empty when nothing matches', () => {
+		expect(buildSnippet('nothing here', 'zzz')).toBe('');
+	});
+	it('escapes HTML and bolds matched terms', () => {
+		expect(highlightSnippet('<b>订单号 123</b>', '订单')).toBe('&lt;b&gt;<b>订单</b>号 123&lt;/b&gt;');
+		expect(highlightSnippet('Order ORDER', 'order')).toBe('<b>Order</b> <b>ORDER</b>');
+	});
+	it('buildSearchText shows highlighted snippet', () => {
+		const results = [{ id: 1, ts: Date.now(), sender: 'a@b.com', subject: 'S', snippet: '…单号 A123 已发货…' }];
+		const text = buildSearchText('A123', results, 0);
+		expect(text).toContain('💬');
+		expect(text).toContain('<b>A123</b>');
+	});
+});
+
+describe('full-text index', () => {
+	it('indexes bodies into shards and looks up hits', async () => {
+		await indexEmailBody(env, 101, '您的订单号 ZX9981 已发货');
+		await indexEmailBody(env, 102, 'Meeting notes');
+		const hits = await lookupBodyHits(env, [{ id: 101 }, { id: 102 }], ['zx9981', '订单', 'meeting']);
+		expect([...hits.get('zx9981')]).toEqual([101]);
+		expect([...hits.get('订单')]).toEqual([101]);
+		expect([...hits.get('meeting')]).toEqual([102]);
+	});
+	it('keeps concurrent writes and merges them into small shards', async () => {
+		await Promise.all([
+			indexEmailBody(env, 101, 'alpha beta'),
+			indexEmailBody(env, 102, 'alpha gamma'),
+		]);
+		expect(await mergeSearchDocs(env)).toBe(2);
+		expect(await env.KV.get('ftd:101')).toBe(null);
+		const shard = JSON.parse(await env.KV.get(`ft:${searchShardOf(101)}:${searchBucketOf('alpha')}`));
+		expect(shard.alpha).toEqual([101, 102]);
+		// 重新索引后再合并不会重复 id
+		await indexEmailBody(env, 101, 'alpha');
+		await mergeSearchDocs(env);
+		const hits = await lookupBodyHits(env, [{ id: 101 }, { id: 102 }], ['alpha', 'beta', 'gamma']);
+		expect([...hits.get('alpha')]).toEqual([101, 102]);
+		expect([...hits.get('beta')]).toEqual([101]);
+		expect([...hits.get('gamma')]).toEqual([102]);
+	});
+	it('leaves mail that would overflow a shard as a pending document', async () => {
+		const b = searchBucketOf('alpha');
+		const big = { filler: ['x'.repeat(SEARCH_SHARD_MAX_BYTES)] };
+		await env.KV.put(`ft:${searchShardOf(101)}:${b}`, JSON.stringify(big));
+		await indexEmailBody(env, 101, 'alpha');
+		expect(await mergeSearchDocs(env)).toBe(0);
+		expect(await env.KV.get('ftd:101')).not.toBe(null);
+		expect([...(await lookupBodyHits(env, [{ id: 101 }], ['alpha'])).get('alpha')]).toEqual([101]);
+	});
+	it('prunes ids that left the email index', async () => {
+		await indexEmailBody(env, 101, 'alpha beta');
+		await indexEmailBody(env, 102, 'alpha');
+		await indexEmailBody(env, SEARCH_SHARD_SPAN * 3, 'gamma');
+		await mergeSearchDocs(env);
+		await indexEmailBody(env, 103, 'delta');
+		await env.KV.put('email_index', JSON.stringify({ entries: [{ id: 102, ts: Date.now() }], totalSize: 0 }));
+		const removed = await pruneSearchShards(env);
+		expect(removed).toBe(1);
+		const hits = await lookupBodyHits(env, [{ id: 102 }], ['alpha', 'beta']);
+		expect([...hits.get('alpha')]).toEqual([102]);
+		expect(hits.get('beta').size).toBe(0);
+		expect(await env.KV.get(`ft:${searchShardOf(SEARCH_SHARD_SPAN * 3)}:${searchBucketOf('gamma')}`)).toBe(null);
+		expect(await env.KV.get('ftd:103')).toBe(null);
+	});
+	it('searchEmails finds incoming mail by body text', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		const raw = 'From: a@shop.com\r\nTo: shop@example.com\r\nSubject: 发货通知\r\nContent-Type: text/plain; charset=utf-8\r\n\r\n您的快递单号是 SF1234567890，请注意查收。';
+		mockTelegram({ messageId: 88 });
+		await handleIncomingEmail({ from: 'a@shop.com', to: 'shop@example.com', raw }, env);
+		const results = await searchEmails(env, 'SF1234567890');
+		expect(results.map(r => r.id)).toEqual([88]);
+		expect(results[0].bodyMatch).toBe(true);
+		expect((await searchEmails(env, '快递单号')).map(r => r.id)).toEqual([88]);
+		expect(await searchEmails(env, '不存在的内容')).toEqual([]);
+	});
+});
+
+describe('search query syntax', () => {
+	const day = (s) => parseQueryDate(s);
+	const entries = [
+		{ id: 1, ts: day('2026-01-05') + 3600e3, sender: 'deals@amazon.com', subject: 'Weekly digest', prefix: 'shop', size: 2 * 1024 * 1024, images: [{ idx: 0, size: 100 }], starred: false },
+		{ id: 2, ts: day('2026-02-10'), sender: 'orders@amazon.com', subject: 'Order shipped', prefix: 'shop', size: 20 * 1024, images: [], starred: true },
+		{ id: 3, ts: day('2026-03-01'), sender: 'noreply@github.com', subject: 'Security alert', prefix: 'dev', textSize: 5000, images: [], starred: false, tags: ['work'] },
+	];
+	const ids = (q) => searchEntries(entries, q).map(e => e.id);
+
+	it('parses operators, phrases and negation', () => {
+		expect(parseSearchQuery('from:amazon -subject:"weekly digest" "order shipped" re:hi')).toEqual([
+			{ field: 'from', value: 'amazon', negate: false },
+			{ field: 'subject', value: 'weekly digest', negate: true },
+			{ field: 'phrase', value: 'order shipped', negate: false },
+			{ field: 'text', value: 're:hi', negate: false },
+		]);
+		expect(queryFreeText(parseSearchQuery('from:x hello -spam "a b"'))).toBe('hello a b');
+	});
+	it('parses dates and sizes', () => {
+		expect(parseQueryDate('2026/1/5')).toBe(Date.UTC(2026, 0, 5));
+		expect(parseQueryDate('2026-02-30')).toBe(null);
+		expect(parseSize('1mb')).toBe(1024 * 1024);
+		expect(parseSize('1.5k')).toBe(1536);
+		expect(parseSize('big')).toBe(null);
+	});
+	it('filters by sender, prefix and subject', () => {
+		expect(ids('from:amazon')).toEqual([1, 2]);
+		expect(ids('to:dev')).toEqual([3]);
+		expect(ids('to:shop@example.com subject:order')).toEqual([2]);
+		expect(ids('from:amazon -subject:digest')).toEqual([2]);
+	});
+	it('filters by date, size, images, star and tag', () => {
+		expect(ids('after:2026-02-10')).toEqual([2, 3]);
+		expect(ids('before:2026-02-10')).toEqual([1]);
+		expect(ids('larger:1mb')).toEqual([1]);
+		expect(ids('smaller:10kb')).toEqual([3]);
+		expect(ids('has:image')).toEqual([1]);
+		expect(ids('is:starred')).toEqual([2]);
+		expect(ids('-is:starred tag:work')).toEqual([3]);
+	});
+	it('counts file attachments for has:attachment and size', () => {
+		const withFile = { id: 4, ts: day('2026-03-02'), sender: 'billing@shop.com', subject: 'Invoice', prefix: 'shop', textSize: 5000, images: [], files: [{ idx: 0, size: 2 * 1024 * 1024 }], starred: false };
+		const find = (q) => searchEntries([...entries, withFile], q).map(e => e.id);
+		expect(find('has:attachment')).toEqual([1, 4]);
+		expect(find('has:image')).toEqual([1]);
+		expect(find('larger:1mb')).toEqual([1, 4]);
+	});
+	it('matches quoted phrases and negated words', () => {
+		expect(ids('"order shipped"')).toEqual([2]);
+		expect(ids('"shipped order"')).toEqual([]);
+		expect(ids('amazon -weekly')).toEqual([2]);
+	});
+	it('ignores unparseable values instead of dropping everything', () => {
+		expect(ids('before:someday')).toEqual([1, 2, 3]);
+		expect(ids('-larger:huge')).toEqual([1, 2, 3]);
+	});
+	it('uses body hits for free text and negation', () => {
+		const hits = new Map([['invoice', new Set([3])]]);
+		const clauses = parseSearchQuery('-invoice');
+		expect(entries.filter(e => matchSearchQuery(e, clauses, hits)).map(e => e.id)).toEqual([1, 2]);
+	});
+	it('searchEmails combines filters with body search and records the prefix', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop', 'news']));
+		mockTelegram();
+		const send = (to, subject, body) => handleIncomingEmail({
+			from: 'a@store.com', to,
+			raw: `From: a@store.com\r\nTo: ${to}\r\nSubject: ${subject}\r\nContent-Type: text/plain; charset=utf-8\r\n\r\n${body}`,
+		}, env);
+		await send('shop@example.com', 'Receipt', 'Your invoice number is 778899');
+		await send('news@example.com', 'Newsletter', 'No invoice here, just news');
+		const idx = JSON.parse(await env.KV.get('email_index'));
+		expect(idx.entries.map(e => e.prefix)).toEqual(['shop', 'news']);
+		expect(idx.entries[0].size).toBeGreaterThan(0);
+		const [shopId, newsId] = idx.entries.map(e => e.id);
+		expect((await searchEmails(env, 'invoice')).length).toBe(2);
+		expect((await searchEmails(env, 'invoice to:news')).map(r => r.id)).toEqual([newsId]);
+		expect((await searchEmails(env, 'from:store -778899')).map(r => r.id)).toEqual([newsId]);
+		expect((await searchEmails(env, 'to:shop')).map(r => r.id)).toEqual([shopId]);
+	});
+	it('buildSearchText highlights only free text', () => {
+		const results = [{ id: 1, ts: Date.now(), sender: 'a@b.com', subject: 'S', snippet: 'from the invoice' }];
+		const text = buildSearchText('from:b invoice', results, 0);
+		expect(text).toContain('<b>invoice</b>');
+		expect(text).not.toContain('<b>from</b>');
+	});
+});
+
 describe('buildSearchKeyboard', () => {
 	it('shows back button for empty results', () => {
 		const kb = buildSearchKeyboard([], 0);
@@ -1191,6 +2702,69 @@ describe('buildSearchKeyboard', () => {
 	});
 });
 
+// ============ 验证码识别测试 ============
+
+describe('extractVerificationCode', () => {
+	it('finds codes after English and Chinese keywords', () => {
+		expect(extractVerificationCode('Sign in', 'Hi,\n\nYour verification code is: 482913. It expires in 10 minutes.')).toBe('482913');
+		expect(extractVerificationCode('', '【某某】您的验证码为 7351，5分钟内有效。')).toBe('7351');
+		expect(extractVerificationCode('', '验证码：12345678')).toBe('12345678');
+		expect(extractVerificationCode('', 'Use code 123-456 to log in. Your code is 123-456')).toBe('123456');
+	});
+	it('finds codes before the keyword in the subject', () => {
+		expect(extractVerificationCode('904512 is your Acme login code', '')).toBe('904512');
+	});
+	it('ignores dates, prices, long numbers and mails without keywords', () => {
+		expect(extractVerificationCode('', 'Your order total is $1299 on 2026-01-05')).toBe(null);
+		expect(extractVerificationCode('', 'Verification code sent on 2026-01-05 to 13800138000')).toBe(null);
+		expect(extractVerificationCode('Invoice 123456', 'Thanks for your payment')).toBe(null);
+		expect(extractVerificationCode('', 'The hotpot 123456 recipe')).toBe(null);
+	});
+});
+
+describe('extractMagicLink', () => {
+	it('picks sign-in anchors from HTML', () => {
+		const html = '<a href="https://x.com/unsub">Unsubscribe</a><a href="https://x.com/auth/magic?token=a&amp;b=1"><b>Sign in</b></a>';
+		expect(extractMagicLink(html, '')).toBe('https://x.com/auth/magic?token=a&b=1');
+	});
+	it('picks links mentioned after a login hint in plain text', () => {
+		expect(extractMagicLink('', 'Click below to log in:\nhttps://app.io/login/verify?t=abc\n')).toBe('https://app.io/login/verify?t=abc');
+		expect(extractMagicLink('', 'Read more at https://blog.io/post/1')).toBe(null);
+		expect(extractMagicLink('<a href="javascript:alert(1)">Verify login</a>', '')).toBe(null);
+	});
+});
+
+describe('verification code in notifications', () => {
+	it('buildOtpHeader escapes and formats code and link', () => {
+		const header = buildOtpHeader('123456', 'https://a.io/login?x=1&y=2');
+		expect(header).toContain('<code>123456</code>');
+		expect(header).toContain('href="https://a.io/login?x=1&amp;y=2"');
+		expect(buildOtpHeader(null, null)).toBe('');
+	});
+	it('adds a copy button to the keyboard', () => {
+		const kb = buildEmailActionKeyboard(1, false, false, 0, false, { otp: '123456' });
+		expect(kb.inline_keyboard[0][0].copy_text).toEqual({ text: '123456' });
+	});
+	it('pins the code on top of compact notifications', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['app']));
+		await env.KV.put('sys_config', JSON.stringify({ rateThreshold: 1 }));
+		const e = { ...env };
+		await loadSystemConfig(e);
+		const calls = mockTelegram();
+		const raw = 'From: no-reply@app.com\r\nTo: app@example.com\r\nSubject: Login\r\nContent-Type: text/plain\r\n\r\nYour login code is 246810.';
+		await handleIncomingEmail({ from: 'no-reply@app.com', to: 'app@example.com', raw }, e);
+		await handleIncomingEmail({ from: 'no-reply@app.com', to: 'app@example.com', raw }, e);
+		const bodies = calls.map(c => c.body);
+		const sends = bodies.filter(b => b.text);
+		expect(sends.length).toBe(2);
+		// loadSystemConfig 默认切换为英文
+		for (const b of sends) expect(b.text.startsWith('🔢 Code: <code>246810</code>')).toBe(true);
+		const markups = bodies.filter(b => b.reply_markup && !b.text);
+		expect(markups.every(b => b.reply_markup.inline_keyboard[0][0].copy_text.text === '246810')).toBe(true);
+		expect(JSON.parse(await env.KV.get('msg_meta:901')).otp).toBe('246810');
+	});
+});
+
 // ============ 精简通知测试 ============
 
 describe('buildCompactNotificationText', () => {
@@ -1292,6 +2866,307 @@ describe('rate limiting constants', () => {
 	});
 });
 
+describe('digest mode', () => {
+	it('parseDigestTimes normalizes, dedupes and sorts', () => {
+		expect(parseDigestTimes('18:00, 9:00，9:00')).toEqual(['09:00', '18:00']);
+		expect(parseDigestTimes('7：30')).toEqual(['07:30']);
+		expect(parseDigestTimes('25:00')).toBe(null);
+		expect(parseDigestTimes('9am')).toBe(null);
+		expect(parseDigestTimes('')).toBe(null);
+		expect(parseDigestTimes('1:00 2:00 3:00 4:00 5:00 6:00 7:00')).toBe(null);
+	});
+	it('lastDigestSlot returns the latest passed time (UTC)', () => {
+		const now = Date.UTC(2026, 0, 10, 12, 0);
+		expect(lastDigestSlot(['09:00', '18:00'], now)).toBe(Date.UTC(2026, 0, 10, 9, 0));
+		expect(lastDigestSlot(['18:00'], now)).toBe(Date.UTC(2026, 0, 9, 18, 0));
+		expect(lastDigestSlot(['12:00'], now)).toBe(now);
+	});
+	it('buildDigestText lists items and buildDigestKeyboard links stored ones', () => {
+		const items = [
+			{ id: 1, ts: Date.UTC(2026, 0, 10, 8, 5), sender: 'news@shop.com', subject: 'Sale <50%>', stored: true },
+			{ id: 2, ts: Date.UTC(2026, 0, 10, 8, 30), sender: 'a@b.com', subject: '', stored: false },
+		];
+		const { text, listed } = buildDigestText('shop', items);
+		expect(listed).toBe(2);
+		expect(text).toContain('<b>shop</b>');
+		expect(text).toContain('Sale &lt;50%&gt;');
+		expect(text).toContain('08:05');
+		const data = buildDigestKeyboard(items, listed).inline_keyboard.flat().map(b => b.callback_data);
+		expect(data).toEqual(['search_view:1']);
+	});
+	it('buildSettingsKeyboard toggles digest buttons', () => {
+		const off = buildSettingsKeyboard('shop', [], false, false).inline_keyboard.flat().map(b => b.callback_data);
+		expect(off).toContain('dg_on:shop');
+		const on = buildSettingsKeyboard('shop', [], false, false, null, {}, ['09:00']).inline_keyboard.flat().map(b => b.callback_data);
+		expect(on).toContain('dg_time:shop');
+		expect(on).toContain('dg_off:shop');
+		expect(buildSettingsText('shop', [], false, false, null, {}, ['09:00', '18:00'])).toContain('09:00, 18:00');
+	});
+	it('queues digest-prefix mail without notifying, then delivers it on schedule', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['news']));
+		await env.KV.put('prefix_digests', JSON.stringify({ news: ['09:00'] }));
+		const raw = 'From: letter@shop.com\r\nTo: news@example.com\r\nSubject: Weekly deals\r\nContent-Type: text/plain\r\n\r\nBig discounts this week.';
+		const sent = mockTelegram({ messageId: 500 });
+		await handleIncomingEmail({ from: 'letter@shop.com', to: 'news@example.com', raw }, env);
+		expect(sent).toEqual([]);
+		const queue = JSON.parse(await env.KV.get('digest_queue'));
+		expect(queue.news).toHaveLength(1);
+		const id = queue.news[0].id;
+		expect(isDigestId(id)).toBe(true);
+		const idx = await getEmailIndex(env);
+		expect(idx.entries.find(e => e.id === id).subject).toBe('Weekly deals');
+		expect((await searchEmails(env, 'discounts')).map(r => r.id)).toEqual([id]);
+
+		// 还没到发送时刻
+		const beforeSlot = Date.UTC(2026, 0, 1, 8, 0);
+		queue.news[0].ts = beforeSlot - 60000;
+		await env.KV.put('digest_queue', JSON.stringify(queue));
+		expect(await runDigests(env, beforeSlot)).toBe(0);
+		expect(sent).toEqual([]);
+
+		expect(await runDigests(env, Date.UTC(2026, 0, 1, 9, 1))).toBe(1);
+		expect(sent).toHaveLength(1);
+		expect(sent[0].body.text).toContain('Weekly deals');
+		expect(sent[0].body.reply_markup.inline_keyboard.flat()[0].callback_data).toBe(`search_view:${id}`);
+		expect(await env.KV.get('digest_queue')).toBe('{}');
+	});
+	it('sends digests only from the 15-minute cron', async () => {
+		await env.KV.put('digest_queue', JSON.stringify({ news: [{ id: 2 ** 40 + 1, ts: Date.now(), sender: 'a@b.com', subject: 'x', stored: false }] }));
+		const calls = mockTelegram();
+		// 02:00 两个 cron 同时触发
+		const daily = createExecutionContext();
+		await worker.scheduled({ cron: '0 2 * * *' }, env, daily);
+		await waitOnExecutionContext(daily);
+		expect(calls.filter(c => c.url.endsWith('/sendMessage'))).toHaveLength(0);
+		expect(await env.KV.get('digest_queue')).not.toBe('{}');
+		await worker.scheduled({ cron: '*/15 * * * *' }, env, createExecutionContext());
+		expect(calls.filter(c => c.url.endsWith('/sendMessage'))).toHaveLength(1);
+		expect(await env.KV.get('digest_queue')).toBe('{}');
+	});
+	it('delivers digest-prefix mail to assigned users only in the digest', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['news']));
+		await env.KV.put('prefix_digests', JSON.stringify({ news: ['09:00'] }));
+		await env.KV.put('bot_users', JSON.stringify({ 2000: { role: 'member', prefixes: ['news'] } }));
+		const e = { ...env, TG_CHAT_ID: '1000' };
+		const raw = 'From: letter@shop.com\r\nTo: news@example.com\r\nSubject: Weekly deals\r\nContent-Type: text/plain\r\n\r\nBig discounts.';
+		const calls = mockTelegram();
+		await handleIncomingEmail({ from: 'letter@shop.com', to: 'news@example.com', raw }, e);
+		expect(calls.filter(c => c.url.endsWith('/sendMessage'))).toHaveLength(0);
+		const queue = JSON.parse(await env.KV.get('digest_queue'));
+		queue.news[0].ts = Date.UTC(2026, 0, 1, 8, 0);
+		await env.KV.put('digest_queue', JSON.stringify(queue));
+		expect(await runDigests(e, Date.UTC(2026, 0, 1, 9, 1))).toBe(1);
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage'));
+		expect(sends.map(c => c.body.chat_id)).toEqual(['1000', '2000']);
+		expect(sends[1].body.text).toContain('Weekly deals');
+		expect(sends[1].body.reply_markup.inline_keyboard.flat()[0].callback_data).toMatch(/^search_view:/);
+	});
+	it('flushes queued mail of prefixes that left digest mode', async () => {
+		await env.KV.put('digest_queue', JSON.stringify({ news: [{ id: 2 ** 40 + 1, ts: Date.now(), sender: 'a@b.com', subject: 'x', stored: false }] }));
+		const calls = mockTelegram();
+		expect(await runDigests(env)).toBe(1);
+		expect(calls).toHaveLength(1);
+	});
+});
+
+describe('quiet hours and timezone', () => {
+	it('zonedTime resolves weekday, minutes and offset', () => {
+		const ts = Date.UTC(2026, 0, 4, 20, 30); // 周日 20:30 UTC
+		expect(zonedTime(ts, 'UTC')).toEqual({ weekday: 0, minutes: 20 * 60 + 30, offset: 0 });
+		const sh = zonedTime(ts, 'Asia/Shanghai');
+		expect(sh.weekday).toBe(1);
+		expect(sh.minutes).toBe(4 * 60 + 30);
+		expect(sh.offset).toBe(8 * 3600000);
+		expect(zonedTime(ts, 'America/New_York').offset).toBe(-5 * 3600000);
+	});
+	it('validates timezones and formats dates in them', () => {
+		expect(isValidTimezone('Asia/Shanghai')).toBe(true);
+		expect(isValidTimezone('Mars/Base')).toBe(false);
+		expect(isValidTimezone('')).toBe(false);
+		expect(formatDate('2026-02-09T12:30:00.000Z', 'Asia/Shanghai')).toBe('2026-02-09 20:30:00 Asia/Shanghai');
+		expect(getTimezone({ _sysConfig: { timezone: 'Europe/Paris' } })).toBe('Europe/Paris');
+		expect(getTimezone({ _sysConfig: { timezone: 'bogus' } })).toBe('UTC');
+		expect(parseClockTime('7：05')).toBe(425);
+		expect(parseClockTime('24:00')).toBe(null);
+	});
+	it('parseQuietWindow accepts ranges, day lists and all-day', () => {
+		expect(parseQuietWindow('23:00-08:00 mon-fri')).toEqual({ start: 1380, end: 480, days: [1, 2, 3, 4, 5] });
+		expect(parseQuietWindow('全天 周日')).toEqual({ start: 0, end: 1440, days: [0] });
+		expect(parseQuietWindow('22:30-07:00')).toEqual({ start: 1350, end: 420, days: [0, 1, 2, 3, 4, 5, 6] });
+		expect(parseQuietWindow('12:00-14:00 周一至周三, sat')).toEqual({ start: 720, end: 840, days: [1, 2, 3, 6] });
+		expect(parseQuietWindow('fri-mon 0:00-6:00').days).toEqual([0, 1, 5, 6]);
+		expect(parseQuietWindow('weekends all').days).toEqual([0, 6]);
+		expect(parseQuietWindow('mon-fri')).toBe(null);
+		expect(parseQuietWindow('08:00-08:00')).toBe(null);
+		expect(parseQuietWindow('23:00-08:00 someday')).toBe(null);
+	});
+	it('formatQuietWindow merges consecutive days', () => {
+		expect(formatQuietWindow({ start: 1380, end: 480, days: [1, 2, 3, 4, 5] })).toBe('周一–周五 23:00–08:00');
+		expect(formatQuietWindow({ start: 0, end: 1440, days: [0, 6] })).toBe('周六, 周日 全天');
+		expect(formatQuietWindow({ start: 60, end: 120, days: [0, 1, 2, 3, 4, 5, 6] })).toBe('每天 01:00–02:00');
+	});
+	it('isQuietTime handles overnight windows by start day and timezone', () => {
+		const weeknights = [{ start: 1380, end: 480, days: [1, 2, 3, 4, 5] }];
+		// 2026-01-05 周一
+		expect(isQuietTime(weeknights, Date.UTC(2026, 0, 5, 23, 30), 'UTC')).toBe(true);
+		expect(isQuietTime(weeknights, Date.UTC(2026, 0, 6, 7, 59), 'UTC')).toBe(true);
+		expect(isQuietTime(weeknights, Date.UTC(2026, 0, 6, 8, 0), 'UTC')).toBe(false);
+		// 周一凌晨属于周日开始的时段，不在范围内
+		expect(isQuietTime(weeknights, Date.UTC(2026, 0, 5, 3, 0), 'UTC')).toBe(false);
+		// 周六凌晨属于周五晚的时段
+		expect(isQuietTime(weeknights, Date.UTC(2026, 0, 10, 3, 0), 'UTC')).toBe(true);
+		// 上海 23:30 = UTC 15:30
+		expect(isQuietTime(weeknights, Date.UTC(2026, 0, 5, 15, 30), 'Asia/Shanghai')).toBe(true);
+		expect(isQuietTime(weeknights, Date.UTC(2026, 0, 5, 15, 30), 'UTC')).toBe(false);
+		expect(isQuietTime([], Date.now(), 'UTC')).toBe(false);
+	});
+	it('isVipMail matches sender patterns and keywords', () => {
+		const vip = ['boss@corp.com', '@bank.com', 'urgent'];
+		expect(isVipMail(vip, 'boss@corp.com', 'hi', '')).toBe(true);
+		expect(isVipMail(vip, 'alerts@bank.com', 'hi', '')).toBe(true);
+		expect(isVipMail(vip, 'x@y.com', 'URGENT: server down', '')).toBe(true);
+		expect(isVipMail(vip, 'x@y.com', 'hi', 'this is urgent')).toBe(true);
+		expect(isVipMail(vip, 'x@y.com', 'hi', 'later')).toBe(false);
+		expect(isVipMail([], 'boss@corp.com', '', '')).toBe(false);
+	});
+	it('lastDigestSlot and buildDigestText use the timezone', () => {
+		const now = Date.UTC(2026, 0, 10, 2, 0); // 上海 10:00
+		expect(lastDigestSlot(['09:00'], now, 'Asia/Shanghai')).toBe(Date.UTC(2026, 0, 10, 1, 0));
+		const { text } = buildDigestText('shop', [{ id: 1, ts: now, sender: 'a@b.com', subject: 's' }], 'Asia/Shanghai');
+		expect(text).toContain('10:00');
+	});
+	it('builds the quiet hours page', () => {
+		const quiet = { windows: [{ start: 1380, end: 480, days: [1, 2, 3, 4, 5] }], vip: ['@bank.com'] };
+		const text = buildQuietHoursText(quiet, 'Asia/Shanghai', Date.UTC(2026, 0, 5, 15, 30));
+		expect(text).toContain('Asia/Shanghai');
+		expect(text).toContain('1. 周一–周五 23:00–08:00');
+		expect(text).toContain('<code>@bank.com</code>');
+		expect(text).toContain('当前处于免打扰时段');
+		const data = buildQuietHoursKeyboard(quiet).inline_keyboard.flat().map(b => b.callback_data);
+		expect(data).toEqual(['cfg_qhd:0', 'cfg_qvd:0', 'cfg_qha', 'cfg_qva', 'cfg_mail']);
+	});
+	it('sets timezone, windows and exceptions from prompt replies', async () => {
+		const calls = mockTelegram();
+		const lastText = () => calls[calls.length - 1].body.text;
+		const reply = text => ({ message_id: 2, text });
+		await handleConfigReply({ message_id: 3 }, reply(t('cfg.prompt.timezone', { v: 'UTC' })), 'asia/shanghai', env);
+		expect(JSON.parse(await env.KV.get('sys_config')).timezone).toBe('Asia/Shanghai');
+		await handleConfigReply({ message_id: 3 }, reply(t('cfg.prompt.timezone', { v: 'UTC' })), 'Nowhere/City', env);
+		expect(lastText()).toContain('Nowhere/City');
+		setLang('zh');
+		await handleConfigReply({ message_id: 3 }, reply(t('cfg.prompt.quietWindow')), '23:00-08:00 工作日', env);
+		setLang('zh');
+		await handleConfigReply({ message_id: 3 }, reply(t('cfg.prompt.quietVip')), 'a@bank@com', env);
+		expect(lastText()).toContain('❌');
+		setLang('zh');
+		await handleConfigReply({ message_id: 3 }, reply(t('cfg.prompt.quietVip')), '@Bank.com', env);
+		const quiet = JSON.parse(await env.KV.get('quiet_hours'));
+		expect(quiet.windows).toEqual([{ start: 1380, end: 480, days: [1, 2, 3, 4, 5] }]);
+		expect(quiet.vip).toEqual(['@bank.com']);
+	});
+	it('sends silently during quiet hours unless the mail is an exception', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['info']));
+		await env.KV.put('quiet_hours', JSON.stringify({ windows: [{ start: 0, end: 1440, days: [0, 1, 2, 3, 4, 5, 6] }], vip: ['@bank.com'] }));
+		const calls = mockTelegram();
+		const mail = from => `From: ${from}\r\nTo: info@example.com\r\nSubject: Hello\r\nContent-Type: text/plain\r\n\r\nHi there`;
+		await handleIncomingEmail({ from: 'news@shop.com', to: 'info@example.com', raw: mail('news@shop.com') }, env);
+		await handleIncomingEmail({ from: 'alerts@bank.com', to: 'info@example.com', raw: mail('alerts@bank.com') }, env);
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage'));
+		expect(sends.map(c => c.body.disable_notification)).toEqual([true, false]);
+	});
+});
+
+describe('timed mute', () => {
+	it('parses durations and end times', () => {
+		const now = Date.UTC(2026, 0, 5, 10, 0);
+		expect(parseMuteDuration('30m', now, 'UTC')).toBe(now + 30 * 60000);
+		expect(parseMuteDuration('2 hours', now, 'UTC')).toBe(now + 2 * 3600000);
+		expect(parseMuteDuration('3天', now, 'UTC')).toBe(now + 3 * 86400000);
+		expect(parseMuteDuration('18:30', now, 'UTC')).toBe(Date.UTC(2026, 0, 5, 18, 30));
+		expect(parseMuteDuration('09:00', now, 'UTC')).toBe(Date.UTC(2026, 0, 6, 9, 0));
+		expect(parseMuteDuration('31d', now, 'UTC')).toBe(null);
+		expect(parseMuteDuration('0m', now, 'UTC')).toBe(null);
+		expect(parseMuteDuration('soon', now, 'UTC')).toBe(null);
+	});
+	it('resolves presets in the configured timezone', () => {
+		const now = Date.UTC(2026, 0, 5, 10, 0); // 上海 18:00
+		expect(muteUntilPreset('1h', now, 'UTC')).toBe(now + 3600000);
+		expect(muteUntilPreset('am', now, 'UTC')).toBe(Date.UTC(2026, 0, 6, 8, 0));
+		expect(muteUntilPreset('am', now, 'Asia/Shanghai')).toBe(Date.UTC(2026, 0, 6, 0, 0));
+		expect(muteUntilPreset('bogus', now, 'UTC')).toBe(null);
+		expect(nextLocalTime(600, now, 'UTC')).toBe(now + 86400000);
+		expect(formatMuteUntil(now + 3600000, 'UTC', now)).toBe('11:00');
+		expect(formatMuteUntil(now + 86400000, 'UTC', now)).toBe('01-06 10:00');
+	});
+	it('offers duration choices for each target', () => {
+		const data = buildMuteDurationKeyboard('p:info').inline_keyboard.flat().map(b => b.callback_data);
+		expect(data).toEqual(['mt:1h:p:info', 'mt:8h:p:info', 'mt:am:p:info', 'mt:custom:p:info', 'mt:ever:p:info', 'mt:no:p:info']);
+		expect(findTimedMute({ 'p:info': {} }, 'info', 'a@b.com')).toBe('p:info');
+		expect(findTimedMute({ g: {}, 'p:info': {} }, 'info', 'a@b.com')).toBe('g');
+		expect(findTimedMute({}, 'info', 'a@b.com')).toBe(null);
+	});
+	it('shows the global mute expiry in the list', () => {
+		const text = buildListText(['info'], [], {}, true, [], null, '23:00');
+		expect(text).toContain('23:00 自动解除');
+		expect(buildListText(['info'], [], {}, true, [], null)).toContain('全局静音已开启');
+	});
+	it('global mute button asks for a duration, then sets a timer', async () => {
+		const calls = mockTelegram();
+		await handleEmailCallback({ id: 'cb', data: 'global_mute', message: { message_id: 10 } }, env);
+		expect(calls[0].url).toMatch(/editMessageReplyMarkup$/);
+		expect(await env.KV.get('global_mute')).toBe(null);
+		const before = Date.now();
+		await handleEmailCallback({ id: 'cb', data: 'mt:8h:g', message: { message_id: 10 } }, env);
+		expect(await env.KV.get('global_mute')).toBe('true');
+		const timers = JSON.parse(await env.KV.get('mute_timers'));
+		expect(timers.g.until).toBeGreaterThanOrEqual(before + 8 * 3600000);
+		await handleEmailCallback({ id: 'cb', data: 'global_unmute', message: { message_id: 10 } }, env);
+		expect(JSON.parse(await env.KV.get('mute_timers'))).toEqual({});
+	});
+	it('mutes a sender from a notification for a custom duration', async () => {
+		await env.KV.put('msg_meta:321', JSON.stringify({ sender: 'news@shop.com', images: [] }));
+		const calls = mockTelegram();
+		await handleEmailCallback({ id: 'cb', data: 'ms:321', message: { message_id: 321 } }, env);
+		expect(calls[0].body.reply_markup.inline_keyboard.flat().map(b => b.callback_data)).toContain('mt:custom:s:321');
+		await handleEmailCallback({ id: 'cb', data: 'mt:custom:s:321', message: { message_id: 321 } }, env);
+		const prompt = calls.find(c => c.body.text?.includes('news@shop.com'));
+		expect(prompt.body.text).toBe(t('mute.prompt', { v: 'news@shop.com' }));
+		await cmdMuteFor('s:news@shop.com', '45m', env);
+		expect(JSON.parse(await env.KV.get('muted_senders'))).toContain('news@shop.com');
+		expect(JSON.parse(await env.KV.get('mute_timers'))['s:news@shop.com'].until).toBeGreaterThan(Date.now() + 40 * 60000);
+	});
+	it('logs mail during a timed mute and lists it when the mute ends', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['info']));
+		await applyMute(env, 'p:info', Date.now() + 3600000);
+		expect(JSON.parse(await env.KV.get('muted_prefixes'))).toEqual(['info']);
+		const calls = mockTelegram();
+		const raw = 'From: a@shop.com\r\nTo: info@example.com\r\nSubject: Order shipped\r\nContent-Type: text/plain\r\n\r\nOn its way';
+		await handleIncomingEmail({ from: 'a@shop.com', to: 'info@example.com', raw }, env);
+		expect(calls.find(c => c.url.endsWith('/sendMessage')).body.disable_notification).toBe(true);
+		const log = JSON.parse(await env.KV.get('mute_timers'))['p:info'].log;
+		expect(log.map(i => i.subject)).toEqual(['Order shipped']);
+
+		calls.length = 0;
+		expect(Object.keys(await liftExpiredMutes(env, Date.now() + 2 * 3600000))).toEqual([]);
+		expect(JSON.parse(await env.KV.get('muted_prefixes'))).toEqual([]);
+		expect(calls).toHaveLength(1);
+		expect(calls[0].body.text).toContain('Order shipped');
+		expect(calls[0].body.reply_markup.inline_keyboard.flat()[0].callback_data).toBe(`search_view:${log[0].id}`);
+	});
+	it('lifts an expired mute before handling new mail', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['info']));
+		await env.KV.put('global_mute', 'true');
+		await env.KV.put('mute_timers', JSON.stringify({ g: { until: Date.now() - 1000, log: [] } }));
+		const calls = mockTelegram();
+		const raw = 'From: a@shop.com\r\nTo: info@example.com\r\nSubject: Hi\r\nContent-Type: text/plain\r\n\r\nHello';
+		await handleIncomingEmail({ from: 'a@shop.com', to: 'info@example.com', raw }, env);
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage'));
+		expect(sends[0].body.text).toContain('全局静音');
+		expect(sends[1].body.disable_notification).toBe(false);
+		expect(await env.KV.get('global_mute')).toBe('false');
+	});
+});
+
 // ============ Webhook 安全测试 ============
 
 describe('deriveWebhookSecret', () => {
@@ -1331,6 +3206,284 @@ describe('webhook POST authentication', () => {
 	});
 });
 
+describe('forum topics', () => {
+	// createForumTopic 依次返回 71、72…；thread 为不存在的话题时模拟 "message thread not found"
+	const forumEnv = () => ({ ...env, TG_BOT_TOKEN: '123:abc', TG_CHAT_ID: '-100777' });
+	async function post(e, update) {
+		const request = new Request('http://example.com', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': deriveWebhookSecret(e.TG_BOT_TOKEN) },
+			body: JSON.stringify(update),
+		});
+		const ctx = createExecutionContext();
+		await worker.fetch(request, e, ctx);
+		await waitOnExecutionContext(ctx);
+	}
+
+	it('adds the current thread to outgoing messages', async () => {
+		expect(topicParams({})).toEqual({});
+		expect(topicParams({ _threadId: 5 })).toEqual({ message_thread_id: 5 });
+		const calls = mockTelegram({ missingThread: 99 });
+		const e = { ...env, _threadId: 99 };
+		await sendTelegramMessage(e, 'hi');
+		expect(calls.map(c => c.body.message_thread_id)).toEqual([99, undefined]);
+		expect(e._threadId).toBe(undefined);
+	});
+	it('falls back to General for photos, documents and media groups', async () => {
+		const calls = mockTelegram({ missingThread: 99 });
+		const blob = new Blob(['x'], { type: 'image/png' });
+		const threads = () => calls.map(c => c.body.get('message_thread_id'));
+		await sendTelegramPhoto({ ...env, _threadId: 99 }, blob, 'a.png');
+		expect(threads()).toEqual(['99', null]);
+		calls.length = 0;
+		await sendTelegramDocument({ ...env, _threadId: 99 }, blob, 'a.pdf');
+		expect(threads()).toEqual(['99', null]);
+		calls.length = 0;
+		const e = { ...env, _threadId: 99 };
+		const result = await sendTelegramMediaGroup(e, [{ type: 'photo', blob, filename: 'a.png' }, { type: 'photo', blob, filename: 'b.png' }]);
+		expect(result.ok).toBe(true);
+		expect(threads()).toEqual(['99', null]);
+		expect(calls[1].body.get('file1')).toBeInstanceOf(File);
+		expect(e._threadId).toBe(undefined);
+	});
+	it('creates a topic once and only in forum mode', async () => {
+		const calls = mockTelegram();
+		const e = { ...env, _sysConfig: {} };
+		expect(await resolveTopic(e, 'p:shop')).toBe(null);
+		e._sysConfig.forumTopics = true;
+		expect(await resolveTopic(e, 'p:shop')).toBe(71);
+		expect(await resolveTopic(e, 'p:shop')).toBe(71);
+		expect(calls).toHaveLength(1);
+		expect(calls[0].body.name).toBe('📧 shop');
+		e._threadId = 5;
+		await withTopic(e, 'p:shop', topicEnv => sendTelegramMessage(topicEnv, 'x'));
+		expect(calls[1].body.message_thread_id).toBe(71);
+		expect(e._threadId).toBe(5);
+	});
+	it('posts incoming mail into the prefix topic', async () => {
+		await env.KV.put('sys_config', JSON.stringify({ forumTopics: true }));
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop', 'news']));
+		await env.KV.put('forum_topics', JSON.stringify({ 'p:news': 40 }));
+		const calls = mockTelegram();
+		const raw = to => `From: a@shop.com\r\nTo: ${to}\r\nSubject: Hi\r\nContent-Type: text/plain\r\n\r\nHello`;
+		const e = forumEnv();
+		await loadSystemConfig(e);
+		await handleIncomingEmail({ from: 'a@shop.com', to: 'shop@example.com', raw: raw('shop@example.com') }, e);
+		await handleIncomingEmail({ from: 'a@shop.com', to: 'news@example.com', raw: raw('news@example.com') }, e);
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage'));
+		expect(sends.map(c => c.body.message_thread_id)).toEqual([71, 40]);
+		expect(JSON.parse(await env.KV.get('forum_topics'))).toEqual({ 'p:news': 40, 'p:shop': 71 });
+	});
+	it('keeps concurrent mail and callbacks in their own topics', async () => {
+		await env.KV.put('sys_config', JSON.stringify({ forumTopics: true }));
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop', 'news']));
+		await env.KV.put('forum_topics', JSON.stringify({ 'p:news': 40, 'p:shop': 41 }));
+		const calls = mockTelegram();
+		const raw = to => `From: a@shop.com\r\nTo: ${to}\r\nSubject: Hi ${to}\r\nContent-Type: text/plain\r\n\r\nHello`;
+		// 同一个 env 对象，模拟 isolate 内的并发请求
+		const e = forumEnv();
+		await loadSystemConfig(e);
+		await Promise.all([
+			handleIncomingEmail({ from: 'a@shop.com', to: 'shop@example.com', raw: raw('shop@example.com') }, e),
+			handleIncomingEmail({ from: 'a@shop.com', to: 'news@example.com', raw: raw('news@example.com') }, e),
+			post(e, { callback_query: { id: 'cb', data: 'add', message: { message_id: 5, chat: { id: -100777 }, is_topic_message: true, message_thread_id: 40 } } }),
+		]);
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage'));
+		expect(sends.find(c => c.body.text.includes('Hi shop@')).body.message_thread_id).toBe(41);
+		expect(sends.find(c => c.body.text.includes('Hi news@')).body.message_thread_id).toBe(40);
+		expect(sends.find(c => c.body.reply_markup?.force_reply).body.message_thread_id).toBe(40);
+		expect(e._threadId).toBe(undefined);
+	});
+	it('keeps callbacks and prompts inside the topic they came from', async () => {
+		const calls = mockTelegram();
+		await post(forumEnv(), {
+			callback_query: {
+				id: 'cb', data: 'add',
+				message: { message_id: 5, chat: { id: -100777 }, is_topic_message: true, message_thread_id: 40 },
+			},
+		});
+		const prompt = calls.find(c => c.body.reply_markup?.force_reply);
+		expect(prompt.body.message_thread_id).toBe(40);
+	});
+	it('opens /pwd from General in the password topic', async () => {
+		await env.KV.put('sys_config', JSON.stringify({ forumTopics: true }));
+		const calls = mockTelegram();
+		await post(forumEnv(), { message: { message_id: 1, chat: { id: -100777 }, text: '/pwd' } });
+		calls.length = 0;
+		await post(forumEnv(), { message: { message_id: 2, chat: { id: -100777 }, text: '/pwd', is_topic_message: true, message_thread_id: 40 } });
+		expect(JSON.parse(await env.KV.get('forum_topics'))).toEqual({ pwd: 71 });
+		expect(calls.every(c => c.body.message_thread_id === 40)).toBe(true);
+	});
+	it('toggles forum mode from the config page', async () => {
+		const calls = mockTelegram();
+		const e = forumEnv();
+		await handleConfigCallback({ id: 'cb', data: 'cfg_ft', message: { message_id: 3 } }, e);
+		expect(JSON.parse(await env.KV.get('sys_config')).forumTopics).toBe(true);
+		expect(JSON.parse(await env.KV.get('forum_topics'))).toEqual({ cfg: 71 });
+		await handleConfigCallback({ id: 'cb', data: 'cfg_ft', message: { message_id: 3 } }, e);
+		expect(JSON.parse(await env.KV.get('sys_config')).forumTopics).toBe(undefined);
+		expect(JSON.parse(await env.KV.get('forum_topics'))).toEqual({});
+		// 普通私聊无法创建话题，保持关闭
+		globalThis.fetch = async () => new Response(JSON.stringify({ ok: false, error_code: 400, description: 'Bad Request: the chat is not a forum' }));
+		await handleConfigCallback({ id: 'cb', data: 'cfg_ft', message: { message_id: 3 } }, e);
+		expect(JSON.parse(await env.KV.get('sys_config')).forumTopics).toBe(undefined);
+	});
+});
+
+describe('multi-user roles', () => {
+	const ownerEnv = () => ({ ...env, TG_BOT_TOKEN: '123:abc', TG_CHAT_ID: '1000' });
+	const users = {
+		2000: { role: 'member', prefixes: ['shop'] },
+		3000: { role: 'readonly', prefixes: [] },
+	};
+	async function post(update) {
+		const e = ownerEnv();
+		const request = new Request('http://example.com', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': deriveWebhookSecret(e.TG_BOT_TOKEN) },
+			body: JSON.stringify(update),
+		});
+		const ctx = createExecutionContext();
+		await worker.fetch(request, e, ctx);
+		await waitOnExecutionContext(ctx);
+	}
+
+	it('parses user input', () => {
+		expect(parseUserInput('2000 readonly Shop news')).toEqual({ id: '2000', role: 'readonly', prefixes: ['shop', 'news'] });
+		expect(parseUserInput('2000 只读')).toEqual({ id: '2000', role: 'readonly', prefixes: [] });
+		expect(parseUserInput('2000 shop')).toEqual({ id: '2000', role: 'member', prefixes: ['shop'] });
+		expect(parseUserInput('alice member')).toBe(null);
+		expect(parseUserInput('2000 member sh@p')).toBe(null);
+	});
+	it('resolves the chat to owner, user or nobody', async () => {
+		await env.KV.put('bot_users', JSON.stringify(users));
+		const e = ownerEnv();
+		expect(await resolveChatEnv(e, 1000)).toBe(e);
+		const member = await resolveChatEnv(e, 2000);
+		expect(member.TG_CHAT_ID).toBe('2000');
+		expect(canSeePrefix(member, 'shop')).toBe(true);
+		expect(canSeePrefix(member, 'news')).toBe(false);
+		expect(canEditPasswords(member)).toBe(true);
+		expect(canEditPasswords(await resolveChatEnv(e, 3000))).toBe(false);
+		expect(await resolveChatEnv(e, 4000)).toBe(null);
+	});
+	it('copies new mail to users assigned the prefix', async () => {
+		await env.KV.put('bot_users', JSON.stringify(users));
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop', 'news']));
+		const calls = mockTelegram();
+		const raw = to => `From: a@x.com\r\nTo: ${to}\r\nSubject: Order\r\nContent-Type: text/plain\r\n\r\nShipped`;
+		await handleIncomingEmail({ from: 'a@x.com', to: 'shop@example.com', raw: raw('shop@example.com') }, ownerEnv());
+		await handleIncomingEmail({ from: 'a@x.com', to: 'news@example.com', raw: raw('news@example.com') }, ownerEnv());
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage'));
+		expect(sends.map(c => c.body.chat_id)).toEqual(['1000', '2000', '1000']);
+		expect(sends[1].body.text).toContain('Order');
+		expect(sends[1].body.reply_markup.inline_keyboard[0][0].callback_data).toBe('search_view:901');
+	});
+	it('limits commands and replies for other users', async () => {
+		await env.KV.put('bot_users', JSON.stringify(users));
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		const calls = mockTelegram();
+		await post({ message: { message_id: 1, chat: { id: 2000 }, text: '/list' } });
+		await post({ message: { message_id: 2, chat: { id: 3000 }, text: '/save bank' } });
+		await post({ message: { message_id: 3, chat: { id: 4000 }, text: '/list' } });
+		expect(calls).toHaveLength(2);
+		expect(calls.map(c => c.body.chat_id)).toEqual(['2000', '3000']);
+		// webhook 按系统配置加载语言（默认英文）
+		expect(calls[0].body.text).toContain('Member');
+		expect(calls[1].body.text).toContain('Read-only');
+		expect(await env.KV.get('pwd:bank')).toBe(null);
+	});
+	it('member search only sees assigned prefixes', async () => {
+		await env.KV.put('bot_users', JSON.stringify(users));
+		await setEmailIndex(env, { entries: [
+			{ id: 1, ts: 1, sender: 'a@x.com', subject: 'Invoice shop', prefix: 'shop', textSize: 0 },
+			{ id: 2, ts: 2, sender: 'a@x.com', subject: 'Invoice news', prefix: 'news', textSize: 0 },
+		], totalSize: 0 });
+		const member = await resolveChatEnv(ownerEnv(), 2000);
+		expect((await searchEmails(member, 'invoice')).map(e => e.id)).toEqual([1]);
+		expect((await searchEmails(ownerEnv(), 'invoice')).map(e => e.id).sort()).toEqual([1, 2]);
+		const calls = mockTelegram();
+		await handleEmailCallback({ id: 'cb', data: 'search_view:2', message: { message_id: 5 } }, member);
+		await handleEmailCallback({ id: 'cb', data: 'search_view:1', message: { message_id: 5 } }, member);
+		await handleEmailCallback({ id: 'cb', data: 'global_mute', message: { message_id: 5 } }, member);
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage'));
+		expect(sends).toHaveLength(1);
+		expect(sends[0].body.text).toContain('Invoice shop');
+		expect(sends[0].body.reply_markup).toBe(undefined);
+		expect(calls.filter(c => c.url.endsWith('/answerCallbackQuery')).map(c => c.body.text))
+			.toEqual([t('email.toast.expired'), undefined, '🚫 没有权限']);
+		expect(await env.KV.get('global_mute')).toBe(null);
+	});
+	it('member search results have no back button and back is refused', async () => {
+		await env.KV.put('bot_users', JSON.stringify(users));
+		await setEmailIndex(env, { entries: [
+			{ id: 1, ts: 1, sender: 'a@x.com', subject: 'Invoice shop', prefix: 'shop', textSize: 0 },
+		], totalSize: 0 });
+		const member = await resolveChatEnv(ownerEnv(), 2000);
+		await saveSearchQuery(member, 'invoice');
+		const calls = mockTelegram();
+		await handleEmailCallback({ id: 'cb', data: 'search_back', message: { message_id: 5 } }, member);
+		await handleEmailCallback({ id: 'cb', data: 'back', message: { message_id: 5 } }, member);
+		const edits = calls.filter(c => c.url.endsWith('/editMessageText'));
+		expect(edits).toHaveLength(1);
+		const buttons = edits[0].body.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+		expect(buttons).toEqual(['search_view:1']);
+		expect(calls.filter(c => c.url.endsWith('/answerCallbackQuery')).pop().body.text).toBe('🚫 没有权限');
+		expect(buildSearchKeyboard([], 0, false).inline_keyboard).toEqual([]);
+	});
+	it('read-only users cannot reveal passwords or open config', async () => {
+		await env.KV.put('bot_users', JSON.stringify(users));
+		const readonly = await resolveChatEnv(ownerEnv(), 3000);
+		const calls = mockTelegram();
+		await handlePwdCallback({ id: 'cb', data: 'ps:bank', message: { message_id: 5 } }, readonly);
+		await handleConfigCallback({ id: 'cb', data: 'cfg_xp', message: { message_id: 5 } }, readonly);
+		expect(calls.map(c => c.url.split('/').pop())).toEqual(['answerCallbackQuery', 'answerCallbackQuery']);
+		expect(calls.every(c => c.body.text === '🚫 没有权限')).toBe(true);
+	});
+	it('members only reach vault entries linked to their prefixes', async () => {
+		await env.KV.put('bot_users', JSON.stringify(users));
+		const e = ownerEnv();
+		await setPasswordEntry(e, 'bank', { username: 'me', password: 'owner-secret', note: '', totp: '' });
+		await setPasswordEntry(e, 'shop-login', { username: 'team', password: 'shared-secret', note: '', totp: '' });
+		await setPasswordList(e, [{ name: 'bank', ts: 2 }, { name: 'shop-login', ts: 1 }]);
+		await env.KV.put('pwd_links', JSON.stringify({ shop: { name: 'shop-login', sites: [] } }));
+		const member = await resolveChatEnv(e, 2000);
+		const calls = mockTelegram();
+		const cb = data => handlePwdCallback({ id: 'cb', data, message: { message_id: 5 } }, member);
+		await cb('ps:bank');
+		await cb('pcd:bank');
+		await cb('pd:shop-login');
+		await cb('ps:shop-login');
+		await cb('pb');
+		const editPrompt = t('pwd.prompt.edit', { name: 'bank', field: t('pwd.field.password') });
+		await handlePwdReply({ message_id: 7 }, { message_id: 6, text: editPrompt }, 'hijacked', member);
+		const answers = calls.filter(c => c.url.endsWith('/answerCallbackQuery')).map(c => c.body.text);
+		expect(answers.slice(0, 3)).toEqual(['🚫 没有权限', '🚫 没有权限', '🚫 没有权限']);
+		const edits = calls.filter(c => c.url.endsWith('/editMessageText'));
+		expect(edits).toHaveLength(2);
+		expect(edits[0].body.text).toContain('shared-secret');
+		expect(edits[1].body.reply_markup.inline_keyboard.flat().map(b => b.text)).toContain('shop-login');
+		expect(edits[1].body.reply_markup.inline_keyboard.flat().map(b => b.text)).not.toContain('bank');
+		expect(calls.some(c => JSON.stringify(c.body).includes('owner-secret'))).toBe(false);
+		expect((await getPasswordEntry(e, 'bank')).password).toBe('owner-secret');
+		expect((await getPasswordList(e)).map(i => i.name)).toEqual(['bank', 'shop-login']);
+	});
+	it('owner adds, switches and removes users from config', async () => {
+		const calls = mockTelegram();
+		const e = ownerEnv();
+		await handleConfigReply({}, { text: t('cfg.prompt.user') }, '2000 member shop', e);
+		expect(JSON.parse(await env.KV.get('bot_users'))).toEqual({ 2000: { role: 'member', prefixes: ['shop'] } });
+		expect(calls.map(c => c.body.chat_id)).toEqual(['1000', '2000']);
+		await handleConfigReply({}, { text: t('cfg.prompt.user') }, '1000 member', e);
+		expect(calls[2].body.text).toBe(t('cfg.users.isOwner'));
+		await handleConfigCallback({ id: 'cb', data: 'cfg_ur:2000', message: { message_id: 5 } }, e);
+		expect(JSON.parse(await env.KV.get('bot_users'))[2000].role).toBe('readonly');
+		expect(buildUsersKeyboard({ 2000: { role: 'readonly', prefixes: [] } }, '2000').inline_keyboard[0][0].callback_data).toBe('cfg_udc:2000');
+		await handleConfigCallback({ id: 'cb', data: 'cfg_udc:2000', message: { message_id: 5 } }, e);
+		expect(JSON.parse(await env.KV.get('bot_users'))).toEqual({});
+	});
+});
+
 // ============ 密码管理测试 ============
 
 describe('encryptData / decryptData', () => {
@@ -1501,6 +3654,76 @@ describe('buildPwdEditKeyboard', () => {
 	});
 });
 
+describe('password vault prefix links', () => {
+	const mail = from => `From: ${from}\r\nTo: shop@example.com\r\nSubject: Hello\r\nContent-Type: text/plain\r\n\r\nHi there`;
+	it('parses link input and normalizes sites', () => {
+		expect(parseLinkInput('Shop https://www.GitHub.com/login, githubapp.com')).toEqual({ prefix: 'shop', sites: ['github.com', 'githubapp.com'] });
+		expect(parseLinkInput('shop')).toEqual({ prefix: 'shop', sites: [] });
+		expect(parseLinkInput('shop not-a-domain')).toBe(null);
+		expect(parseLinkInput('-bad github.com')).toBe(null);
+		expect(normalizeSite('mail.shop.co.uk')).toBe('shop.co.uk');
+		expect(normalizeSite('GitHub')).toBe('');
+	});
+	it('treats subdomains, other TLDs and brand domains as related', () => {
+		expect(isRelatedSender('noreply.github.com', ['github.com'])).toBe(true);
+		expect(isRelatedSender('paypal.de', ['paypal.com'])).toBe(true);
+		expect(isRelatedSender('githubapp.com', ['github.com'])).toBe(true);
+		expect(isRelatedSender('casino-deals.biz', ['github.com'])).toBe(false);
+	});
+	it('flags mail from an unrelated domain on a linked prefix', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		await env.KV.put('pwd_links', JSON.stringify({ shop: { name: 'GitHub', sites: [] } }));
+		const calls = mockTelegram();
+		await handleIncomingEmail({ from: 'noreply@github.com', to: 'shop@example.com', raw: mail('noreply@github.com') }, env);
+		await handleIncomingEmail({ from: 'promo@casino-deals.biz', to: 'shop@example.com', raw: mail('promo@casino-deals.biz') }, env);
+		// 未填网站时以第一封邮件为准
+		expect(JSON.parse(await env.KV.get('pwd_links')).shop.sites).toEqual(['github.com']);
+		const sends = calls.filter(c => c.url.endsWith('/sendMessage')).map(c => c.body.text);
+		expect(sends[0]).not.toContain('可能的地址泄露');
+		expect(sends[1]).toContain('可能的地址泄露');
+		expect(sends[1]).toContain('casino-deals.biz');
+	});
+	it('creates a linked entry from the random prefix flow', async () => {
+		const calls = mockTelegram();
+		await handleEmailCallback({ id: 'cb', data: 'rnd:perm', message: { message_id: 10 } }, env);
+		const button = calls.filter(c => c.url.endsWith('/sendMessage')).pop().body.reply_markup.inline_keyboard[0][0];
+		const prefix = button.callback_data.slice(4);
+		expect(button.callback_data).toBe(`pnp:${prefix}`);
+		await handlePwdCallback({ id: 'cb', data: button.callback_data, message: { message_id: 11 } }, env);
+		const prompt = calls.filter(c => c.url.endsWith('/sendMessage')).pop().body.text;
+		expect(prompt).toBe(t('pwd.prompt.newForPrefix', { v: prefix }));
+		await handlePwdReply({ message_id: 13 }, { message_id: 12, text: prompt }, 'github.com', env);
+		expect(await getPasswordEntry(env, 'github.com')).toMatchObject({ username: '' });
+		expect(JSON.parse(await env.KV.get('pwd_links'))[prefix]).toEqual({ name: 'github.com', sites: ['github.com'] });
+		expect(calls.filter(c => c.url.endsWith('/sendMessage')).pop().body.text).toContain(`📮 关联前缀 <code>${prefix}</code> · 🌐 github.com`);
+	});
+	it('edits the link from the entry and keeps it through trash and rename', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		await setPasswordEntry(env, 'bank', { username: 'me', password: 'x', note: '', totp: '' });
+		await setPasswordList(env, [{ name: 'bank', ts: 1 }]);
+		const reply = text => ({ message_id: 20, text });
+		const edit = t('pwd.prompt.edit', { name: 'bank', field: t('pwd.field.link') }) + t('pwd.prompt.linkHint').replace(/<\/?code>/g, '');
+		const calls = mockTelegram();
+		await handlePwdReply({ message_id: 21 }, reply(edit), 'nobody bank.com', env);
+		expect(calls.pop().body.text).toContain('不存在');
+		await handlePwdReply({ message_id: 21 }, reply(edit), 'shop bank.com mybank-mail.com', env);
+		expect(JSON.parse(await env.KV.get('pwd_links'))).toEqual({ shop: { name: 'bank', sites: ['bank.com', 'mybank-mail.com'] } });
+
+		const rename = t('pwd.prompt.edit', { name: 'bank', field: t('pwd.field.name') });
+		await handlePwdReply({ message_id: 21 }, reply(rename), 'mybank', env);
+		expect(JSON.parse(await env.KV.get('pwd_links')).shop.name).toBe('mybank');
+
+		const deletedAt = await moveToTrash(env, 'mybank');
+		expect(JSON.parse(await env.KV.get('pwd_links'))).toEqual({});
+		await restoreFromTrash(env, deletedAt);
+		expect(JSON.parse(await env.KV.get('pwd_links')).shop.name).toBe('mybank');
+
+		const clear = t('pwd.prompt.edit', { name: 'mybank', field: t('pwd.field.link') });
+		await handlePwdReply({ message_id: 21 }, reply(clear), ' ', env);
+		expect(JSON.parse(await env.KV.get('pwd_links'))).toEqual({});
+	});
+});
+
 // ============ TOTP 测试 ============
 
 describe('base32Decode', () => {
@@ -1601,6 +3824,78 @@ describe('buildMergedSenderList', () => {
 	it('returns empty for empty lists', () => {
 		expect(buildMergedSenderList([], [])).toEqual([]);
 	});
+	it('flags pattern entries and lists them first', () => {
+		const result = buildMergedSenderList(['a@a.com', '@spam.com'], ['*.news.com']);
+		expect(result.map(s => s.addr).slice(0, 2).sort()).toEqual(['*.news.com', '@spam.com']);
+		expect(result[2].addr).toBe('a@a.com');
+		expect(result[0].pattern).toBe(true);
+		expect(result[2].pattern).toBeUndefined();
+	});
+});
+
+describe('matchSenderEntry', () => {
+	it('matches exact addresses case-insensitively', () => {
+		expect(matchSenderEntry('a@b.com', 'A@B.com')).toBe(true);
+		expect(matchSenderEntry('a@b.com', 'x@b.com')).toBe(false);
+	});
+	it('matches @domain against the whole domain only', () => {
+		expect(matchSenderEntry('@spam.com', 'x123@spam.com')).toBe(true);
+		expect(matchSenderEntry('@spam.com', 'x@mail.spam.com')).toBe(false);
+		expect(matchSenderEntry('@spam.com', 'x@notspam.com')).toBe(false);
+	});
+	it('matches *.domain against subdomains', () => {
+		expect(matchSenderEntry('*.spam.com', 'x@mail.spam.com')).toBe(true);
+		expect(matchSenderEntry('*.spam.com', 'x@spam.com')).toBe(false);
+		expect(matchSenderEntry('@*.spam.com', 'x@a.b.spam.com')).toBe(true);
+	});
+	it('matches full-address globs', () => {
+		expect(matchSenderEntry('news*@*', 'newsletter@shop.com')).toBe(true);
+		expect(matchSenderEntry('news*@*', 'info@news.com')).toBe(false);
+		expect(matchSenderEntry('user?@x.com', 'user1@x.com')).toBe(true);
+	});
+	it('treats regex characters literally', () => {
+		expect(matchSenderEntry('@a.com', 'x@abcom')).toBe(false);
+		expect(matchSenderEntry('a+b@x.com', 'a+b@x.com')).toBe(true);
+	});
+	it('matchSenderList checks any entry', () => {
+		expect(matchSenderList(['a@b.com', '@spam.com'], 'z@spam.com')).toBe(true);
+		expect(matchSenderList([], 'z@spam.com')).toBe(false);
+	});
+	it('mutes notifications for domain-pattern mutes and unmutes from the button', async () => {
+		await env.KV.put('allowed_prefixes', JSON.stringify(['shop']));
+		await env.KV.put('muted_senders', JSON.stringify(['*.shop.com', 'other@x.com']));
+		const raw = 'From: deals@promo.shop.com\r\nTo: shop@example.com\r\nSubject: Sale\r\nContent-Type: text/plain\r\n\r\nHi';
+		const calls = mockTelegram();
+		await handleIncomingEmail({ from: 'deals@promo.shop.com', to: 'shop@example.com', raw }, env);
+		const send = calls.find(c => c.url.endsWith('/sendMessage'));
+		expect(send.body.disable_notification).toBe(true);
+		const markup = calls.find(c => c.url.endsWith('/editMessageReplyMarkup'));
+		expect(markup.body.reply_markup.inline_keyboard.flat().map(b => b.callback_data)).toContain('us:901');
+		await handleEmailCallback({ id: 'cb', data: 'us:901', message: { message_id: 901 } }, env);
+		expect(JSON.parse(await env.KV.get('muted_senders'))).toEqual(['other@x.com']);
+	});
+});
+
+describe('normalizeSenderEntry', () => {
+	it('keeps addresses and patterns, lowercased', () => {
+		expect(normalizeSenderEntry(' Spam@X.com ')).toBe('spam@x.com');
+		expect(normalizeSenderEntry('@x.com')).toBe('@x.com');
+		expect(normalizeSenderEntry('*.x.com')).toBe('*.x.com');
+	});
+	it('turns a bare domain into @domain', () => {
+		expect(normalizeSenderEntry('spam.com')).toBe('@spam.com');
+	});
+	it('rejects match-everything and malformed input', () => {
+		expect(normalizeSenderEntry('*')).toBe('');
+		expect(normalizeSenderEntry('*@*')).toBe('');
+		expect(normalizeSenderEntry('a@b@c')).toBe('');
+		expect(normalizeSenderEntry('bad entry')).toBe('');
+		expect(normalizeSenderEntry('')).toBe('');
+	});
+	it('senderDomainEntry extracts @domain', () => {
+		expect(senderDomainEntry('X@Mail.Spam.com')).toBe('@mail.spam.com');
+		expect(senderDomainEntry('unknown')).toBe('');
+	});
 });
 
 describe('buildMgmtText', () => {
@@ -1652,6 +3947,12 @@ describe('buildMgmtText', () => {
 		expect(text).toContain('15 个');
 		expect(text).toContain('第 2/');
 	});
+	it('marks pattern entries distinctly', () => {
+		const senders = [{ addr: '*.spam.com', blocked: true, muted: false, pattern: true }];
+		const text = buildMgmtText(senders, 0, null);
+		expect(text).toContain('🌐 <code>*.spam.com</code>');
+		expect(text).toContain('域名/通配规则');
+	});
 });
 
 describe('buildMgmtKeyboard', () => {
@@ -1676,6 +3977,11 @@ describe('buildMgmtKeyboard', () => {
 		expect(allData).toContain('ems');
 		expect(allData).toContain('back');
 	});
+	it('offers adding block and mute rules', () => {
+		const allData = buildMgmtKeyboard([], 0).inline_keyboard.flat().map(b => b.callback_data);
+		expect(allData).toContain('emab');
+		expect(allData).toContain('emam');
+	});
 	it('hides clear blocked button when no blocked senders', () => {
 		const senders = [{ addr: 'news@x.com', blocked: false, muted: true }];
 		const kb = buildMgmtKeyboard(senders, 0);
@@ -2084,6 +4390,30 @@ describe('buildMailConfigText', () => {
 		expect(text).toContain('500 MB');
 		expect(text).toContain('30 天');
 	});
+	it('shows reject policy, silent drop by default', () => {
+		const text = buildMailConfigText({ _sysConfig: {} }, null);
+		expect(text).toContain('屏蔽发件人：静默丢弃');
+		expect(text).toContain('未知/暂停前缀：静默丢弃');
+		expect(text).toContain('Address does not exist');
+	});
+	it('shows bounce mode and escapes custom reason', () => {
+		const env = { _sysConfig: { rejectUnknown: true, rejectReason: 'No <such> user' } };
+		const text = buildMailConfigText(env, null);
+		expect(text).toContain('未知/暂停前缀：退信');
+		expect(text).toContain('No &lt;such&gt; user');
+	});
+});
+
+describe('getRejectPolicy', () => {
+	it('defaults to silent drop with default reason', () => {
+		expect(getRejectPolicy({ _sysConfig: {} })).toEqual({ blocked: false, unknown: false, reason: 'Address does not exist' });
+	});
+	it('reads flags and reason from sys config', () => {
+		const p = getRejectPolicy({ _sysConfig: { rejectBlocked: true, rejectReason: 'Go away' } });
+		expect(p.blocked).toBe(true);
+		expect(p.unknown).toBe(false);
+		expect(p.reason).toBe('Go away');
+	});
 });
 
 describe('buildConfigKeyboard (main page)', () => {
@@ -2236,6 +4566,15 @@ describe('buildMailConfigKeyboard', () => {
 		const configBtns = kb.inline_keyboard.flat().filter(b => b.callback_data.startsWith('cfg_e:'));
 		expect(configBtns.length).toBe(9);
 	});
+
+	it('has reject policy toggles and reason button above reset', () => {
+		const kb = buildMailConfigKeyboard();
+		const data = kb.inline_keyboard.flat().map(b => b.callback_data);
+		expect(data).toContain('cfg_rj:blocked');
+		expect(data).toContain('cfg_rj:unknown');
+		expect(data).toContain('cfg_rr');
+		expect(kb.inline_keyboard[kb.inline_keyboard.length - 2][0].callback_data).toBe('cfg_rst');
+	});
 });
 
 // ============ 密码备份/恢复测试 ============
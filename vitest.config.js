@@ -5,6 +5,8 @@ export default defineWorkersConfig({
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				// 本地 R2，测试中按需作为 MAIL_BUCKET 传入
+				miniflare: { r2Buckets: ['TEST_MAIL_BUCKET'] },
 			},
 		},
 	},